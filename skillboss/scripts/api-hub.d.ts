@@ -0,0 +1,209 @@
+/**
+ * Type declarations for the api-hub.js library exports.
+ * Every command takes an optional SkillBossClient as its last argument;
+ * without one it uses the config.json-backed default client.
+ */
+
+import { SkillBossClient } from './lib/client'
+
+export { SkillBossClient }
+export {
+  ApiHubError,
+  AuthError,
+  InsufficientBalanceError,
+  RateLimitError,
+  ValidationError,
+  VendorError,
+  NetworkError,
+  CancelledError,
+  BudgetExceededError,
+} from './lib/errors'
+
+type Result = Promise<any>
+type Client = SkillBossClient
+
+export interface RunParams {
+  model: string
+  inputs?: Record<string, unknown>
+  stream?: boolean
+  output?: string
+  autoFallback?: boolean
+  /** Model category for cache TTLs (inferred from the model ID if omitted) */
+  category?: string
+  /** Set to false to bypass the response cache */
+  cache?: boolean
+  /** Timeout in ms (default depends on the model category) */
+  timeout?: number
+  /** Cancels the request */
+  signal?: AbortSignal
+  /** Sent as Idempotency-Key; lets gateway errors and timeouts be retried */
+  idempotencyKey?: string
+}
+
+export function run(params: RunParams & { stream: true }, client?: Client): Promise<AsyncGenerator<any, void, unknown>>
+export function run(params: RunParams, client?: Client): Result
+
+/** One flag of a command schema (lib/flags.js) */
+export interface PluginFlag {
+  /** How the value is parsed (default: "string") */
+  type?: 'string' | 'number' | 'integer' | 'boolean' | 'json'
+  required?: boolean
+  default?: unknown
+  /** Single-letter short form, e.g. "m" for -m */
+  alias?: string
+  /** Allowed values */
+  choices?: unknown[]
+  /** Collect every occurrence into an array */
+  repeatable?: boolean
+  /** Also accept @path (the file's contents) or - (stdin) as the value */
+  fromFile?: boolean
+  /** Lowest accepted value (number, integer) */
+  min?: number
+  /** Value name shown in --help, e.g. "file" for --output <file> */
+  placeholder?: string
+  description?: string
+}
+
+/** What a plugin in ~/.config/skillboss/plugins or .skillboss/commands exports */
+export interface Plugin {
+  /** Command name: lowercase letters, digits and dashes */
+  name: string
+  /** One line, shown in --help */
+  description?: string
+  /** Model category (chat, image, tts, ...): shell completion suggests --model values from it */
+  category?: string
+  /** Without flags, every flag given is passed through as a string (or true) */
+  flags?: Record<string, PluginFlag>
+  /** Arguments that aren't flags, in order; each is set on flags by name */
+  positionals?: { name: string, required?: boolean, choices?: string[] }[]
+  /** Groups of flags of which at least one must be given */
+  requireOne?: string[][]
+  /** Groups of flags of which at most one may be given */
+  exclusive?: string[][]
+  /** Longer text for `api-hub.js <name> --help` */
+  help?: string
+  /** A string result is printed as is, anything else as JSON */
+  run(flags: Record<string, any>, client: Client, api: typeof import('./api-hub')): unknown
+}
+
+export interface StreamAccumulator {
+  /** Add a chunk; returns the text it adds to the reply */
+  push(chunk: unknown): string
+  /**
+   * The response a non-streaming call would have returned: chat.completion-shaped for
+   * OpenAI-style streams (message, tool_calls, finish_reason), message-shaped for
+   * Anthropic-style ones (content blocks, tool_use input, stop_reason), plus usage and cost
+   */
+  result(): any
+  /** Text accumulated so far */
+  readonly text: string
+}
+
+export function createStreamAccumulator(): StreamAccumulator
+/** Drain a stream into its final response, calling onText with each text delta */
+export function accumulateStream(stream: AsyncIterable<unknown>, onText?: (text: string) => void): Promise<any>
+
+export function pilot(flags: Record<string, any>, client?: Client): Promise<{ mode: string; data: any; saved?: string }>
+
+export function chat(
+  params: {
+    model: string
+    prompt?: string
+    messages?: Array<{ role: string; content: unknown }>
+    system?: string
+    stream?: boolean
+    maxTokens?: number
+    temperature?: number
+  },
+  client?: Client,
+): Result
+
+export function tts(params: { model: string; text: string; voiceId?: string; speaker?: string; output: string }, client?: Client): Result
+export function stt(
+  params: { file: string; model?: string; prompt?: string; language?: string; output?: string },
+  client?: Client,
+): Promise<{ text: string; saved?: string }>
+export function image(params: { model: string; prompt: string; size?: string; output?: string }, client?: Client): Result
+export function upscale(params: { imageUrl: string; scale?: number; outputFormat?: string; output?: string }, client?: Client): Result
+export function img2img(
+  params: {
+    imageUrl: string
+    prompt: string
+    strength?: number
+    imageSize?: string
+    outputFormat?: string
+    numImages?: number
+    output?: string
+  },
+  client?: Client,
+): Result
+export function multimodal(
+  params: { model: string; prompt: string; video?: string; image?: string; audio?: string; fps?: number | string },
+  client?: Client,
+): Result
+export function video(
+  params: { model: string; prompt: string; size?: string; duration?: number | string; image?: string; output?: string },
+  client?: Client,
+): Result
+export function music(params: { model: string; prompt: string; duration?: number | string; output?: string }, client?: Client): Result
+export function search(params: { model: string; query: string }, client?: Client): Result
+export function scrape(params: { model: string; url?: string; urls?: string[] }, client?: Client): Result
+export function document(
+  params: {
+    model: string
+    url: string
+    schema?: string
+    splitDescription?: string
+    instructions?: string
+    settings?: string
+    output?: string
+  },
+  client?: Client,
+): Result
+export function gamma(params: { model: string; inputText: string; format?: string; language?: string }, client?: Client): Result
+export function listModels(
+  params?: { type?: string; vendor?: string },
+  client?: Client,
+): Promise<{ count: number; models: Array<Record<string, any>> }>
+
+export function linkupSearch(
+  params: {
+    query: string
+    outputType?: 'searchResults' | 'sourcedAnswer' | 'structured'
+    depth?: 'standard' | 'deep'
+    structuredOutputSchema?: string
+    includeDomains?: string[]
+    excludeDomains?: string[]
+    fromDate?: string
+    toDate?: string
+    maxResults?: number
+    includeImages?: boolean
+  },
+  client?: Client,
+): Result
+export function linkupFetch(
+  params: { url: string; renderJs?: boolean; includeImages?: boolean; includeRawHtml?: boolean },
+  client?: Client,
+): Result
+
+export function smsVerify(params: { phone: string; ip?: string; deviceId?: string }, client?: Client): Result
+export function smsCheck(params: { phone: string; code: string }, client?: Client): Result
+export function smsSend(
+  params: { phone: string; templateId: string; variables?: Record<string, unknown>; from?: string },
+  client?: Client,
+): Result
+
+export function sendEmail(
+  params: { subject: string; bodyHtml: string; receivers: string[]; replyTo?: string[]; projectId?: string },
+  client?: Client,
+): Result
+export function sendBatchEmails(
+  params: {
+    subject: string
+    bodyHtml: string
+    receivers: Array<{ email: string; variables?: Record<string, unknown> }>
+    replyTo?: string[]
+    projectId?: string
+  },
+  client?: Client,
+): Result
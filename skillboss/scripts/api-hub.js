@@ -39,14 +39,54 @@
  *   node api-hub.js sms-send --phone "+1234567890" --template-id "your_template_id"
  *   node api-hub.js send-email --to "a@b.com" --subject "Subject" --body "<html>...</html>"
  *   node api-hub.js send-batch --subject "Hello {{name}}" --body "<html>...</html>" --receivers '[...]'
+ *   node api-hub.js cache stats|clear [--expired]
+ *   node api-hub.js usage [--by day|model|command|none] [--since 2025-01-01] [--until 2025-01-31] [--format table|csv|json]
+ *
+ * Identical /run requests are served from a local cache (see lib/cache.js).
+ * Pass --no-cache to bypass it or --refresh to re-run and overwrite the entry.
+ *
+ * Every API Hub call is appended to a local usage ledger (see lib/ledger.js);
+ * `usage` reports on it. Set SKILLBOSS_LEDGER=0 to turn it off.
+ *
+ * Spending budgets (see lib/budget.js) stop runaway loops: a call that would exceed
+ * the "budget" limits in config.json fails with exit code 10 unless --confirm-over-budget is passed.
+ *
+ * Diagnostics (retries, hints, --verbose request logs) go to stderr through lib/logger.js;
+ * --quiet keeps only errors and --log-format json emits one JSON object per line.
+ *
+ * Timeouts and retries (see lib/fetch-retry.js) are configured with --timeout / --retries,
+ * the "timeouts" and "retry" keys of config.json, or SKILLBOSS_TIMEOUT / SKILLBOSS_MAX_RETRIES.
+ *
+ * Each command's flags are declared in commands/flags.js and checked (see lib/flags.js)
+ * before any request is made; `node api-hub.js <command> --help` lists them.
+ *
+ * Custom commands ("plugins") come from ~/.config/skillboss/plugins and a trusted
+ * project's .skillboss/commands (see lib/plugins.js) and dispatch like built-in ones.
+ * Only the plugin whose command runs is loaded.
+ *
+ * Record/replay (see lib/cassette.js):
+ *   SKILLBOSS_RECORD=./cassettes node api-hub.js chat ...   # record real responses
+ *   SKILLBOSS_REPLAY=./cassettes node api-hub.js chat ...   # replay them offline
  */
 
-const { fetchWithRetry } = require('./lib/fetch-retry')
-const { config } = require('./lib/client')
+const fs = require('fs')
+const { SkillBossClient, cancelOnSignals, loadConfig } = require('./lib/client')
+const errors = require('./lib/errors')
+const ledger = require('./lib/ledger')
+const { createLogger, logSettings } = require('./lib/logger')
+const { accumulateStream, createStreamAccumulator } = require('./lib/stream-accumulator')
+const updater = require('./lib/updater')
+const { createSessionStore, validateSessionName } = require('./lib/sessions')
+const { findPlugins, loadPlugin, pluginSchema } = require('./lib/plugins')
+const { parseFlags, formatHelp, describeSource, UsageError } = require('./lib/flags')
+const { completeWords, completionScript } = require('./lib/completion')
+const { readCatalog } = require('./lib/catalog')
+const { GLOBAL_FLAGS, COMMANDS } = require('./commands/flags')
 
 // Commands
 const { run } = require('./commands/run')
-const { chat } = require('./commands/chat')
+const { chat, replyText, replyMessage } = require('./commands/chat')
+const { chatRepl } = require('./commands/chat-repl')
 const { tts } = require('./commands/tts')
 const { stt } = require('./commands/stt')
 const { image, upscale, img2img } = require('./commands/image')
@@ -59,34 +99,87 @@ const { music } = require('./commands/music')
 const { pilot, getPilotPreference, setPilotPreference } = require('./commands/pilot')
 const { listModels } = require('./commands/models')
 const { stitchGenerate, stitchEdit, stitchVariants, stitchGetHtml } = require('./commands/stitch')
+const { batch } = require('./commands/batch')
+const { runChecks, formatReport } = require('./lib/doctor')
 
-// CLI argument parsing
-function parseArgs(args) {
-  const parsed = {}
-  for (let i = 0; i < args.length; i++) {
-    const arg = args[i]
-    if (arg.startsWith('--')) {
-      const key = arg.slice(2)
-      const value = args[i + 1]
-      if (value && !value.startsWith('--')) {
-        parsed[key] = value
-        i++
-      } else {
-        parsed[key] = true
-      }
-    } else if (!parsed._command) {
-      parsed._command = arg
-    }
-  }
-  return parsed
-}
+// Commands handled by the switch in main(); plugins can't take these names
+const BUILTIN_COMMANDS = Object.keys(COMMANDS)
 
 // Main CLI handler
 async function main() {
-  const args = parseArgs(process.argv.slice(2))
-  const command = args._command
+  const argv = process.argv.slice(2)
+
+  // Tab completion (see lib/completion.js): answered before anything else, without a client or output noise
+  if (argv[0] === '__complete') {
+    // Plugin code never runs here: names come from the files, flags from what was saved when they last ran
+    const plugins = findPlugins({ builtins: BUILTIN_COMMANDS, config: pluginConfig(), logger: { warn() {} } })
+    const commands = { ...COMMANDS }
+    for (const [name, plugin] of plugins) commands[name] = pluginSchema(plugin)
+    const words = argv.slice(argv.indexOf('--') + 1)
+    const candidates = completeWords(words, { commands, globalFlags: GLOBAL_FLAGS, catalog: readCatalog() || [] })
+    if (candidates.length) process.stdout.write(candidates.join('\n') + '\n')
+    return
+  }
+
+  // The command is the first word that isn't an option; global options may come before it
+  const { flags: globals, positionals, indexes } = parseFlags(argv, { flags: GLOBAL_FLAGS }, { partial: true })
+  const command = positionals[0]
+  // Where the command was found: a value given before it may be the same word
+  const commandIndex = indexes[0]
+
+  // --json: stdout carries only the envelope; notices, hints and warnings are collected into it
+  const json = globals.json === true
+  const warnings = []
+  const print = json ? () => {} : (...parts) => console.log(...parts)
+  let client
+  const finish = (fields, exitCode = process.exitCode || 0) => {
+    process.stdout.write(JSON.stringify(jsonEnvelope(command, client, warnings, fields), null, 2) + '\n')
+    process.exit(exitCode)
+  }
+
+  let logger
+  try {
+    logger = createLogger({ ...logSettings(globals), collect: json ? warnings : undefined })
+  } catch (err) {
+    // A bad SKILLBOSS_LOG_LEVEL or SKILLBOSS_LOG_FORMAT is a usage error like a bad flag
+    const error = new UsageError([err.message])
+    if (json) finish({ error }, 1)
+    console.error(`Error: ${error.message}`)
+    process.exit(1)
+  }
+  try {
+    client = SkillBossClient.fromConfig({ profile: globals.profile, logger })
+  } catch (err) {
+    if (command !== 'doctor') {
+      if (json) finish({ error: err }, 1)
+      console.error('Error:', err.message)
+      process.exit(1)
+    }
+    // A broken config.json or unknown profile is what doctor reports, so it runs regardless
+    client = new SkillBossClient({ logger })
+  }
+  client.command = command
+  const plugins = findPlugins({ builtins: BUILTIN_COMMANDS, config: pluginConfig(), logger: client.logger, command })
+  let schema = COMMANDS[command] || null
+  if (!schema && plugins.has(command)) {
+    try {
+      schema = pluginSchema(loadPlugin(plugins.get(command)))
+    } catch (err) {
+      if (json) finish({ error: err }, 1)
+      console.error(`Error: ${err.message}`)
+      process.exit(1)
+    }
+  }
 
-  if (!command || args.help) {
+  if (schema && globals.help) {
+    console.log(formatHelp(`node api-hub.js ${command}`, schema, GLOBAL_FLAGS))
+    process.exit(0)
+  }
+
+  if (!command || globals.help) {
+    const pluginList = [...plugins.values()]
+      .map(plugin => `  ${plugin.name.padEnd(12)} ${plugin.description || ''}`)
+      .join('\n')
     console.log(`
 SkillBoss API Hub - Multi-Provider API Gateway
 
@@ -121,12 +214,37 @@ Commands:
 
   version      Check for updates
   list-models  List available models from API Hub
+  cache        Show or clear the local response cache (stats | clear [--expired])
+  usage        Report calls, tokens and cost from the local usage ledger
+  batch        Run the jobs in a JSONL file, resuming where a previous run stopped
+  sessions     List, show, fork or delete chat sessions (chat --session NAME)
+  completion   Print a bash, zsh or fish completion script
+  doctor       Check Node.js, config, API key, proxy and connectivity, with fixes
+${pluginList ? `\nPlugin Commands:\n${pluginList}\n` : ''}
+Run "node api-hub.js <command> --help" for a command's options.
 
 Common Options:
   --model        Model in "vendor/model" format (required for most commands)
   --stream       Enable streaming output (chat only)
   --output       Save response to file (tts, image, video)
   --no-fallback  Disable automatic fallback on errors (fallback is enabled by default)
+  --no-cache     Bypass the local response cache for this call
+  --refresh      Ignore cached results, re-run and update the cache
+  --timeout      Seconds to wait for a response (default depends on model type; 0 = none)
+  --retries      Retries for network, rate-limit and gateway errors (default: 3)
+  --profile      Credential profile from ~/.config/skillboss/credentials.json (or SKILLBOSS_PROFILE)
+  --confirm-over-budget  Run the call even if it exceeds a spending budget in config.json
+  --verbose      Log each request (redacted headers, body, request ID, timing) to stderr
+  --quiet        Only log errors
+  --log-format   text or json (one JSON object per stderr line; default: text)
+  --json         Print one JSON envelope on stdout: { ok, command, model, data, saved, cost, warnings, error }
+
+Usage Report Options:
+  --by           Group by day, model or command, or "none" to list calls (default: day)
+  --since        Start date: YYYY-MM-DD, ISO timestamp or relative (7d, 12h)
+  --until        End date (inclusive), same formats as --since
+  --format       table, csv or json (default: table)
+  --output       Write the report to a file instead of stdout
 
 Pilot Examples (recommended --auto-selects best model for your task):
   node api-hub.js pilot                                                          # See all capabilities
@@ -154,768 +272,941 @@ Direct Model Calls (when you already have a model ID):
     process.exit(0)
   }
 
+  if (!schema) {
+    if (json) finish({ error: Object.assign(new Error(`Unknown command: ${command}`), { code: 'unknown_command' }) }, 1)
+    console.error(`Unknown command: ${command}`)
+    console.error('Run with --help to see available commands')
+    process.exit(1)
+  }
+
+  // Every flag is checked, and @file / stdin values read, before any request is made
+  let args
   try {
-    let result
-
-    switch (command) {
-      case 'pilot': {
-        // Handle preference management flags
-        if (args['set-prefer']) {
-          const prefResult = await setPilotPreference(args['set-prefer'])
-          if (prefResult.prefer === null) {
-            console.log('Pilot preference cleared (using default: balanced)')
-          } else {
-            console.log(`Pilot preference set to: ${prefResult.prefer}`)
-          }
-          break
+    const parsed = parseFlags(argv.filter((arg, index) => index !== commandIndex), {
+      ...schema,
+      flags: { ...schema.flags, ...GLOBAL_FLAGS },
+    })
+    args = parsed.flags
+    for (const source of parsed.sources) client.logger.info(`[skillboss] ${describeSource(source)}`)
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err
+    if (json) finish({ error: err }, 1)
+    console.error(`Error: ${err.message}`)
+    console.error(`Run "node api-hub.js ${command} --help" for usage.`)
+    process.exit(1)
+  }
+
+  if (args['no-cache']) {
+    client.setCacheMode('off')
+  } else if (args.refresh) {
+    client.setCacheMode('refresh')
+  }
+  if (args.timeout !== undefined) {
+    client.timeouts = Object.fromEntries(Object.keys(client.timeouts).map(category => [category, args.timeout]))
+  }
+  if (args.retries !== undefined) {
+    client.retry.maxRetries = args.retries
+  }
+  if (args['confirm-over-budget']) {
+    client.confirmOverBudget = true
+  }
+
+  // Ctrl-C aborts in-flight requests and reports their IDs instead of leaving partial files
+  cancelOnSignals(client)
+
+  try {
+    const result = await execute(command, args, client, { print, json, plugins })
+
+    if (result) {
+      client.logger.debug('[skillboss] Result', { result })
+    }
+
+    // Auto-update check after successful command execution (skip for version command itself
+    // and under record/replay, which must stay deterministic and offline)
+    if (command !== 'version' && command !== 'doctor' && !client.cassette) {
+      await checkForUpdates(client)
+    }
+
+    if (json) {
+      // Files a command wrote: reported in result.saved, or the --output it was given
+      const written = [].concat(result?.saved || [], args.output && fs.existsSync(args.output) ? args.output : [])
+      finish({ data: result, saved: [...new Set(written)], model: args.model })
+    }
+  } catch (error) {
+    if (json) finish({ error, model: args.model }, errors.exitCodeFor(error))
+    // The signal handler already reported what was cancelled
+    if (error instanceof errors.CancelledError) {
+      process.exit(errors.exitCodeFor(error))
+    }
+    if (client.logger.format === 'json') {
+      const { code, vendor, requestId, retryable } = error
+      client.logger.error(error.message, { code, vendor, request_id: requestId, retryable })
+      process.exit(errors.exitCodeFor(error))
+    }
+    console.error('\nError:', error.message)
+    if (error instanceof errors.ApiHubError) {
+      if (error.code) console.error(`Code: ${error.code}`)
+      if (error.vendor) console.error(`Vendor: ${error.vendor}`)
+      if (error.requestId) console.error(`Request ID: ${error.requestId}`)
+      if (error.retryable) console.error('This error is retryable.')
+    }
+    process.exit(errors.exitCodeFor(error))
+  }
+}
+
+/**
+ * Run one command with parsed flags; used by main() and by batch jobs
+ * @param {string} command - Built-in or plugin command name
+ * @param {object} args - Flags parsed against the command's schema
+ * @param {SkillBossClient} client
+ * @param {object} context
+ * @param {function} context.print - Writes human-readable output (a no-op under --json)
+ * @param {boolean} [context.json] - --json mode: nothing but the envelope goes to stdout
+ * @param {Map<string, object>} context.plugins - Loaded plugins
+ * @returns {Promise<*>} The command's result (the envelope's data under --json)
+ */
+async function execute(command, args, client, { print, json, plugins }) {
+  let result
+
+  switch (command) {
+    case 'pilot': {
+      // Handle preference management flags
+      if (args['set-prefer']) {
+        result = await setPilotPreference(args['set-prefer'], client)
+        if (result.prefer === null) {
+          print('Pilot preference cleared (using default: balanced)')
+        } else {
+          print(`Pilot preference set to: ${result.prefer}`)
         }
-        if (args['get-prefer']) {
-          const prefResult = await getPilotPreference()
-          if (prefResult.prefer) {
-            console.log(`Current pilot preference: ${prefResult.prefer}`)
-          } else {
-            console.log('No pilot preference set (using default: balanced)')
-          }
-          break
+        break
+      }
+      if (args['get-prefer']) {
+        result = await getPilotPreference(client)
+        if (result.prefer) {
+          print(`Current pilot preference: ${result.prefer}`)
+        } else {
+          print('No pilot preference set (using default: balanced)')
         }
+        break
+      }
 
-        result = await pilot(args)
+      result = await pilot(args, client)
 
-        switch (result.mode) {
-          case 'guide':
-            console.log(JSON.stringify(result.data, null, 2))
-            break
+      switch (result.mode) {
+        case 'guide':
+          print(JSON.stringify(result.data, null, 2))
+          break
 
-          case 'discover': {
-            const d = result.data
-            if (d.types) {
-              console.log('\nAvailable types:')
-              for (const t of d.types) {
-                console.log(`  ${t}`)
-              }
+        case 'discover': {
+          const d = result.data
+          if (d.types) {
+            print('\nAvailable types:')
+            for (const t of d.types) {
+              print(`  ${t}`)
             }
-            if (d.matches) {
-              console.log('\nMatches:')
-              for (const m of d.matches) {
-                console.log(`  ${m.id || m.model} --${m.display_name || m.name || ''}`)
-              }
-            }
-            if (!d.types && !d.matches) {
-              console.log(JSON.stringify(d, null, 2))
+          }
+          if (d.matches) {
+            print('\nMatches:')
+            for (const m of d.matches) {
+              print(`  ${m.id || m.model} --${m.display_name || m.name || ''}`)
             }
-            break
           }
+          if (!d.types && !d.matches) {
+            print(JSON.stringify(d, null, 2))
+          }
+          break
+        }
 
-          case 'recommend': {
-            const r = result.data
-            if (r.models) {
-              console.log(`\nRecommended models for type "${args.type}":`)
-              for (const m of r.models) {
-                const score = m.score ? ` (score: ${m.score})` : ''
-                const modelId = m.recommended_vendor || m.id || m.base_model || m.model
-                console.log(`  ${modelId}${score}`)
-                if (m.display_name) console.log(`    ${m.display_name}`)
-              }
-            } else {
-              console.log(JSON.stringify(r, null, 2))
+        case 'recommend': {
+          const r = result.data
+          if (r.models) {
+            print(`\nRecommended models for type "${args.type}":`)
+            for (const m of r.models) {
+              const score = m.score ? ` (score: ${m.score})` : ''
+              const modelId = m.recommended_vendor || m.id || m.base_model || m.model
+              print(`  ${modelId}${score}`)
+              if (m.display_name) print(`    ${m.display_name}`)
             }
-            break
+          } else {
+            print(JSON.stringify(r, null, 2))
           }
+          break
+        }
 
-          case 'execute': {
-            if (result.saved) {
-              console.log(`Saved to: ${result.saved}`)
+        case 'execute': {
+          if (result.saved) {
+            print(`Saved to: ${result.saved}`)
+          } else {
+            const d = result.data
+            // Pilot API nests vendor result inside d.result
+            const inner = d.result || d
+            // Try to extract text content
+            const text =
+              inner.choices?.[0]?.message?.content ||
+              inner.content?.[0]?.text ||
+              inner.text ||
+              inner.message?.content ||
+              d.choices?.[0]?.message?.content
+            if (text) {
+              print(text)
             } else {
-              const d = result.data
-              // Pilot API nests vendor result inside d.result
-              const inner = d.result || d
-              // Try to extract text content
-              const text =
-                inner.choices?.[0]?.message?.content ||
-                inner.content?.[0]?.text ||
-                inner.text ||
-                inner.message?.content ||
-                d.choices?.[0]?.message?.content
-              if (text) {
-                console.log(text)
-              } else {
-                console.log(JSON.stringify(d, null, 2))
-              }
+              print(JSON.stringify(d, null, 2))
             }
-            break
           }
+          break
+        }
 
-          case 'chain': {
-            const c = result.data
-            if (c.steps) {
-              console.log('\nWorkflow steps:')
-              for (let i = 0; i < c.steps.length; i++) {
-                const step = c.steps[i]
-                console.log(`  Step ${i + 1}: ${step.type} ->${step.model || step.id || '(auto)'}`)
-                if (step.pipe_hint) console.log(`    Pipe: ${step.pipe_hint}`)
-              }
-            } else {
-              console.log(JSON.stringify(c, null, 2))
+        case 'chain': {
+          const c = result.data
+          if (c.steps) {
+            print('\nWorkflow steps:')
+            for (let i = 0; i < c.steps.length; i++) {
+              const step = c.steps[i]
+              print(`  Step ${i + 1}: ${step.type} ->${step.model || step.id || '(auto)'}`)
+              if (step.pipe_hint) print(`    Pipe: ${step.pipe_hint}`)
             }
-            break
+          } else {
+            print(JSON.stringify(c, null, 2))
           }
-
-          default:
-            console.log(JSON.stringify(result.data, null, 2))
+          break
         }
-        break
-      }
-
-      case 'list-models': {
-        result = await listModels({
-          type: args.type,
-          vendor: args.vendor,
-        })
 
-        // Group by category for display
-        const grouped = {}
-        for (const m of result.models) {
-          const cat = m.category || 'Other'
-          if (!grouped[cat]) grouped[cat] = []
-          grouped[cat].push(m)
-        }
+        default:
+          print(JSON.stringify(result.data, null, 2))
+      }
+      break
+    }
 
-        console.log(`\nAvailable Models (${result.count} total)\n`)
-        for (const [category, models] of Object.entries(grouped).sort()) {
-          console.log(`## ${category}`)
-          for (const m of models) {
-            console.log(`  ${m.id}`)
-            console.log(`    ${m.display_name || m.name} - ${m.description || ''}`)
-          }
-          console.log()
-        }
-        break
+    case 'list-models': {
+      result = await listModels({
+        type: args.type,
+        vendor: args.vendor,
+      }, client)
+
+      // Group by category for display
+      const grouped = {}
+      for (const m of result.models) {
+        const cat = m.category || 'Other'
+        if (!grouped[cat]) grouped[cat] = []
+        grouped[cat].push(m)
       }
 
-      case 'run': {
-        if (!args.model) {
-          console.error('Error: --model is required')
-          process.exit(1)
+      print(`\nAvailable Models (${result.count} total)\n`)
+      for (const [category, models] of Object.entries(grouped).sort()) {
+        print(`## ${category}`)
+        for (const m of models) {
+          print(`  ${m.id}`)
+          print(`    ${m.display_name || m.name} - ${m.description || ''}`)
         }
-        const inputs = args.inputs ? JSON.parse(args.inputs) : {}
-        result = await run({
-          model: args.model,
-          inputs,
-          stream: args.stream,
-          output: args.output,
-          autoFallback: !args['no-fallback'],
-        })
+        print()
+      }
+      break
+    }
 
-        if (args.stream) {
-          // Handle streaming output
-          for await (const chunk of result) {
-            // Extract text content from various response formats
-            const text =
-              chunk.choices?.[0]?.delta?.content ||
-              chunk.delta?.text ||
-              chunk.content?.[0]?.text ||
-              ''
-            if (text) process.stdout.write(text)
-          }
-          console.log() // Final newline
-        } else if (result.saved) {
-          console.log(`Saved to: ${result.saved}`)
-        } else {
-          console.log(JSON.stringify(result, null, 2))
-        }
-        break
+    case 'run': {
+      result = await run({
+        model: args.model,
+        inputs: args.inputs,
+        stream: args.stream,
+        output: args.output,
+        autoFallback: args.fallback,
+      }, client)
+
+      if (args.stream) {
+        // Print text as it arrives; result becomes the full response, as without --stream
+        result = await accumulateStream(result, text => !json && process.stdout.write(text))
+        print() // Final newline
+      } else if (result.saved) {
+        print(`Saved to: ${result.saved}`)
+      } else {
+        print(JSON.stringify(result, null, 2))
       }
+      break
+    }
 
-      case 'chat': {
-        if (!args.model) {
-          console.error('Error: --model is required')
-          process.exit(1)
-        }
-        if (!args.prompt && !args.messages) {
-          console.error('Error: --prompt or --messages is required')
-          process.exit(1)
+    case 'chat': {
+      // --session: the stored conversation comes first, and this turn is added to it
+      const sessions = client.sessions || createSessionStore()
+      let session = null
+      if (args.session) {
+        try {
+          validateSessionName(args.session)
+        } catch (err) {
+          throw new UsageError([err.message])
         }
+        session = sessions.load(args.session) || { name: args.session, messages: [] }
+      }
+      const system = args.system ?? session?.system
+      const saveSession = conversation => sessions.save({ ...session, ...conversation, name: session.name })
 
-        result = await chat({
+      if (args.interactive) {
+        if (json) throw new UsageError([`--interactive can't be combined with --json`])
+        result = await chatRepl({
           model: args.model,
           prompt: args.prompt,
-          messages: args.messages ? JSON.parse(args.messages) : undefined,
-          system: args.system,
-          stream: args.stream,
-          maxTokens: args['max-tokens']
-            ? parseInt(args['max-tokens'])
-            : undefined,
-          temperature: args.temperature
-            ? parseFloat(args.temperature)
-            : undefined,
-        })
-
-        if (args.stream) {
-          for await (const chunk of result) {
-            const text =
-              chunk.choices?.[0]?.delta?.content ||
-              chunk.delta?.text ||
-              chunk.content?.[0]?.text ||
-              ''
-            if (text) process.stdout.write(text)
-          }
-          console.log()
-        } else {
-          // Extract text from response
-          const text =
-            result.choices?.[0]?.message?.content ||
-            result.content?.[0]?.text ||
-            result.message?.content ||
-            JSON.stringify(result, null, 2)
-          console.log(text)
-        }
+          messages: session ? [...session.messages, ...(args.messages || [])] : args.messages,
+          system,
+          maxTokens: args['max-tokens'],
+          temperature: args.temperature,
+          onChange: session ? saveSession : undefined,
+        }, client)
         break
       }
 
-      case 'tts': {
-        if (!args.model || !args.text || !args.output) {
-          console.error('Error: --model, --text, and --output are required')
-          process.exit(1)
-        }
-        result = await tts({
-          model: args.model,
-          text: args.text,
-          voiceId: args['voice-id'],
-          output: args.output,
+      const turn = args.messages || [{ role: 'user', content: args.prompt }]
+      result = await chat({
+        model: args.model,
+        prompt: args.prompt,
+        messages: session ? [...session.messages, ...turn] : args.messages,
+        system,
+        stream: args.stream,
+        maxTokens: args['max-tokens'],
+        temperature: args.temperature,
+      }, client)
+
+      if (args.stream) {
+        let printed = false
+        result = await accumulateStream(result, text => {
+          printed = true
+          if (!json) process.stdout.write(text)
         })
-        console.log(`Audio saved to: ${args.output}`)
-        break
+        // A reply without text (e.g. only tool calls) is printed whole, as without --stream
+        print(printed ? '' : JSON.stringify(result, null, 2))
+      } else {
+        print(replyText(result) || JSON.stringify(result, null, 2))
       }
 
-      case 'stt': {
-        if (!args.file) {
-          console.error('Error: --file is required (local audio file path)')
-          process.exit(1)
-        }
-        result = await stt({
-          file: args.file,
+      if (session) {
+        const saved = saveSession({
           model: args.model,
-          prompt: args.prompt,
-          language: args.language,
-          output: args.output,
+          system,
+          messages: [...session.messages, ...turn, replyMessage(result)],
         })
-        console.log(result.text)
-        if (result.saved) {
-          console.log(`\nTranscript saved to: ${result.saved}`)
+        if (saved.trimmed) {
+          client.logger.info(`[skillboss] Session "${saved.name}": dropped the ${saved.trimmed} oldest messages (keeps ${sessions.maxMessages})`)
         }
-        break
       }
+      break
+    }
 
-      case 'image': {
-        if (!args.prompt) {
-          console.error('Error: --prompt is required')
-          process.exit(1)
-        }
-        const imageModel = args.model || 'mm/img'
-        result = await image({
-          model: imageModel,
-          prompt: args.prompt,
-          size: args.size,
-          output: args.output,
-        })
-        if (args.output) {
-          console.log(`Image saved to: ${args.output}`)
-          if (result.url) {
-            console.log(`URL: ${result.url}`)
-          }
-        } else {
-          console.log(JSON.stringify(result, null, 2))
+    case 'sessions': {
+      const sessions = client.sessions || createSessionStore()
+      const { action } = args
+      const needs = names => {
+        const missing = names.filter(name => !args[name])
+        if (missing.length) throw new UsageError([`sessions ${action} needs <${missing.join('> <')}>`])
+        try {
+          for (const name of names) validateSessionName(args[name])
+        } catch (err) {
+          throw new UsageError([err.message])
         }
-        break
       }
 
-      case 'upscale': {
-        if (!args['image-url']) {
-          console.error('Error: --image-url is required')
-          process.exit(1)
+      if (action === 'list') {
+        result = sessions.list()
+        if (result.length === 0) print(`No sessions in ${sessions.dir}`)
+        for (const item of result) {
+          print(`${item.name.padEnd(24)} ${String(item.messages).padStart(4)} messages  ${item.updated || ''}  ${item.model || ''}`.trimEnd())
         }
-        result = await upscale({
-          imageUrl: args['image-url'],
-          scale: args.scale ? parseInt(args.scale) : undefined,
-          outputFormat: args['output-format'],
-          output: args.output,
-        })
-        if (args.output) {
-          console.log(`Upscaled image saved to: ${args.output}`)
-          if (result.url) console.log(`URL: ${result.url}`)
-        } else {
-          console.log(JSON.stringify(result, null, 2))
+      } else if (action === 'show') {
+        needs(['name'])
+        result = sessions.load(args.name)
+        if (!result) throw new Error(`No session named "${args.name}"`)
+        print(`Session: ${result.name} (${result.messages.length} messages, model: ${result.model || 'none'})`)
+        if (result.system) print(`\n[system]\n${result.system}`)
+        for (const message of result.messages) {
+          print(`\n[${message.role}]\n${typeof message.content === 'string' ? message.content : JSON.stringify(message.content, null, 2)}`)
         }
-        break
+      } else if (action === 'fork') {
+        needs(['name', 'new-name'])
+        result = sessions.fork(args.name, args['new-name'])
+        print(`Forked "${args.name}" into "${result.name}" (${result.messages.length} messages)`)
+      } else {
+        needs(['name'])
+        if (!sessions.remove(args.name)) throw new Error(`No session named "${args.name}"`)
+        result = { deleted: args.name }
+        print(`Deleted session "${args.name}"`)
       }
+      break
+    }
 
-      case 'img2img': {
-        if (!args['image-url'] || !args.prompt) {
-          console.error('Error: --image-url and --prompt are required')
-          process.exit(1)
-        }
-        result = await img2img({
-          imageUrl: args['image-url'],
-          prompt: args.prompt,
-          strength: args.strength ? parseFloat(args.strength) : undefined,
-          imageSize: args['image-size'],
-          outputFormat: args['output-format'],
-          numImages: args['num-images'] ? parseInt(args['num-images']) : undefined,
-          output: args.output,
-        })
-        if (args.output) {
-          console.log(`Transformed image saved to: ${args.output}`)
-          if (result.url) console.log(`URL: ${result.url}`)
-        } else {
-          console.log(JSON.stringify(result, null, 2))
-        }
-        break
+    case 'tts': {
+      result = await tts({
+        model: args.model,
+        text: args.text,
+        voiceId: args['voice-id'],
+        output: args.output,
+      }, client)
+      if (result.saved) {
+        print(`Audio saved to: ${result.saved}`)
+      } else {
+        // No audio came back; --output holds the response itself
+        print(JSON.stringify(result, null, 2))
       }
+      break
+    }
 
-      case 'search': {
-        if (!args.model || !args.query) {
-          console.error('Error: --model and --query are required')
-          process.exit(1)
-        }
-        result = await search({
-          model: args.model,
-          query: args.query,
-        })
-        console.log(JSON.stringify(result, null, 2))
-        break
+    case 'stt': {
+      result = await stt({
+        file: args.file,
+        model: args.model,
+        prompt: args.prompt,
+        language: args.language,
+        output: args.output,
+      }, client)
+      print(result.text)
+      if (result.saved) {
+        print(`\nTranscript saved to: ${result.saved}`)
       }
+      break
+    }
 
-      case 'scrape': {
-        if (!args.model || (!args.url && !args.urls)) {
-          console.error('Error: --model and --url (or --urls) are required')
-          process.exit(1)
+    case 'image': {
+      result = await image({
+        model: args.model,
+        prompt: args.prompt,
+        size: args.size,
+        output: args.output,
+      }, client)
+      if (args.output) {
+        print(`Image saved to: ${args.output}`)
+        if (result.url) {
+          print(`URL: ${result.url}`)
         }
-        result = await scrape({
-          model: args.model,
-          url: args.url,
-          urls: args.urls ? JSON.parse(args.urls) : undefined,
-        })
-        console.log(JSON.stringify(result, null, 2))
-        break
+      } else {
+        print(JSON.stringify(result, null, 2))
       }
+      break
+    }
 
-      case 'linkup-search': {
-        if (!args.query) {
-          console.error('Error: --query is required')
-          process.exit(1)
-        }
-        result = await linkupSearch({
-          query: args.query,
-          outputType: args['output-type'],
-          depth: args.depth,
-          structuredOutputSchema: args.schema,
-          includeDomains: args['include-domains'] ? JSON.parse(args['include-domains']) : undefined,
-          excludeDomains: args['exclude-domains'] ? JSON.parse(args['exclude-domains']) : undefined,
-          fromDate: args['from-date'],
-          toDate: args['to-date'],
-          maxResults: args['max-results'] ? parseInt(args['max-results']) : undefined,
-          includeImages: args['include-images'] ? args['include-images'] === 'true' : undefined,
-        })
-        console.log(JSON.stringify(result, null, 2))
-        break
+    case 'upscale': {
+      result = await upscale({
+        imageUrl: args['image-url'],
+        scale: args.scale,
+        outputFormat: args['output-format'],
+        output: args.output,
+      }, client)
+      if (args.output) {
+        print(`Upscaled image saved to: ${args.output}`)
+        if (result.url) print(`URL: ${result.url}`)
+      } else {
+        print(JSON.stringify(result, null, 2))
       }
+      break
+    }
 
-      case 'linkup-fetch': {
-        if (!args.url) {
-          console.error('Error: --url is required')
-          process.exit(1)
-        }
-        result = await linkupFetch({
-          url: args.url,
-          renderJs: args['render-js'] === true || args['render-js'] === 'true',
-          includeImages: args['include-images'] === true || args['include-images'] === 'true',
-          includeRawHtml: args['include-raw-html'] === true || args['include-raw-html'] === 'true',
-        })
-        console.log(JSON.stringify(result, null, 2))
-        break
+    case 'img2img': {
+      result = await img2img({
+        imageUrl: args['image-url'],
+        prompt: args.prompt,
+        strength: args.strength,
+        imageSize: args['image-size'],
+        outputFormat: args['output-format'],
+        numImages: args['num-images'],
+        output: args.output,
+      }, client)
+      if (args.output) {
+        print(`Transformed image saved to: ${args.output}`)
+        if (result.url) print(`URL: ${result.url}`)
+      } else {
+        print(JSON.stringify(result, null, 2))
       }
+      break
+    }
 
-      case 'video': {
-        if (!args.prompt) {
-          console.error('Error: --prompt is required')
-          process.exit(1)
-        }
-        // Default model: use mm/i2v if --image provided, otherwise mm/t2v
-        const videoModel = args.model || (args.image ? 'mm/i2v' : 'mm/t2v')
-        result = await video({
-          model: videoModel,
-          prompt: args.prompt,
-          size: args.size,
-          duration: args.duration,
-          image: args.image,
-          output: args.output,
-        })
-        if (args.output) {
-          console.log(`Video saved to: ${args.output}`)
-          if (result.url) {
-            console.log(`URL: ${result.url}`)
-          }
-        } else {
-          console.log(JSON.stringify(result, null, 2))
-        }
-        break
-      }
+    case 'search': {
+      result = await search({
+        model: args.model,
+        query: args.query,
+      }, client)
+      print(JSON.stringify(result, null, 2))
+      break
+    }
 
-      case 'music': {
-        if (!args.prompt) {
-          console.error('Error: --prompt is required')
-          process.exit(1)
-        }
-        const musicModel = args.model || 'replicate/elevenlabs/music'
-        result = await music({
-          model: musicModel,
-          prompt: args.prompt,
-          duration: args.duration,
-          output: args.output,
-        })
-        if (args.output) {
-          console.log(`Music saved to: ${args.output}`)
-          if (result.url) {
-            console.log(`URL: ${result.url}`)
-          }
-        } else {
-          console.log(JSON.stringify(result, null, 2))
-        }
-        break
-      }
+    case 'scrape': {
+      result = await scrape({
+        model: args.model,
+        url: args.url,
+        urls: args.urls,
+      }, client)
+      print(JSON.stringify(result, null, 2))
+      break
+    }
 
-      case 'multimodal': {
-        if (!args.model) {
-          console.error('Error: --model is required')
-          process.exit(1)
-        }
-        if (!args.prompt) {
-          console.error('Error: --prompt is required')
-          process.exit(1)
-        }
-        if (!args.video && !args.image && !args.audio) {
-          console.error('Error: At least one of --video, --image, or --audio is required')
-          process.exit(1)
-        }
-        result = await multimodal({
-          model: args.model,
-          prompt: args.prompt,
-          video: args.video,
-          image: args.image,
-          audio: args.audio,
-          fps: args.fps,
-        })
+    case 'linkup-search': {
+      result = await linkupSearch({
+        query: args.query,
+        outputType: args['output-type'],
+        depth: args.depth,
+        structuredOutputSchema: args.schema,
+        includeDomains: args['include-domains'],
+        excludeDomains: args['exclude-domains'],
+        fromDate: args['from-date'],
+        toDate: args['to-date'],
+        maxResults: args['max-results'],
+        includeImages: args['include-images'],
+      }, client)
+      print(JSON.stringify(result, null, 2))
+      break
+    }
 
-        // Extract text from response
-        const text =
-          result.output?.choices?.[0]?.message?.content?.[0]?.text ||
-          result.text ||
-          JSON.stringify(result, null, 2)
-        console.log(text)
-        break
-      }
+    case 'linkup-fetch': {
+      result = await linkupFetch({
+        url: args.url,
+        renderJs: Boolean(args['render-js']),
+        includeImages: Boolean(args['include-images']),
+        includeRawHtml: Boolean(args['include-raw-html']),
+      }, client)
+      print(JSON.stringify(result, null, 2))
+      break
+    }
 
-      case 'gamma': {
-        if (!args.model || !args['input-text']) {
-          console.error('Error: --model and --input-text are required')
-          process.exit(1)
+    case 'video': {
+      // Default model: use mm/i2v if --image provided, otherwise mm/t2v
+      const videoModel = args.model || (args.image ? 'mm/i2v' : 'mm/t2v')
+      result = await video({
+        model: videoModel,
+        prompt: args.prompt,
+        size: args.size,
+        duration: args.duration,
+        image: args.image,
+        output: args.output,
+      }, client)
+      if (args.output) {
+        print(`Video saved to: ${args.output}`)
+        if (result.url) {
+          print(`URL: ${result.url}`)
         }
-        result = await gamma({
-          model: args.model,
-          inputText: args['input-text'],
-        })
-        console.log(JSON.stringify(result, null, 2))
-        break
+      } else {
+        print(JSON.stringify(result, null, 2))
       }
+      break
+    }
 
-      case 'document': {
-        if (!args.model || !args.url) {
-          console.error('Error: --model and --url are required')
-          process.exit(1)
-        }
-        result = await document({
-          model: args.model,
-          url: args.url,
-          schema: args.schema,
-          splitDescription: args['split-description'],
-          instructions: args.instructions,
-          settings: args.settings,
-          output: args.output,
-        })
-        if (args.output) {
-          console.log(`Saved to: ${args.output}`)
-        } else {
-          console.log(JSON.stringify(result, null, 2))
+    case 'music': {
+      result = await music({
+        model: args.model,
+        prompt: args.prompt,
+        duration: args.duration,
+        output: args.output,
+      }, client)
+      if (args.output) {
+        print(`Music saved to: ${args.output}`)
+        if (result.url) {
+          print(`URL: ${result.url}`)
         }
-        break
+      } else {
+        print(JSON.stringify(result, null, 2))
       }
+      break
+    }
 
-      case 'sms-verify': {
-        if (!args.phone) {
-          console.error('Error: --phone is required (E.164 format, e.g. +1234567890)')
-          process.exit(1)
-        }
-        result = await smsVerify({
-          phone: args.phone,
-          ip: args.ip,
-          deviceId: args['device-id'],
-        })
-        console.log(`\nVerification sent to: ${args.phone}`)
-        console.log(`Status: ${result.status}`)
-        console.log(`Verification ID: ${result.id}`)
-        if (result.channels) {
-          console.log(`Channel: ${result.channels.join(', ')}`)
-        }
-        break
+    case 'multimodal': {
+      result = await multimodal({
+        model: args.model,
+        prompt: args.prompt,
+        video: args.video,
+        image: args.image,
+        audio: args.audio,
+        fps: args.fps,
+      }, client)
+
+      // Extract text from response
+      const text =
+        result.output?.choices?.[0]?.message?.content?.[0]?.text ||
+        result.text ||
+        JSON.stringify(result, null, 2)
+      print(text)
+      break
+    }
+
+    case 'gamma': {
+      result = await gamma({
+        model: args.model,
+        inputText: args['input-text'],
+      }, client)
+      print(JSON.stringify(result, null, 2))
+      break
+    }
+
+    case 'document': {
+      result = await document({
+        model: args.model,
+        url: args.url,
+        schema: args.schema,
+        splitDescription: args['split-description'],
+        instructions: args.instructions,
+        settings: args.settings,
+        output: args.output,
+      }, client)
+      if (args.output) {
+        print(`Saved to: ${args.output}`)
+      } else {
+        print(JSON.stringify(result, null, 2))
       }
+      break
+    }
 
-      case 'sms-check': {
-        if (!args.phone || !args.code) {
-          console.error('Error: --phone and --code are required')
-          process.exit(1)
-        }
-        result = await smsCheck({
-          phone: args.phone,
-          code: args.code,
-        })
-        console.log(`\nVerification check for: ${args.phone}`)
-        console.log(`Status: ${result.status}`)
-        if (result.status === 'success') {
-          console.log('Phone number verified successfully!')
-        } else {
-          console.log('Verification failed. Code may be incorrect or expired.')
-        }
-        break
+    case 'sms-verify': {
+      result = await smsVerify({
+        phone: args.phone,
+        ip: args.ip,
+        deviceId: args['device-id'],
+      }, client)
+      print(`\nVerification sent to: ${args.phone}`)
+      print(`Status: ${result.status}`)
+      print(`Verification ID: ${result.id}`)
+      if (result.channels) {
+        print(`Channel: ${result.channels.join(', ')}`)
       }
+      break
+    }
 
-      case 'sms-send': {
-        if (!args.phone || !args['template-id']) {
-          console.error('Error: --phone and --template-id are required')
-          process.exit(1)
-        }
-        result = await smsSend({
-          phone: args.phone,
-          templateId: args['template-id'],
-          variables: args.variables ? JSON.parse(args.variables) : undefined,
-          from: args.from,
-        })
-        console.log(`\nSMS sent to: ${args.phone}`)
-        console.log(JSON.stringify(result, null, 2))
-        break
+    case 'sms-check': {
+      result = await smsCheck({
+        phone: args.phone,
+        code: args.code,
+      }, client)
+      print(`\nVerification check for: ${args.phone}`)
+      print(`Status: ${result.status}`)
+      if (result.status === 'success') {
+        print('Phone number verified successfully!')
+      } else {
+        print('Verification failed. Code may be incorrect or expired.')
       }
+      break
+    }
 
-      case 'send-email': {
-        // Support both --to (new) and --receivers (legacy)
-        const toArg = args.to || args.receivers
-        if (!toArg || !args.subject || !args.body) {
-          console.error(
-            'Error: --to, --subject, and --body are required for send-email',
-          )
-          process.exit(1)
-        }
+    case 'sms-send': {
+      result = await smsSend({
+        phone: args.phone,
+        templateId: args['template-id'],
+        variables: args.variables,
+        from: args.from,
+      }, client)
+      print(`\nSMS sent to: ${args.phone}`)
+      print(JSON.stringify(result, null, 2))
+      break
+    }
 
-        const receivers = toArg.split(',').map((e) => e.trim())
-        result = await sendEmail({
-          subject: args.subject,
-          bodyHtml: args.body,
-          receivers,
-          replyTo: args['reply-to']?.split(',').map((e) => e.trim()),
-          projectId: args['project-id'],
-        })
+    case 'send-email': {
+      // --to (or the legacy --receivers) may be repeated and/or comma-separated
+      const receivers = [...(args.to || []), ...(args.receivers || [])]
+        .flatMap((list) => list.split(','))
+        .map((e) => e.trim())
+        .filter(Boolean)
+      result = await sendEmail({
+        subject: args.subject,
+        bodyHtml: args.body,
+        receivers,
+        replyTo: args['reply-to']?.split(',').map((e) => e.trim()),
+        projectId: args['project-id'],
+      }, client)
+
+      print('\nEmail sent successfully!')
+      print(`To: ${receivers.join(', ')}`)
+      print(`Subject: ${args.subject}`)
+      break
+    }
 
-        console.log('\nEmail sent successfully!')
-        console.log(`To: ${receivers.join(', ')}`)
-        console.log(`Subject: ${args.subject}`)
-        break
+    case 'send-batch': {
+      const { receivers } = args
+      result = await sendBatchEmails({
+        subject: args.subject,
+        bodyHtml: args.body,
+        receivers,
+        replyTo: args['reply-to']?.split(',').map((e) => e.trim()),
+        projectId: args['project-id'],
+      }, client)
+
+      print('\nBatch emails sent!')
+      print(`Recipients: ${receivers.length}`)
+      break
+    }
+
+    case 'stitch-generate': {
+      result = await stitchGenerate({
+        prompt: args.prompt,
+        model: args.model,
+        deviceType: args['device-type'],
+        output: args.output,
+      }, client)
+      if (!args.output) {
+        print(JSON.stringify(result, null, 2))
       }
+      break
+    }
 
-      case 'send-batch': {
-        if (!args.receivers || !args.subject || !args.body) {
-          console.error(
-            'Error: --receivers, --subject, and --body are required for send-batch',
-          )
-          process.exit(1)
-        }
+    case 'stitch-edit': {
+      result = await stitchEdit({
+        screenId: args['screen-id'],
+        projectId: args['project-id'],
+        prompt: args.prompt,
+      }, client)
+      print(JSON.stringify(result, null, 2))
+      break
+    }
 
-        const receivers = JSON.parse(args.receivers)
-        result = await sendBatchEmails({
-          subject: args.subject,
-          bodyHtml: args.body,
-          receivers,
-          replyTo: args['reply-to']?.split(',').map((e) => e.trim()),
-          projectId: args['project-id'],
-        })
+    case 'stitch-variants': {
+      result = await stitchVariants({
+        screenId: args['screen-id'],
+        projectId: args['project-id'],
+        count: args.count,
+      }, client)
+      print(JSON.stringify(result, null, 2))
+      break
+    }
 
-        console.log('\nBatch emails sent!')
-        console.log(`Recipients: ${receivers.length}`)
-        break
+    case 'stitch-html': {
+      result = await stitchGetHtml({
+        screenId: args['screen-id'],
+        projectId: args['project-id'],
+        output: args.output,
+      }, client)
+      if (!args.output) {
+        print(JSON.stringify(result, null, 2))
       }
+      break
+    }
 
-      case 'stitch-generate': {
-        if (!args.prompt) {
-          console.error('Error: --prompt is required')
-          process.exit(1)
-        }
-        result = await stitchGenerate({
-          prompt: args.prompt,
-          model: args.model,
-          deviceType: args['device-type'],
-          output: args.output,
-        })
-        if (!args.output) {
-          console.log(JSON.stringify(result, null, 2))
+    case 'cache': {
+      if (args.action === 'stats') {
+        result = client.cache.stats()
+        print(`Cache directory: ${result.dir}`)
+        print(`Entries: ${result.entries} (${result.expired} expired)`)
+        print(`Saved media files: ${result.blobs}`)
+        print(`Size: ${(result.bytes / (1024 * 1024)).toFixed(2)} MB`)
+        for (const [category, count] of Object.entries(result.categories).sort()) {
+          print(`  ${category}: ${count}`)
         }
-        break
+      } else {
+        result = client.cache.clear({ expiredOnly: !!args.expired })
+        print(`Removed ${result.entries} cache entries and ${result.blobs} media files`)
       }
+      break
+    }
 
-      case 'stitch-edit': {
-        if (!args['screen-id'] || !args['project-id'] || !args.prompt) {
-          console.error('Error: --screen-id, --project-id, and --prompt are required')
-          process.exit(1)
+    case 'usage': {
+      const { by, format } = args
+      let filters
+      try {
+        filters = {
+          since: args.since ? ledger.parseDateFilter(args.since) : undefined,
+          until: args.until ? ledger.parseDateFilter(args.until, true) : undefined,
         }
-        result = await stitchEdit({
-          screenId: args['screen-id'],
-          projectId: args['project-id'],
-          prompt: args.prompt,
-        })
-        console.log(JSON.stringify(result, null, 2))
-        break
+      } catch (err) {
+        throw new UsageError([err.message])
       }
 
-      case 'stitch-variants': {
-        if (!args['screen-id'] || !args['project-id']) {
-          console.error('Error: --screen-id and --project-id are required')
-          process.exit(1)
+      // Reading still works with recording turned off
+      const usageLedger = client.ledger || ledger.createLedger()
+      const entries = usageLedger.read(filters)
+      const rows = by === 'none' ? entries : ledger.summarize(entries, by)
+      result = rows
+      const columns = by === 'none' ? ledger.ENTRY_FIELDS : [by, ...ledger.SUMMARY_FIELDS]
+
+      let report
+      if (format === 'json') {
+        report = JSON.stringify(rows, null, 2) + '\n'
+      } else if (format === 'csv') {
+        report = ledger.toCsv(rows, columns)
+      } else if (rows.length === 0) {
+        report = `No usage recorded in ${usageLedger.path}${args.since || args.until ? ' for that period' : ''}\n`
+      } else {
+        report = ledger.toTable(rows, columns)
+        if (by !== 'none') {
+          const total = ledger.totals(entries)
+          report += `\nTotal: ${total.calls} calls, ${total.errors} errors, $${total.cost_usd} reported cost\n`
         }
-        result = await stitchVariants({
-          screenId: args['screen-id'],
-          projectId: args['project-id'],
-          count: args.count,
-        })
-        console.log(JSON.stringify(result, null, 2))
-        break
       }
 
-      case 'stitch-html': {
-        if (!args['screen-id'] || !args['project-id']) {
-          console.error('Error: --screen-id and --project-id are required')
-          process.exit(1)
-        }
-        result = await stitchGetHtml({
-          screenId: args['screen-id'],
-          projectId: args['project-id'],
-          output: args.output,
-        })
-        if (!args.output) {
-          console.log(JSON.stringify(result, null, 2))
-        }
-        break
+      if (args.output) {
+        fs.writeFileSync(args.output, report)
+        print(`Saved usage report to ${args.output}`)
+      } else if (!json) {
+        process.stdout.write(report)
       }
+      break
+    }
 
-      case 'version': {
-        const localVersion = config.version || 'unknown'
-        console.log(`Current version: ${localVersion}`)
-
-        try {
-          const res = await fetchWithRetry('https://www.skillboss.co/api/skills/version')
-          if (!res.ok) {
-            console.log('\nCould not check latest version (server error)')
-            break
-          }
-          const data = await res.json()
-          console.log(`Latest version: ${data.version}`)
-
-          if (localVersion !== data.version && localVersion !== 'unknown') {
-            console.log('\n*** Update available! ***')
-            if (data.changelog) {
-              console.log(`\nChangelog:\n${data.changelog}`)
-            }
-            console.log('\nTo update, run: bash ./install/update.sh')
-          } else if (localVersion === 'unknown') {
-            console.log('\nLocal version unknown. Consider updating to ensure you have the latest features.')
-            console.log('To update, run: bash ./install/update.sh')
-          } else {
-            console.log('\nYou are on the latest version.')
+    case 'version': {
+      const localVersion = client.version || 'unknown'
+      const { mode, channel, pin } = client.updates
+      result = { version: localVersion, pin, channel, mode, latest: null, update_available: null }
+      print(`Current version: ${localVersion}`)
+      if (pin) print(`Pinned to: ${pin}`)
+
+      try {
+        const release = await updater.fetchRelease({ channel, version: pin || undefined })
+        print(`Latest version: ${release.version}${channel !== 'stable' ? ` (${channel})` : ''}`)
+        result.latest = release.version
+        result.changelog = release.changelog
+
+        if (localVersion === 'unknown') {
+          print('\nLocal version unknown. Consider updating to ensure you have the latest features.')
+          print(`To update, run: ${updater.SKILLBOSS_CLI} update`)
+        } else if (pin ? release.version !== localVersion : updater.compareVersions(release.version, localVersion) > 0) {
+          result.update_available = true
+          print('\n*** Update available! ***')
+          if (release.changelog) {
+            print(`\nChangelog:\n${release.changelog}`)
           }
-        } catch (e) {
-          console.log('\nCould not check latest version (network error)')
+          print(`\nTo update, run: ${updater.SKILLBOSS_CLI} update`)
+        } else {
+          result.update_available = false
+          print('\nYou are on the latest version.')
         }
-        break
+        if (mode === 'off') print('Update checks are off (update.mode in config.json).')
+      } catch (e) {
+        client.logger.warn(`[skillboss] Could not check latest version (${e.message})`)
       }
+      break
+    }
 
-      default:
-        console.error(`Unknown command: ${command}`)
-        console.error('Run with --help to see available commands')
-        process.exit(1)
+    case 'completion': {
+      result = completionScript(args.shell, __filename)
+      if (!json) process.stdout.write(result)
+      break
     }
 
-    if (process.env.DEBUG && result) {
-      console.log('\nDebug Response:', JSON.stringify(result, null, 2))
+    case 'doctor': {
+      const checks = await runChecks({ profile: args.profile, offline: args.offline })
+      result = { ok: !checks.some(check => check.status === 'fail'), checks }
+      print(`SkillBoss doctor\n\n${formatReport(checks).trimEnd()}`)
+      if (!result.ok) process.exitCode = 1
+      break
     }
 
-    // Auto-update check after successful command execution (skip for version command itself)
-    if (command !== 'version') {
-      await checkForUpdates()
+    case 'batch': {
+      result = await batch({
+        file: args.file,
+        results: args.results,
+        concurrency: args.concurrency,
+        retryFailed: args['retry-failed'],
+        // Any command but batch itself; jobs print nothing, their results go to the results file
+        schemaFor: name => (name === 'batch' ? null : COMMANDS[name] || (plugins.has(name) ? pluginSchema(loadPlugin(plugins.get(name))) : null)),
+        execute: (name, jobArgs, jobClient) => execute(name, jobArgs, jobClient, { print: () => {}, json: true, plugins }),
+      }, client)
+      print(`\n${result.ok} succeeded, ${result.failed} failed, ${result.skipped} skipped of ${result.total} jobs`)
+      print(`Results: ${result.results}`)
+      if (result.failed) {
+        print('Rerun with --retry-failed to run the failed jobs again.')
+        process.exitCode = 1
+      }
+      break
+    }
+
+    default: {
+      // The caller has already checked that this is a plugin and parsed its flags
+      result = await loadPlugin(plugins.get(command)).run(args, client, module.exports)
+      if (typeof result === 'string') {
+        print(result)
+      } else if (result !== undefined) {
+        print(JSON.stringify(result, null, 2))
+      }
     }
-  } catch (error) {
-    console.error('\nError:', error.message)
-    process.exit(1)
   }
-}
 
-/**
- * Check for updates and AUTO-UPDATE if new version available
- * No user intervention required - Agent will always have latest version
- */
-async function checkForUpdates() {
-  const { execSync } = require('child_process')
-  const path = require('path')
-  const fs = require('fs')
+  return result
+}
 
+// config.json, for its "plugins" settings; without a readable one no project is trusted
+function pluginConfig() {
   try {
-    const localVersion = config.version
-    if (!localVersion || localVersion === 'unknown') return
-
-    const res = await fetchWithRetry('https://www.skillboss.co/api/skills/version', {
-      timeout: 3000,
-    })
-    if (!res.ok) return
-
-    const data = await res.json()
-    if (data.version && data.version > localVersion) {
-      console.log(`\n[skillboss] Auto-updating: ${localVersion} ->${data.version}`)
-
-      // Find the skillboss directory (parent of scripts/)
-      const scriptDir = __dirname
-      const skillbossDir = path.dirname(scriptDir)
-      const updateScript = path.join(skillbossDir, 'install', 'update.sh')
+    return loadConfig({ optional: true })
+  } catch {
+    return {}
+  }
+}
 
-      if (fs.existsSync(updateScript)) {
-        try {
-          // Run update script silently
-          execSync(`bash "${updateScript}"`, {
-            stdio: 'pipe',
-            timeout: 60000 // 60 second timeout
-          })
-          console.log(`[skillboss] Updated successfully to ${data.version}`)
-        } catch (updateError) {
-          // Update failed, just notify - don't block the workflow
-          console.log(`[skillboss] Auto-update failed. Run manually: bash ./install/update.sh`)
+/**
+ * The single object `--json` prints on stdout
+ * @param {string} command
+ * @param {SkillBossClient|undefined} client - Undefined if it could not be created
+ * @param {string[]} warnings - Notices, hints and warnings collected by the logger
+ * @param {object} fields - { data, saved, model } on success, { error, model } on failure
+ * @returns {object} { ok, command, model, data, saved, cost, warnings, error }
+ */
+function jsonEnvelope(command, client, warnings, fields) {
+  const calls = client ? client.history : []
+  const total = ledger.totals(calls)
+  const estimated = calls.reduce((sum, call) => sum + (call.estimated_cost_usd || 0), 0)
+  // The model API Hub last answered with (pilot picks one), else the one asked for
+  const answered = calls.filter(call => call.ok && call.model).pop()
+  const { error } = fields
+  return {
+    ok: !error,
+    command: command || null,
+    model: answered?.model || fields.model || null,
+    data: error ? null : fields.data ?? null,
+    saved: fields.saved || [],
+    cost: {
+      calls: total.calls,
+      usd: total.cost_usd,
+      estimated_usd: Math.round(estimated * 1e6) / 1e6,
+      credits: total.credits,
+      tokens_in: total.tokens_in,
+      tokens_out: total.tokens_out,
+    },
+    warnings,
+    error: error
+      ? {
+          code: error.code || (error instanceof UsageError ? 'usage' : error.name === 'Error' ? 'error' : error.name),
+          message: error.message,
+          ...(error.problems ? { problems: error.problems } : {}),
+          vendor: error.vendor,
+          request_id: error.requestId,
+          retryable: error.retryable,
+          exit_code: errors.exitCodeFor(error),
         }
-      }
-    }
-  } catch (e) {
-    // Silently ignore update check errors
+      : null,
   }
 }
 
-// Run CLI if executed directly
-if (process.argv[1]?.endsWith('api-hub.js')) {
-  main()
+/**
+ * Check for updates after a command. Installs them only when config.json
+ * opts in with "update": { "mode": "auto" }; otherwise the client prints a notice.
+ * @param {SkillBossClient} client - Client whose installed version is checked
+ */
+async function checkForUpdates(client) {
+  const release = await client.checkForUpdate()
+  if (!release || client.updates.mode !== 'auto') return
+
+  client.logger.info(`\n[skillboss] Auto-updating: ${client.version} -> ${release.version}`)
+  try {
+    await updater.installUpdate(release, {
+      currentVersion: client.version,
+      publicKey: client.updates.publicKey,
+      logger: client.logger,
+    })
+    client.logger.info(`[skillboss] Updated to ${release.version}. Undo with: ${updater.SKILLBOSS_CLI} update --rollback`)
+  } catch (err) {
+    // Nothing was changed; don't block the workflow
+    client.logger.warn(`[skillboss] Auto-update failed: ${err.message}. Run manually: ${updater.SKILLBOSS_CLI} update`)
+  }
 }
 
-// Export for module usage
+// Export for module usage. Every command accepts an optional SkillBossClient
+// as its last argument; without one it uses the config.json-backed client.
 module.exports = {
+  // Client SDK
+  SkillBossClient,
+
+  // Errors
+  ApiHubError: errors.ApiHubError,
+  AuthError: errors.AuthError,
+  InsufficientBalanceError: errors.InsufficientBalanceError,
+  RateLimitError: errors.RateLimitError,
+  ValidationError: errors.ValidationError,
+  VendorError: errors.VendorError,
+  NetworkError: errors.NetworkError,
+  CancelledError: errors.CancelledError,
+  BudgetExceededError: errors.BudgetExceededError,
+
+  // Streaming: rebuild the final response (message, tool calls, usage) from chunks
+  accumulateStream,
+  createStreamAccumulator,
+
   // Smart model selector
   pilot,
 
@@ -949,3 +1240,16 @@ module.exports = {
   sendEmail,
   sendBatchEmails,
 }
+
+// Run CLI if executed directly (after the exports, which plugins receive)
+if (process.argv[1]?.endsWith('api-hub.js')) {
+  main().catch(error => {
+    // Whatever main() didn't report itself still gets one error line (or envelope) and a typed exit code
+    if (process.argv.includes('--json')) {
+      process.stdout.write(JSON.stringify(jsonEnvelope(null, undefined, [], { error }), null, 2) + '\n')
+    } else {
+      console.error('Error:', error.message)
+    }
+    process.exit(errors.exitCodeFor(error))
+  })
+}
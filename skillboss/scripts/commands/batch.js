@@ -0,0 +1,206 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { getDefaultClient } = require('../lib/client')
+const { parseFlags, UsageError } = require('../lib/flags')
+const { CancelledError, exitCodeFor } = require('../lib/errors')
+const ledger = require('../lib/ledger')
+
+const DEFAULT_BATCH_CONCURRENCY = 4
+
+/**
+ * Default results file: jobs.jsonl -> jobs.results.jsonl
+ * @param {string} file - Jobs file
+ * @returns {string}
+ */
+function defaultResultsPath(file) {
+  const { dir, name } = path.parse(file)
+  return path.join(dir, `${name}.results.jsonl`)
+}
+
+// Flags object to argv, so jobs are checked exactly like command lines
+function toArgv(flags) {
+  return Object.entries(flags).flatMap(([name, value]) =>
+    [].concat(value).map(item => {
+      if (item === true) return `--${name}`
+      if (item === false) return `--${name}=false`
+      return `--${name}=${typeof item === 'object' ? JSON.stringify(item) : item}`
+    }),
+  )
+}
+
+/**
+ * Read and check a jobs file: one JSON object per line,
+ * { "id"?: "intro", "command": "tts", "flags": { "text": "...", "output": "intro.mp3" } }
+ * @param {string} file
+ * @param {function(string): object|null} schemaFor - Flag schema of a command, null if unknown
+ * @returns {object[]} Jobs: { id, line, command, flags, args }
+ * @throws {UsageError} Listing every invalid line
+ */
+function readJobs(file, schemaFor) {
+  let text
+  try {
+    text = fs.readFileSync(file, 'utf8')
+  } catch (err) {
+    throw new UsageError([`Cannot read jobs file ${file}: ${err.message}`])
+  }
+
+  const jobs = []
+  const problems = []
+  const ids = new Set()
+  text.split('\n').forEach((raw, index) => {
+    const line = index + 1
+    if (!raw.trim() || raw.trim().startsWith('//')) return
+    let job
+    try {
+      job = JSON.parse(raw)
+    } catch (err) {
+      problems.push(`line ${line}: invalid JSON (${err.message})`)
+      return
+    }
+    const schema = job && typeof job.command === 'string' ? schemaFor(job.command) : null
+    if (!schema) {
+      problems.push(`line ${line}: ${job?.command ? `unknown or unsupported command "${job.command}"` : 'needs a "command"'}`)
+      return
+    }
+    const flags = job.flags || {}
+    let args
+    try {
+      args = parseFlags(toArgv(flags), schema).flags
+    } catch (err) {
+      if (!(err instanceof UsageError)) throw err
+      problems.push(...err.problems.map(problem => `line ${line} (${job.command}): ${problem}`))
+      return
+    }
+    // Without an id, a job is known by what it does, so reordering the file is harmless
+    const id = job.id !== undefined
+      ? String(job.id)
+      : crypto.createHash('sha256').update(JSON.stringify([job.command, flags])).digest('hex').slice(0, 12)
+    if (ids.has(id)) {
+      problems.push(`line ${line}: duplicate job id "${id}"`)
+      return
+    }
+    ids.add(id)
+    jobs.push({ id, line, command: job.command, flags, args })
+  })
+  if (problems.length) throw new UsageError(problems, `Invalid jobs in ${file}`)
+  return jobs
+}
+
+/**
+ * Latest result of each job in a results file
+ * @param {string} file
+ * @returns {Map<string, object>} Job id -> last record
+ */
+function readResults(file) {
+  const latest = new Map()
+  let text = ''
+  try {
+    text = fs.readFileSync(file, 'utf8')
+  } catch {
+    return latest
+  }
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue
+    try {
+      const record = JSON.parse(line)
+      if (record.id !== undefined) latest.set(String(record.id), record)
+    } catch {
+      // A line cut short by a crash; the job simply runs again
+    }
+  }
+  return latest
+}
+
+/**
+ * Run the jobs in a JSONL file, appending one result line per job to a results file.
+ * Jobs that already succeeded are skipped on a rerun; failed ones only with retryFailed.
+ * @param {object} params
+ * @param {string} params.file - Jobs file (see readJobs())
+ * @param {string} [params.results] - Results file (default: <jobs>.results.jsonl)
+ * @param {number} [params.concurrency] - Jobs run at once (default: 4); per-model limits still apply
+ * @param {boolean} [params.retryFailed] - Run jobs whose last attempt failed again
+ * @param {function(string): object|null} params.schemaFor - Flag schema of a command
+ * @param {function(string, object, SkillBossClient): Promise<*>} params.execute - Runs one command
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
+ * @returns {Promise<object>} { total, ok, failed, skipped, results }
+ * @throws {UsageError} If the jobs file is invalid (before any job runs)
+ * @throws {CancelledError} If interrupted; finished jobs are recorded, the rest run next time
+ */
+async function batch(params, client = getDefaultClient()) {
+  const jobs = readJobs(params.file, params.schemaFor)
+  const resultsFile = params.results || defaultResultsPath(params.file)
+  const previous = readResults(resultsFile)
+  const concurrency = params.concurrency || DEFAULT_BATCH_CONCURRENCY
+
+  const pending = jobs.filter(job => {
+    const status = previous.get(job.id)?.status
+    return status !== 'ok' && !(status === 'error' && !params.retryFailed)
+  })
+  const summary = { total: jobs.length, ok: 0, failed: 0, skipped: jobs.length - pending.length, results: resultsFile }
+  if (summary.skipped) {
+    const failedBefore = jobs.filter(job => previous.get(job.id)?.status === 'error').length
+    const note = failedBefore && !params.retryFailed ? ` (${failedBefore} failed before; pass --retry-failed to run them again)` : ''
+    client.logger.info(`[skillboss] Skipping ${summary.skipped} of ${jobs.length} jobs already in ${resultsFile}${note}`)
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(resultsFile)), { recursive: true })
+  // One write per line with O_APPEND, like the usage ledger
+  const record = result => fs.appendFileSync(resultsFile, JSON.stringify(result) + '\n')
+
+  let next = 0
+  let done = 0
+  let cancelled = null
+  async function worker() {
+    while (next < pending.length && !cancelled) {
+      const job = pending[next++]
+      const jobClient = client.child({ command: job.command })
+      const started = Date.now()
+      const result = { id: job.id, line: job.line, command: job.command }
+      try {
+        const data = await params.execute(job.command, job.args, jobClient)
+        const written = [].concat(data?.saved || [], job.args.output && fs.existsSync(job.args.output) ? job.args.output : [])
+        Object.assign(result, { status: 'ok', saved: [...new Set(written)], data: data ?? null })
+        summary.ok++
+      } catch (err) {
+        if (err instanceof CancelledError || err.name === 'AbortError') {
+          cancelled = cancelled || (err instanceof CancelledError ? err : new CancelledError('Batch cancelled'))
+          continue
+        }
+        const { code, vendor, requestId, retryable } = err
+        Object.assign(result, {
+          status: 'error',
+          error: { code: code || (err instanceof UsageError ? 'usage' : err.name === 'Error' ? 'error' : err.name), message: err.message, vendor, request_id: requestId, retryable, exit_code: exitCodeFor(err) },
+        })
+        summary.failed++
+      }
+      const calls = jobClient.history
+      const answered = calls.filter(call => call.ok && call.model).pop()
+      Object.assign(result, {
+        model: answered?.model || job.args.model || null,
+        cost_usd: ledger.totals(calls).cost_usd,
+        duration_ms: Date.now() - started,
+        ts: new Date().toISOString(),
+      })
+      record(result)
+      // The batch's own totals (--json cost) include every job's calls
+      client.history.push(...calls)
+      done++
+      const outcome = result.status === 'ok' ? `ok${result.saved.length ? ` -> ${result.saved.join(', ')}` : ''}` : `failed: ${result.error.message}`
+      const log = result.status === 'ok' ? client.logger.info : client.logger.warn
+      log(`[skillboss] [${done}/${pending.length}] ${job.command} ${job.id}: ${outcome}`)
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker))
+
+  if (cancelled) throw cancelled
+  return summary
+}
+
+module.exports = {
+  DEFAULT_BATCH_CONCURRENCY,
+  defaultResultsPath,
+  readJobs,
+  readResults,
+  batch,
+}
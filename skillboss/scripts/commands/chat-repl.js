@@ -0,0 +1,249 @@
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+const readline = require('readline')
+const { chat, replyText, replyMessage } = require('./chat')
+const { getDefaultClient } = require('../lib/client')
+const { CancelledError } = require('../lib/errors')
+const { accumulateStream } = require('../lib/stream-accumulator')
+const ledger = require('../lib/ledger')
+
+// Lines typed at the prompt, for the up-arrow in the next session (SKILLBOSS_CHAT_HISTORY=0 turns it off)
+const CHAT_HISTORY_PATH = path.join(os.homedir(), '.config', 'skillboss', 'chat_history')
+const HISTORY_SIZE = 500
+
+const HELP = `Commands:
+  /model [id]            Show or switch the model
+  /system [text|off]     Show, set or remove the system prompt
+  /temperature [n|off]   Show, set or reset the temperature
+  /save <file>           Save the conversation as JSON
+  /load <file>           Load a conversation saved with /save (or a messages array)
+  /clear                 Start a new conversation (model and settings are kept)
+  /cost                  Calls, tokens and cost of this session
+  /help                  Show this list
+  /exit                  Leave (or Ctrl-D)
+Ctrl-C stops a reply that is being written.`
+
+function readHistory(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).reverse().slice(0, HISTORY_SIZE)
+  } catch {
+    return []
+  }
+}
+
+function writeHistory(file, lines) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    // Prompts can hold anything, so only the owner may read them
+    fs.writeFileSync(file, [...lines].reverse().join('\n') + '\n', { mode: 0o600 })
+  } catch {
+    // Losing the up-arrow history is not worth interrupting the chat for
+  }
+}
+
+/**
+ * Interactive chat: a readline prompt that streams each reply and keeps the conversation.
+ * @param {object} params
+ * @param {string} params.model - Model in "vendor/model" format
+ * @param {string} [params.system] - System prompt
+ * @param {number} [params.temperature] - Temperature
+ * @param {number} [params.maxTokens] - Max tokens per reply
+ * @param {Array} [params.messages] - Conversation to continue
+ * @param {string} [params.prompt] - First message, sent as soon as the prompt opens
+ * @param {function(object): void} [params.onChange] - Called with { model, system, temperature, messages }
+ *   after each reply, /clear and /load, e.g. to keep a named session up to date
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
+ * @param {object} [io] - { input, output, historyPath } (default: stdin, stdout and ~/.config/skillboss/chat_history)
+ * @returns {Promise<object>} { model, system, temperature, messages } when the user leaves
+ */
+async function chatRepl(params, client = getDefaultClient(), io = {}) {
+  const input = io.input || process.stdin
+  const output = io.output || process.stdout
+  const terminal = Boolean(output.isTTY && input.isTTY)
+  const historyPath = io.historyPath !== undefined
+    ? io.historyPath
+    : process.env.SKILLBOSS_CHAT_HISTORY === '0' ? null : CHAT_HISTORY_PATH
+  const write = text => output.write(text)
+
+  const session = {
+    model: params.model,
+    system: params.system,
+    temperature: params.temperature,
+    messages: [...(params.messages || [])],
+  }
+
+  const rl = readline.createInterface({
+    input,
+    output,
+    terminal,
+    history: terminal && historyPath ? readHistory(historyPath) : [],
+    historySize: HISTORY_SIZE,
+    removeHistoryDuplicates: true,
+  })
+  if (terminal && historyPath) rl.on('history', lines => writeHistory(historyPath, lines))
+  // Listen right away: piped lines that arrive while the first reply streams would otherwise be lost
+  const lines = rl[Symbol.asyncIterator]()
+
+  // Ctrl-C cancels the reply in progress, clears a half-typed line, or leaves at an empty prompt
+  let replying = false
+  rl.on('SIGINT', () => {
+    if (replying) {
+      client.abort(new CancelledError('Reply cancelled'))
+    } else if (rl.line) {
+      rl.write(null, { ctrl: true, name: 'u' })
+    } else {
+      rl.close()
+    }
+  })
+
+  async function send(text) {
+    session.messages.push({ role: 'user', content: text })
+    replying = true
+    let printed = false
+    try {
+      const stream = await chat({
+        model: session.model,
+        messages: session.messages,
+        system: session.system,
+        temperature: session.temperature,
+        maxTokens: params.maxTokens,
+        stream: true,
+      }, client)
+      const reply = await accumulateStream(stream, delta => {
+        printed = true
+        write(delta)
+      })
+      const content = replyText(reply)
+      // A reply without text (e.g. only tool calls) is shown whole, as with --stream
+      write(printed ? '\n' : `${content || JSON.stringify(reply, null, 2)}\n`)
+      session.messages.push(replyMessage(reply))
+      params.onChange?.(session)
+    } catch (err) {
+      // The question is dropped with its failed reply, so it can simply be asked again
+      session.messages.pop()
+      if (printed) write('\n')
+      if (err instanceof CancelledError || err.name === 'AbortError') {
+        write('(reply cancelled)\n')
+      } else {
+        client.logger.error(`[skillboss] ${err.message}${err.requestId ? ` (request ID: ${err.requestId})` : ''}`)
+      }
+    } finally {
+      replying = false
+    }
+  }
+
+  // Slash commands; returns false to leave the REPL
+  function command(line) {
+    const name = line.slice(1).split(/\s+/)[0]
+    const arg = line.slice(1 + name.length).trim()
+    switch (name) {
+      case 'model':
+        if (arg) session.model = arg
+        write(`Model: ${session.model}\n`)
+        break
+      case 'system':
+        if (arg === 'off') session.system = undefined
+        else if (arg) session.system = arg
+        write(session.system ? `System prompt: ${session.system}\n` : 'No system prompt\n')
+        break
+      case 'temperature': {
+        if (arg === 'off') {
+          session.temperature = undefined
+        } else if (arg) {
+          const value = Number(arg)
+          if (!Number.isFinite(value) || value < 0) {
+            write(`Temperature must be a number >= 0, got "${arg}"\n`)
+            break
+          }
+          session.temperature = value
+        }
+        write(`Temperature: ${session.temperature ?? 'model default'}\n`)
+        break
+      }
+      case 'save': {
+        if (!arg) {
+          write('Usage: /save <file>\n')
+          break
+        }
+        try {
+          fs.writeFileSync(arg, JSON.stringify(session, null, 2) + '\n')
+          write(`Saved ${session.messages.length} messages to ${arg}\n`)
+        } catch (err) {
+          write(`Could not save ${arg}: ${err.message}\n`)
+        }
+        break
+      }
+      case 'load': {
+        if (!arg) {
+          write('Usage: /load <file>\n')
+          break
+        }
+        try {
+          const saved = JSON.parse(fs.readFileSync(arg, 'utf8'))
+          const messages = Array.isArray(saved) ? saved : saved.messages
+          if (!Array.isArray(messages)) throw new Error('expected a messages array or an object saved with /save')
+          session.messages = messages
+          if (!Array.isArray(saved)) {
+            if (saved.model) session.model = saved.model
+            session.system = saved.system
+            session.temperature = saved.temperature
+          }
+          write(`Loaded ${messages.length} messages from ${arg} (model: ${session.model})\n`)
+          params.onChange?.(session)
+        } catch (err) {
+          write(`Could not load ${arg}: ${err.message}\n`)
+        }
+        break
+      }
+      case 'clear':
+        session.messages = []
+        write('Conversation cleared\n')
+        params.onChange?.(session)
+        break
+      case 'cost': {
+        const total = ledger.totals(client.history)
+        const estimated = client.history.reduce((sum, call) => sum + (call.estimated_cost_usd || 0), 0)
+        const estimate = estimated ? ` ($${estimated.toFixed(4)} estimated)` : ''
+        write(`${total.calls} calls, ${total.tokens_in} tokens in, ${total.tokens_out} tokens out, $${total.cost_usd} reported${estimate}\n`)
+        break
+      }
+      case 'help':
+        write(`${HELP}\n`)
+        break
+      case 'exit':
+      case 'quit':
+        return false
+      default:
+        write(`Unknown command /${name}. Type /help for the list.\n`)
+    }
+    return true
+  }
+
+  if (terminal) write(`Chatting with ${session.model}. Type /help for commands, Ctrl-D to leave.\n`)
+  if (params.prompt) {
+    write(`> ${params.prompt}\n`)
+    await send(params.prompt)
+  }
+
+  rl.setPrompt('> ')
+  rl.prompt()
+  for await (const raw of lines) {
+    const line = raw.trim()
+    if (line.startsWith('/')) {
+      if (!command(line)) break
+    } else if (line) {
+      await send(line)
+    }
+    rl.prompt()
+  }
+  rl.close()
+  if (terminal) write('\n')
+
+  return session
+}
+
+module.exports = {
+  CHAT_HISTORY_PATH,
+  chatRepl,
+}
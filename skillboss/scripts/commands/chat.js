@@ -1,5 +1,30 @@
 const { run } = require('./run')
 
+/**
+ * The text of a chat reply, for any of the response shapes API Hub returns
+ * @param {object} reply - Chat response (or a stream accumulated with accumulateStream())
+ * @returns {string} Empty if the reply has no text, e.g. only tool calls
+ */
+function replyText(reply) {
+  return reply?.choices?.[0]?.message?.content || reply?.content?.[0]?.text || reply?.message?.content || ''
+}
+
+/**
+ * The assistant message of a chat reply, as it goes back into the conversation:
+ * tool calls (or Anthropic content blocks) included, so a later turn can answer them
+ * @param {object} reply - Chat response (or a stream accumulated with accumulateStream())
+ * @returns {object} { role: 'assistant', content, tool_calls? }
+ */
+function replyMessage(reply) {
+  if (Array.isArray(reply?.content)) return { role: 'assistant', content: reply.content }
+  const message = reply?.choices?.[0]?.message || reply?.message
+  if (!message || typeof message !== 'object') return { role: 'assistant', content: replyText(reply) }
+  const kept = { ...message, role: 'assistant' }
+  // Reasoning is output only; providers reject it in later requests
+  delete kept.reasoning_content
+  return kept
+}
+
 /**
  * Chat completion command
  * @param {object} params - Chat parameters
@@ -10,9 +35,10 @@ const { run } = require('./run')
  * @param {boolean} [params.stream] - Enable streaming
  * @param {number} [params.maxTokens] - Max tokens
  * @param {number} [params.temperature] - Temperature
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object|AsyncGenerator>} Chat response or stream
  */
-async function chat(params) {
+async function chat(params, client) {
   let messages = params.messages
   if (!messages && params.prompt) {
     messages = [{ role: 'user', content: params.prompt }]
@@ -26,7 +52,7 @@ async function chat(params) {
   if (params.maxTokens) inputs.max_tokens = params.maxTokens
   if (params.temperature !== undefined) inputs.temperature = params.temperature
 
-  return run({ model: params.model, inputs, stream: params.stream })
+  return run({ model: params.model, inputs, stream: params.stream, category: 'chat' }, client)
 }
 
-module.exports = { chat }
+module.exports = { chat, replyText, replyMessage }
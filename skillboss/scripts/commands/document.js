@@ -5,9 +5,10 @@ const { run } = require('./run')
  * @param {object} params - Gamma parameters
  * @param {string} params.model - Model (gamma/generation)
  * @param {string} params.inputText - Presentation input text
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} Gamma generation result
  */
-async function gamma(params) {
+async function gamma(params, client) {
   if (!params.inputText) {
     throw new Error('--input-text is required for Gamma')
   }
@@ -19,7 +20,7 @@ async function gamma(params) {
       language: params.language || 'en'
     }
   }
-  return run({ model: params.model, inputs })
+  return run({ model: params.model, inputs, category: 'document' }, client)
 }
 
 /**
@@ -32,9 +33,10 @@ async function gamma(params) {
  * @param {string} [params.instructions] - JSON string of edit instructions for edit
  * @param {string} [params.settings] - JSON string of additional settings
  * @param {string} [params.output] - Output file path to save results
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} Document processing result
  */
-async function document(params) {
+async function document(params, client) {
   if (!params.url) {
     throw new Error('--url is required (document URL)')
   }
@@ -55,7 +57,7 @@ async function document(params) {
     inputs.settings = JSON.parse(params.settings)
   }
 
-  return run({ model: params.model, inputs, output: params.output })
+  return run({ model: params.model, inputs, output: params.output, category: 'document' }, client)
 }
 
 module.exports = { gamma, document }
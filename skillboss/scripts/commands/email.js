@@ -1,4 +1,4 @@
-const { apiHubPost } = require('../lib/client')
+const { getDefaultClient } = require('../lib/client')
 
 /**
  * Sends a single email using AWS SES via API Hub
@@ -9,9 +9,10 @@ const { apiHubPost } = require('../lib/client')
  * @param {string[]} params.receivers - Array of recipient email addresses
  * @param {string[]} [params.replyTo] - Reply-to email addresses
  * @param {string} [params.projectId] - Optional project identifier
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} Email send status
  */
-async function sendEmail(params) {
+async function sendEmail(params, client = getDefaultClient()) {
   const data = {
     title: params.subject,
     body_html: params.bodyHtml,
@@ -20,7 +21,7 @@ async function sendEmail(params) {
   }
   if (params.replyTo) data.reply_to = params.replyTo
 
-  return apiHubPost('/send-email', data)
+  return client.post('/send-email', data)
 }
 
 /**
@@ -33,9 +34,10 @@ async function sendEmail(params) {
  * @param {Array<{email: string, variables: object}>} params.receivers - Recipients with template variables
  * @param {string[]} [params.replyTo] - Reply-to email addresses
  * @param {string} [params.projectId] - Optional project identifier
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} Batch email results with per-email status
  */
-async function sendBatchEmails(params) {
+async function sendBatchEmails(params, client = getDefaultClient()) {
   const data = {
     title: params.subject,
     body_html: params.bodyHtml,
@@ -44,7 +46,7 @@ async function sendBatchEmails(params) {
   }
   if (params.replyTo) data.reply_to = params.replyTo
 
-  return apiHubPost('/send-emails', data)
+  return client.post('/send-emails', data)
 }
 
 module.exports = { sendEmail, sendBatchEmails }
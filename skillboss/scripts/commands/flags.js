@@ -0,0 +1,375 @@
+/**
+ * Flag schemas for the api-hub.js commands (format: lib/flags.js)
+ *
+ * api-hub.js validates a command's flags against its entry here before making
+ * any request, and generates `api-hub.js <command> --help` and shell completion from it.
+ */
+
+const ledger = require('../lib/ledger')
+const { SHELLS } = require('../lib/completion')
+
+// Accepted by every command
+const GLOBAL_FLAGS = {
+  profile: { description: 'Credential profile from ~/.config/skillboss/credentials.json (or SKILLBOSS_PROFILE)' },
+  'no-cache': { type: 'boolean', description: 'Bypass the local response cache for this call' },
+  refresh: { type: 'boolean', description: 'Ignore cached results, re-run and update the cache' },
+  timeout: { type: 'number', min: 0, placeholder: 'seconds', description: 'Seconds to wait for a response (0 = none)' },
+  retries: { type: 'integer', min: 0, description: 'Retries for network, rate-limit and gateway errors (default: 3)' },
+  'confirm-over-budget': { type: 'boolean', description: 'Run the call even if it exceeds a spending budget' },
+  verbose: { type: 'boolean', alias: 'v', description: 'Log each request to stderr' },
+  quiet: { type: 'boolean', alias: 'q', description: 'Only log errors' },
+  'log-format': { choices: ['text', 'json'], description: 'Diagnostics format on stderr' },
+  json: { type: 'boolean', description: 'Print one JSON envelope on stdout; notices and warnings go into it' },
+  help: { type: 'boolean', alias: 'h', description: 'Show help' },
+}
+
+const model = { alias: 'm', placeholder: 'model', description: 'Model in "vendor/model" format' }
+const requiredModel = { ...model, required: true }
+const output = { alias: 'o', placeholder: 'file', description: 'Save the result to a file' }
+// Long values can come from a file (@path) or stdin (-); see lib/flags.js
+const prompt = { alias: 'p', placeholder: 'text', fromFile: true, description: 'Prompt' }
+const requiredPrompt = { ...prompt, required: true }
+const screen = {
+  'screen-id': { required: true, description: 'Stitch screen ID' },
+  'project-id': { required: true, description: 'Stitch project ID' },
+}
+const email = {
+  subject: { required: true, description: 'Subject line' },
+  body: { required: true, placeholder: 'html', fromFile: true, description: 'HTML body' },
+  'reply-to': { placeholder: 'emails', description: 'Reply-to addresses, comma-separated' },
+  'project-id': { description: 'Project to send from' },
+}
+
+const COMMANDS = {
+  pilot: {
+    description: 'Smart model selector: discover, recommend, execute or chain models for a task',
+    flags: {
+      type: { description: 'Task type (chat, image, tts, stt, music, video, ui, ...)' },
+      prompt,
+      text: { fromFile: true, description: 'Text input (tts)' },
+      file: { placeholder: 'path', description: 'Input file (stt)' },
+      system: { fromFile: true, description: 'System prompt (chat)' },
+      size: { description: 'Output size (image)' },
+      'voice-id': { description: 'Voice (tts)' },
+      language: { description: 'Language code (stt)' },
+      duration: { type: 'integer', placeholder: 'seconds', description: 'Duration (music, video)' },
+      image: { placeholder: 'url', description: 'Input image (video)' },
+      discover: { type: 'boolean', description: 'Browse available model types' },
+      keyword: { description: 'Search models by keyword (with --discover)' },
+      chain: { type: 'json', description: 'Multi-step workflow as JSON' },
+      prefer: { description: 'What to optimize for: price or quality' },
+      capability: { description: 'Required model capability' },
+      'include-docs': { type: 'boolean', description: 'Include model docs in recommendations' },
+      limit: { type: 'integer', min: 1, description: 'Number of recommendations' },
+      output,
+      'set-prefer': { choices: ['price', 'quality', 'off'], description: 'Save a default preference' },
+      'get-prefer': { type: 'boolean', description: 'Show the saved preference' },
+    },
+    exclusive: [['set-prefer', 'get-prefer']],
+  },
+  'list-models': {
+    description: 'List available models from API Hub',
+    flags: {
+      type: { description: 'Only models of this type (chat, image, ...)' },
+      vendor: { description: 'Only models from this vendor' },
+    },
+  },
+  run: {
+    description: 'Run a specific model by ID',
+    flags: {
+      model: requiredModel,
+      inputs: { type: 'json', default: {}, fromFile: true, description: 'Model inputs as a JSON object' },
+      stream: { type: 'boolean', description: 'Stream the response as it is generated' },
+      output,
+      fallback: { type: 'boolean', default: true, description: 'Fall back to another model on errors (--no-fallback to disable)' },
+    },
+  },
+  chat: {
+    description: 'Chat completions',
+    category: 'chat',
+    flags: {
+      model: requiredModel,
+      prompt,
+      messages: { type: 'json', fromFile: true, description: 'Conversation as a JSON array of { role, content }' },
+      system: { fromFile: true, description: 'System prompt' },
+      stream: { type: 'boolean', description: 'Print the reply as it is generated' },
+      'max-tokens': { type: 'integer', min: 1, description: 'Maximum tokens in the reply' },
+      temperature: { type: 'number', min: 0, description: 'Sampling temperature' },
+      interactive: { type: 'boolean', alias: 'i', description: 'Keep chatting at a prompt, with /commands (see /help)' },
+      session: { placeholder: 'name', description: 'Continue and save a named conversation (see "sessions")' },
+    },
+    requireOne: [['prompt', 'messages', 'interactive']],
+  },
+  tts: {
+    description: 'Text-to-speech',
+    category: 'tts',
+    flags: {
+      model: requiredModel,
+      text: { required: true, fromFile: true, description: 'Text to speak' },
+      output: { ...output, required: true },
+      'voice-id': { description: 'Voice' },
+    },
+  },
+  stt: {
+    description: 'Speech-to-text',
+    category: 'stt',
+    flags: {
+      file: { required: true, placeholder: 'path', description: 'Local audio file' },
+      model,
+      prompt: { ...prompt, description: 'Hint for vocabulary and style' },
+      language: { description: 'Language code, e.g. en' },
+      output,
+    },
+  },
+  image: {
+    description: 'Image generation',
+    category: 'image',
+    flags: {
+      prompt: requiredPrompt,
+      model: { ...model, default: 'mm/img' },
+      size: { description: 'Image size, e.g. 1024x1024' },
+      output,
+    },
+  },
+  upscale: {
+    description: 'Image upscaling',
+    flags: {
+      'image-url': { required: true, placeholder: 'url', description: 'Image to upscale' },
+      scale: { type: 'integer', min: 1, description: 'Upscale factor' },
+      'output-format': { description: 'Output format, e.g. png' },
+      output,
+    },
+  },
+  img2img: {
+    description: 'Image-to-image transformation',
+    flags: {
+      'image-url': { required: true, placeholder: 'url', description: 'Source image' },
+      prompt: requiredPrompt,
+      strength: { type: 'number', min: 0, description: 'How far to move from the source (0-1)' },
+      'image-size': { description: 'Output size' },
+      'output-format': { description: 'Output format, e.g. jpeg' },
+      'num-images': { type: 'integer', min: 1, description: 'Number of images' },
+      output,
+    },
+  },
+  search: {
+    description: 'Web search',
+    category: 'search',
+    flags: {
+      model: requiredModel,
+      query: { required: true, description: 'Search query' },
+    },
+  },
+  scrape: {
+    description: 'Web scraping',
+    category: 'search',
+    flags: {
+      model: requiredModel,
+      url: { description: 'Page to scrape' },
+      urls: { type: 'json', description: 'Pages to scrape, as a JSON array' },
+    },
+    requireOne: [['url', 'urls']],
+    exclusive: [['url', 'urls']],
+  },
+  'linkup-search': {
+    description: 'Structured web search',
+    flags: {
+      query: { required: true, description: 'Search query' },
+      'output-type': { choices: ['searchResults', 'sourcedAnswer', 'structured'], description: 'Result shape' },
+      depth: { choices: ['standard', 'deep'], description: 'Search depth' },
+      schema: { placeholder: 'json', fromFile: true, description: 'JSON schema for --output-type structured' },
+      'include-domains': { type: 'json', description: 'Only these domains, as a JSON array' },
+      'exclude-domains': { type: 'json', description: 'Skip these domains, as a JSON array' },
+      'from-date': { placeholder: 'date', description: 'Earliest publication date' },
+      'to-date': { placeholder: 'date', description: 'Latest publication date' },
+      'max-results': { type: 'integer', min: 1, description: 'Maximum results' },
+      'include-images': { type: 'boolean', description: 'Include images' },
+    },
+  },
+  'linkup-fetch': {
+    description: 'URL-to-markdown fetcher',
+    flags: {
+      url: { required: true, description: 'Page to fetch' },
+      'render-js': { type: 'boolean', description: 'Render JavaScript first' },
+      'include-images': { type: 'boolean', description: 'Include images' },
+      'include-raw-html': { type: 'boolean', description: 'Include the raw HTML' },
+    },
+  },
+  video: {
+    description: 'Video generation',
+    category: 'video',
+    flags: {
+      prompt: requiredPrompt,
+      model: { ...model, description: 'Model in "vendor/model" format (default: mm/i2v with --image, else mm/t2v)' },
+      size: { description: 'Video size' },
+      duration: { type: 'integer', min: 1, placeholder: 'seconds', description: 'Length' },
+      image: { placeholder: 'url', description: 'First frame (image-to-video)' },
+      output,
+    },
+  },
+  music: {
+    description: 'Music generation',
+    category: 'music',
+    flags: {
+      prompt: requiredPrompt,
+      model: { ...model, default: 'replicate/elevenlabs/music' },
+      duration: { type: 'integer', min: 1, placeholder: 'seconds', description: 'Length' },
+      output,
+    },
+  },
+  multimodal: {
+    description: 'Video/image/audio understanding',
+    category: 'chat',
+    flags: {
+      model: requiredModel,
+      prompt: requiredPrompt,
+      video: { placeholder: 'url', description: 'Video to analyze' },
+      image: { placeholder: 'url', description: 'Image to analyze' },
+      audio: { placeholder: 'url', description: 'Audio to analyze' },
+      fps: { type: 'integer', min: 1, description: 'Frames per second to sample from --video' },
+    },
+    requireOne: [['video', 'image', 'audio']],
+  },
+  gamma: {
+    description: 'Presentations',
+    category: 'document',
+    flags: {
+      model: requiredModel,
+      'input-text': { required: true, placeholder: 'text', description: 'Presentation content' },
+    },
+  },
+  document: {
+    description: 'Document processing (parse, extract, split, edit)',
+    category: 'document',
+    flags: {
+      model: requiredModel,
+      url: { required: true, description: 'Document URL' },
+      schema: { placeholder: 'json', fromFile: true, description: 'JSON schema (extract)' },
+      'split-description': { placeholder: 'json', description: 'Split categories (split)' },
+      instructions: { description: 'Edit instructions (edit)' },
+      settings: { placeholder: 'json', description: 'Additional settings as JSON' },
+      output,
+    },
+  },
+  'sms-verify': {
+    description: 'Send OTP verification code',
+    flags: {
+      phone: { required: true, description: 'Phone number in E.164 format, e.g. +1234567890' },
+      ip: { description: "End user's IP address" },
+      'device-id': { description: "End user's device ID" },
+    },
+  },
+  'sms-check': {
+    description: 'Check OTP verification code',
+    flags: {
+      phone: { required: true, description: 'Phone number in E.164 format' },
+      code: { required: true, description: 'Code the user received' },
+    },
+  },
+  'sms-send': {
+    description: 'Send SMS notification',
+    flags: {
+      phone: { required: true, description: 'Phone number in E.164 format' },
+      'template-id': { required: true, description: 'Message template' },
+      variables: { type: 'json', description: 'Template variables as a JSON object' },
+      from: { description: 'Sender ID' },
+    },
+  },
+  'send-email': {
+    description: 'Send a single email',
+    flags: {
+      to: { repeatable: true, placeholder: 'emails', description: 'Recipients, comma-separated' },
+      receivers: { repeatable: true, placeholder: 'emails', description: 'Same as --to (legacy)' },
+      ...email,
+    },
+    requireOne: [['to', 'receivers']],
+  },
+  'send-batch': {
+    description: 'Send batch emails with templates',
+    flags: {
+      receivers: { type: 'json', required: true, fromFile: true, description: 'Recipients and their template variables, as a JSON array' },
+      ...email,
+    },
+  },
+  'stitch-generate': {
+    description: 'Generate UI from text prompt (Google Stitch)',
+    category: 'ui',
+    flags: {
+      prompt: requiredPrompt,
+      model,
+      'device-type': { choices: ['MOBILE', 'DESKTOP', 'TABLET', 'AGNOSTIC'], description: 'Target device' },
+      output,
+    },
+  },
+  'stitch-edit': {
+    description: 'Edit an existing Stitch screen',
+    flags: { ...screen, prompt: requiredPrompt },
+  },
+  'stitch-variants': {
+    description: 'Generate multiple UI variants of a screen',
+    flags: { ...screen, count: { type: 'integer', min: 1, default: 3, description: 'Number of variants' } },
+  },
+  'stitch-html': {
+    description: 'Get full HTML source of a Stitch screen',
+    flags: { ...screen, output },
+  },
+  cache: {
+    description: 'Show or clear the local response cache',
+    positionals: [{ name: 'action', choices: ['stats', 'clear'], required: true }],
+    flags: {
+      expired: { type: 'boolean', description: 'Only remove expired entries (clear)' },
+    },
+  },
+  usage: {
+    description: 'Report calls, tokens and cost from the local usage ledger',
+    flags: {
+      by: { choices: [...ledger.GROUPS, 'none'], default: 'day', description: 'Group rows, or "none" to list calls' },
+      since: { placeholder: 'date', description: 'Start: YYYY-MM-DD, ISO timestamp or relative (7d, 12h)' },
+      until: { placeholder: 'date', description: 'End (inclusive), same formats as --since' },
+      format: { choices: ['table', 'csv', 'json'], default: 'table', description: 'Report format' },
+      output,
+    },
+  },
+  version: {
+    description: 'Check for updates',
+    flags: {},
+  },
+  sessions: {
+    description: 'List, show, fork or delete chat sessions',
+    positionals: [
+      { name: 'action', choices: ['list', 'show', 'fork', 'delete'], required: true },
+      { name: 'name' },
+      { name: 'new-name' },
+    ],
+    flags: {},
+    help: 'Sessions are kept in ~/.config/skillboss/sessions. "fork <name> <new-name>" copies a session to try another direction.',
+  },
+  completion: {
+    description: 'Print a bash, zsh or fish completion script',
+    positionals: [{ name: 'shell', choices: SHELLS, required: true }],
+    flags: {},
+    help: 'Add to ~/.bashrc: source <(node /path/to/api-hub.js completion bash). For zsh the same with "zsh"; for fish: node /path/to/api-hub.js completion fish | source. --model values come from the model list saved by "list-models".',
+  },
+  batch: {
+    description: 'Run the jobs in a JSONL file; a rerun skips jobs that already succeeded',
+    flags: {
+      file: { required: true, alias: 'f', placeholder: 'path', description: 'Jobs, one per line: {"id"?, "command", "flags": {...}}' },
+      concurrency: { type: 'integer', min: 1, default: 4, description: 'Jobs run at once' },
+      results: { placeholder: 'path', description: 'Results file (default: <file>.results.jsonl)' },
+      'retry-failed': { type: 'boolean', description: 'Run jobs whose last attempt failed again' },
+    },
+    help: 'Every job is checked before the first one runs. Each finished job appends a line { id, command, status, saved, data, error, model, cost_usd, duration_ms } to the results file.',
+  },
+  doctor: {
+    description: 'Check the installation and print a pass/fail report with fixes',
+    flags: {
+      offline: { type: 'boolean', description: 'Skip the checks that need the network (API Hub, build API, updates)' },
+    },
+    help: 'Checks Node.js, config.json, the API key and where it comes from, credentials.json permissions, proxy settings, API Hub and build API connectivity, and whether a newer version is out. Exits with 1 if any check fails.',
+  },
+}
+
+module.exports = {
+  GLOBAL_FLAGS,
+  COMMANDS,
+}
@@ -7,9 +7,10 @@ const { run } = require('./run')
  * @param {string} params.prompt - Image generation prompt
  * @param {string} [params.size] - Image size (e.g., "1024x1024")
  * @param {string} [params.output] - Output file path
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} Image generation result
  */
-async function image(params) {
+async function image(params, client) {
   if (!params.prompt) {
     throw new Error('--prompt is required for image generation')
   }
@@ -31,7 +32,7 @@ async function image(params) {
     if (params.size) inputs.size = params.size
   }
 
-  return run({ model: params.model, inputs, output: params.output })
+  return run({ model: params.model, inputs, output: params.output, category: 'image' }, client)
 }
 
 /**
@@ -41,9 +42,10 @@ async function image(params) {
  * @param {number} [params.scale] - Upscale factor: 2 or 4 (default: 2)
  * @param {string} [params.outputFormat] - "png" or "jpeg" (default: "png")
  * @param {string} [params.output] - Output file path
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} Upscale result {image_url, images}
  */
-async function upscale(params) {
+async function upscale(params, client) {
   if (!params.imageUrl) {
     throw new Error('--image-url is required for upscale')
   }
@@ -54,7 +56,7 @@ async function upscale(params) {
     output_format: params.outputFormat || 'png',
   }
 
-  return run({ model: 'fal/upscale', inputs, output: params.output })
+  return run({ model: 'fal/upscale', inputs, output: params.output, category: 'image' }, client)
 }
 
 /**
@@ -67,9 +69,10 @@ async function upscale(params) {
  * @param {string} [params.outputFormat] - "jpeg" or "png" (default: "jpeg")
  * @param {number} [params.numImages] - Number of images 1-4 (default: 1)
  * @param {string} [params.output] - Output file path
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} img2img result {image_url, images}
  */
-async function img2img(params) {
+async function img2img(params, client) {
   if (!params.imageUrl) {
     throw new Error('--image-url is required for img2img')
   }
@@ -86,7 +89,7 @@ async function img2img(params) {
     num_images: params.numImages || 1,
   }
 
-  return run({ model: 'fal/img2img', inputs, output: params.output })
+  return run({ model: 'fal/img2img', inputs, output: params.output, category: 'image' }, client)
 }
 
 module.exports = { image, upscale, img2img }
@@ -1,15 +1,19 @@
-const { apiHubGet } = require('../lib/client')
+const { getDefaultClient } = require('../lib/client')
+const { writeCatalog } = require('../lib/catalog')
 
 /**
  * List available models from API Hub
  * @param {object} [params] - List parameters
  * @param {string} [params.type] - Filter by category (chat, tts, image, video, scraping, etc.)
  * @param {string} [params.vendor] - Filter by vendor
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} Models list
  */
-async function listModels(params = {}) {
-  const response = await apiHubGet('/v1/models')
+async function listModels(params = {}, client = getDefaultClient()) {
+  const response = await client.get('/v1/models')
   let models = response.models || []
+  // Kept for budget estimates and --model shell completion
+  if (Array.isArray(response.models)) writeCatalog(response.models)
 
   // Filter by category/type
   if (params.type) {
@@ -7,9 +7,10 @@ const { run } = require('./run')
  * @param {string} params.prompt - Music generation prompt
  * @param {number} [params.duration] - Duration in seconds
  * @param {string} [params.output] - Output file path
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} Music generation result
  */
-async function music(params) {
+async function music(params, client) {
   if (!params.prompt) {
     throw new Error('--prompt is required for music generation')
   }
@@ -22,7 +23,7 @@ async function music(params) {
     inputs.duration = parseInt(params.duration)
   }
 
-  return run({ model: params.model, inputs, output: params.output })
+  return run({ model: params.model, inputs, output: params.output, category: 'music' }, client)
 }
 
 module.exports = { music }
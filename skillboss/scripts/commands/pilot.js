@@ -1,11 +1,6 @@
 const fs = require('fs')
 const path = require('path')
-const { apiHubPost, apiHubGet, apiHubPut } = require('../lib/client')
-const { fetchWithRetry } = require('../lib/fetch-retry')
-const { config } = require('../lib/client')
-
-const API_HUB_API_KEY = config.apiKey
-const API_HUB_BASE_URL = config.baseUrl || 'https://api.heybossai.com/v1'
+const { getDefaultClient, saveBinaryResponse } = require('../lib/client')
 
 /**
  * Build inputs object from CLI flags based on task type
@@ -75,13 +70,12 @@ function _buildInputs(type, flags) {
 /**
  * Download a URL to a local file
  */
-async function _downloadToFile(url, outputPath) {
-  const response = await fetchWithRetry(url)
+async function _downloadToFile(client, url, outputPath) {
+  const response = await client.fetchMedia(url)
   if (!response.ok) {
     throw new Error(`Download failed: ${response.status}`)
   }
-  const buffer = Buffer.from(await response.arrayBuffer())
-  fs.writeFileSync(outputPath, buffer)
+  await saveBinaryResponse(response, outputPath)
 }
 
 /**
@@ -110,8 +104,9 @@ function _extractMediaUrl(result) {
  *   recommend ----type X [--prefer X] [--limit N]
  *   execute   ----type X --prompt/--text/--file (auto-select + run)
  *   chain     ----chain '[...]'
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  */
-async function pilot(flags) {
+async function pilot(flags, client = getDefaultClient()) {
   // Determine mode from flags
   const hasExecuteInput = flags.prompt || flags.text || flags.file
   const isChain = !!flags.chain
@@ -148,8 +143,9 @@ async function pilot(flags) {
     }
   }
 
-  // Call Pilot API
-  const result = await apiHubPost('/pilot', body)
+  // Call Pilot API (executions and chains wait as long as the task type needs)
+  const category = isExecute ? flags.type : isChain ? 'video' : undefined
+  const result = await client.post('/pilot', body, { category })
 
   // Determine response mode for caller
   if (isGuide) {
@@ -166,7 +162,7 @@ async function pilot(flags) {
     const mediaUrl = _extractMediaUrl(inner)
 
     if (output && mediaUrl) {
-      await _downloadToFile(mediaUrl, output)
+      await _downloadToFile(client, mediaUrl, output)
       return { mode: 'execute', data: result, saved: output }
     }
 
@@ -185,22 +181,24 @@ async function pilot(flags) {
 
 /**
  * Get current pilot preference
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  */
-async function getPilotPreference() {
-  const result = await apiHubGet('/pilot/preferences')
+async function getPilotPreference(client = getDefaultClient()) {
+  const result = await client.get('/pilot/preferences')
   return result
 }
 
 /**
  * Set pilot preference
  * @param {string|null} prefer - 'price', 'quality', or 'off' (clears preference)
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  */
-async function setPilotPreference(prefer) {
+async function setPilotPreference(prefer, client = getDefaultClient()) {
   const value = prefer === 'off' ? null : prefer
   if (value !== null && value !== 'price' && value !== 'quality') {
     throw new Error("prefer must be 'price', 'quality', or 'off'")
   }
-  const result = await apiHubPut('/pilot/preferences', { prefer: value })
+  const result = await client.put('/pilot/preferences', { prefer: value })
   return result
 }
 
@@ -1,5 +1,6 @@
 const fs = require('fs')
-const { apiHubPost, apiHubStream, apiHubRaw, saveBinaryResponse } = require('../lib/client')
+const { getDefaultClient, saveBinaryResponse } = require('../lib/client')
+const { createApiHubError } = require('../lib/errors')
 
 /**
  * Generic run command - mirrors /run endpoint exactly
@@ -9,137 +10,168 @@ const { apiHubPost, apiHubStream, apiHubRaw, saveBinaryResponse } = require('../
  * @param {boolean} [params.stream] - Enable streaming
  * @param {string} [params.output] - Output file path for binary responses
  * @param {boolean} [params.autoFallback] - Enable automatic fallback on errors (default: true)
+ * @param {string} [params.category] - Model category for cache TTLs (inferred from model if omitted)
+ * @param {boolean} [params.cache] - Set to false to bypass the response cache
+ * @param {number} [params.timeout] - Timeout in ms (default: per-category, see lib/fetch-retry.js)
+ * @param {AbortSignal} [params.signal] - Cancels the request
+ * @param {string} [params.idempotencyKey] - Idempotency-Key header; lets gateway errors be retried
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object|AsyncGenerator>} Response data or stream
  */
-async function run(params) {
+async function run(params, client = getDefaultClient()) {
   const request = {
     model: params.model,
     inputs: params.inputs,
     stream: params.stream || false,
     auto_fallback: params.autoFallback !== false, // Enable by default
   }
+  const options = {
+    category: params.category,
+    timeout: params.timeout,
+    signal: params.signal,
+    idempotencyKey: params.idempotencyKey,
+  }
+  if (params.cache !== false) options.cache = { category: params.category }
 
   if (params.stream) {
-    return apiHubStream('/run', request)
+    return client.stream('/run', request, options)
   }
 
   if (params.output) {
-    const response = await apiHubRaw('/run', request)
-    const contentType = response.headers.get('content-type') || ''
+    return client.withFileCache('/run', request, params.output, options, () =>
+      runToFile(client, request, params.output, options),
+    )
+  }
 
-    if (contentType.includes('audio') || contentType.includes('octet-stream')) {
-      await saveBinaryResponse(response, params.output)
-      return { saved: params.output }
-    }
-    // For JSON responses, check for errors before saving
-    const data = await response.json()
-    if (data.code && data.code >= 400) {
-      throw new Error(data.message || `API error: ${data.code}`)
-    }
+  return client.post('/run', request, options)
+}
 
-    // Check if response contains media URL(s) and download the actual file
-    let mediaUrl = null
-    let mediaType = 'file'
+/**
+ * Execute a /run request and save its result (binary or downloaded media) to a file
+ * @param {SkillBossClient} client - API Hub client
+ * @param {object} request - /run request body
+ * @param {string} output - Output file path
+ * @param {object} [options] - Call options (category, timeout, signal, idempotencyKey)
+ * @returns {Promise<object>} Saved result or response data
+ */
+async function runToFile(client, request, output, options) {
+  const response = await client.raw('/run', request, options)
+  const contentType = response.headers.get('content-type') || ''
 
-    // Image URL patterns
-    if (
-      Array.isArray(data) &&
-      data.length > 0 &&
-      typeof data[0] === 'string' &&
-      data[0].startsWith('http')
-    ) {
-      // Flux-style response: ["https://..."]
-      mediaUrl = data[0]
-      mediaType = 'image'
-    } else if (data.data && Array.isArray(data.data) && data.data[0]?.url) {
-      // DALL-E style response: {data: [{url: "https://..."}]}
-      mediaUrl = data.data[0].url
-      mediaType = 'image'
-    } else if (
-      data.generated_images &&
-      Array.isArray(data.generated_images) &&
-      data.generated_images[0]
-    ) {
-      // Gemini-style response: {generated_images: ["https://..."]}
-      mediaUrl = data.generated_images[0]
-      mediaType = 'image'
-    } else if (
-      data.image_url &&
-      typeof data.image_url === 'string' &&
-      data.image_url.startsWith('http')
-    ) {
-      // MM-style response: {image_url: "https://..."}
-      mediaUrl = data.image_url
-      mediaType = 'image'
-    }
-    // Audio URL patterns
-    else if (
-      data.audio_url &&
-      typeof data.audio_url === 'string' &&
-      data.audio_url.startsWith('http')
-    ) {
-      // MM TTS response: {audio_url: "https://..."}
-      mediaUrl = data.audio_url
-      mediaType = 'audio'
-    }
-    // Video URL patterns
-    else if (data.video_url) {
-      // Common video response: {video_url: "https://..."}
-      mediaUrl = data.video_url
-      mediaType = 'video'
-    } else if (
-      data.output &&
-      typeof data.output === 'string' &&
-      data.output.startsWith('http')
-    ) {
-      // Replicate-style response: {output: "https://..."}
-      mediaUrl = data.output
-      mediaType = 'video'
-    } else if (
-      data.video &&
-      typeof data.video === 'string' &&
-      data.video.startsWith('http')
-    ) {
-      // Alternative video response: {video: "https://..."}
-      mediaUrl = data.video
-      mediaType = 'video'
-    } else if (data.file_id && data.base_resp?.status_code === 0) {
-      // MiniMax async video - need to poll for result
-      // For now, return the response and let user know it's processing
-      console.log('Video generation started. File ID:', data.file_id)
-      fs.writeFileSync(params.output, JSON.stringify(data, null, 2))
-      return { processing: true, file_id: data.file_id, saved: params.output }
-    } else if (
-      data.generatedSamples &&
-      Array.isArray(data.generatedSamples) &&
-      data.generatedSamples[0]?.video?.uri
-    ) {
-      // Vertex/Veo response: {generatedSamples: [{video: {uri: "https://..."}}]}
-      mediaUrl = data.generatedSamples[0].video.uri
-      mediaType = 'video'
-    } else if (data.videos && Array.isArray(data.videos) && data.videos[0]) {
-      // Vertex/Veo response: {videos: ["https://..."]}
-      mediaUrl = data.videos[0]
-      mediaType = 'video'
-    }
+  if (contentType.includes('audio') || contentType.includes('octet-stream')) {
+    await saveBinaryResponse(response, output)
+    client.recordUsage(response, null, { output })
+    return { saved: output }
+  }
+  // For JSON responses, check for errors before saving
+  const data = await response.json()
+  if (data.code && data.code >= 400) {
+    throw createApiHubError({ status: data.code, body: data, headers: response.headers })
+  }
 
-    if (mediaUrl) {
-      // Download the actual media file from URL
-      const mediaResponse = await fetch(mediaUrl)
-      if (!mediaResponse.ok) {
-        throw new Error(
-          `Failed to download ${mediaType} from ${mediaUrl}: ${mediaResponse.status}`,
-        )
-      }
-      await saveBinaryResponse(mediaResponse, params.output)
-      return { saved: params.output, url: mediaUrl, type: mediaType }
-    }
+  // Check if response contains media URL(s) and download the actual file
+  let mediaUrl = null
+  let mediaType = 'file'
 
-    fs.writeFileSync(params.output, JSON.stringify(data, null, 2))
-    return data
+  // Image URL patterns
+  if (
+    Array.isArray(data) &&
+    data.length > 0 &&
+    typeof data[0] === 'string' &&
+    data[0].startsWith('http')
+  ) {
+    // Flux-style response: ["https://..."]
+    mediaUrl = data[0]
+    mediaType = 'image'
+  } else if (data.data && Array.isArray(data.data) && data.data[0]?.url) {
+    // DALL-E style response: {data: [{url: "https://..."}]}
+    mediaUrl = data.data[0].url
+    mediaType = 'image'
+  } else if (
+    data.generated_images &&
+    Array.isArray(data.generated_images) &&
+    data.generated_images[0]
+  ) {
+    // Gemini-style response: {generated_images: ["https://..."]}
+    mediaUrl = data.generated_images[0]
+    mediaType = 'image'
+  } else if (
+    data.image_url &&
+    typeof data.image_url === 'string' &&
+    data.image_url.startsWith('http')
+  ) {
+    // MM-style response: {image_url: "https://..."}
+    mediaUrl = data.image_url
+    mediaType = 'image'
+  }
+  // Audio URL patterns
+  else if (
+    data.audio_url &&
+    typeof data.audio_url === 'string' &&
+    data.audio_url.startsWith('http')
+  ) {
+    // MM TTS response: {audio_url: "https://..."}
+    mediaUrl = data.audio_url
+    mediaType = 'audio'
+  }
+  // Video URL patterns
+  else if (data.video_url) {
+    // Common video response: {video_url: "https://..."}
+    mediaUrl = data.video_url
+    mediaType = 'video'
+  } else if (
+    data.output &&
+    typeof data.output === 'string' &&
+    data.output.startsWith('http')
+  ) {
+    // Replicate-style response: {output: "https://..."}
+    mediaUrl = data.output
+    mediaType = 'video'
+  } else if (
+    data.video &&
+    typeof data.video === 'string' &&
+    data.video.startsWith('http')
+  ) {
+    // Alternative video response: {video: "https://..."}
+    mediaUrl = data.video
+    mediaType = 'video'
+  } else if (data.file_id && data.base_resp?.status_code === 0) {
+    // MiniMax async video - need to poll for result
+    // For now, return the response and let user know it's processing
+    client.logger.info(`[skillboss] Video generation started. File ID: ${data.file_id}`)
+    fs.writeFileSync(output, JSON.stringify(data, null, 2))
+    client.recordUsage(response, data, { output })
+    return { processing: true, file_id: data.file_id, saved: output }
+  } else if (
+    data.generatedSamples &&
+    Array.isArray(data.generatedSamples) &&
+    data.generatedSamples[0]?.video?.uri
+  ) {
+    // Vertex/Veo response: {generatedSamples: [{video: {uri: "https://..."}}]}
+    mediaUrl = data.generatedSamples[0].video.uri
+    mediaType = 'video'
+  } else if (data.videos && Array.isArray(data.videos) && data.videos[0]) {
+    // Vertex/Veo response: {videos: ["https://..."]}
+    mediaUrl = data.videos[0]
+    mediaType = 'video'
+  }
+
+  if (mediaUrl) {
+    // Download the actual media file from URL
+    const mediaResponse = await client.fetchMedia(mediaUrl)
+    if (!mediaResponse.ok) {
+      throw new Error(
+        `Failed to download ${mediaType} from ${mediaUrl}: ${mediaResponse.status}`,
+      )
+    }
+    await saveBinaryResponse(mediaResponse, output)
+    client.recordUsage(response, data, { output })
+    return { saved: output, url: mediaUrl, type: mediaType }
   }
 
-  return apiHubPost('/run', request)
+  fs.writeFileSync(output, JSON.stringify(data, null, 2))
+  client.recordUsage(response, data, { output })
+  return data
 }
 
 module.exports = { run }
@@ -5,9 +5,10 @@ const { run } = require('./run')
  * @param {object} params - Search parameters
  * @param {string} params.model - Model in "vendor/model" format
  * @param {string} params.query - Search query
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} Search results
  */
-async function search(params) {
+async function search(params, client) {
   if (!params.query) {
     throw new Error('--query is required for search')
   }
@@ -25,7 +26,7 @@ async function search(params) {
     inputs.query = params.query
   }
 
-  return run({ model: params.model, inputs })
+  return run({ model: params.model, inputs, category: 'search' }, client)
 }
 
 /**
@@ -34,9 +35,10 @@ async function search(params) {
  * @param {string} params.model - Model in "vendor/model" format
  * @param {string} [params.url] - Single URL to scrape
  * @param {string[]} [params.urls] - Multiple URLs to scrape
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} Scrape results
  */
-async function scrape(params) {
+async function scrape(params, client) {
   if (!params.url && !params.urls) {
     throw new Error('--url or --urls is required for scraping')
   }
@@ -56,7 +58,7 @@ async function scrape(params) {
     inputs.url = params.url
   }
 
-  return run({ model: params.model, inputs })
+  return run({ model: params.model, inputs, category: 'search' }, client)
 }
 
 /**
@@ -72,9 +74,10 @@ async function scrape(params) {
  * @param {string} [params.toDate] - End date filter (YYYY-MM-DD)
  * @param {number} [params.maxResults] - Max results to return
  * @param {boolean} [params.includeImages] - Include images in results
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} Search results in format matching outputType
  */
-async function linkupSearch(params) {
+async function linkupSearch(params, client) {
   if (!params.query) {
     throw new Error('--query is required for linkup-search')
   }
@@ -94,7 +97,7 @@ async function linkupSearch(params) {
   if (params.includeImages !== undefined) inputs.includeImages = params.includeImages
 
   const model = params.depth === 'deep' ? 'linkup/search-deep' : 'linkup/search'
-  return run({ model, inputs })
+  return run({ model, inputs, category: 'search' }, client)
 }
 
 /**
@@ -104,9 +107,10 @@ async function linkupSearch(params) {
  * @param {boolean} [params.renderJs] - Render JavaScript before extracting (default: false)
  * @param {boolean} [params.includeImages] - Include images in output (default: false)
  * @param {boolean} [params.includeRawHtml] - Include raw HTML in response (default: false)
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} { content, title, url }
  */
-async function linkupFetch(params) {
+async function linkupFetch(params, client) {
   if (!params.url) {
     throw new Error('--url is required for linkup-fetch')
   }
@@ -118,7 +122,7 @@ async function linkupFetch(params) {
     includeRawHtml: params.includeRawHtml || false,
   }
 
-  return run({ model: 'linkup/fetch', inputs })
+  return run({ model: 'linkup/fetch', inputs, category: 'search' }, client)
 }
 
 module.exports = { search, scrape, linkupSearch, linkupFetch }
@@ -6,9 +6,10 @@ const { run } = require('./run')
  * @param {string} params.phone - Phone number in E.164 format (e.g. "+1234567890")
  * @param {string} [params.ip] - User's IP address for anti-fraud signals
  * @param {string} [params.deviceId] - Device identifier for anti-fraud signals
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} Verification result {id, status, method, channels}
  */
-async function smsVerify(params) {
+async function smsVerify(params, client) {
   if (!params.phone) {
     throw new Error('--phone is required (E.164 format, e.g. +1234567890)')
   }
@@ -22,7 +23,7 @@ async function smsVerify(params) {
     if (params.deviceId) inputs.signals.device_id = params.deviceId
   }
 
-  return run({ model: 'prelude/verify-send', inputs })
+  return run({ model: 'prelude/verify-send', inputs, category: 'sms' }, client)
 }
 
 /**
@@ -30,9 +31,10 @@ async function smsVerify(params) {
  * @param {object} params - Check parameters
  * @param {string} params.phone - Phone number in E.164 format
  * @param {string} params.code - OTP code received via SMS
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} Check result {id, status}
  */
-async function smsCheck(params) {
+async function smsCheck(params, client) {
   if (!params.phone) {
     throw new Error('--phone is required (E.164 format, e.g. +1234567890)')
   }
@@ -45,7 +47,7 @@ async function smsCheck(params) {
     code: params.code,
   }
 
-  return run({ model: 'prelude/verify-check', inputs })
+  return run({ model: 'prelude/verify-check', inputs, category: 'sms' }, client)
 }
 
 /**
@@ -55,9 +57,10 @@ async function smsCheck(params) {
  * @param {string} params.templateId - Prelude template ID (configured in Prelude dashboard)
  * @param {object} [params.variables] - Template variables
  * @param {string} [params.from] - Sender number
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} Send result
  */
-async function smsSend(params) {
+async function smsSend(params, client) {
   if (!params.phone) {
     throw new Error('--phone is required (E.164 format, e.g. +1234567890)')
   }
@@ -72,7 +75,7 @@ async function smsSend(params) {
   if (params.variables) inputs.variables = params.variables
   if (params.from) inputs.from = params.from
 
-  return run({ model: 'prelude/notify-send', inputs })
+  return run({ model: 'prelude/notify-send', inputs, category: 'sms' }, client)
 }
 
 module.exports = { smsVerify, smsCheck, smsSend }
@@ -1,5 +1,12 @@
 const { run } = require('./run')
 const fs = require('fs')
+const { getDefaultClient } = require('../lib/client')
+
+// Hosting suggestion the API attaches to generated screens
+function logHostingHint(client, recommendation, withLink) {
+  client.logger.warn(`\n[skillboss] 💡 Deploy with SkillBoss Hosting: ${recommendation.how_to}`)
+  if (withLink) client.logger.warn(`[skillboss]    Learn more: ${recommendation.learn_more}`)
+}
 
 /**
  * Generate UI from text prompt using Google Stitch
@@ -8,8 +15,9 @@ const fs = require('fs')
  * @param {string} [params.model] - stitch/generate-mobile | stitch/generate-desktop | stitch/generate-fast
  * @param {string} [params.deviceType] - MOBILE | DESKTOP | TABLET | AGNOSTIC
  * @param {string} [params.output] - Save response JSON to file
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  */
-async function stitchGenerate(params) {
+async function stitchGenerate(params, client = getDefaultClient()) {
   if (!params.prompt) {
     throw new Error('--prompt is required for stitch-generate')
   }
@@ -19,17 +27,14 @@ async function stitchGenerate(params) {
 
   if (params.deviceType) inputs.device_type = params.deviceType.toUpperCase()
 
-  const result = await run({ model, inputs })
+  const result = await run({ model, inputs, category: 'ui' }, client)
 
   if (params.output) {
     fs.writeFileSync(params.output, JSON.stringify(result, null, 2))
-    console.log(`Result saved to ${params.output}`)
+    client.logger.info(`[skillboss] Result saved to ${params.output}`)
   }
 
-  if (result.hosting_recommendation) {
-    console.log('\n💡 Deploy with SkillBoss Hosting:', result.hosting_recommendation.how_to)
-    console.log('   Learn more:', result.hosting_recommendation.learn_more)
-  }
+  if (result.hosting_recommendation) logHostingHint(client, result.hosting_recommendation, true)
 
   return result
 }
@@ -40,8 +45,9 @@ async function stitchGenerate(params) {
  * @param {string} params.screenId - Screen ID from previous generate/edit
  * @param {string} params.projectId - Project ID
  * @param {string} params.prompt - What to change
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  */
-async function stitchEdit(params) {
+async function stitchEdit(params, client = getDefaultClient()) {
   if (!params.screenId || !params.projectId || !params.prompt) {
     throw new Error('--screen-id, --project-id, and --prompt are required for stitch-edit')
   }
@@ -52,11 +58,9 @@ async function stitchEdit(params) {
     prompt: params.prompt,
   }
 
-  const result = await run({ model: 'stitch/edit', inputs })
+  const result = await run({ model: 'stitch/edit', inputs, category: 'ui' }, client)
 
-  if (result.hosting_recommendation) {
-    console.log('\n💡 Deploy with SkillBoss Hosting:', result.hosting_recommendation.how_to)
-  }
+  if (result.hosting_recommendation) logHostingHint(client, result.hosting_recommendation, false)
 
   return result
 }
@@ -67,8 +71,9 @@ async function stitchEdit(params) {
  * @param {string} params.screenId - Screen ID
  * @param {string} params.projectId - Project ID
  * @param {number} [params.count] - Number of variants (default: 3)
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  */
-async function stitchVariants(params) {
+async function stitchVariants(params, client = getDefaultClient()) {
   if (!params.screenId || !params.projectId) {
     throw new Error('--screen-id and --project-id are required for stitch-variants')
   }
@@ -79,11 +84,9 @@ async function stitchVariants(params) {
     count: params.count ? parseInt(params.count) : 3,
   }
 
-  const result = await run({ model: 'stitch/variants', inputs })
+  const result = await run({ model: 'stitch/variants', inputs, category: 'ui' }, client)
 
-  if (result.hosting_recommendation) {
-    console.log('\n💡 Deploy with SkillBoss Hosting:', result.hosting_recommendation.how_to)
-  }
+  if (result.hosting_recommendation) logHostingHint(client, result.hosting_recommendation, false)
 
   return result
 }
@@ -94,8 +97,9 @@ async function stitchVariants(params) {
  * @param {string} params.screenId - Screen ID
  * @param {string} params.projectId - Project ID
  * @param {string} [params.output] - Save HTML to file (e.g. index.html)
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  */
-async function stitchGetHtml(params) {
+async function stitchGetHtml(params, client = getDefaultClient()) {
   if (!params.screenId || !params.projectId) {
     throw new Error('--screen-id and --project-id are required for stitch-html')
   }
@@ -105,17 +109,14 @@ async function stitchGetHtml(params) {
     project_id: params.projectId,
   }
 
-  const result = await run({ model: 'stitch/get-html', inputs })
+  const result = await run({ model: 'stitch/get-html', inputs, category: 'ui' }, client)
 
   if (params.output && result.html_content) {
     fs.writeFileSync(params.output, result.html_content)
-    console.log(`HTML saved to ${params.output}`)
+    client.logger.info(`[skillboss] HTML saved to ${params.output}`)
   }
 
-  if (result.hosting_recommendation) {
-    console.log('\n💡 Deploy with SkillBoss Hosting:', result.hosting_recommendation.how_to)
-    console.log('   Learn more:', result.hosting_recommendation.learn_more)
-  }
+  if (result.hosting_recommendation) logHostingHint(client, result.hosting_recommendation, true)
 
   return result
 }
@@ -10,9 +10,10 @@ const { run } = require('./run')
  * @param {string} [params.prompt] - Optional prompt to guide transcription style
  * @param {string} [params.language] - Optional language code (e.g., "en")
  * @param {string} [params.output] - Optional output file path for transcript
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} STT result with transcribed text
  */
-async function stt(params) {
+async function stt(params, client) {
   if (!params.file) {
     throw new Error('--file is required for STT (local audio file path)')
   }
@@ -33,7 +34,7 @@ async function stt(params) {
   if (params.language) inputs.language = params.language
 
   const model = params.model || 'openai/whisper-1'
-  const result = await run({ model, inputs })
+  const result = await run({ model, inputs, category: 'stt' }, client)
 
   const text = result.text || JSON.stringify(result)
 
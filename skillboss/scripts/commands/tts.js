@@ -7,9 +7,10 @@ const { run } = require('./run')
  * @param {string} params.text - Text to synthesize
  * @param {string} [params.voiceId] - Voice ID (provider-specific)
  * @param {string} params.output - Output audio file path
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} TTS result
  */
-async function tts(params) {
+async function tts(params, client) {
   if (!params.text) {
     throw new Error('--text is required for TTS')
   }
@@ -61,7 +62,7 @@ async function tts(params) {
     inputs.text = params.text
   }
 
-  return run({ model: params.model, inputs, output: params.output })
+  return run({ model: params.model, inputs, output: params.output, category: 'tts' }, client)
 }
 
 module.exports = { tts }
@@ -6,9 +6,10 @@ const { run } = require('./run')
  * @param {string} params.model - Model in "vendor/model" format
  * @param {string} params.prompt - Video generation prompt
  * @param {string} [params.output] - Output file path
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} Video generation result
  */
-async function video(params) {
+async function video(params, client) {
   if (!params.prompt) {
     throw new Error('--prompt is required for video generation')
   }
@@ -39,7 +40,7 @@ async function video(params) {
     inputs.prompt = params.prompt
   }
 
-  return run({ model: params.model, inputs, output: params.output })
+  return run({ model: params.model, inputs, output: params.output, category: 'video' }, client)
 }
 
 /**
@@ -50,9 +51,10 @@ async function video(params) {
  * @param {string} [params.video] - Video URL to analyze
  * @param {string} [params.image] - Image URL to analyze
  * @param {string} [params.audio] - Audio URL to analyze/transcribe
+ * @param {SkillBossClient} [client] - API Hub client (default: the config.json-backed client)
  * @returns {Promise<object>} Multimodal analysis result
  */
-async function multimodal(params) {
+async function multimodal(params, client) {
   if (!params.prompt) {
     throw new Error('--prompt is required for multimodal')
   }
@@ -91,7 +93,7 @@ async function multimodal(params) {
     if (params.audio) inputs.audio_url = params.audio
   }
 
-  return run({ model: params.model, inputs })
+  return run({ model: params.model, inputs, category: 'chat' }, client)
 }
 
 module.exports = { video, multimodal }
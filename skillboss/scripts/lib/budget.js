@@ -0,0 +1,284 @@
+/**
+ * Client-side spending budgets, checked before every paid API Hub call
+ *
+ * config.json:
+ *   "budget": {
+ *     "perCall": 1,      USD for a single call (estimated before it is sent)
+ *     "hourly": 5,       USD over the last 60 minutes
+ *     "daily": 20,       USD since local midnight
+ *     "categories": { "video": { "perCall": 2, "daily": 10 } }
+ *   }
+ *
+ * SKILLBOSS_BUDGET_PER_CALL, SKILLBOSS_BUDGET_HOURLY and SKILLBOSS_BUDGET_DAILY
+ * override the top-level limits. Spend comes from the usage ledger (see
+ * lib/ledger.js): the cost API Hub reported, else the estimate made before
+ * the call. A failed call counts only the cost API Hub reported for it, so
+ * retrying a failing call doesn't use up the budget. The ledger is read once, then only what was appended since.
+ * With the ledger off, only calls made by this process count, and a warning
+ * says so. A call is estimated from the model catalog (GET /v1/models, kept
+ * for a day), falling back to the average recorded cost of the model today.
+ * A call with no estimate fails a per-call limit rather than passing as free.
+ *
+ * Calls that passed the check but have not finished yet hold their estimate
+ * as a reservation, so concurrent calls (e.g. batch jobs) can't all slip
+ * under the same limit before any of them is recorded.
+ */
+
+const { inferCategory } = require('./cache')
+const { CATALOG_PATH, CATALOG_TTL, readCatalog, writeCatalog } = require('./catalog')
+
+const LIMITS = ['perCall', 'hourly', 'daily']
+
+const ENV_LIMITS = {
+  perCall: 'SKILLBOSS_BUDGET_PER_CALL',
+  hourly: 'SKILLBOSS_BUDGET_HOURLY',
+  daily: 'SKILLBOSS_BUDGET_DAILY',
+}
+
+const LIMIT_LABELS = {
+  perCall: 'Per-call',
+  hourly: 'Hourly',
+  daily: 'Daily',
+}
+
+function num(...values) {
+  for (const value of values) {
+    const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+    if (typeof n === 'number' && Number.isFinite(n)) return n
+  }
+  return undefined
+}
+
+function usd(amount) {
+  return amount > 0 && amount < 0.01 ? '<$0.01' : `$${amount.toFixed(2)}`
+}
+
+/**
+ * Read budget limits from config.json "budget" and SKILLBOSS_BUDGET_* env vars
+ * @param {object} [config] - Parsed config.json
+ * @param {object} [env] - Environment (defaults to process.env)
+ * @returns {object|null} { perCall, hourly, daily, categories } in USD, or null when no limit is set
+ */
+function budgetFromConfig(config = {}, env = process.env) {
+  const budgetConfig = config.budget || {}
+  const limits = { categories: {} }
+  for (const limit of LIMITS) {
+    const value = num(env[ENV_LIMITS[limit]], budgetConfig[limit])
+    if (value !== undefined) limits[limit] = value
+  }
+  for (const [category, categoryLimits] of Object.entries(budgetConfig.categories || {})) {
+    const parsed = {}
+    for (const limit of LIMITS) {
+      const value = num(categoryLimits?.[limit])
+      if (value !== undefined) parsed[limit] = value
+    }
+    if (Object.keys(parsed).length) limits.categories[category] = parsed
+  }
+  const hasLimits = LIMITS.some(limit => limit in limits) || Object.keys(limits.categories).length > 0
+  return hasLimits ? limits : null
+}
+
+/**
+ * Estimate a call's cost from a model catalog entry. Understands flat prices
+ * (pricing.per_call / per_request / per_image / per_video) and per-unit prices
+ * (per_second, per_1k_characters, input_per_1m_tokens / output_per_1m_tokens).
+ * @param {object} [model] - Catalog entry from GET /v1/models
+ * @param {object} [inputs] - Request inputs
+ * @returns {number|undefined} Estimated USD, or undefined if the entry has no usable price
+ */
+function estimateFromCatalog(model, inputs = {}) {
+  if (!model) return undefined
+  const pricing = model.pricing ?? model.price ?? {}
+  if (typeof pricing === 'number') return pricing
+  if (typeof pricing !== 'object') return undefined
+
+  const flat = num(pricing.per_call, pricing.per_request, pricing.per_image, pricing.per_video, model.price_usd)
+  if (flat !== undefined) return flat * (num(inputs.num_images, inputs.n) || 1)
+
+  const perSecond = num(pricing.per_second)
+  if (perSecond !== undefined) return perSecond * (num(inputs.duration) || 5)
+
+  const perKChars = num(pricing.per_1k_characters, pricing.per_1k_chars)
+  if (perKChars !== undefined && typeof inputs.text === 'string') return (perKChars * inputs.text.length) / 1000
+
+  const inputRate = num(pricing.input_per_1m_tokens, pricing.input)
+  const outputRate = num(pricing.output_per_1m_tokens, pricing.output)
+  if (inputRate !== undefined) {
+    // ~4 characters per token; output is bounded by max_tokens when set
+    const promptTokens = JSON.stringify(inputs.messages || inputs.prompt || inputs).length / 4
+    const outputTokens = num(inputs.max_tokens) || 0
+    return (inputRate * promptTokens + (outputRate || 0) * outputTokens) / 1e6
+  }
+  return undefined
+}
+
+// A failed call's estimate was never spent; reservations have no `ok` and count their estimate
+function spendOf(entry) {
+  return num(entry.cost_usd, entry.ok === false ? undefined : entry.estimated_cost_usd) || 0
+}
+
+function categoryOf(entry) {
+  return entry.category || (entry.model ? inferCategory(entry.model) : 'default')
+}
+
+function startOfDay(now) {
+  const day = new Date(now)
+  day.setHours(0, 0, 0, 0)
+  return day
+}
+
+/**
+ * Create a budget checker
+ * @param {object} limits - From budgetFromConfig()
+ * @param {object} [options]
+ * @param {object|null} [options.ledger] - Usage ledger holding recorded spend
+ * @param {function(): Promise<object>} [options.fetchCatalog] - Fetches GET /v1/models
+ * @param {string} [options.catalogPath] - Where the catalog is kept between runs
+ * @param {object} [options.logger] - Logger for the ledger-off warning
+ * @returns {object} Budget API
+ */
+function createBudget(limits, options = {}) {
+  const { ledger = null, fetchCatalog = null, catalogPath = CATALOG_PATH, logger = null } = options
+  let catalog = null
+  // Spend in the current window: ledger entries read so far, or this process's own calls without a ledger
+  let spent = []
+  let offset = 0
+  const reservations = new Map()
+  let nextReservation = 0
+  let warnedNoLedger = false
+
+  async function loadCatalog() {
+    if (catalog) return catalog
+    catalog = readCatalog({ path: catalogPath, maxAge: CATALOG_TTL })
+    if (!catalog && fetchCatalog) {
+      try {
+        const response = await fetchCatalog()
+        catalog = response.models || []
+        writeCatalog(catalog, { path: catalogPath })
+      } catch {
+        // No catalog means no catalog estimates; recorded spend still applies
+      }
+    }
+    catalog = catalog || []
+    return catalog
+  }
+
+  // Bring `spent` up to date and drop what is older than both windows
+  function recentSpend(windowStart) {
+    if (ledger) {
+      const read = ledger.readFrom(offset)
+      if (read.reset) spent = []
+      spent.push(...read.entries)
+      offset = read.offset
+    } else if (!warnedNoLedger && hasWindowLimits(limits)) {
+      warnedNoLedger = true
+      logger?.warn?.('[skillboss] The usage ledger is off, so hourly and daily budgets only count calls made by this process.')
+    }
+    spent = spent.filter(e => new Date(e.ts).getTime() >= windowStart.getTime())
+    return spent
+  }
+
+  /**
+   * Estimate the cost of a call
+   * @param {object} request - { model, inputs }
+   * @param {object[]} [history] - Ledger entries to average when the catalog has no price
+   * @returns {Promise<number|undefined>}
+   */
+  async function estimate(request, history = []) {
+    if (!request.model) return undefined
+    const models = await loadCatalog()
+    const entry = models.find(m => m.id === request.model || m.model === request.model || m.name === request.model)
+    const fromCatalog = estimateFromCatalog(entry, request.inputs)
+    if (fromCatalog !== undefined) return fromCatalog
+
+    const costs = history.filter(e => e.model === request.model && num(e.cost_usd) !== undefined).map(e => e.cost_usd)
+    return costs.length ? costs.reduce((a, b) => a + b, 0) / costs.length : undefined
+  }
+
+  /**
+   * Check a call against every applicable limit. A call that passes holds its
+   * estimate as a reservation until settle() is called with its outcome.
+   * @param {object} request - { model, inputs, category }
+   * @returns {Promise<{ estimateUsd: number|undefined, exceeded: object|null, reservation: number|null }>}
+   *   `exceeded` is the first limit the call would exceed:
+   *   { limit, category, limitUsd, spentUsd, estimateUsd, unestimated, message }
+   */
+  async function check(request) {
+    const now = Date.now()
+    const dayStart = startOfDay(now)
+    const hourAgo = new Date(now - 3600 * 1000)
+    const windowStart = dayStart < hourAgo ? dayStart : hourAgo
+    const estimateUsd = await estimate(request, recentSpend(windowStart))
+
+    // From here on nothing awaits, so the check and the reservation happen as one step
+    const entries = [
+      ...recentSpend(windowStart),
+      ...[...reservations.values()].map(r => ({ ...r, ts: new Date(now).toISOString() })),
+    ]
+    const cost = estimateUsd || 0
+    const scopes = [{ category: null, limits }]
+    if (limits.categories?.[request.category]) {
+      scopes.push({ category: request.category, limits: limits.categories[request.category] })
+    }
+
+    for (const scope of scopes) {
+      const inScope = scope.category ? entries.filter(e => categoryOf(e) === scope.category) : entries
+      for (const limit of LIMITS) {
+        const limitUsd = scope.limits[limit]
+        if (limitUsd === undefined) continue
+        const label = `${LIMIT_LABELS[limit]} ${scope.category ? `${scope.category} ` : ''}budget of ${usd(limitUsd)}`
+
+        if (limit === 'perCall') {
+          // Without a price the call can't be shown to fit, so it isn't waved through as free
+          if (estimateUsd === undefined) {
+            const message = `${label} can't be checked: no price is known for ${request.model || 'this call'}.`
+            return { estimateUsd, reservation: null, exceeded: { limit, category: scope.category || undefined, limitUsd, spentUsd: 0, estimateUsd, unestimated: true, message } }
+          }
+          if (cost <= limitUsd) continue
+          const message = `${label} exceeded: this call is estimated at ${usd(cost)}.`
+          return { estimateUsd, reservation: null, exceeded: { limit, category: scope.category || undefined, limitUsd, spentUsd: 0, estimateUsd, message } }
+        }
+
+        const since = limit === 'hourly' ? hourAgo.getTime() : dayStart.getTime()
+        const spentUsd = inScope.filter(e => new Date(e.ts).getTime() >= since).reduce((sum, e) => sum + spendOf(e), 0)
+        if (spentUsd + cost <= limitUsd && spentUsd < limitUsd) continue
+
+        const message = `${label} exceeded: ${usd(spentUsd)} spent ${limit === 'hourly' ? 'in the last hour' : 'today'}` +
+          (estimateUsd !== undefined ? ` + ~${usd(cost)} for this call.` : ' (this call has no estimate).')
+        return {
+          estimateUsd,
+          reservation: null,
+          exceeded: { limit, category: scope.category || undefined, limitUsd, spentUsd, estimateUsd, unestimated: estimateUsd === undefined || undefined, message },
+        }
+      }
+    }
+    const reservation = nextReservation++
+    reservations.set(reservation, { model: request.model, category: request.category, estimated_cost_usd: cost })
+    return { estimateUsd, exceeded: null, reservation }
+  }
+
+  /**
+   * Release a call's reservation once it has finished
+   * @param {number|null} reservation - From check()
+   * @param {object} [record] - The call's ledger record; counted here when there is no ledger
+   */
+  function settle(reservation, record) {
+    if (reservation !== null && reservation !== undefined) reservations.delete(reservation)
+    if (!ledger && record) spent.push({ ts: new Date().toISOString(), ...record })
+  }
+
+  return { limits, estimate, check, settle }
+}
+
+function hasWindowLimits(limits) {
+  const scopes = [limits, ...Object.values(limits.categories || {})]
+  return scopes.some(scope => scope.hourly !== undefined || scope.daily !== undefined)
+}
+
+module.exports = {
+  CATALOG_PATH,
+  LIMITS,
+  budgetFromConfig,
+  estimateFromCatalog,
+  createBudget,
+}
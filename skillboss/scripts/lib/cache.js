@@ -0,0 +1,280 @@
+/**
+ * Content-addressed on-disk cache for API Hub /run responses
+ *
+ * Layout (under ~/.config/skillboss/cache by default):
+ *   entries/<key>.json   Cached response, keyed by sha256(endpoint, model, inputs,
+ *                        fallback, base URL, account)
+ *   blobs/<sha256>       Saved media artifacts, keyed by their own content hash
+ *
+ * Entries expire per model category (see DEFAULT_TTLS). Categories with a
+ * TTL of 0 are never cached, which keeps side-effecting calls (SMS, email)
+ * from being replayed. Chat replies are only cached when sampled with
+ * temperature 0; any other temperature is meant to vary (see cacheable()).
+ */
+
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+const crypto = require('crypto')
+
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.config', 'skillboss', 'cache')
+
+// TTLs in seconds, overridable via config.json "cache.ttl"
+const DEFAULT_TTLS = {
+  chat: 24 * 3600,
+  image: 7 * 24 * 3600,
+  video: 7 * 24 * 3600,
+  music: 7 * 24 * 3600,
+  tts: 30 * 24 * 3600,
+  stt: 30 * 24 * 3600,
+  search: 3600,
+  document: 24 * 3600,
+  ui: 24 * 3600,
+  sms: 0,
+  email: 0,
+  default: 24 * 3600,
+}
+
+/**
+ * Guess a model category from its ID when the caller did not pass one
+ * @param {string} model - Model in "vendor/model" format
+ * @returns {string} Category name (key of DEFAULT_TTLS)
+ */
+function inferCategory(model) {
+  const id = (model || '').toLowerCase()
+  if (id.startsWith('prelude/')) return 'sms'
+  // "ses" as a vendor or path segment (aws/ses-send), not any id containing it (sessions, vertex/...-ses)
+  if (/(^|\/)ses([/._-]|$)/.test(id) || id.includes('email')) return 'email'
+  if (id.startsWith('stitch/')) return 'ui'
+  if (id.startsWith('reducto/') || id.startsWith('gamma/')) return 'document'
+  if (/tts|elevenlabs|eleven_/.test(id) && !id.includes('music')) return 'tts'
+  if (/whisper|stt|transcri/.test(id)) return 'stt'
+  if (/music/.test(id)) return 'music'
+  if (/video|t2v|i2v|veo|kling|hailuo/.test(id)) return 'video'
+  if (/image|img|flux|upscale|imagen|dall-e/.test(id)) return 'image'
+  if (/search|scrape|firecrawl|linkup|scrapingdog|ceointerviews/.test(id)) return 'search'
+  return 'chat'
+}
+
+/**
+ * Serialize a value with sorted object keys so equivalent inputs hash equally
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value)
+  if (Array.isArray(value)) {
+    return '[' + value.map(v => (v === undefined ? 'null' : stableStringify(v))).join(',') + ']'
+  }
+  const keys = Object.keys(value).filter(k => value[k] !== undefined).sort()
+  return '{' + keys.map(k => JSON.stringify(k) + ':' + stableStringify(value[k])).join(',') + '}'
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex')
+}
+
+/**
+ * Build the cache key for a request
+ * @param {string} endpoint - API endpoint (e.g. "/run")
+ * @param {object} request - Request body with model, inputs and auto_fallback
+ * @param {string} kind - Result shape: "json", "stream" or "file"
+ * @param {object} [scope] - Who is asking, so accounts and profiles never share results
+ * @param {string} [scope.baseUrl] - API Hub base URL
+ * @param {string} [scope.apiKey] - API key (only its hash is part of the key)
+ * @param {string} [scope.profile] - Credential profile
+ * @returns {string} Hex digest
+ */
+function cacheKey(endpoint, request, kind, scope = {}) {
+  return sha256(stableStringify({
+    endpoint,
+    model: request.model,
+    inputs: request.inputs || {},
+    autoFallback: request.auto_fallback,
+    kind,
+    baseUrl: scope.baseUrl,
+    account: scope.apiKey ? sha256(scope.apiKey) : undefined,
+    profile: scope.profile || undefined,
+  }))
+}
+
+/**
+ * Whether a request's result may be cached at all: chat only with temperature 0,
+ * since a sampled reply is meant to differ from one call to the next
+ * @param {object} request - Request body
+ * @param {string} category - Model category
+ * @returns {boolean}
+ */
+function cacheable(request, category) {
+  if (category !== 'chat') return true
+  return request.inputs?.temperature === 0
+}
+
+function writeAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  const tmpPath = `${filePath}.${process.pid}.tmp`
+  fs.writeFileSync(tmpPath, data)
+  fs.renameSync(tmpPath, filePath)
+}
+
+/**
+ * Create a cache bound to a directory and TTL table
+ * @param {object} [options]
+ * @param {string} [options.dir] - Cache directory
+ * @param {object} [options.ttl] - Per-category TTL overrides in seconds
+ * @returns {object} Cache API
+ */
+function createCache(options = {}) {
+  const dir = options.dir
+    ? (options.dir.startsWith('~') ? path.join(os.homedir(), options.dir.slice(1)) : options.dir)
+    : DEFAULT_CACHE_DIR
+  const ttls = { ...DEFAULT_TTLS, ...(options.ttl || {}) }
+  const entriesDir = path.join(dir, 'entries')
+  const blobsDir = path.join(dir, 'blobs')
+
+  function ttlFor(category) {
+    const ttl = ttls[category] ?? ttls.default
+    return Number(ttl) || 0
+  }
+
+  function get(key) {
+    const entryPath = path.join(entriesDir, `${key}.json`)
+    let entry
+    try {
+      entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'))
+    } catch {
+      return null
+    }
+    if (entry.expires_at && Date.parse(entry.expires_at) <= Date.now()) {
+      try { fs.unlinkSync(entryPath) } catch {}
+      return null
+    }
+    if (entry.blob && !fs.existsSync(path.join(blobsDir, entry.blob))) return null
+    return entry
+  }
+
+  function put(key, entry, category) {
+    const ttl = ttlFor(category)
+    if (ttl <= 0) return false
+    const now = Date.now()
+    writeAtomic(path.join(entriesDir, `${key}.json`), JSON.stringify({
+      ...entry,
+      category,
+      created_at: new Date(now).toISOString(),
+      expires_at: new Date(now + ttl * 1000).toISOString(),
+    }))
+    return true
+  }
+
+  /**
+   * Copy a saved file into content-addressed blob storage
+   * @param {string} filePath - File to store
+   * @returns {string} Blob name
+   */
+  function storeArtifact(filePath) {
+    const blob = sha256(fs.readFileSync(filePath))
+    const blobPath = path.join(blobsDir, blob)
+    if (!fs.existsSync(blobPath)) {
+      fs.mkdirSync(blobsDir, { recursive: true })
+      fs.copyFileSync(filePath, `${blobPath}.${process.pid}.tmp`)
+      fs.renameSync(`${blobPath}.${process.pid}.tmp`, blobPath)
+    }
+    return blob
+  }
+
+  function restoreArtifact(blob, outputPath) {
+    fs.copyFileSync(path.join(blobsDir, blob), outputPath)
+  }
+
+  function listEntries() {
+    let files = []
+    try { files = fs.readdirSync(entriesDir).filter(f => f.endsWith('.json')) } catch {}
+    return files.map(f => {
+      const entryPath = path.join(entriesDir, f)
+      try {
+        return { path: entryPath, entry: JSON.parse(fs.readFileSync(entryPath, 'utf8')) }
+      } catch {
+        return { path: entryPath, entry: null }
+      }
+    })
+  }
+
+  function dirSize(dirPath) {
+    let total = 0
+    try {
+      for (const f of fs.readdirSync(dirPath)) {
+        total += fs.statSync(path.join(dirPath, f)).size
+      }
+    } catch {}
+    return total
+  }
+
+  /**
+   * Summarize cache contents
+   * @returns {object} { dir, entries, expired, blobs, bytes, categories }
+   */
+  function stats() {
+    const now = Date.now()
+    const categories = {}
+    let expired = 0
+    const entries = listEntries()
+    for (const { entry } of entries) {
+      if (!entry || (entry.expires_at && Date.parse(entry.expires_at) <= now)) {
+        expired++
+        continue
+      }
+      const cat = entry.category || 'default'
+      categories[cat] = (categories[cat] || 0) + 1
+    }
+    let blobs = 0
+    try { blobs = fs.readdirSync(blobsDir).length } catch {}
+    return {
+      dir,
+      entries: entries.length - expired,
+      expired,
+      blobs,
+      bytes: dirSize(entriesDir) + dirSize(blobsDir),
+      categories,
+    }
+  }
+
+  /**
+   * Remove cache entries and unreferenced blobs
+   * @param {object} [opts]
+   * @param {boolean} [opts.expiredOnly] - Only remove expired entries
+   * @returns {{ entries: number, blobs: number }} Counts removed
+   */
+  function clear(opts = {}) {
+    const now = Date.now()
+    let removedEntries = 0
+    const liveBlobs = new Set()
+    for (const { path: entryPath, entry } of listEntries()) {
+      const isExpired = !entry || (entry.expires_at && Date.parse(entry.expires_at) <= now)
+      if (!opts.expiredOnly || isExpired) {
+        try { fs.unlinkSync(entryPath); removedEntries++ } catch {}
+      } else if (entry.blob) {
+        liveBlobs.add(entry.blob)
+      }
+    }
+    let removedBlobs = 0
+    let blobFiles = []
+    try { blobFiles = fs.readdirSync(blobsDir) } catch {}
+    for (const f of blobFiles) {
+      if (liveBlobs.has(f)) continue
+      try { fs.unlinkSync(path.join(blobsDir, f)); removedBlobs++ } catch {}
+    }
+    return { entries: removedEntries, blobs: removedBlobs }
+  }
+
+  return { dir, ttlFor, get, put, storeArtifact, restoreArtifact, stats, clear }
+}
+
+module.exports = {
+  DEFAULT_CACHE_DIR,
+  DEFAULT_TTLS,
+  inferCategory,
+  stableStringify,
+  cacheKey,
+  cacheable,
+  createCache,
+}
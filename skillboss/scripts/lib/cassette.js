@@ -0,0 +1,194 @@
+/**
+ * Record/replay ("cassette") support for API Hub requests
+ *
+ *   SKILLBOSS_RECORD=dir   Perform real requests and save each request/response pair to dir
+ *   SKILLBOSS_REPLAY=dir   Serve responses from dir without touching the network
+ *
+ * Each interaction is stored as <key>-<n>.json, where key hashes the method,
+ * URL path and normalized body, and n counts identical requests within one
+ * run so polling sequences replay in order. Bodies are stored as UTF-8 for
+ * JSON, text and SSE responses and as base64 for everything else.
+ * Authorization and secret headers are redacted before writing.
+ *
+ * While recording, the response body streams through to the caller as it
+ * arrives (SSE stays live) and the interaction is written once the caller
+ * has read it to the end. Binary bodies over MAX_RECORDED_BYTES (e.g. video
+ * downloads) are not kept in memory: the entry records the response without
+ * its body, and replaying it fails with a message saying so.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { stableStringify } = require('./cache')
+
+const REDACTED_HEADERS = ['authorization', 'x-api-key', 'x-e2e-secret']
+const MAX_RECORDED_BYTES = 10 * 1024 * 1024
+
+function isTextContentType(contentType) {
+  return /json|text\/|event-stream|xml|javascript/.test(contentType || '')
+}
+
+function normalizeBody(body) {
+  if (body === undefined || body === null) return null
+  if (typeof body !== 'string') return String(body)
+  try {
+    return stableStringify(JSON.parse(body))
+  } catch {
+    return body
+  }
+}
+
+function urlPath(url) {
+  try {
+    const parsed = new URL(url)
+    return parsed.pathname + parsed.search
+  } catch {
+    return String(url)
+  }
+}
+
+function redactHeaders(headers = {}) {
+  const result = {}
+  for (const [name, value] of Object.entries(headers)) {
+    result[name] = REDACTED_HEADERS.includes(name.toLowerCase()) ? '[REDACTED]' : value
+  }
+  return result
+}
+
+/**
+ * Create a cassette that can wrap fetch-like functions
+ * @param {object} options
+ * @param {'record'|'replay'} options.mode
+ * @param {string} options.dir - Directory holding interaction files
+ * @returns {{ mode: string, dir: string, wrap: function }}
+ */
+function createCassette({ mode, dir }) {
+  const seen = new Map()
+
+  function nextFile(method, url, body) {
+    const key = crypto
+      .createHash('sha256')
+      .update(`${method} ${urlPath(url)}\n${normalizeBody(body) ?? ''}`)
+      .digest('hex')
+      .slice(0, 16)
+    const index = seen.get(key) || 0
+    seen.set(key, index + 1)
+    return { key, index, file: path.join(dir, `${key}-${index}.json`) }
+  }
+
+  function replay(url, options) {
+    const method = (options.method || 'GET').toUpperCase()
+    const { key, index, file } = nextFile(method, url, options.body)
+    let entry
+    try {
+      entry = JSON.parse(fs.readFileSync(file, 'utf8'))
+    } catch {
+      throw new Error(
+        `[skillboss] Replay: no recorded response for ${method} ${urlPath(url)} ` +
+          `(key ${key}, call #${index + 1}) in ${dir}. ` +
+          'Re-record with SKILLBOSS_RECORD=<dir>.',
+      )
+    }
+    const { status, statusText, headers, body, encoding, omitted } = entry.response
+    if (omitted) {
+      throw new Error(
+        `[skillboss] Replay: the response to ${method} ${urlPath(url)} (key ${key}, call #${index + 1}) ` +
+          `was not recorded: ${omitted}.`,
+      )
+    }
+    const payload = body === null ? null : Buffer.from(body, encoding === 'base64' ? 'base64' : 'utf8')
+    return new Response(payload, { status, statusText, headers })
+  }
+
+  async function record(fetchImpl, url, options) {
+    const method = (options.method || 'GET').toUpperCase()
+    const response = await fetchImpl(url, options)
+    const headers = Object.fromEntries(response.headers.entries())
+    const text = isTextContentType(headers['content-type'])
+    const hasBody = response.status !== 204 && response.status !== 304 && response.body !== null
+    // Numbered now, so interactions keep their call order however long each body takes
+    const { file } = nextFile(method, url, options.body)
+    const init = { status: response.status, statusText: response.statusText, headers }
+
+    const save = (body, omitted) => {
+      fs.mkdirSync(dir, { recursive: true })
+      fs.writeFileSync(file, JSON.stringify({
+        request: {
+          method,
+          url: String(url),
+          headers: redactHeaders(options.headers),
+          body: options.body ?? null,
+        },
+        response: {
+          ...init,
+          encoding: text ? 'utf8' : 'base64',
+          body: body && body.toString(text ? 'utf8' : 'base64'),
+          ...(omitted ? { omitted } : {}),
+        },
+        recorded_at: new Date().toISOString(),
+      }, null, 2) + '\n')
+    }
+
+    if (!hasBody) {
+      save(null)
+      return new Response(null, init)
+    }
+
+    const chunks = []
+    let size = 0
+    let tooLarge = false
+    const tee = new TransformStream({
+      transform(chunk, controller) {
+        controller.enqueue(chunk)
+        if (tooLarge) return
+        size += chunk.byteLength
+        if (!text && size > MAX_RECORDED_BYTES) {
+          tooLarge = true
+          chunks.length = 0
+        } else {
+          chunks.push(chunk)
+        }
+      },
+      flush() {
+        if (tooLarge) save(null, `binary body larger than ${MAX_RECORDED_BYTES / 1024 / 1024} MB`)
+        else save(Buffer.concat(chunks))
+      },
+    })
+    return new Response(response.body.pipeThrough(tee), init)
+  }
+
+  /**
+   * Wrap a fetch-like function so its calls are recorded or replayed
+   * @param {function(string, object): Promise<Response>} fetchImpl
+   * @returns {function(string, object): Promise<Response>}
+   */
+  function wrap(fetchImpl) {
+    return async (url, options = {}, ...rest) => {
+      if (mode === 'replay') return replay(url, options)
+      return record((u, o) => fetchImpl(u, o, ...rest), url, options)
+    }
+  }
+
+  return { mode, dir, wrap }
+}
+
+/**
+ * Build a cassette from SKILLBOSS_RECORD / SKILLBOSS_REPLAY
+ * @param {object} [env] - Environment (defaults to process.env)
+ * @returns {object|null} Cassette, or null when neither variable is set
+ */
+function cassetteFromEnv(env = process.env) {
+  if (env.SKILLBOSS_RECORD && env.SKILLBOSS_REPLAY) {
+    throw new Error('SKILLBOSS_RECORD and SKILLBOSS_REPLAY cannot be set at the same time')
+  }
+  if (env.SKILLBOSS_REPLAY) {
+    return createCassette({ mode: 'replay', dir: path.resolve(env.SKILLBOSS_REPLAY) })
+  }
+  if (env.SKILLBOSS_RECORD) {
+    return createCassette({ mode: 'record', dir: path.resolve(env.SKILLBOSS_RECORD) })
+  }
+  return null
+}
+
+module.exports = { MAX_RECORDED_BYTES, createCassette, cassetteFromEnv }
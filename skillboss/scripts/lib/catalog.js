@@ -0,0 +1,66 @@
+/**
+ * Local copy of the API Hub model catalog (GET /v1/models)
+ *
+ * Kept in ~/.config/skillboss/models.json as { fetchedAt, models }. The
+ * budget check reads it to estimate costs, and shell completion to suggest
+ * --model values. `list-models` and the budget check refresh it.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+const { inferCategory } = require('./cache')
+
+const CATALOG_PATH = path.join(os.homedir(), '.config', 'skillboss', 'models.json')
+const CATALOG_TTL = 24 * 3600 * 1000
+
+/**
+ * Read the stored catalog
+ * @param {object} [options]
+ * @param {string} [options.path] - Catalog file (default: ~/.config/skillboss/models.json)
+ * @param {number} [options.maxAge] - Ignore a catalog older than this many ms (default: any age)
+ * @returns {object[]|null} Models, or null if there is no usable catalog
+ */
+function readCatalog(options = {}) {
+  try {
+    const stored = JSON.parse(fs.readFileSync(options.path || CATALOG_PATH, 'utf8'))
+    if (!Array.isArray(stored.models)) return null
+    if (options.maxAge !== undefined && !(Date.now() - stored.fetchedAt < options.maxAge)) return null
+    return stored.models
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Store the catalog. Never throws: the catalog is only a convenience.
+ * @param {object[]} models - The `models` of a GET /v1/models response
+ * @param {object} [options]
+ * @param {string} [options.path] - Catalog file (default: ~/.config/skillboss/models.json)
+ */
+function writeCatalog(models, options = {}) {
+  const file = options.path || CATALOG_PATH
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs.writeFileSync(file, JSON.stringify({ fetchedAt: Date.now(), models }))
+  } catch {
+    // Estimates and completion just go without
+  }
+}
+
+/**
+ * The category of a catalog entry: its own category or type, else guessed from the ID
+ * @param {object} model - Catalog entry
+ * @returns {string} e.g. chat, image, tts (see inferCategory() in lib/cache.js)
+ */
+function modelCategory(model) {
+  return String(model.category || model.type || inferCategory(model.id)).toLowerCase()
+}
+
+module.exports = {
+  CATALOG_PATH,
+  CATALOG_TTL,
+  readCatalog,
+  writeCatalog,
+  modelCategory,
+}
@@ -0,0 +1,367 @@
+/**
+ * Type declarations for lib/client.js
+ */
+
+export type FetchLike = (url: string, init?: RequestInit) => Promise<Response>
+
+export interface Logger {
+  /** Informational notices (e.g. update required) */
+  log(message: string): void
+  /** Hints, warnings and diagnostics */
+  warn(message: string): void
+  /** Per-request diagnostics: request ID, redacted headers and body, timing */
+  debug?(message: string, fields?: Record<string, unknown>): void
+}
+
+export type CacheMode = 'on' | 'refresh' | 'off'
+
+export interface CacheOptions {
+  /** Cache directory (default: ~/.config/skillboss/cache) */
+  dir?: string
+  /** Per-category TTL overrides in seconds; 0 disables caching for a category */
+  ttl?: Record<string, number>
+  mode?: CacheMode
+}
+
+export interface CacheStats {
+  dir: string
+  entries: number
+  expired: number
+  blobs: number
+  bytes: number
+  categories: Record<string, number>
+}
+
+export interface ResponseCache {
+  dir: string
+  ttlFor(category: string): number
+  stats(): CacheStats
+  clear(options?: { expiredOnly?: boolean }): { entries: number; blobs: number }
+}
+
+export interface Cassette {
+  mode: 'record' | 'replay'
+  dir: string
+  wrap(fetchImpl: FetchLike): FetchLike
+}
+
+export interface LedgerEntry {
+  /** ISO timestamp */
+  ts: string
+  command?: string
+  method: string
+  endpoint: string
+  model?: string
+  category?: string
+  /** HTTP status, or "error" / "cancelled" when no response arrived */
+  status: number | 'error' | 'cancelled'
+  ok: boolean
+  latency_ms: number
+  request_id: string
+  tokens_in?: number
+  tokens_out?: number
+  characters?: number
+  seconds?: number
+  /** Cost reported by API Hub */
+  cost_usd?: number
+  /** Budget estimate made before the call */
+  estimated_cost_usd?: number
+  credits?: number
+  output?: string
+  profile?: string
+  error_code?: string
+}
+
+export interface UsageLedger {
+  path: string
+  append(entry: Partial<LedgerEntry>): void
+  read(filters?: { since?: Date; until?: Date }): LedgerEntry[]
+  /** Entries appended since `offset`; `reset` means the file shrank and was read from the start */
+  readFrom(offset?: number): { entries: LedgerEntry[]; offset: number; reset: boolean }
+}
+
+export interface ChatSession {
+  name: string
+  model?: string
+  system?: string
+  created?: string
+  updated?: string
+  messages: Array<{ role: string; content: unknown }>
+}
+
+export interface SessionStore {
+  dir: string
+  /** Messages kept per session; older turns are dropped (0 = no limit) */
+  maxMessages: number
+  path(name: string): string
+  load(name: string): ChatSession | null
+  save(session: ChatSession): ChatSession & { trimmed: number }
+  list(): Array<{ name: string; model?: string; messages: number; created?: string; updated?: string }>
+  fork(from: string, to: string): ChatSession & { trimmed: number }
+  remove(name: string): boolean
+}
+
+export interface BudgetLimits {
+  /** USD for a single call, estimated before it is sent */
+  perCall?: number
+  /** USD over the last 60 minutes */
+  hourly?: number
+  /** USD since local midnight */
+  daily?: number
+  /** Limits for one model category, e.g. { video: { daily: 10 } } */
+  categories?: Record<string, Omit<BudgetLimits, 'categories'>>
+}
+
+export interface BudgetCheck {
+  estimateUsd: number | undefined
+  /** First limit the call would exceed, or null */
+  exceeded: {
+    limit: 'perCall' | 'hourly' | 'daily'
+    category?: string
+    limitUsd: number
+    spentUsd: number
+    estimateUsd: number | undefined
+    /** No price is known for the call */
+    unestimated?: boolean
+    message: string
+  } | null
+  /** Holds the estimate until settle() is called; null when the call was refused */
+  reservation: number | null
+}
+
+export interface Budget {
+  limits: BudgetLimits
+  estimate(request: { model?: string; inputs?: unknown }): Promise<number | undefined>
+  check(request: { model?: string; inputs?: unknown; category?: string }): Promise<BudgetCheck>
+  /** Release a reservation once the call has finished; without a ledger, `record` counts as spend */
+  settle(reservation: number | null | undefined, record?: Partial<LedgerEntry>): void
+}
+
+export interface MemoryHintOptions {
+  /** Default "print": show the suggested section on stderr and write nothing */
+  policy?: 'allow' | 'allowlist' | 'print' | 'deny'
+  /** Files writable under the "allowlist" policy */
+  allowlist?: string[]
+  /** Audit log (default: ~/.config/skillboss/memory-hints.jsonl) */
+  auditPath?: string
+}
+
+/** Max concurrent calls: "default" per model, or keyed by vendor or full model ID */
+export type ConcurrencyLimits = { default?: number } & Record<string, number>
+
+export interface Scheduler {
+  /** Wait for a concurrency slot; resolves with a function that releases it */
+  acquire(model: string, options?: { signal?: AbortSignal; onWait?: (message: string) => void }): Promise<() => void>
+  /** Wait for a rate-limit token; report the response (or nothing on failure) when it arrives */
+  throttle(
+    model: string,
+    options?: { signal?: AbortSignal; onWait?: (message: string) => void }
+  ): Promise<(response?: Response) => void>
+  setLimits(limits: ConcurrencyLimits): void
+  stats(): {
+    pools: Array<{ key: string; active: number; limit: number; queued: number }>
+    buckets: Array<{ model: string; capacity: number; tokens: number; pausedUntil: string | null }>
+  }
+}
+
+export interface UpdateSettings {
+  /** "notify" (default) prints a notice, "auto" lets api-hub.js install, "off" skips checks */
+  mode?: 'notify' | 'auto' | 'off'
+  /** Release channel (default: "stable") */
+  channel?: string
+  /** Stay on this version */
+  pin?: string | null
+  /** PEM file releases must be signed with */
+  publicKey?: string | null
+}
+
+export interface Release {
+  version: string
+  changelog?: string
+  /** Archive (.tar.gz) download URL */
+  url?: string
+  /** Hex SHA-256 of the archive */
+  sha256?: string
+  /** Base64 signature of the archive */
+  signature?: string
+}
+
+export interface ProvisionedKey {
+  api_key: string
+  balance_usd?: number
+  [key: string]: unknown
+}
+
+export interface RetryPolicy {
+  /** Retries after the first attempt (default: 3) */
+  maxRetries?: number
+  /** First backoff delay in ms, doubled on every retry (default: 1000) */
+  baseDelay?: number
+  /** Cap for a single backoff delay in ms (default: 30000) */
+  maxDelay?: number
+  /** Longest Retry-After in ms worth waiting for; longer ones are returned to the caller (default: 120000) */
+  maxRetryAfter?: number
+}
+
+export interface InflightRequest {
+  /** Client-generated ID, sent as X-Request-Id */
+  id: string
+  method: string
+  endpoint?: string
+  model?: string
+  /** Server request ID once response headers arrived, else the client ID */
+  requestId?: string
+  /** Media URL, for downloads */
+  url?: string
+  startedAt: number
+}
+
+export interface SkillBossClientOptions {
+  apiKey?: string
+  /** Default: https://api.heybossai.com/v1 */
+  baseUrl?: string
+  fetch?: FetchLike
+  /** Extra headers sent with every request */
+  headers?: Record<string, string>
+  /** Default: lib/logger.js at info level, writing to stderr */
+  logger?: Logger
+  /** X-Skill-Pack header value (default: "skillboss") */
+  skillPack?: string
+  /** Installed skill version; enables update notices */
+  version?: string
+  update?: UpdateSettings
+  /** Name of the credential profile in use (informational) */
+  profile?: string | null
+  cache?: CacheOptions | false
+  cassette?: Cassette | null
+  /** Usage ledger every call is appended to (see lib/ledger.js) */
+  ledger?: UsageLedger | null
+  /** Command name recorded in the ledger */
+  command?: string
+  /** Named chat sessions for `chat --session` (see lib/sessions.js) */
+  sessions?: SessionStore | null
+  /** Spending limits; recorded spend is read from the ledger */
+  budget?: BudgetLimits | null
+  /** Warn instead of throwing BudgetExceededError */
+  confirmOverBudget?: boolean
+  /** What to do with _memory_hint file edits requested by API Hub */
+  memoryHints?: MemoryHintOptions
+  retry?: RetryPolicy
+  /** Seconds to wait for response headers per model category (0 = no timeout) */
+  timeouts?: Record<string, number>
+  /** Queue and rate limiter (default: one shared by every client in the process) */
+  scheduler?: Scheduler
+  /** Replaces the scheduler's concurrency limits */
+  concurrency?: ConcurrencyLimits
+  resolveApiKey?: () => string | undefined
+  /** Persists an auto-provisioned trial key; provisioning only happens when set */
+  onProvisioned?: (data: ProvisionedKey, logger: Logger) => void
+}
+
+export interface RequestOptions {
+  /** Timeout in ms, overriding the category default */
+  timeout?: number
+  /** Cancels the request */
+  signal?: AbortSignal
+  /** Sent as Idempotency-Key; lets gateway errors and timeouts be retried */
+  idempotencyKey?: string
+}
+
+export interface CallOptions extends RequestOptions {
+  /** Enable response caching for this call */
+  cache?: { category?: string }
+  /** Model category used to pick the timeout (inferred from the model ID) */
+  category?: string
+}
+
+export class SkillBossClient {
+  constructor(options?: SkillBossClientOptions)
+
+  /** Create a client from config.json, credentials.json and SKILLBOSS_* env vars */
+  static fromConfig(overrides?: SkillBossClientOptions & { profile?: string }): SkillBossClient
+
+  apiKey: string | undefined
+  readonly baseUrl: string
+  readonly logger: Logger
+  readonly version: string | undefined
+  readonly updates: Required<UpdateSettings>
+  readonly profile: string | null
+  readonly headers: Record<string, string>
+  readonly cache: ResponseCache
+  readonly cassette: Cassette | null
+  readonly ledger: UsageLedger | null
+  /** Every call this client made, as recorded in the ledger (without the timestamp) */
+  readonly history: Omit<LedgerEntry, 'ts'>[]
+  command: string | null
+  readonly sessions: SessionStore | null
+  readonly budget: Budget | null
+  confirmOverBudget: boolean
+  readonly memoryHints: { policy: string; apply(hint: unknown): void }
+  readonly scheduler: Scheduler
+  cacheMode: CacheMode
+  retry: Required<RetryPolicy>
+  timeouts: Record<string, number>
+
+  /** fetch with retries, routed through the cassette when one is active */
+  hubFetch: FetchLike
+  /** Plain fetch for media downloads, routed through the cassette when one is active */
+  fetchMedia: FetchLike
+
+  setCacheMode(mode: CacheMode): void
+  /** Cancel every in-flight request and download; returns what was cancelled */
+  abort(reason?: unknown): InflightRequest[]
+  /** Seconds to wait for response headers for a model category (0 = none) */
+  timeoutFor(category?: string): number
+  ensureApiKey(): Promise<string>
+  buildBindUrl(): string | null
+  /** The release to move to, if any; prints a notice unless updates.mode is "auto" */
+  checkForUpdate(): Promise<Release | null>
+  handleGrowthHints(data: unknown): void
+  handleBalanceWarning(data: unknown): void
+
+  post<T = any>(endpoint: string, data: unknown, options?: CallOptions): Promise<T>
+  /**
+   * Parsed data of each server-sent event. Named events carry their name in _event and non-JSON
+   * data arrives as { data }. An "error" event is thrown as an ApiHubError. Dropped connections
+   * resume with Last-Event-ID when the server sent event IDs.
+   */
+  stream<T = any>(endpoint: string, data: unknown, options?: CallOptions): AsyncGenerator<T, void, unknown>
+  get<T = any>(endpoint: string, options?: RequestOptions): Promise<T>
+  put<T = any>(endpoint: string, data: unknown, options?: RequestOptions): Promise<T>
+  /** Call recordUsage() once the response has been handled */
+  raw(endpoint: string, data: unknown, options?: CallOptions): Promise<Response>
+  /** A client sharing this one's settings, cache, ledger and scheduler, with its own history */
+  child(options?: { command?: string }): SkillBossClient
+  /** Record a raw() response in the usage ledger (once per response) */
+  recordUsage(response: Response, result?: unknown, extra?: { output?: string }): void
+  withFileCache<T = any>(
+    endpoint: string,
+    data: unknown,
+    outputPath: string,
+    options: CallOptions,
+    produce: () => Promise<T>,
+  ): Promise<T>
+}
+
+/** config.json in the skill directory */
+export const CONFIG_PATH: string
+export const DEFAULT_BASE_URL: string
+export function getDefaultClient(): SkillBossClient
+export function loadConfig(options?: { optional?: boolean }): Record<string, any>
+export function isPlaceholderKey(key: string | undefined | null): boolean
+export function isTempKey(key: unknown): boolean
+export function detectAgentType(): string
+/** Writes to a temp file and renames it into place, so interrupted downloads leave nothing behind */
+export function saveBinaryResponse(response: Response, outputPath: string): Promise<void>
+/** Abort the client's in-flight requests on SIGINT/SIGTERM; returns a function removing the handlers */
+export function cancelOnSignals(client: SkillBossClient, signals?: NodeJS.Signals[]): () => void
+
+// Module-level helpers bound to the default client
+export function ensureApiKey(): Promise<string>
+export function handleBalanceWarning(data: unknown): void
+export function checkForUpdate(): Promise<Release | null>
+export function apiHubPost<T = any>(endpoint: string, data: unknown, options?: CallOptions): Promise<T>
+export function apiHubStream<T = any>(endpoint: string, data: unknown, options?: CallOptions): AsyncGenerator<T, void, unknown>
+export function apiHubGet<T = any>(endpoint: string): Promise<T>
+export function apiHubPut<T = any>(endpoint: string, data: unknown): Promise<T>
+export function apiHubRaw(endpoint: string, data: unknown): Promise<Response>
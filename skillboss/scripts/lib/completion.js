@@ -0,0 +1,206 @@
+/**
+ * Shell completion for api-hub.js
+ *
+ * `api-hub.js completion bash|zsh|fish` prints a script that registers
+ * completion for `api-hub.js`, `api-hub` (e.g. an alias) and
+ * `node .../api-hub.js`; Tab after `node` and any other script still goes to
+ * the completion `node` had before (bash, zsh) or is left alone (fish). On each
+ * Tab the script runs
+ *
+ *   node api-hub.js __complete -- <words up to the cursor>
+ *
+ * which prints one candidate per line, worked out from the same flag schemas
+ * that parse the command line (commands/flags.js and plugins). --model values
+ * come from the local model catalog (lib/catalog.js), narrowed to the
+ * command's category; completion never calls the network. When nothing is
+ * printed, the shell falls back to completing file names.
+ */
+
+const { modelCategory } = require('./catalog')
+
+const SHELLS = ['bash', 'zsh', 'fish']
+
+/**
+ * Completion candidates for a partly typed command line
+ * @param {string[]} words - Words after the program name; the last is the one being completed
+ * @param {object} options
+ * @param {object} options.commands - Flag schemas by command name, plugins included
+ * @param {object} options.globalFlags - Flags every command takes
+ * @param {object[]} [options.catalog] - Model catalog entries ({ id, category })
+ * @returns {string[]}
+ */
+function completeWords(words, { commands, globalFlags, catalog = [] }) {
+  const current = words.length ? words[words.length - 1] : ''
+  let command = null
+  let expecting = null
+  const used = new Set()
+  const positionals = []
+
+  const flagsFor = name => (name && commands[name] ? { ...commands[name].flags, ...globalFlags } : globalFlags)
+  // "--name", "--no-name" or "-a" to [name, spec]
+  const lookup = token => {
+    const flags = flagsFor(command)
+    const key = token.replace(/=.*$/s, '')
+    if (!key.startsWith('--')) {
+      const entry = Object.entries(flags).find(([, spec]) => spec.alias === key.slice(1))
+      return entry || []
+    }
+    const name = key.slice(2)
+    if (flags[name]) return [name, flags[name]]
+    if (name.startsWith('no-') && flags[name.slice(3)]?.type === 'boolean') return [name.slice(3), flags[name.slice(3)]]
+    return []
+  }
+
+  for (const word of words.slice(0, -1)) {
+    if (expecting) {
+      expecting = null
+    } else if (word.startsWith('-') && word.length > 1) {
+      const [name, spec] = lookup(word)
+      if (name) used.add(name)
+      if (spec && spec.type !== 'boolean' && !word.includes('=')) expecting = { name, spec }
+    } else if (!command) {
+      command = word
+    } else {
+      positionals.push(word)
+    }
+  }
+
+  const matching = candidates => [...new Set(candidates)].filter(candidate => candidate.startsWith(current))
+
+  function values(name, spec, prefix = '') {
+    if (name === 'model') {
+      const category = commands[command]?.category
+      const inCategory = category ? catalog.filter(model => modelCategory(model) === category) : []
+      // An unfamiliar catalog (no entry in the category) still completes every model
+      const models = inCategory.length ? inCategory : catalog
+      return models.map(model => model.id).filter(Boolean).sort().map(id => prefix + id)
+    }
+    return (spec.choices || []).map(choice => prefix + choice)
+  }
+
+  if (expecting) return matching(values(expecting.name, expecting.spec))
+
+  if (current.startsWith('--') && current.includes('=')) {
+    const [name, spec] = lookup(current)
+    return spec ? matching(values(name, spec, current.slice(0, current.indexOf('=') + 1))) : []
+  }
+
+  if (current.startsWith('-')) {
+    const flags = flagsFor(command)
+    return matching(Object.entries(flags)
+      .filter(([name, spec]) => spec.repeatable || !used.has(name))
+      .map(([name, spec]) => (spec.type === 'boolean' && spec.default === true ? `--no-${name}` : `--${name}`)))
+  }
+
+  if (!command) return matching(Object.keys(commands).sort())
+
+  const positional = commands[command]?.positionals?.[positionals.length]
+  return matching(positional?.choices || [])
+}
+
+/**
+ * The completion script for a shell
+ * @param {'bash'|'zsh'|'fish'} shell
+ * @param {string} program - Absolute path of api-hub.js
+ * @returns {string}
+ */
+function completionScript(shell, program) {
+  const quoted = `'${program.replace(/'/g, `'\\''`)}'`
+  if (shell === 'bash') {
+    return `# api-hub.js completion for bash. Load it with:
+#   source <(node ${quoted} completion bash)
+
+# Whatever completed node arguments before, for other scripts
+_skillboss_previous=$(complete -p node 2>/dev/null)
+if [[ $_skillboss_previous =~ -F\\ ([^ ]+) && \${BASH_REMATCH[1]} != _skillboss_api_hub ]]; then
+  _skillboss_node_completion=\${BASH_REMATCH[1]}
+fi
+unset _skillboss_previous
+
+_skillboss_api_hub() {
+  # Split the line ourselves: COMP_WORDS also breaks words at "=" and ":"
+  local line=\${COMP_LINE:0:COMP_POINT}
+  local -a words
+  read -ra words <<< "$line"
+  [[ $line =~ [[:space:]]$ ]] && words+=('')
+  if [[ \${words[0]##*/} == node ]]; then
+    if [[ \${words[1]} != *api-hub.js || \${#words[@]} -le 2 ]]; then
+      [[ -n $_skillboss_node_completion ]] || return 1
+      "$_skillboss_node_completion" "$@"
+      return
+    fi
+    words=("\${words[@]:2}")
+  else
+    words=("\${words[@]:1}")
+  fi
+  local cur=\${words[\${#words[@]}-1]}
+  local IFS=$'\\n'
+  COMPREPLY=($(node ${quoted} __complete -- "\${words[@]}" 2>/dev/null))
+  # Candidates replace only the part after the last "=" or ":"
+  local trim=\${cur%"\${cur##*[=:]}"}
+  [[ -n $trim ]] && COMPREPLY=("\${COMPREPLY[@]#"$trim"}")
+  [[ \${#COMPREPLY[@]} -gt 0 ]] || return 1
+}
+complete -o default -F _skillboss_api_hub api-hub.js api-hub node
+`
+  }
+  if (shell === 'zsh') {
+    return `#compdef api-hub.js api-hub
+# api-hub.js completion for zsh. Load it with:
+#   source <(node ${quoted} completion zsh)
+
+# Whatever completed node arguments before, for other scripts
+[[ \${_comps[node]} != _skillboss_api_hub ]] && _skillboss_node_completion=\${_comps[node]}
+
+_skillboss_api_hub() {
+  local -a args candidates
+  args=("\${(@)words[2,CURRENT]}")
+  if [[ \${words[1]:t} == node ]]; then
+    if [[ \${words[2]} != *api-hub.js || CURRENT -le 2 ]]; then
+      if [[ -n $_skillboss_node_completion ]]; then
+        "$_skillboss_node_completion" "$@"
+      else
+        _files
+      fi
+      return
+    fi
+    args=("\${(@)words[3,CURRENT]}")
+  fi
+  candidates=("\${(@f)$(node ${quoted} __complete -- "\${args[@]}" 2>/dev/null)}")
+  if [[ -n \${candidates[1]} ]]; then
+    compadd -Q -- "\${candidates[@]}"
+  else
+    _files
+  fi
+}
+compdef _skillboss_api_hub api-hub.js api-hub node
+`
+  }
+  return `# api-hub.js completion for fish. Load it with:
+#   node ${quoted} completion fish | source
+function __skillboss_api_hub_complete
+    set -l tokens (commandline -opc)
+    set -e tokens[1]
+    if string match -q -- '*api-hub.js' $tokens[1]
+        and string match -q -- '*node' (commandline -opc)[1]
+        set -e tokens[1]
+    end
+    set -l current (commandline -ct)
+    set -l candidates (node ${quoted} __complete -- $tokens "$current" 2>/dev/null)
+    if test (count $candidates) -gt 0
+        printf '%s\\n' $candidates
+    else
+        __fish_complete_path "$current"
+    end
+end
+complete -c api-hub.js -f -a '(__skillboss_api_hub_complete)'
+complete -c api-hub -f -a '(__skillboss_api_hub_complete)'
+complete -c node -n 'string match -q -- "*api-hub.js" (commandline -opc)[2]' -f -a '(__skillboss_api_hub_complete)'
+`
+}
+
+module.exports = {
+  SHELLS,
+  completeWords,
+  completionScript,
+}
@@ -0,0 +1,322 @@
+/**
+ * Installation checks for `api-hub.js doctor` and `skillboss doctor`
+ *
+ * Each check returns { name, status, detail, fix }, where status is pass,
+ * warn, fail or skip (network checks with --offline). Checks never throw:
+ * a broken config.json or an unreachable host is what they report.
+ */
+
+const fs = require('fs')
+const { CONFIG_PATH, DEFAULT_BASE_URL, SkillBossClient, isPlaceholderKey, isTempKey } = require('./client')
+const { CREDENTIALS_PATH, loadCredentials, applyProfile, hasOwnHosts } = require('./profiles')
+const { fetch: proxyAwareFetch, networkSettingsFromEnv, proxyForUrl } = require('./network')
+const updater = require('./updater')
+
+// AbortSignal.any() (cancellation) arrived in Node.js 18.17 and 20.3
+const MIN_NODE = '18.17.0'
+const NETWORK_TIMEOUT = 10000
+const { SKILLBOSS_CLI } = updater
+
+function maskKey(key) {
+  return key.length < 14 ? `${key.slice(0, 3)}...` : `${key.slice(0, 10)}...${key.slice(-4)}`
+}
+
+// Proxy URL without its password
+function redactProxy(proxy) {
+  const url = new URL(proxy.href)
+  if (url.password) url.password = '***'
+  return url.href.replace(/\/$/, '')
+}
+
+function checkNode() {
+  const current = process.versions.node
+  const ok = updater.compareVersions(current, MIN_NODE) >= 0
+  return {
+    name: 'Node.js',
+    status: ok ? 'pass' : 'fail',
+    detail: ok ? `v${current}` : `v${current} is too old (needs ${MIN_NODE} or later)`,
+    fix: ok ? undefined : 'Install the current Node.js LTS from https://nodejs.org',
+  }
+}
+
+function checkFetch() {
+  const ok = typeof globalThis.fetch === 'function' && typeof AbortSignal.any === 'function'
+  return {
+    name: 'fetch',
+    status: ok ? 'pass' : 'fail',
+    detail: ok ? 'built-in fetch and AbortSignal.any available' : 'this Node.js has no built-in fetch or AbortSignal.any',
+    fix: ok ? undefined : `Upgrade to Node.js ${MIN_NODE} or later (and don't run it with --no-experimental-fetch)`,
+  }
+}
+
+// config.json, with the active profile applied; { check, config }
+function checkConfig(profile) {
+  let raw
+  try {
+    raw = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'))
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return {
+        config: {},
+        raw: {},
+        check: { name: 'config.json', status: 'warn', detail: `not found at ${CONFIG_PATH}; defaults are used`, fix: 'Reinstall the skill to restore config.json' },
+      }
+    }
+    return {
+      config: null,
+      raw: {},
+      check: { name: 'config.json', status: 'fail', detail: `${CONFIG_PATH} is not valid JSON (${err.message})`, fix: 'Fix the JSON syntax, or reinstall the skill to restore it' },
+    }
+  }
+
+  let config
+  try {
+    config = applyProfile(raw, { profile })
+  } catch (err) {
+    return { config: null, raw, check: { name: 'config.json', status: 'fail', detail: err.message, fix: `List profiles with: ${SKILLBOSS_CLI} auth profiles list` } }
+  }
+  // The settings blocks (cache, retry, budget, update, ...) are checked as the client reads them
+  try {
+    SkillBossClient.fromConfig({ profile })
+  } catch (err) {
+    return { config, raw, check: { name: 'config.json', status: 'fail', detail: err.message, fix: 'Correct that setting in config.json (see reference.md)' } }
+  }
+  const profileNote = config.profile ? `, profile "${config.profile}"` : ''
+  return { config, raw, check: { name: 'config.json', status: 'pass', detail: `${CONFIG_PATH}${profileNote}` } }
+}
+
+function checkCredentialsFile() {
+  let stat
+  try {
+    stat = fs.statSync(CREDENTIALS_PATH)
+  } catch (err) {
+    if (err.code === 'ENOENT') return { name: 'credentials.json', status: 'pass', detail: 'not present (keys come from config.json)' }
+    return { name: 'credentials.json', status: 'fail', detail: `cannot read ${CREDENTIALS_PATH}: ${err.message}` }
+  }
+  try {
+    JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf8'))
+  } catch (err) {
+    return {
+      name: 'credentials.json',
+      status: 'fail',
+      detail: `${CREDENTIALS_PATH} is not valid JSON (${err.message})`,
+      fix: `Fix or delete it, then run: ${SKILLBOSS_CLI} auth login`,
+    }
+  }
+  // Windows has no POSIX permission bits to check
+  if (process.platform !== 'win32' && (stat.mode & 0o077) !== 0) {
+    return {
+      name: 'credentials.json',
+      status: 'warn',
+      detail: `readable by other users (mode ${(stat.mode & 0o777).toString(8)})`,
+      fix: `chmod 600 ${CREDENTIALS_PATH}`,
+    }
+  }
+  return { name: 'credentials.json', status: 'pass', detail: `${CREDENTIALS_PATH} (owner only)` }
+}
+
+// Same order as the client: active profile, then credentials.json, then config.json
+function checkApiKey(config, raw) {
+  const creds = loadCredentials()
+  const profile = config.profile ? creds?.profiles?.[config.profile] : undefined
+  // A profile with hosts of its own never falls back to the default key
+  const ownHosts = hasOwnHosts(profile)
+  const stores = [
+    config.profile && [profile?.api_key, `credentials.json (profile "${config.profile}")`],
+    !ownHosts && [creds?.api_key, 'credentials.json'],
+    !ownHosts && [raw.apiKey, 'config.json'],
+  ].filter(store => store && store[0])
+
+  const found = stores.find(([key]) => !isPlaceholderKey(key))
+  if (found) {
+    const [key, source] = found
+    return { name: 'API key', status: 'pass', detail: `${maskKey(key)} from ${source}${isTempKey(key) ? ' (trial key)' : ''}`, key }
+  }
+  const fix = `Run: ${SKILLBOSS_CLI} auth login (or: ${SKILLBOSS_CLI} config set-key <KEY>)`
+  if (ownHosts && !stores.length) {
+    return {
+      name: 'API key',
+      status: 'warn',
+      detail: `profile "${config.profile}" has its own hosts but no key; the default key is not sent there, so a trial key is provisioned on first use`,
+      fix: `Run: ${SKILLBOSS_CLI} auth profiles add ${config.profile} --key <KEY>`,
+    }
+  }
+  if (stores.length) {
+    return { name: 'API key', status: 'warn', detail: `only a placeholder in ${stores.map(([, source]) => source).join(', ')}; a trial key is provisioned on first use`, fix }
+  }
+  return { name: 'API key', status: 'warn', detail: 'none configured; a trial key is provisioned on first use', fix }
+}
+
+function checkProxy(urls, settings) {
+  const notes = []
+  for (const [name, value] of [['HTTPS_PROXY', settings.httpsProxy], ['HTTP_PROXY', settings.httpProxy]]) {
+    if (!value) continue
+    try {
+      new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : `http://${value}`)
+    } catch {
+      return { name: 'Proxy', status: 'fail', detail: `${name} is not a valid URL`, fix: `Set ${name} to a URL like http://proxy.example.com:3128` }
+    }
+  }
+  if (!settings.httpsProxy && !settings.httpProxy) {
+    notes.push('no proxy configured')
+  } else {
+    for (const url of urls) {
+      const proxy = proxyForUrl(url, settings)
+      const host = new URL(url).host
+      notes.push(proxy ? `${host} via ${redactProxy(proxy)}` : `${host} direct (NO_PROXY)`)
+    }
+  }
+  if (settings.caFile) {
+    let pem = ''
+    try {
+      pem = fs.readFileSync(settings.caFile, 'utf8')
+    } catch (err) {
+      return { name: 'Proxy', status: 'fail', detail: `SKILLBOSS_CA_CERTS: cannot read ${settings.caFile} (${err.code || err.message})`, fix: 'Point SKILLBOSS_CA_CERTS at a PEM bundle' }
+    }
+    if (!pem.includes('-----BEGIN CERTIFICATE-----')) {
+      return { name: 'Proxy', status: 'fail', detail: `SKILLBOSS_CA_CERTS: ${settings.caFile} holds no PEM certificates`, fix: 'Point SKILLBOSS_CA_CERTS at a PEM bundle' }
+    }
+    notes.push(`extra CAs from ${settings.caFile}`)
+  }
+  return { name: 'Proxy', status: 'pass', detail: [...new Set(notes)].join('; ') }
+}
+
+// Why a request failed to get any response, and what to do about it
+function networkFailure(name, url, err, proxied) {
+  const cause = err.cause || err
+  const tls = /CERT|SSL|TLS/i.test(cause.code || '') || /certificate/i.test(cause.message || '')
+  let fix = 'Check your internet connection and firewall'
+  if (tls) fix = 'If a proxy or firewall inspects TLS, set SKILLBOSS_CA_CERTS to your organization\'s CA bundle'
+  else if (proxied) fix = 'Check the proxy in HTTPS_PROXY / HTTP_PROXY, or exempt the host with NO_PROXY'
+  const reason = err.name === 'TimeoutError' ? `no response in ${NETWORK_TIMEOUT / 1000}s` : cause.code || cause.message || err.message
+  return { name, status: 'fail', detail: `cannot reach ${new URL(url).host} (${reason})`, fix }
+}
+
+async function checkApiHub(baseUrl, key, fetch, settings) {
+  const url = `${baseUrl}/v1/models`
+  const headers = key ? { Authorization: `Bearer ${key}` } : {}
+  const started = Date.now()
+  let res
+  try {
+    res = await fetch(url, { headers, signal: AbortSignal.timeout(NETWORK_TIMEOUT) })
+  } catch (err) {
+    return networkFailure('API Hub', url, err, Boolean(proxyForUrl(url, settings)))
+  }
+  const ms = Date.now() - started
+  res.body?.cancel?.().catch(() => {})
+  if (res.status === 401 || res.status === 403) {
+    return { name: 'API Hub', status: 'fail', detail: `${baseUrl} rejected the API key (HTTP ${res.status})`, fix: `Run: ${SKILLBOSS_CLI} auth login` }
+  }
+  if (!res.ok) {
+    return { name: 'API Hub', status: 'warn', detail: `${baseUrl} answered HTTP ${res.status} in ${ms} ms`, fix: 'API Hub may be having trouble; try again shortly' }
+  }
+  return { name: 'API Hub', status: 'pass', detail: `${baseUrl} answered in ${ms} ms${key ? ', key accepted' : ''}` }
+}
+
+async function checkBuildApi(buildApiUrl, fetch, settings) {
+  if (!buildApiUrl) {
+    return { name: 'Build API', status: 'warn', detail: 'buildApiUrl is not set; serve-build.js falls back to http://localhost:8000', fix: 'Reinstall the skill to restore buildApiUrl in config.json' }
+  }
+  try {
+    const res = await fetch(buildApiUrl, { signal: AbortSignal.timeout(NETWORK_TIMEOUT) })
+    res.body?.cancel?.().catch(() => {})
+    // Any HTTP answer means the host is reachable; the root need not exist
+    return { name: 'Build API', status: 'pass', detail: `${buildApiUrl} reachable (HTTP ${res.status})` }
+  } catch (err) {
+    return networkFailure('Build API', buildApiUrl, err, Boolean(proxyForUrl(buildApiUrl, settings)))
+  }
+}
+
+async function checkVersion(config, fetch, env) {
+  const installed = config.version
+  let settings
+  try {
+    settings = updater.updateSettings(config, env)
+  } catch (err) {
+    return { name: 'Version', status: 'fail', detail: err.message, fix: 'Correct "update" in config.json' }
+  }
+  if (!installed || installed === 'unknown') {
+    return { name: 'Version', status: 'warn', detail: 'installed version unknown', fix: `Run: ${SKILLBOSS_CLI} update` }
+  }
+  let release
+  try {
+    release = await updater.fetchRelease({ channel: settings.channel, fetch })
+  } catch (err) {
+    return { name: 'Version', status: 'warn', detail: `${installed}; could not check for updates (${err.message})` }
+  }
+  if (settings.pin && updater.compareVersions(settings.pin, installed) !== 0) {
+    return { name: 'Version', status: 'warn', detail: `${installed} installed, but config.json pins ${settings.pin}`, fix: `Run: ${SKILLBOSS_CLI} update` }
+  }
+  if (!settings.pin && updater.compareVersions(release.version, installed) > 0) {
+    return { name: 'Version', status: 'warn', detail: `${installed} installed, ${release.version} available (${settings.channel})`, fix: `Run: ${SKILLBOSS_CLI} update` }
+  }
+  const pinned = settings.pin ? ', pinned' : ''
+  return { name: 'Version', status: 'pass', detail: `${installed} (latest ${settings.channel}: ${release.version}${pinned})` }
+}
+
+/**
+ * Run every check
+ * @param {object} [options]
+ * @param {string} [options.profile] - Credential profile (--profile)
+ * @param {boolean} [options.offline] - Skip the checks that need the network
+ * @param {function} [options.fetch] - fetch implementation (default: proxy-aware fetch)
+ * @param {object} [options.env] - Environment (defaults to process.env)
+ * @returns {Promise<object[]>} { name, status: 'pass'|'warn'|'fail'|'skip', detail, fix }
+ */
+async function runChecks(options = {}) {
+  const { profile, offline = false, fetch = proxyAwareFetch, env = process.env } = options
+  const checks = [checkNode(), checkFetch()]
+
+  const { config, raw, check } = checkConfig(profile)
+  checks.push(check, checkCredentialsFile())
+  if (!config) {
+    const detail = 'skipped until config.json is fixed'
+    for (const name of ['API key', 'Proxy', 'API Hub', 'Build API', 'Version']) checks.push({ name, status: 'skip', detail })
+    return checks
+  }
+
+  const { key, ...keyCheck } = checkApiKey(config, raw)
+  const baseUrl = config.baseUrl || DEFAULT_BASE_URL
+  const settings = networkSettingsFromEnv(env)
+  checks.push(keyCheck, checkProxy([baseUrl, config.buildApiUrl].filter(Boolean), settings))
+
+  if (offline) {
+    for (const name of ['API Hub', 'Build API', 'Version']) checks.push({ name, status: 'skip', detail: 'skipped (--offline)' })
+    return checks
+  }
+  // One at a time: a slow host shouldn't hide which check is waiting
+  checks.push(await checkApiHub(baseUrl, key, fetch, settings))
+  checks.push(await checkBuildApi(config.buildApiUrl, fetch, settings))
+  checks.push(await checkVersion(config, fetch, env))
+  return checks
+}
+
+const MARKS = { pass: '[ok]', warn: '[warn]', fail: '[fail]', skip: '[skip]' }
+
+/**
+ * The report printed by the doctor commands
+ * @param {object[]} checks - From runChecks()
+ * @param {object} [style] - Functions by status that color a mark, e.g. { fail: red }
+ * @returns {string}
+ */
+function formatReport(checks, style = {}) {
+  const width = Math.max(...checks.map(check => check.name.length))
+  const lines = []
+  for (const check of checks) {
+    const mark = MARKS[check.status].padEnd(6)
+    lines.push(`  ${(style[check.status] || (text => text))(mark)}  ${check.name.padEnd(width)}  ${check.detail}`)
+    if (check.fix) lines.push(`  ${' '.repeat(6)}  ${' '.repeat(width)}  Fix: ${check.fix}`)
+  }
+  const failed = checks.filter(check => check.status === 'fail').length
+  const warned = checks.filter(check => check.status === 'warn').length
+  const summary = failed || warned
+    ? [failed && `${failed} failed`, warned && `${warned} warning${warned > 1 ? 's' : ''}`].filter(Boolean).join(', ')
+    : 'Everything looks good'
+  return `${lines.join('\n')}\n\n  ${summary}\n`
+}
+
+module.exports = {
+  MIN_NODE,
+  runChecks,
+  formatReport,
+}
@@ -0,0 +1,78 @@
+/**
+ * Type declarations for lib/errors.js
+ */
+
+export interface ApiHubErrorDetails {
+  status?: number
+  code?: string
+  requestId?: string
+  vendor?: string
+  retryable?: boolean
+  body?: unknown
+  cause?: unknown
+}
+
+export class ApiHubError extends Error {
+  constructor(message: string, details?: ApiHubErrorDetails)
+  status: number | undefined
+  /** Server error code, e.g. "insufficient_balance" */
+  code: string | undefined
+  requestId: string | undefined
+  vendor: string | undefined
+  retryable: boolean
+  body: unknown
+}
+
+export class AuthError extends ApiHubError {}
+export class InsufficientBalanceError extends ApiHubError {}
+export class RateLimitError extends ApiHubError {
+  constructor(message: string, details?: ApiHubErrorDetails & { retryAfter?: number })
+  /** Seconds to wait, when the server sent Retry-After */
+  retryAfter: number | undefined
+}
+export class ValidationError extends ApiHubError {}
+export class VendorError extends ApiHubError {}
+export class NetworkError extends ApiHubError {}
+
+/** Cancelled by the caller or by SIGINT/SIGTERM; exits with 128 + signal number */
+export class CancelledError extends Error {
+  constructor(message: string, details?: { signal?: string })
+  signal: string | undefined
+}
+
+/** A call would exceed a spending budget; nothing was sent (exit code 10) */
+export class BudgetExceededError extends Error {
+  constructor(
+    message: string,
+    details?: { limit?: string; category?: string; limitUsd?: number; spentUsd?: number; estimateUsd?: number; unestimated?: boolean },
+  )
+  /** "perCall", "hourly" or "daily" */
+  limit: string | undefined
+  /** Set for per-category budgets */
+  category: string | undefined
+  limitUsd: number | undefined
+  spentUsd: number | undefined
+  estimateUsd: number | undefined
+  /** No price is known for the call, so its cost could not be checked */
+  unestimated: boolean
+}
+
+export const EXIT_CODES: Record<
+  | 'AuthError'
+  | 'InsufficientBalanceError'
+  | 'RateLimitError'
+  | 'ValidationError'
+  | 'VendorError'
+  | 'NetworkError'
+  | 'ApiHubError'
+  | 'BudgetExceededError',
+  number
+>
+
+export function exitCodeFor(err: unknown): number
+export function parseRetryAfter(value: string | null | undefined): number | undefined
+export function createApiHubError(params: {
+  status: number
+  body?: string | object
+  headers?: Headers | Record<string, string>
+}): ApiHubError
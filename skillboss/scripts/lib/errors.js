@@ -0,0 +1,245 @@
+const os = require('os')
+
+/**
+ * Typed errors for API Hub failures
+ *
+ * Every error thrown for a failed API Hub response is an ApiHubError
+ * subclass carrying the HTTP status, the server error code, request ID,
+ * vendor and whether retrying the same request may succeed.
+ */
+
+class ApiHubError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {number} [details.status] - HTTP status
+   * @param {string} [details.code] - Server error code (e.g. "insufficient_balance")
+   * @param {string} [details.requestId] - Server request ID
+   * @param {string} [details.vendor] - Upstream vendor that failed
+   * @param {boolean} [details.retryable] - Whether retrying may succeed
+   * @param {*} [details.body] - Parsed error body (or raw text)
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined)
+    this.name = this.constructor.name
+    this.status = details.status
+    this.code = details.code
+    this.requestId = details.requestId
+    this.vendor = details.vendor
+    this.retryable = details.retryable ?? false
+    this.body = details.body
+  }
+}
+
+/** 401/403: missing, invalid or revoked API key */
+class AuthError extends ApiHubError {}
+
+/** 402: wallet balance too low for the request */
+class InsufficientBalanceError extends ApiHubError {}
+
+/** 429: too many requests; retryAfter is in seconds when the server sent it */
+class RateLimitError extends ApiHubError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details })
+    this.retryAfter = details.retryAfter
+  }
+}
+
+/** 4xx: bad model ID, missing inputs or otherwise invalid request */
+class ValidationError extends ApiHubError {}
+
+/** 5xx: upstream vendor or gateway failure */
+class VendorError extends ApiHubError {}
+
+/** Request never got a response (DNS, connection reset, timeout) */
+class NetworkError extends ApiHubError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details })
+  }
+}
+
+/**
+ * Request cancelled by the caller, or by SIGINT/SIGTERM (see cancelOnSignals in lib/client.js).
+ * Not an ApiHubError: the server never reported a failure.
+ */
+class CancelledError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {string} [details.signal] - Signal that triggered the cancellation (e.g. "SIGINT")
+   */
+  constructor(message, details = {}) {
+    super(message)
+    this.name = 'CancelledError'
+    this.signal = details.signal
+  }
+}
+
+/**
+ * A call was refused because it would exceed a spending budget (see lib/budget.js).
+ * Not an ApiHubError: nothing was sent to the server.
+ */
+class BudgetExceededError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {string} [details.limit] - Budget that would be exceeded: "perCall", "hourly" or "daily"
+   * @param {string} [details.category] - Model category, for per-category budgets
+   * @param {number} [details.limitUsd] - Configured limit
+   * @param {number} [details.spentUsd] - Spend already recorded in the budget window
+   * @param {number} [details.estimateUsd] - Estimated cost of the refused call
+   * @param {boolean} [details.unestimated] - No price is known for the call, so its cost could not be checked
+   */
+  constructor(message, details = {}) {
+    super(message)
+    this.name = 'BudgetExceededError'
+    this.limit = details.limit
+    this.category = details.category
+    this.limitUsd = details.limitUsd
+    this.spentUsd = details.spentUsd
+    this.estimateUsd = details.estimateUsd
+    this.unestimated = !!details.unestimated
+  }
+}
+
+// Process exit codes used by api-hub.js
+const EXIT_CODES = {
+  AuthError: 3,
+  InsufficientBalanceError: 4,
+  RateLimitError: 5,
+  ValidationError: 6,
+  VendorError: 7,
+  NetworkError: 8,
+  ApiHubError: 9,
+  BudgetExceededError: 10,
+}
+
+/**
+ * Map an error to the CLI exit code
+ * @param {Error} err
+ * @returns {number}
+ */
+function exitCodeFor(err) {
+  // Shell convention: 128 + signal number (130 for SIGINT)
+  if (err instanceof CancelledError) return 128 + (os.constants.signals[err.signal] || os.constants.signals.SIGINT)
+  if (err instanceof BudgetExceededError) return EXIT_CODES.BudgetExceededError
+  if (!(err instanceof ApiHubError)) return 1
+  return EXIT_CODES[err.name] || EXIT_CODES.ApiHubError
+}
+
+function parseBody(body) {
+  if (body === undefined || body === null || typeof body === 'object') return body ?? null
+  try {
+    return JSON.parse(body)
+  } catch {
+    return null
+  }
+}
+
+function headerValue(headers, name) {
+  if (!headers) return undefined
+  if (typeof headers.get === 'function') return headers.get(name) ?? undefined
+  return headers[name] ?? headers[name.toLowerCase()]
+}
+
+/**
+ * Parse Retry-After (seconds or HTTP date) into seconds
+ * @param {string} value
+ * @returns {number|undefined}
+ */
+function parseRetryAfter(value) {
+  if (!value) return undefined
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds)
+  const date = Date.parse(value)
+  if (Number.isNaN(date)) return undefined
+  return Math.max(0, Math.ceil((date - Date.now()) / 1000))
+}
+
+function statusKind(status) {
+  if (status === 401 || status === 403) return 'auth'
+  if (status === 402) return 'balance'
+  if (status === 429) return 'rateLimit'
+  if (status >= 500) return 'vendor'
+  if (status >= 400) return 'validation'
+  return null
+}
+
+function hintKind(hint) {
+  if (/invalid[_ ]token|unauthori[sz]ed/.test(hint)) return 'auth'
+  if (/insufficient|balance|credits|coins/.test(hint)) return 'balance'
+  if (/rate[_ ]?limit/.test(hint)) return 'rateLimit'
+  return null
+}
+
+/**
+ * Build the right ApiHubError subclass from a failed response
+ * @param {object} params
+ * @param {number} [params.status] - HTTP status (or the "code" field of a JSON error payload);
+ *   undefined for an error event in a stream
+ * @param {string|object} [params.body] - Response body text or parsed JSON
+ * @param {Headers|object} [params.headers] - Response headers
+ * @returns {ApiHubError}
+ */
+function createApiHubError({ status, body, headers }) {
+  const parsed = parseBody(body)
+  const err = parsed && typeof parsed.error === 'object' ? parsed.error : {}
+  const text = typeof body === 'string' ? body : JSON.stringify(body ?? '')
+
+  const serverMessage =
+    err.message ||
+    (parsed && typeof parsed.error === 'string' ? parsed.error : null) ||
+    parsed?.message ||
+    (parsed && typeof parsed.detail === 'string' ? parsed.detail : null) ||
+    text
+  const rawCode = err.code || err.type || parsed?.error_code || (typeof parsed?.code === 'string' ? parsed.code : undefined)
+  const code = rawCode ? String(rawCode) : undefined
+  const details = {
+    status,
+    code,
+    requestId: parsed?.request_id || err.request_id || headerValue(headers, 'x-request-id'),
+    vendor: parsed?.vendor || err.vendor,
+    body: parsed ?? body,
+  }
+  // Errors reported inside an event stream have no HTTP status
+  const message = `API Hub request failed: ${status !== undefined ? `${status} ` : ''}${serverMessage}`.trim()
+  const hint = `${code || ''} ${serverMessage}`.toLowerCase()
+
+  // The HTTP status decides; a 400 or 500 whose text mentions "balance" or "unauthorized"
+  // is still a validation or vendor error. Message hints are only for errors without
+  // a status, i.e. error events inside a stream.
+  const kind = status !== undefined ? statusKind(status) : hintKind(hint)
+  if (kind === 'auth') return new AuthError(message, details)
+  if (kind === 'balance') return new InsufficientBalanceError(message, details)
+  if (kind === 'rateLimit') {
+    return new RateLimitError(message, {
+      ...details,
+      retryAfter: parseRetryAfter(headerValue(headers, 'retry-after')),
+    })
+  }
+  if (kind === 'vendor') {
+    return new VendorError(message, {
+      ...details,
+      retryable: parsed?.retryable ?? err.retryable ?? [502, 503, 504].includes(status),
+    })
+  }
+  if (kind === 'validation') return new ValidationError(message, details)
+  return new ApiHubError(message, details)
+}
+
+module.exports = {
+  ApiHubError,
+  AuthError,
+  InsufficientBalanceError,
+  RateLimitError,
+  ValidationError,
+  VendorError,
+  NetworkError,
+  CancelledError,
+  BudgetExceededError,
+  EXIT_CODES,
+  exitCodeFor,
+  parseRetryAfter,
+  createApiHubError,
+}
@@ -1,62 +1,226 @@
 /**
- * Shared fetch with retry logic for network errors and rate limits
+ * Shared fetch with retry logic for network errors, rate limits and gateway errors
  */
 
-const MAX_RETRIES = 3
-const INITIAL_DELAY = 5000 // 5 seconds
+const { parseRetryAfter } = require('./errors')
+const { fetch: proxyAwareFetch } = require('./network')
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms))
+const DEFAULT_RETRY_POLICY = {
+  maxRetries: 3, // retries after the first attempt
+  baseDelay: 1000, // first backoff delay (ms), doubled on every retry
+  maxDelay: 30000, // cap for a single backoff delay (ms)
+  maxRetryAfter: 120000, // longest Retry-After (ms) worth waiting for
+}
+
+// Seconds to wait for response headers, per model category. Generation
+// endpoints hold the connection open until the result is ready, so video
+// and music get long defaults.
+const DEFAULT_TIMEOUTS = {
+  chat: 600,
+  image: 300,
+  video: 1800,
+  music: 900,
+  tts: 300,
+  stt: 600,
+  search: 120,
+  document: 600,
+  ui: 600,
+  sms: 60,
+  email: 60,
+  default: 300,
+}
+
+const GATEWAY_STATUSES = [502, 503, 504]
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS']
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason)
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+function hasIdempotencyKey(headers) {
+  if (!headers) return false
+  if (typeof headers.has === 'function') return headers.has('idempotency-key')
+  return Object.keys(headers).some(name => name.toLowerCase() === 'idempotency-key')
+}
+
+/**
+ * Whether a request can safely be sent twice: GET/HEAD/OPTIONS, or any
+ * request carrying an Idempotency-Key header
+ * @param {object} options - Fetch options
+ * @returns {boolean}
+ */
+function isIdempotent(options = {}) {
+  const method = (options.method || 'GET').toUpperCase()
+  return IDEMPOTENT_METHODS.includes(method) || hasIdempotencyKey(options.headers)
+}
+
+/**
+ * Exponential backoff with equal jitter: half the delay is fixed and
+ * half is random, so concurrent clients spread out their retries
+ * @param {number} retry - Retry number (1-based)
+ * @param {object} policy
+ * @returns {number} Delay in ms
+ */
+function backoffDelay(retry, policy) {
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (retry - 1))
+  return Math.round(delay / 2 + Math.random() * (delay / 2))
+}
+
+function timeoutError(ms) {
+  const err = new Error(`Request timed out after ${ms / 1000}s`)
+  err.name = 'TimeoutError'
+  err.code = 'ETIMEDOUT'
+  return err
+}
+
+/**
+ * Send one attempt, aborting it if no response headers arrive within timeout ms.
+ * The caller's signal stays attached so it can still cancel a streaming body.
+ */
+async function attempt(fetchImpl, url, init, timeout, signal) {
+  if (!timeout && !signal) return fetchImpl(url, init)
+
+  const controller = new AbortController()
+  if (signal) {
+    if (signal.aborted) throw signal.reason
+    signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true })
+  }
+  const timer = timeout ? setTimeout(() => controller.abort(timeoutError(timeout)), timeout) : null
+  try {
+    return await fetchImpl(url, { ...init, signal: controller.signal })
+  } catch (err) {
+    // Surface our own reasons rather than a generic AbortError
+    if (controller.signal.aborted && controller.signal.reason) throw controller.signal.reason
+    throw err
+  } finally {
+    clearTimeout(timer)
+  }
 }
 
 /**
- * Fetch with automatic retry for network errors and rate limits (429)
+ * Fetch with automatic retry for network errors, rate limits (429) and,
+ * for idempotent requests, gateway errors (502/503/504) and timeouts
  *
  * Design principles:
- * - No HTTP timeout: Let server control (video generation can take 10+ minutes)
- * - Retry on: Network errors (TypeError: fetch failed), 429 rate limit
- * - Don't retry: 4xx client errors (except 429), 5xx server errors (server has retry)
+ * - Timeouts only cover waiting for response headers; streamed bodies are not cut off
+ * - Retry on: network errors, 429 (honoring Retry-After in seconds or HTTP-date form)
+ * - Retry only when idempotent: 502/503/504 and timeouts, since the server may
+ *   already be running (and billing) a POST that timed out or hit a gateway error
+ * - Don't retry: other 4xx/5xx responses, or requests cancelled via options.signal
  *
  * @param {string} url - The URL to fetch
- * @param {object} options - Fetch options
- * @param {number} maxRetries - Maximum number of retries (default: 3)
+ * @param {object} options - Fetch options, plus:
+ * @param {number} [options.timeout] - Per-attempt timeout in ms (default: none)
+ * @param {AbortSignal} [options.signal] - Cancels the request, including backoff waits
+ * @param {number|object} [policy] - Total attempts (a number, as in earlier versions), or a retry policy
+ *   ({ maxRetries, baseDelay, maxDelay, maxRetryAfter } in ms, plus an optional { warn } logger for retry
+ *   notices). A policy's maxRetries counts retries after the first attempt.
+ * @param {function} [fetchImpl] - fetch implementation (default: global fetch, routed
+ *   through HTTPS_PROXY/HTTP_PROXY and SKILLBOSS_CA_CERTS when set; see lib/network.js)
  * @returns {Promise<Response>} The fetch response
  */
-async function fetchWithRetry(url, options = {}, maxRetries = MAX_RETRIES) {
-  let lastError
+async function fetchWithRetry(url, options = {}, policy = {}, fetchImpl = proxyAwareFetch) {
+  const { timeout, signal, ...init } = options
+  const settings = {
+    ...DEFAULT_RETRY_POLICY,
+    // A bare number has always meant total attempts, so existing callers don't get an extra request
+    ...(typeof policy === 'number' ? { maxRetries: Math.max(0, policy - 1) } : policy),
+  }
+  const logger = settings.logger || console
+  const maxAttempts = settings.maxRetries + 1
+  const idempotent = isIdempotent(init)
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+  for (let n = 1; ; n++) {
+    const canRetry = n < maxAttempts
+    let response
     try {
-      const response = await fetch(url, options)
-
-      // Handle rate limit (429)
-      if (response.status === 429) {
-        if (attempt >= maxRetries) {
-          return response // Return the 429 response on final attempt
-        }
-
-        const retryAfter = response.headers.get('Retry-After')
-        const delay = retryAfter ? parseInt(retryAfter) * 1000 : INITIAL_DELAY * attempt
-        console.log(`Rate limited. Waiting ${delay / 1000}s before retry ${attempt}/${maxRetries}...`)
-        await sleep(delay)
-        continue
-      }
-
-      // Return response for all other status codes (let caller handle errors)
-      return response
+      response = await attempt(fetchImpl, url, init, timeout, signal)
     } catch (error) {
-      lastError = error
-
-      // Only retry on network errors (TypeError: fetch failed)
-      if (attempt < maxRetries) {
-        const delay = INITIAL_DELAY * attempt
-        console.log(`Network error: ${error.message}. Retry ${attempt}/${maxRetries} in ${delay / 1000}s...`)
-        await sleep(delay)
-      }
+      // Cancelled by the caller, or a timeout on a request that may have side effects
+      const retryable = !signal?.aborted && (error.name !== 'TimeoutError' || idempotent)
+      if (!canRetry || !retryable) throw error
+
+      const delay = backoffDelay(n, settings)
+      logger.warn(`[skillboss] Network error: ${error.message}. Retry ${n}/${settings.maxRetries} in ${delay / 1000}s...`)
+      await sleep(delay, signal)
+      continue
     }
+
+    if (response.status === 429 && canRetry) {
+      const retryAfter = parseRetryAfter(response.headers.get('Retry-After'))
+      const delay = retryAfter !== undefined ? retryAfter * 1000 : backoffDelay(n, settings)
+      // A long server-mandated wait is better surfaced to the caller than slept through
+      if (delay > settings.maxRetryAfter) return response
+
+      await response.body?.cancel().catch(() => {})
+      logger.warn(`[skillboss] Rate limited. Waiting ${delay / 1000}s before retry ${n}/${settings.maxRetries}...`)
+      await sleep(delay, signal)
+      continue
+    }
+
+    if (GATEWAY_STATUSES.includes(response.status) && idempotent && canRetry) {
+      await response.body?.cancel().catch(() => {})
+      const delay = backoffDelay(n, settings)
+      logger.warn(`[skillboss] Gateway error ${response.status}. Retry ${n}/${settings.maxRetries} in ${delay / 1000}s...`)
+      await sleep(delay, signal)
+      continue
+    }
+
+    // Return response for all other status codes (let caller handle errors)
+    return response
   }
+}
 
-  throw lastError
+/**
+ * Read retry and timeout settings from config.json and env vars
+ *
+ *   config.retry     { maxRetries, baseDelay, maxDelay, maxRetryAfter } (delays in seconds)
+ *   config.timeouts  { <category>: seconds }, e.g. { "video": 3600 }
+ *   SKILLBOSS_MAX_RETRIES, SKILLBOSS_RETRY_MAX_DELAY (seconds), SKILLBOSS_TIMEOUT (seconds, all categories)
+ *
+ * @param {object} [config] - Parsed config.json
+ * @param {object} [env] - Environment (defaults to process.env)
+ * @returns {{ retry: object, timeouts: object }} Retry policy in ms and timeouts in seconds
+ */
+function retrySettingsFromConfig(config = {}, env = process.env) {
+  const retryConfig = config.retry || {}
+  const retry = { ...DEFAULT_RETRY_POLICY }
+  if (Number.isFinite(retryConfig.maxRetries)) retry.maxRetries = retryConfig.maxRetries
+  for (const name of ['baseDelay', 'maxDelay', 'maxRetryAfter']) {
+    if (Number.isFinite(retryConfig[name])) retry[name] = retryConfig[name] * 1000
+  }
+  if (env.SKILLBOSS_MAX_RETRIES !== undefined && env.SKILLBOSS_MAX_RETRIES !== '') {
+    retry.maxRetries = Math.max(0, parseInt(env.SKILLBOSS_MAX_RETRIES, 10) || 0)
+  }
+  if (env.SKILLBOSS_RETRY_MAX_DELAY) {
+    retry.maxDelay = Number(env.SKILLBOSS_RETRY_MAX_DELAY) * 1000 || retry.maxDelay
+  }
+
+  let timeouts = { ...DEFAULT_TIMEOUTS, ...config.timeouts }
+  // SKILLBOSS_TIMEOUT=0 disables timeouts entirely
+  const envTimeout = env.SKILLBOSS_TIMEOUT ? Number(env.SKILLBOSS_TIMEOUT) : NaN
+  if (envTimeout >= 0) {
+    timeouts = Object.fromEntries(Object.keys(timeouts).map(category => [category, envTimeout]))
+  }
+  return { retry, timeouts }
 }
 
-module.exports = { fetchWithRetry, sleep }
+module.exports = {
+  fetchWithRetry,
+  sleep,
+  isIdempotent,
+  retrySettingsFromConfig,
+  DEFAULT_RETRY_POLICY,
+  DEFAULT_TIMEOUTS,
+}
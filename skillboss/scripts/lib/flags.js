@@ -0,0 +1,414 @@
+/**
+ * Declarative command-line flags
+ *
+ * A command describes its flags once; parsing, validation and --help all
+ * come from that description:
+ *
+ *   {
+ *     description: 'Chat completions',
+ *     category: 'chat',                          Model category, for --model shell completion
+ *     flags: {
+ *       model:    { type: 'string', required: true, alias: 'm', description: 'Model ID' },
+ *       prompt:   { type: 'string', description: 'User message' },
+ *       messages: { type: 'json', description: 'Messages as a JSON array' },
+ *       stream:   { type: 'boolean' },                      --stream, --stream=false, --no-stream
+ *       format:   { choices: ['table', 'csv'], default: 'table' },
+ *       to:       { type: 'string', repeatable: true },     --to a --to b -> ['a', 'b']
+ *       text:     { fromFile: true },                       --text @script.txt, or --text - for stdin
+ *     },
+ *     positionals: [{ name: 'action', choices: ['stats', 'clear'], required: true }],
+ *     requireOne: [['prompt', 'messages']],   At least one flag of each group
+ *     exclusive: [['prompt', 'messages']],    At most one flag of each group
+ *   }
+ *
+ * Types: string (default), number, integer, boolean, json. Values may be
+ * given as --flag value or --flag=value; a value may start with "-" unless it
+ * is itself one of the command's flags. Every problem is reported at once.
+ *
+ * A fromFile flag also takes @path (the file's contents) or - (stdin); @@ at
+ * the start stands for a literal @. The encoding is detected (UTF-8, UTF-16 with
+ * or without a byte order mark, else Windows-1252) and trailing newlines are
+ * dropped, as with --text "$(cat path)".
+ */
+
+const fs = require('fs')
+
+const FLAG_TYPES = ['string', 'number', 'integer', 'boolean', 'json']
+const PLACEHOLDERS = { string: 'value', number: 'n', integer: 'n', json: 'json' }
+
+/**
+ * Invalid command-line usage: unknown or missing flags, bad values
+ */
+class UsageError extends Error {
+  /**
+   * @param {string[]} problems - One message per problem
+   * @param {string} [heading] - Shown above more than one problem
+   */
+  constructor(problems, heading = 'Invalid options') {
+    super(problems.length === 1 ? problems[0] : `${heading}:\n  ${problems.join('\n  ')}`)
+    this.name = 'UsageError'
+    this.problems = problems
+  }
+}
+
+// Edit distance, for "did you mean" suggestions
+function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0]
+    row[0] = i
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j]
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1))
+      previous = current
+    }
+  }
+  return row[b.length]
+}
+
+function suggestion(name, specs) {
+  const [best] = Object.keys(specs)
+    .map(candidate => [candidate, distance(name, candidate)])
+    .filter(([, d]) => d <= 2)
+    .sort((a, b) => a[1] - b[1])
+  return best ? ` (did you mean --${best[0]}?)` : ''
+}
+
+/**
+ * Decode a text file, detecting its encoding
+ * @param {Buffer} buffer
+ * @returns {{ text: string, encoding: string }}
+ * @throws {Error} If it looks like a binary file
+ */
+function decodeText(buffer) {
+  const boms = [['utf-8', [0xef, 0xbb, 0xbf]], ['utf-16le', [0xff, 0xfe]], ['utf-16be', [0xfe, 0xff]]]
+  for (const [encoding, bom] of boms) {
+    if (bom.every((byte, i) => buffer[i] === byte)) {
+      return { text: new TextDecoder(encoding).decode(buffer.subarray(bom.length)), encoding }
+    }
+  }
+  // UTF-16 without a byte order mark: ASCII text leaves every other byte zero
+  const sample = buffer.subarray(0, 4096)
+  const zeros = [0, 0]
+  sample.forEach((byte, i) => {
+    if (byte === 0) zeros[i % 2]++
+  })
+  if (zeros[0] || zeros[1]) {
+    if (!zeros[0] && zeros[1] >= sample.length / 4) return { text: new TextDecoder('utf-16le').decode(buffer), encoding: 'utf-16le' }
+    if (!zeros[1] && zeros[0] >= sample.length / 4) return { text: new TextDecoder('utf-16be').decode(buffer), encoding: 'utf-16be' }
+    throw new Error('looks like a binary file, not text')
+  }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' }
+  } catch {
+    // Not UTF-8, so most likely saved by an older Windows editor
+    return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'windows-1252' }
+  }
+}
+
+function readStdin() {
+  if (process.stdin.isTTY) throw new Error('nothing is piped to stdin')
+  return fs.readFileSync(0)
+}
+
+/**
+ * Read the value of a fromFile flag given as @path or -
+ * @param {string} name - Flag name
+ * @param {string} raw - "@path" or "-"
+ * @param {function(): Buffer} stdin
+ * @returns {{ value: string, source: object }} source: { flag, path, bytes, chars, encoding }
+ * @throws {Error} If the file can't be read or isn't text
+ */
+function readSource(name, raw, stdin) {
+  const file = raw === '-' ? null : raw.slice(1)
+  const label = file ? `--${name} ${raw}` : `--${name} -`
+  let buffer
+  let decoded
+  try {
+    buffer = file ? fs.readFileSync(file) : stdin()
+    if (!buffer.length) throw new Error(file ? 'file is empty' : 'stdin is empty')
+    decoded = decodeText(buffer)
+  } catch (err) {
+    const reason = err.code === 'ENOENT' ? 'no such file (start the value with @@ for a literal @)' : err.message
+    throw new Error(`${label}: ${reason}`)
+  }
+  const value = decoded.text.replace(/(\r?\n)+$/, '')
+  return {
+    value,
+    source: { flag: name, path: file || '-', bytes: buffer.length, chars: value.length, encoding: decoded.encoding },
+  }
+}
+
+/**
+ * One line describing where a flag's value was read from, e.g.
+ * "--text: 12.4 KB (12,650 characters, utf-8) from script.txt"
+ * @param {object} source - From parseFlags().sources
+ * @returns {string}
+ */
+function describeSource(source) {
+  const { bytes } = source
+  const size = bytes < 1024 ? `${bytes} bytes` : bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  const from = source.path === '-' ? 'stdin' : source.path
+  return `--${source.flag}: ${size} (${source.chars.toLocaleString('en-US')} characters, ${source.encoding}) from ${from}`
+}
+
+function convert(name, spec, raw) {
+  const type = spec.type || 'string'
+  if (type === 'boolean') {
+    if (raw === true || /^(true|1|yes)$/i.test(raw)) return true
+    if (raw === false || /^(false|0|no)$/i.test(raw)) return false
+    throw new Error(`--${name} must be true or false`)
+  }
+  if (type === 'number' || type === 'integer') {
+    const number = Number(raw)
+    if (raw.trim() === '' || Number.isNaN(number) || (type === 'integer' && !Number.isInteger(number))) {
+      throw new Error(`--${name} must be ${type === 'integer' ? 'an integer' : 'a number'}`)
+    }
+    if (spec.min !== undefined && number < spec.min) throw new Error(`--${name} must be at least ${spec.min}`)
+    return number
+  }
+  if (type === 'json') {
+    try {
+      return JSON.parse(raw)
+    } catch (err) {
+      throw new Error(`--${name} must be valid JSON: ${err.message}`)
+    }
+  }
+  return raw
+}
+
+/**
+ * Check a command schema
+ * @param {object} schema
+ * @throws {Error} On an unknown flag type or a group naming an undeclared flag
+ */
+function validateSchema(schema) {
+  const specs = schema.flags || {}
+  for (const [name, spec] of Object.entries(specs)) {
+    if (spec.type && !FLAG_TYPES.includes(spec.type)) {
+      throw new Error(`flag --${name} has unknown type "${spec.type}" (use ${FLAG_TYPES.join(', ')})`)
+    }
+  }
+  for (const group of [...(schema.requireOne || []), ...(schema.exclusive || [])]) {
+    const unknown = group.find(name => !specs[name])
+    if (unknown) throw new Error(`flag group names undeclared flag --${unknown}`)
+  }
+}
+
+/**
+ * Parse command-line arguments against a schema
+ * @param {string[]} argv - Arguments (without node and the script)
+ * @param {object} schema - See the top of this file. With strict: false, undeclared
+ *   flags are passed through as strings (or true) instead of being rejected.
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Only pick out what can be parsed: no errors,
+ *   no required checks and no files read (used to find the command before its schema is known)
+ * @param {function(): Buffer} [options.stdin] - Reads stdin for "-" values (default: fd 0)
+ * @returns {{ flags: object, positionals: string[], indexes: number[], sources: object[] }} Flag
+ *   values with defaults applied (declared positionals are also set on flags by name), where
+ *   in argv each positional was found, and where fromFile values were read from (see describeSource())
+ * @throws {UsageError} Listing every problem found
+ */
+function parseFlags(argv, schema, options = {}) {
+  const specs = schema.flags || {}
+  const lenient = options.partial || schema.strict === false
+  const aliases = {}
+  for (const [name, spec] of Object.entries(specs)) {
+    if (spec.alias) aliases[spec.alias] = name
+  }
+
+  // "--name", "--no-name" or "-a" to [name, negated]; name is undefined if undeclared
+  function resolve(token) {
+    const key = token.replace(/=.*$/s, '')
+    if (!key.startsWith('--')) return [aliases[key.slice(1)], false]
+    const name = key.slice(2)
+    if (specs[name]) return [name, false]
+    if (name.startsWith('no-') && specs[name.slice(3)]?.type === 'boolean') return [name.slice(3), true]
+    return [undefined, false]
+  }
+  const isOption = token => token === '--' || (/^-/.test(token) && resolve(token)[0] !== undefined)
+
+  const flags = {}
+  const positionals = []
+  const indexes = []
+  const problems = []
+  const sources = []
+  // Flags that appeared, even if their value was rejected: those already have a problem of their own
+  const seen = new Set()
+  const stdin = options.stdin || readStdin
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i]
+    if (token === '--') {
+      positionals.push(...argv.slice(i + 1))
+      indexes.push(...argv.slice(i + 1).map((arg, offset) => i + 1 + offset))
+      break
+    }
+    // "-" is stdin; negative numbers are values
+    if (!/^-./.test(token) || /^-\d/.test(token)) {
+      positionals.push(token)
+      indexes.push(i)
+      continue
+    }
+
+    const eq = token.indexOf('=')
+    const inline = eq === -1 ? undefined : token.slice(eq + 1)
+    const [name, negated] = resolve(token)
+    const spec = specs[name]
+    if (!spec) {
+      const key = (eq === -1 ? token : token.slice(0, eq)).replace(/^--?/, '')
+      const next = argv[i + 1]
+      if (!lenient) {
+        problems.push(`Unknown option ${token.replace(/=.*$/s, '')}${suggestion(key, specs)}`)
+        // Its value, if it had one, isn't a stray argument
+        if (inline === undefined && next !== undefined && !next.startsWith('-')) i++
+        continue
+      }
+      flags[key] = inline ?? (next !== undefined && !next.startsWith('--') ? argv[++i] : true)
+      continue
+    }
+    seen.add(name)
+
+    let raw
+    if (spec.type === 'boolean') {
+      // "--flag true" still works, as it did before flags had types
+      raw = negated ? false : inline ?? (/^(true|false)$/i.test(argv[i + 1] || '') ? argv[++i] : true)
+    } else if (inline !== undefined) {
+      raw = inline
+    } else if (i + 1 < argv.length && !isOption(argv[i + 1])) {
+      raw = argv[++i]
+    } else {
+      problems.push(`--${name} needs a value`)
+      continue
+    }
+
+    if (spec.fromFile && !options.partial && typeof raw === 'string') {
+      if (raw.startsWith('@@')) {
+        raw = raw.slice(1)
+      } else if (raw === '-' || raw.startsWith('@')) {
+        if (raw === '-' && sources.some(source => source.path === '-')) {
+          problems.push(`--${name} -: stdin can only be read once`)
+          continue
+        }
+        try {
+          const read = readSource(name, raw, stdin)
+          raw = read.value
+          sources.push(read.source)
+        } catch (err) {
+          problems.push(err.message)
+          continue
+        }
+      }
+    }
+
+    let value
+    try {
+      value = convert(name, spec, raw)
+    } catch (err) {
+      problems.push(err.message)
+      continue
+    }
+    if (spec.choices && !spec.choices.includes(value)) {
+      problems.push(`--${name} must be one of: ${spec.choices.join(', ')}`)
+    } else if (spec.repeatable) {
+      (flags[name] = flags[name] || []).push(value)
+    } else if (name in flags) {
+      problems.push(`--${name} was given more than once`)
+    } else {
+      flags[name] = value
+    }
+  }
+
+  if (options.partial) return { flags, positionals, indexes, sources }
+
+  const declared = schema.positionals || []
+  declared.forEach((positional, index) => {
+    const value = positionals[index]
+    if (value === undefined) {
+      if (positional.required) problems.push(`Missing ${positional.name} (${(positional.choices || []).join(' | ') || 'required'})`)
+    } else if (positional.choices && !positional.choices.includes(value)) {
+      problems.push(`${positional.name} must be one of: ${positional.choices.join(', ')}`)
+    } else {
+      flags[positional.name] = value
+    }
+  })
+  if (!lenient && positionals.length > declared.length) {
+    problems.push(`Unexpected argument ${positionals[declared.length]}`)
+  }
+
+  const given = name => flags[name] !== undefined || seen.has(name)
+  const missing = Object.keys(specs).filter(name => specs[name].required && !given(name))
+  if (missing.length) {
+    problems.push(`Missing required option${missing.length > 1 ? 's' : ''} ${missing.map(name => `--${name}`).join(', ')}`)
+  }
+  for (const group of schema.requireOne || []) {
+    if (!group.some(given)) problems.push(`One of ${group.map(name => `--${name}`).join(', ')} is required`)
+  }
+  for (const group of schema.exclusive || []) {
+    const used = group.filter(given)
+    if (used.length > 1) problems.push(`${used.map(name => `--${name}`).join(' and ')} can't be used together`)
+  }
+  if (problems.length) throw new UsageError(problems)
+
+  for (const [name, spec] of Object.entries(specs)) {
+    if (!given(name) && spec.default !== undefined) flags[name] = spec.default
+  }
+  return { flags, positionals, indexes, sources }
+}
+
+function flagEntries(specs) {
+  return Object.entries(specs).map(([name, spec]) => {
+    const type = spec.type || 'string'
+    let option = `--${name}${type === 'boolean' ? '' : ` <${spec.placeholder || PLACEHOLDERS[type]}>`}`
+    option = spec.alias ? `-${spec.alias}, ${option}` : `    ${option}`
+    const notes = [
+      spec.required && 'required',
+      spec.repeatable && 'repeatable',
+      spec.fromFile && '@file or - for stdin',
+      spec.choices && `one of: ${spec.choices.join(', ')}`,
+      spec.default !== undefined && spec.default !== false && `default: ${JSON.stringify(spec.default)}`,
+    ].filter(Boolean)
+    return [option, [spec.description, notes.length && `(${notes.join('; ')})`].filter(Boolean).join(' ')]
+  })
+}
+
+/**
+ * Generate --help text for a command
+ * @param {string} usage - Command line prefix, e.g. "node api-hub.js chat"
+ * @param {object} schema
+ * @param {object} [globalFlags] - Flags every command accepts, listed separately
+ * @returns {string}
+ */
+function formatHelp(usage, schema, globalFlags = {}) {
+  const positionals = (schema.positionals || []).map(p => (p.required ? `<${p.name}>` : `[${p.name}]`))
+  const lines = [`Usage: ${[usage, ...positionals].join(' ')} [options]`]
+  if (schema.description) lines.push('', schema.description)
+
+  for (const positional of schema.positionals || []) {
+    if (positional.choices) lines.push('', `${positional.name}: ${positional.choices.join(' | ')}`)
+  }
+
+  const options = flagEntries(schema.flags || {})
+  const globals = flagEntries(globalFlags)
+  const width = Math.max(0, ...[...options, ...globals].map(([option]) => option.length)) + 2
+  const table = entries => entries.map(([option, text]) => `  ${option.padEnd(width)}${text}`)
+  if (options.length) lines.push('', 'Options:', ...table(options))
+
+  const rules = [
+    ...(schema.requireOne || []).map(group => `One of ${group.map(name => `--${name}`).join(', ')} is required`),
+    ...(schema.exclusive || []).map(group => `${group.map(name => `--${name}`).join(', ')} are mutually exclusive`),
+  ]
+  if (rules.length) lines.push('', ...rules)
+  if (globals.length) lines.push('', 'Global options:', ...table(globals))
+  for (const text of [].concat(schema.help || [])) lines.push('', text.trim())
+  return lines.join('\n')
+}
+
+module.exports = {
+  FLAG_TYPES,
+  UsageError,
+  validateSchema,
+  decodeText,
+  parseFlags,
+  describeSource,
+  formatHelp,
+}
@@ -0,0 +1,320 @@
+/**
+ * Append-only usage ledger for API Hub calls
+ *
+ * Every call made through SkillBossClient appends one JSON line to
+ * ~/.config/skillboss/usage.jsonl (override with config.json "ledger.path"
+ * or SKILLBOSS_LEDGER_PATH; disable with SKILLBOSS_LEDGER=0):
+ *
+ *   { "ts", "command", "method", "endpoint", "model", "category", "status",
+ *     "ok", "latency_ms", "request_id", "tokens_in", "tokens_out", "characters",
+ *     "seconds", "cost_usd", "estimated_cost_usd", "credits", "output",
+ *     "profile", "error_code" }
+ *
+ * Fields that do not apply to a call are omitted. `api-hub.js usage`
+ * summarizes the ledger by day, model or command.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+
+const DEFAULT_LEDGER_PATH = path.join(os.homedir(), '.config', 'skillboss', 'usage.jsonl')
+
+const GROUPS = ['day', 'model', 'command']
+
+// Summary columns, in report order
+const SUMMARY_FIELDS = [
+  'calls',
+  'errors',
+  'tokens_in',
+  'tokens_out',
+  'characters',
+  'seconds',
+  'cost_usd',
+  'credits',
+  'avg_latency_ms',
+]
+
+const ENTRY_FIELDS = [
+  'ts',
+  'command',
+  'method',
+  'endpoint',
+  'model',
+  'category',
+  'status',
+  'ok',
+  'latency_ms',
+  'request_id',
+  'tokens_in',
+  'tokens_out',
+  'characters',
+  'seconds',
+  'cost_usd',
+  'estimated_cost_usd',
+  'credits',
+  'output',
+  'profile',
+  'error_code',
+]
+
+function firstNumber(...values) {
+  for (const value of values) {
+    const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+    if (typeof n === 'number' && Number.isFinite(n)) return n
+  }
+  return undefined
+}
+
+/**
+ * Pull billable units and server-reported cost out of a request/response pair.
+ * Understands OpenAI- and Anthropic-style token usage, Reducto-style
+ * usage.credits and the cost fields API Hub attaches to results.
+ * @param {object} [request] - Request body ({ model, inputs })
+ * @param {object} [result] - Parsed response body
+ * @returns {object} Any of tokens_in, tokens_out, characters, seconds, cost_usd, credits
+ */
+function usageFromResponse(request, result) {
+  const inputs = request?.inputs || {}
+  const body = result && typeof result === 'object' ? result : {}
+  const usage = body.usage || body.result?.usage || {}
+
+  const units = {
+    tokens_in: firstNumber(usage.prompt_tokens, usage.input_tokens),
+    tokens_out: firstNumber(usage.completion_tokens, usage.output_tokens),
+    characters: typeof inputs.text === 'string' ? inputs.text.length : undefined,
+    seconds: firstNumber(body.duration, body.result?.duration, inputs.duration),
+    cost_usd: firstNumber(body._cost_usd, body.cost_usd, body._cost, body.cost, usage.cost_usd, usage.cost),
+    credits: firstNumber(body._credits, body.credits_used, usage.credits),
+  }
+  return Object.fromEntries(Object.entries(units).filter(([, value]) => value !== undefined))
+}
+
+/**
+ * Parse a --since / --until value: YYYY-MM-DD (local time), an ISO
+ * timestamp, or a relative "7d" / "12h"
+ * @param {string} value
+ * @param {boolean} [endOfDay] - For bare dates, use the end of that day
+ * @returns {Date}
+ */
+function parseDateFilter(value, endOfDay = false) {
+  const relative = /^(\d+)([dh])$/.exec(value)
+  if (relative) {
+    const ms = Number(relative[1]) * (relative[2] === 'd' ? 86400000 : 3600000)
+    return new Date(Date.now() - ms)
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`)
+  }
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}" (use YYYY-MM-DD, an ISO timestamp, or e.g. 7d)`)
+  }
+  return date
+}
+
+function localDay(ts) {
+  const d = new Date(ts)
+  const pad = n => String(n).padStart(2, '0')
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+}
+
+/**
+ * Create a ledger bound to a JSONL file
+ * @param {object} [options]
+ * @param {string} [options.path] - Ledger file (default: ~/.config/skillboss/usage.jsonl)
+ * @returns {object} Ledger API
+ */
+function createLedger(options = {}) {
+  const file = options.path
+    ? (options.path.startsWith('~') ? path.join(os.homedir(), options.path.slice(1)) : options.path)
+    : DEFAULT_LEDGER_PATH
+
+  /**
+   * Append one call to the ledger. Never throws: usage tracking must not
+   * break the call it describes.
+   * @param {object} entry
+   */
+  function append(entry) {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true })
+      // One write per line with O_APPEND keeps concurrent processes from interleaving
+      fs.appendFileSync(file, JSON.stringify({ ts: new Date().toISOString(), ...entry }) + '\n')
+    } catch {
+      // Never block the main flow for ledger write failures
+    }
+  }
+
+  /**
+   * Read ledger entries, skipping malformed lines
+   * @param {object} [filters]
+   * @param {Date} [filters.since] - Inclusive lower bound
+   * @param {Date} [filters.until] - Inclusive upper bound
+   * @returns {object[]}
+   */
+  function read(filters = {}) {
+    let text
+    try {
+      text = fs.readFileSync(file, 'utf8')
+    } catch (err) {
+      if (err.code === 'ENOENT') return []
+      throw err
+    }
+    const entries = []
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue
+      let entry
+      try {
+        entry = JSON.parse(line)
+      } catch {
+        continue
+      }
+      const time = new Date(entry.ts).getTime()
+      if (filters.since && time < filters.since.getTime()) continue
+      if (filters.until && time > filters.until.getTime()) continue
+      entries.push(entry)
+    }
+    return entries
+  }
+
+  /**
+   * Read the entries appended since an earlier call, so a long-running reader
+   * (the budget check) does not parse the whole file every time
+   * @param {number} [offset] - Byte offset returned by the previous call (0 = from the start)
+   * @returns {{ entries: object[], offset: number, reset: boolean }} A line still being written is
+   *   left for next time; `reset` means the file shrank and was read from the start
+   */
+  function readFrom(offset = 0) {
+    let fd
+    try {
+      fd = fs.openSync(file, 'r')
+    } catch (err) {
+      if (err.code === 'ENOENT') return { entries: [], offset: 0, reset: offset !== 0 }
+      throw err
+    }
+    try {
+      const size = fs.fstatSync(fd).size
+      // A smaller file was truncated or replaced: start over
+      const start = size < offset ? 0 : offset
+      const buffer = Buffer.alloc(size - start)
+      fs.readSync(fd, buffer, 0, buffer.length, start)
+      const end = buffer.lastIndexOf(0x0a) + 1
+      const entries = []
+      for (const line of buffer.subarray(0, end).toString('utf8').split('\n')) {
+        if (!line.trim()) continue
+        try {
+          entries.push(JSON.parse(line))
+        } catch {
+          // Malformed line; skipped like read() does
+        }
+      }
+      return { entries, offset: start + end, reset: start !== offset }
+    } finally {
+      fs.closeSync(fd)
+    }
+  }
+
+  return { path: file, append, read, readFrom }
+}
+
+/**
+ * Total the usage of a set of entries
+ * @param {object[]} entries - Ledger entries
+ * @returns {object} { calls, errors, tokens_in, tokens_out, characters, seconds, cost_usd, credits, avg_latency_ms }
+ */
+function totals(entries) {
+  const row = Object.fromEntries(SUMMARY_FIELDS.map(field => [field, 0]))
+  let latency = 0
+  for (const entry of entries) {
+    row.calls++
+    if (!entry.ok) row.errors++
+    for (const field of ['tokens_in', 'tokens_out', 'characters', 'seconds', 'cost_usd', 'credits']) {
+      row[field] += entry[field] || 0
+    }
+    latency += entry.latency_ms || 0
+  }
+  // Float sums drift (0.1 + 0.2); costs are reported to the micro-dollar
+  row.cost_usd = Math.round(row.cost_usd * 1e6) / 1e6
+  row.avg_latency_ms = row.calls ? Math.round(latency / row.calls) : 0
+  return row
+}
+
+/**
+ * Group entries and total their usage
+ * @param {object[]} entries - Ledger entries
+ * @param {'day'|'model'|'command'} by
+ * @returns {object[]} One row per group: { [by], calls, errors, tokens_in, ... }, sorted by key
+ */
+function summarize(entries, by) {
+  if (!GROUPS.includes(by)) {
+    throw new Error(`Cannot group usage by "${by}" (use ${GROUPS.join(', ')})`)
+  }
+  const groups = new Map()
+  for (const entry of entries) {
+    const key = by === 'day' ? localDay(entry.ts) : entry[by] || '(none)'
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(entry)
+  }
+  return [...groups.keys()]
+    .sort()
+    .map(key => ({ [by]: key, ...totals(groups.get(key)) }))
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return ''
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Render rows as CSV
+ * @param {object[]} rows
+ * @param {string[]} columns
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')]
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column])).join(','))
+  }
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Render rows as an aligned plain-text table
+ * @param {object[]} rows
+ * @param {string[]} columns
+ * @returns {string}
+ */
+function toTable(rows, columns) {
+  const cells = [columns, ...rows.map(row => columns.map(column => (row[column] ?? '') + ''))]
+  const widths = columns.map((_, i) => Math.max(...cells.map(line => line[i].length)))
+  return cells.map(line => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()).join('\n') + '\n'
+}
+
+/**
+ * Build the ledger from config.json "ledger" and SKILLBOSS_LEDGER* env vars
+ * @param {object} [config] - Parsed config.json
+ * @param {object} [env] - Environment (defaults to process.env)
+ * @returns {object|null} Ledger, or null when disabled
+ */
+function ledgerFromConfig(config = {}, env = process.env) {
+  const ledgerConfig = config.ledger || {}
+  if (env.SKILLBOSS_LEDGER === '0' || ledgerConfig.enabled === false) return null
+  return createLedger({ path: env.SKILLBOSS_LEDGER_PATH || ledgerConfig.path })
+}
+
+module.exports = {
+  DEFAULT_LEDGER_PATH,
+  GROUPS,
+  SUMMARY_FIELDS,
+  ENTRY_FIELDS,
+  createLedger,
+  ledgerFromConfig,
+  usageFromResponse,
+  parseDateFilter,
+  totals,
+  summarize,
+  toCsv,
+  toTable,
+}
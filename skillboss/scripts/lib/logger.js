@@ -0,0 +1,138 @@
+/**
+ * Diagnostics logger. Everything goes to stderr, so piped stdout only ever
+ * carries command output.
+ *
+ *   Levels    error < warn < info < debug (default: info)
+ *   Formats   text (default), or json: one object per line { ts, level, msg, ...fields }
+ *
+ * --verbose / --quiet / --log-format json on the command line, or
+ * SKILLBOSS_LOG_LEVEL / SKILLBOSS_LOG_FORMAT (DEBUG=1 means debug).
+ * Fields are redacted before they are written: Authorization and API key
+ * headers are masked and base64 payloads are truncated.
+ */
+
+const LEVELS = ['silent', 'error', 'warn', 'info', 'debug']
+const FORMATS = ['text', 'json']
+
+const SECRET_KEYS = /^(authorization|proxy-authorization|x-api-key|api[-_]?key|apikey|cookie|set-cookie)$/i
+// Base64 runs at least this long are truncated in logs
+const BASE64_MIN = 256
+const BASE64_KEEP = 32
+
+function maskSecret(value) {
+  const text = String(value)
+  const [scheme, token] = /\s/.test(text) ? text.split(/\s+/, 2) : ['', text]
+  const masked = token.length > 12 ? `***${token.slice(-4)}` : '***'
+  return scheme ? `${scheme} ${masked}` : masked
+}
+
+function truncateBase64(text) {
+  const dataUrl = /^(data:[^;,]*;base64,)(.*)$/s.exec(text)
+  const [prefix, payload] = dataUrl ? [dataUrl[1], dataUrl[2]] : ['', text]
+  // Only long strings that are base64 through and through; prose never is
+  if (payload.length < BASE64_MIN || !/^[A-Za-z0-9+/=_-]+$/.test(payload)) return text
+  return `${prefix}${payload.slice(0, BASE64_KEEP)}...[${payload.length} chars]`
+}
+
+/**
+ * Copy a value with secrets masked and base64 payloads truncated
+ * @param {*} value - Headers, request bodies, responses...
+ * @param {number} [depth]
+ * @returns {*}
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return truncateBase64(value)
+  if (!value || typeof value !== 'object') return value
+  if (depth > 8) return '[...]'
+  if (typeof Headers !== 'undefined' && value instanceof Headers) value = Object.fromEntries(value)
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1))
+  const copy = {}
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SECRET_KEYS.test(key) && item != null ? maskSecret(item) : redact(item, depth + 1)
+  }
+  return copy
+}
+
+function formatField(value) {
+  if (typeof value === 'string') return /\s|"/.test(value) ? JSON.stringify(value) : value
+  return JSON.stringify(value)
+}
+
+/**
+ * Resolve level and format from CLI flags and the environment
+ * @param {object} [flags] - { verbose, quiet, 'log-format' }
+ * @param {object} [env] - Environment (defaults to process.env)
+ * @returns {{ level: string, format: string }}
+ * @throws {Error} On an unknown level or format
+ */
+function logSettings(flags = {}, env = process.env) {
+  let level = env.SKILLBOSS_LOG_LEVEL || (env.DEBUG && env.DEBUG !== '0' ? 'debug' : 'info')
+  if (flags.quiet) level = 'error'
+  if (flags.verbose) level = 'debug'
+  const format = (typeof flags['log-format'] === 'string' && flags['log-format']) || env.SKILLBOSS_LOG_FORMAT || 'text'
+  if (!LEVELS.includes(level)) throw new Error(`Unknown log level "${level}" (use ${LEVELS.join(', ')})`)
+  if (!FORMATS.includes(format)) throw new Error(`Unknown log format "${format}" (use ${FORMATS.join(', ')})`)
+  return { level, format }
+}
+
+/**
+ * Create a logger. Compatible with the { log, warn } loggers SkillBossClient
+ * and fetchWithRetry accept; log() is an alias for info().
+ * @param {object} [options]
+ * @param {string} [options.level] - silent | error | warn | info | debug (default: info)
+ * @param {string} [options.format] - text | json (default: text)
+ * @param {object} [options.stream] - Where lines are written (default: process.stderr)
+ * @param {string[]} [options.collect] - Push error, warn and info messages here instead of
+ *   writing them (api-hub.js --json puts them in its envelope); debug lines are still written
+ * @returns {object} Logger with error, warn, info, log, debug and enabled(level)
+ */
+function createLogger(options = {}) {
+  const level = options.level || 'info'
+  const format = options.format || 'text'
+  const stream = options.stream || process.stderr
+  const { collect } = options
+  const threshold = LEVELS.indexOf(level)
+
+  const enabled = name => LEVELS.indexOf(name) <= threshold
+
+  function write(name, message, fields) {
+    if (!enabled(name)) return
+    if (collect && name !== 'debug') {
+      const msg = String(message).trim().replace(/^\[skillboss\]\s*/, '')
+      if (msg) collect.push(msg)
+      return
+    }
+    const safe = fields ? redact(fields) : {}
+    let line
+    if (format === 'json') {
+      // Text-mode decoration (leading blank lines, "[skillboss]") means nothing in JSON
+      const msg = String(message).trim().replace(/^\[skillboss\]\s*/, '')
+      line = JSON.stringify({ ts: new Date().toISOString(), level: name, msg, ...safe })
+    } else {
+      const extra = Object.entries(safe)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${formatField(value)}`)
+      line = extra.length ? `${message} ${extra.join(' ')}` : String(message)
+    }
+    stream.write(line + '\n')
+  }
+
+  return {
+    level,
+    format,
+    enabled,
+    error: (message, fields) => write('error', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    log: (message, fields) => write('info', message, fields),
+    debug: (message, fields) => write('debug', message, fields),
+  }
+}
+
+module.exports = {
+  LEVELS,
+  FORMATS,
+  createLogger,
+  logSettings,
+  redact,
+}
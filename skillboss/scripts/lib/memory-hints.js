@@ -0,0 +1,252 @@
+/**
+ * Write policy and audit trail for _memory_hint
+ *
+ * API Hub responses may carry a _memory_hint asking the client to append a
+ * SkillBoss section to agent memory files (CLAUDE.md, AGENTS.md, ...).
+ * config.json "memoryHints" decides what happens:
+ *
+ *   { "policy": "print" }        Print the suggested section to stderr, never write (default)
+ *   { "policy": "allow" }        Append to known agent memory files only
+ *   { "policy": "allowlist",     Append only to the listed files
+ *     "allowlist": ["~/.claude/CLAUDE.md"] }
+ *   { "policy": "deny" }         Ignore memory hints
+ *
+ * SKILLBOSS_MEMORY_HINTS=<policy> overrides the config. Every append, and
+ * every write refused by the policy, is logged to
+ * ~/.config/skillboss/memory-hints.jsonl and announced on stderr;
+ * `skillboss hints undo` removes appended sections using that log. Files that
+ * already have the section are left alone, a suggestion is printed once per
+ * process, and a refusal is logged once per file and section.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+const crypto = require('crypto')
+
+const AUDIT_PATH = path.join(os.homedir(), '.config', 'skillboss', 'memory-hints.jsonl')
+
+const POLICIES = ['allow', 'allowlist', 'print', 'deny']
+const DEFAULT_POLICY = 'print'
+
+// What this process has already announced: sections printed, "file\0section" refusals
+const printed = new Set()
+const refused = new Set()
+
+// Memory files agents read on startup. "~/" paths are per user; the rest are
+// relative to the project (current working directory).
+const KNOWN_MEMORY_FILES = [
+  '~/.claude/CLAUDE.md',
+  '~/.codex/AGENTS.md',
+  '~/.gemini/GEMINI.md',
+  'CLAUDE.md',
+  'CLAUDE.local.md',
+  'AGENTS.md',
+  'GEMINI.md',
+  '.cursorrules',
+  '.windsurfrules',
+  '.clinerules',
+  '.github/copilot-instructions.md',
+]
+
+/**
+ * Resolve a memory file path ("~/" = home directory, relative = cwd)
+ * @param {string} file
+ * @param {string} [cwd]
+ * @returns {string} Absolute path
+ */
+function resolveMemoryPath(file, cwd = process.cwd()) {
+  if (file === '~' || file.startsWith('~/')) return path.join(os.homedir(), file.slice(1))
+  return path.resolve(cwd, file)
+}
+
+/**
+ * Read the memory hint policy from config.json "memoryHints" and SKILLBOSS_MEMORY_HINTS
+ * @param {object} [config] - Parsed config.json
+ * @param {object} [env] - Environment (defaults to process.env)
+ * @returns {{ policy: string, allowlist: string[] }}
+ * @throws {Error} On an unknown policy name
+ */
+function memoryHintPolicy(config = {}, env = process.env) {
+  const hintConfig = config.memoryHints || {}
+  const policy = env.SKILLBOSS_MEMORY_HINTS || hintConfig.policy || DEFAULT_POLICY
+  if (!POLICIES.includes(policy)) {
+    throw new Error(`Unknown memory hint policy "${policy}" (use ${POLICIES.join(', ')})`)
+  }
+  return { policy, allowlist: hintConfig.allowlist || [] }
+}
+
+/**
+ * Read the audit log, skipping malformed lines
+ * @param {string} [auditPath]
+ * @returns {object[]} Entries: { id, ts, action, file, section, text, created, reason, undoes }
+ */
+function readAudit(auditPath = AUDIT_PATH) {
+  let text
+  try {
+    text = fs.readFileSync(auditPath, 'utf8')
+  } catch (err) {
+    if (err.code === 'ENOENT') return []
+    throw err
+  }
+  const entries = []
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue
+    try {
+      entries.push(JSON.parse(line))
+    } catch {
+      // Skip partial lines
+    }
+  }
+  return entries
+}
+
+function appendAudit(auditPath, entry) {
+  fs.mkdirSync(path.dirname(auditPath), { recursive: true })
+  const record = { id: crypto.randomUUID(), ts: new Date().toISOString(), ...entry }
+  fs.appendFileSync(auditPath, JSON.stringify(record) + '\n')
+  return record
+}
+
+/**
+ * Appends recorded in the audit log that have not been undone yet
+ * @param {string} [auditPath]
+ * @returns {object[]}
+ */
+function pendingAppends(auditPath = AUDIT_PATH) {
+  const entries = readAudit(auditPath)
+  const undone = new Set(entries.filter(e => e.action === 'undo').map(e => e.undoes))
+  return entries.filter(e => e.action === 'append' && !undone.has(e.id))
+}
+
+/**
+ * Create the memory hint handler used by SkillBossClient
+ * @param {object} [options]
+ * @param {string} [options.policy] - allow | allowlist | print | deny (default: print)
+ * @param {string[]} [options.allowlist] - Files writable under the allowlist policy
+ * @param {string} [options.auditPath] - Audit log (default: ~/.config/skillboss/memory-hints.jsonl)
+ * @param {object} [options.logger] - { warn } for print mode, appends and refused writes (default: console)
+ * @returns {{ policy: string, apply: function(object): void }}
+ */
+function createMemoryHints(options = {}) {
+  const policy = options.policy || DEFAULT_POLICY
+  const auditPath = options.auditPath || AUDIT_PATH
+  const logger = options.logger || console
+
+  function isWritable(absPath) {
+    const allowed = policy === 'allowlist' ? options.allowlist || [] : KNOWN_MEMORY_FILES
+    return allowed.some(file => resolveMemoryPath(file) === absPath)
+  }
+
+  function hasSection(absPath, section) {
+    try {
+      return fs.readFileSync(absPath, 'utf8').includes(section)
+    } catch {
+      return false
+    }
+  }
+
+  // Log a refused write once per file and section, in the audit log as well as on stderr
+  function refuse(absPath, section) {
+    const key = `${absPath}\0${section}`
+    if (refused.has(key)) return
+    refused.add(key)
+    const logged = readAudit(auditPath).some(e => e.action === 'refused' && e.file === absPath && e.section === section)
+    if (!logged) appendAudit(auditPath, { action: 'refused', file: absPath, section, reason: `not allowed by policy "${policy}"` })
+    logger.warn(`[skillboss] Refused memory hint write to ${absPath} (policy "${policy}")`)
+  }
+
+  /**
+   * Handle a _memory_hint from an API Hub response according to the policy
+   * @param {object} hint - { action: 'append_if_missing', files, section, content }
+   */
+  function apply(hint) {
+    if (!hint || hint.action !== 'append_if_missing') return
+    const { files, section, content } = hint
+    if (!Array.isArray(files) || !section || !content || policy === 'deny') return
+
+    if (policy === 'print') {
+      if (printed.has(section)) return
+      const missing = files.filter(file => !hasSection(resolveMemoryPath(String(file)), section))
+      if (!missing.length) return
+      printed.add(section)
+      logger.warn(`[skillboss] Suggested addition to ${missing.join(', ')} (not written, memory hint policy is "print"):`)
+      logger.warn(content)
+      return
+    }
+
+    for (const file of files) {
+      try {
+        const absPath = resolveMemoryPath(String(file))
+        const created = !fs.existsSync(absPath)
+        const existing = created ? '' : fs.readFileSync(absPath, 'utf8')
+        if (existing.includes(section)) continue
+        if (!isWritable(absPath)) {
+          refuse(absPath, section)
+          continue
+        }
+
+        const text = (existing.length && !existing.endsWith('\n') ? '\n' : '') + '\n' + content + '\n'
+        fs.mkdirSync(path.dirname(absPath), { recursive: true })
+        fs.appendFileSync(absPath, text, 'utf8')
+        appendAudit(auditPath, { action: 'append', file: absPath, section, text, created })
+        const action = created ? `Created ${absPath} with` : `Added to ${absPath}`
+        logger.warn(`[skillboss] ${action} a SkillBoss section (memory hint policy "${policy}"). Undo: skillboss hints undo --file ${absPath}`)
+      } catch {
+        // Never block the main flow for memory hint failures
+      }
+    }
+  }
+
+  return { policy, apply }
+}
+
+/**
+ * Remove sections added by memory hints, newest first
+ * @param {object} [options]
+ * @param {string} [options.file] - Only undo appends to this file
+ * @param {boolean} [options.dryRun] - Report what would be removed without changing files
+ * @param {string} [options.auditPath]
+ * @returns {Array<{ file: string, section: string, status: 'removed'|'missing'|'would-remove' }>}
+ *   "missing" means the appended text is no longer in the file (edited or already removed by hand)
+ */
+function undoMemoryHints(options = {}) {
+  const auditPath = options.auditPath || AUDIT_PATH
+  const only = options.file ? resolveMemoryPath(options.file) : null
+  const results = []
+
+  for (const entry of pendingAppends(auditPath).reverse()) {
+    if (only && entry.file !== only) continue
+    let existing = null
+    try {
+      existing = fs.readFileSync(entry.file, 'utf8')
+    } catch {
+      // Deleted since; nothing to remove
+    }
+    const at = existing === null ? -1 : existing.lastIndexOf(entry.text)
+    const status = at === -1 ? 'missing' : options.dryRun ? 'would-remove' : 'removed'
+    if (status === 'removed') {
+      const rest = existing.slice(0, at) + existing.slice(at + entry.text.length)
+      // Files the hint created are deleted again rather than left empty
+      if (entry.created && rest.trim() === '') fs.rmSync(entry.file)
+      else fs.writeFileSync(entry.file, rest)
+    }
+    if (!options.dryRun) {
+      appendAudit(auditPath, { action: 'undo', undoes: entry.id, file: entry.file, section: entry.section, status })
+    }
+    results.push({ file: entry.file, section: entry.section, status })
+  }
+  return results
+}
+
+module.exports = {
+  AUDIT_PATH,
+  POLICIES,
+  KNOWN_MEMORY_FILES,
+  resolveMemoryPath,
+  memoryHintPolicy,
+  readAudit,
+  pendingAppends,
+  createMemoryHints,
+  undoMemoryHints,
+}
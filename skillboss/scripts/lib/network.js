@@ -0,0 +1,295 @@
+/**
+ * Proxy and custom CA support for outbound requests
+ *
+ * Node's built-in fetch ignores proxy env vars, so when one applies, or when
+ * extra CA certificates are configured, requests go through a small
+ * http/https transport instead. Everything else uses the built-in fetch.
+ *
+ *   HTTPS_PROXY / https_proxy   Proxy for https:// URLs (http:// or https:// proxy, optional user:pass@)
+ *   HTTP_PROXY / http_proxy     Proxy for http:// URLs
+ *   NO_PROXY / no_proxy         Comma-separated hosts that bypass the proxy
+ *                               ("example.com" also matches subdomains, "*" disables the proxy)
+ *   SKILLBOSS_CA_CERTS          PEM bundle trusted in addition to the default roots,
+ *                               like NODE_EXTRA_CA_CERTS (which Node also honors)
+ *
+ * On a redirect to another origin, credential headers (Authorization,
+ * X-API-Key, Cookie, Proxy-Authorization) are dropped on both paths.
+ */
+
+const fs = require('fs')
+const http = require('http')
+const https = require('https')
+const tls = require('tls')
+const zlib = require('zlib')
+const { Readable } = require('stream')
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308]
+const MAX_REDIRECTS = 20
+// Never forwarded to another origin. The built-in fetch drops all but X-API-Key on its own.
+const CREDENTIAL_HEADERS = ['authorization', 'x-api-key', 'cookie', 'proxy-authorization']
+
+/**
+ * Read proxy and CA settings from the environment
+ * @param {object} [env] - Environment (defaults to process.env)
+ * @returns {{ httpsProxy: string|undefined, httpProxy: string|undefined, noProxy: string[], caFile: string|undefined }}
+ */
+function networkSettingsFromEnv(env = process.env) {
+  const noProxy = env.NO_PROXY ?? env.no_proxy ?? ''
+  return {
+    httpsProxy: env.HTTPS_PROXY || env.https_proxy || undefined,
+    httpProxy: env.HTTP_PROXY || env.http_proxy || undefined,
+    noProxy: noProxy.split(/[\s,]+/).filter(Boolean),
+    caFile: env.SKILLBOSS_CA_CERTS || undefined,
+  }
+}
+
+function defaultPort(protocol) {
+  return protocol === 'https:' ? '443' : '80'
+}
+
+/**
+ * Whether NO_PROXY exempts a URL
+ * @param {URL} target
+ * @param {string[]} noProxy - Entries like "*", "example.com", ".example.com", "host:8080"
+ * @returns {boolean}
+ */
+function bypassesProxy(target, noProxy) {
+  const host = target.hostname.replace(/^\[|\]$/g, '').toLowerCase()
+  const port = target.port || defaultPort(target.protocol)
+  return noProxy.some(entry => {
+    if (entry === '*') return true
+    const match = /^(.*?)(?::(\d+))?$/.exec(entry.toLowerCase())
+    const entryHost = match[1].replace(/^\*?\./, '').replace(/^\[|\]$/g, '')
+    if (match[2] && match[2] !== port) return false
+    return host === entryHost || host.endsWith(`.${entryHost}`)
+  })
+}
+
+/**
+ * The proxy URL to use for a request, if any
+ * @param {string|URL} url
+ * @param {object} [settings] - From networkSettingsFromEnv()
+ * @returns {URL|null}
+ */
+function proxyForUrl(url, settings = networkSettingsFromEnv()) {
+  const target = new URL(url)
+  // Like curl, https:// URLs only use HTTPS_PROXY
+  const proxy = target.protocol === 'https:' ? settings.httpsProxy : settings.httpProxy
+  if (!proxy || bypassesProxy(target, settings.noProxy)) return null
+  // "proxy.corp:3128" without a scheme is common in the wild
+  return new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(proxy) ? proxy : `http://${proxy}`)
+}
+
+const caCache = new Map()
+
+function loadCa(caFile) {
+  if (!caFile) return undefined
+  if (!caCache.has(caFile)) {
+    // Extra certificates extend, rather than replace, the default roots
+    caCache.set(caFile, [...tls.rootCertificates, fs.readFileSync(caFile, 'utf8')])
+  }
+  return caCache.get(caFile)
+}
+
+function proxyAuthorization(proxy) {
+  if (!proxy.username) return undefined
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`
+  return `Basic ${Buffer.from(credentials).toString('base64')}`
+}
+
+// Open a tunnel to target through proxy with CONNECT and resolve the raw socket
+function connectTunnel(proxy, target, ca, signal) {
+  return new Promise((resolve, reject) => {
+    const hostPort = `${target.hostname}:${target.port || defaultPort(target.protocol)}`
+    const request = (proxy.protocol === 'https:' ? https : http).request({
+      host: proxy.hostname,
+      port: proxy.port || defaultPort(proxy.protocol),
+      method: 'CONNECT',
+      path: hostPort,
+      headers: { Host: hostPort, ...(proxyAuthorization(proxy) && { 'Proxy-Authorization': proxyAuthorization(proxy) }) },
+      ca,
+      signal,
+    })
+    request.once('connect', (response, socket) => {
+      if (response.statusCode === 200) return resolve(socket)
+      socket.destroy()
+      reject(Object.assign(new Error(`Proxy CONNECT to ${hostPort} failed: ${response.statusCode}`), { code: 'EPROXY' }))
+    })
+    request.once('error', reject)
+    request.end()
+  })
+}
+
+// Send one request (no redirects) and resolve the IncomingMessage
+async function sendOnce(target, { method, headers, body, signal }, proxy, ca) {
+  const options = { method, headers: { ...headers }, signal }
+  if (body) options.headers['content-length'] = String(body.length)
+
+  if (proxy && target.protocol === 'https:') {
+    const socket = await connectTunnel(proxy, target, ca, signal)
+    Object.assign(options, {
+      host: target.hostname,
+      port: target.port || 443,
+      path: target.pathname + target.search,
+      // No agent: a pooled connection must never be reused outside this tunnel
+      createConnection: () => tls.connect({ socket, servername: target.hostname, ca }),
+    })
+  } else if (proxy) {
+    // Plain http through a proxy: send the absolute URL to the proxy
+    Object.assign(options, {
+      host: proxy.hostname,
+      port: proxy.port || defaultPort(proxy.protocol),
+      path: target.href,
+      ca,
+    })
+    options.headers.host = target.host
+    if (proxyAuthorization(proxy)) options.headers['proxy-authorization'] = proxyAuthorization(proxy)
+  } else {
+    Object.assign(options, {
+      host: target.hostname,
+      port: target.port || defaultPort(target.protocol),
+      path: target.pathname + target.search,
+      ca,
+    })
+  }
+
+  // Plain http through a proxy speaks the proxy's protocol; everything else the target's
+  const secure = proxy && target.protocol !== 'https:' ? proxy.protocol === 'https:' : target.protocol === 'https:'
+  const transport = secure ? https : http
+  return new Promise((resolve, reject) => {
+    const request = transport.request(options, resolve)
+    request.once('error', reject)
+    request.end(body || undefined)
+  })
+}
+
+function toResponse(message) {
+  const headers = new Headers()
+  for (let i = 0; i < message.rawHeaders.length; i += 2) {
+    headers.append(message.rawHeaders[i], message.rawHeaders[i + 1])
+  }
+
+  let stream = message
+  const encoding = (headers.get('content-encoding') || '').toLowerCase()
+  const decoders = { gzip: zlib.createGunzip, 'x-gzip': zlib.createGunzip, deflate: zlib.createInflate, br: zlib.createBrotliDecompress }
+  if (decoders[encoding]) {
+    stream = message.pipe(decoders[encoding]())
+    message.once('error', err => stream.destroy(err))
+    headers.delete('content-encoding')
+    headers.delete('content-length')
+  }
+
+  const nullBody = [101, 204, 205, 304].includes(message.statusCode)
+  if (nullBody) message.resume()
+  return new Response(nullBody ? null : Readable.toWeb(stream), {
+    status: message.statusCode,
+    statusText: message.statusMessage,
+    headers,
+  })
+}
+
+/**
+ * The request to send after a redirect: 303, and 301/302 after POST, turn
+ * into a GET without a body, and credentials never go to another origin
+ * @param {number} status - Redirect status
+ * @param {{ method: string, body: any, headers: object }} request - Lower-cased header names
+ * @param {URL} from - URL that answered with the redirect
+ * @param {URL} to - Redirect target
+ * @returns {{ method: string, body: any, headers: object }}
+ */
+function redirectedRequest(status, { method, body, headers }, from, to) {
+  const next = { method, body, headers: { ...headers } }
+  if (status === 303 || ([301, 302].includes(status) && method === 'POST')) {
+    next.method = 'GET'
+    next.body = null
+    delete next.headers['content-type']
+  }
+  if (to.origin !== from.origin) {
+    for (const name of CREDENTIAL_HEADERS) delete next.headers[name]
+  }
+  return next
+}
+
+/**
+ * fetch() over http/https with proxy and CA support. Follows redirects and
+ * decodes gzip/deflate/br bodies like the built-in fetch.
+ */
+async function transportFetch(url, init, settings) {
+  const request = new Request(url, init)
+  const signal = request.signal
+  let method = request.method
+  let body = request.body ? Buffer.from(await request.arrayBuffer()) : null
+  let headers = { accept: '*/*', 'accept-encoding': 'gzip, deflate, br', ...Object.fromEntries(request.headers) }
+  const ca = loadCa(settings.caFile)
+  let target = new URL(request.url)
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      const message = await sendOnce(target, { method, headers, body, signal }, proxyForUrl(target, settings), ca)
+      const location = message.headers.location
+      if (!REDIRECT_STATUSES.includes(message.statusCode) || !location || init?.redirect === 'manual') {
+        return toResponse(message)
+      }
+      message.resume()
+      if (init?.redirect === 'error') throw new Error(`Redirect to ${location} not allowed`)
+      if (redirects >= MAX_REDIRECTS) throw new Error('Too many redirects')
+
+      const next = new URL(location, target)
+      const redirected = redirectedRequest(message.statusCode, { method, body, headers }, target, next)
+      method = redirected.method
+      body = redirected.body
+      headers = redirected.headers
+      target = next
+    }
+  } catch (err) {
+    if (signal.aborted) throw signal.reason
+    // Match the built-in fetch, which rejects network failures with a TypeError
+    throw new TypeError('fetch failed', { cause: err })
+  }
+}
+
+/**
+ * The built-in fetch, following redirects here when the request carries
+ * credentials the built-in fetch would forward to another origin
+ */
+async function baseFetchWithRedirects(baseFetch, url, init = {}) {
+  const headers = Object.fromEntries(new Headers(init.headers))
+  if (!CREDENTIAL_HEADERS.some(name => name in headers) || (init.redirect && init.redirect !== 'follow')) {
+    return baseFetch(url, init)
+  }
+  let request = { method: (init.method || 'GET').toUpperCase(), body: init.body ?? null, headers }
+  let target = new URL(url)
+  for (let redirects = 0; ; redirects++) {
+    const response = await baseFetch(target.href, { ...init, ...request, redirect: 'manual' })
+    const location = response.headers.get('location')
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) return response
+    await response.body?.cancel()
+    if (redirects >= MAX_REDIRECTS) throw new TypeError('fetch failed', { cause: new Error('Too many redirects') })
+    const next = new URL(location, target)
+    request = redirectedRequest(response.status, request, target, next)
+    target = next
+  }
+}
+
+/**
+ * Create a fetch that honors proxy and CA settings
+ * @param {object} [settings] - From networkSettingsFromEnv() (default: read the environment on each call)
+ * @param {function} [baseFetch] - Used when no proxy or extra CA applies (default: global fetch)
+ * @returns {function(string, object=): Promise<Response>}
+ */
+function createFetch(settings, baseFetch) {
+  return (url, init) => {
+    const current = settings || networkSettingsFromEnv()
+    // Looked up per call so a replaced globalThis.fetch is still used
+    if (!current.caFile && !proxyForUrl(url, current)) return baseFetchWithRedirects(baseFetch || globalThis.fetch, url, init)
+    return transportFetch(url, init, current)
+  }
+}
+
+module.exports = {
+  fetch: createFetch(),
+  createFetch,
+  networkSettingsFromEnv,
+  proxyForUrl,
+  bypassesProxy,
+}
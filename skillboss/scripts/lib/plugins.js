@@ -0,0 +1,273 @@
+/**
+ * Custom api-hub.js commands ("plugins")
+ *
+ * Every .js file, or directory with an index.js, in these directories is a
+ * command named after the file:
+ *
+ *   ~/.config/skillboss/plugins    Your own commands
+ *   .skillboss/commands            The project's, found from the current directory upward
+ *
+ * Project commands are only used from trusted projects: ones listed in
+ * config.json "plugins": { "trustedDirs": [...] }, or any project when
+ * SKILLBOSS_PLUGINS=project. A project command replaces a user command of the
+ * same name. Built-in commands can't be replaced. SKILLBOSS_PLUGINS=0 skips
+ * plugins altogether.
+ *
+ * Plugins are found without running them. A plugin's code is only loaded
+ * when its command runs; --help and shell completion use the description and
+ * flags saved in ~/.config/skillboss/plugins.json the last time it loaded.
+ *
+ * A plugin exports:
+ *
+ *   module.exports = {
+ *     name: 'brief',                                Optional; must match the file name
+ *     description: 'Write a house-style brief',     One line, shown in --help
+ *     flags: {
+ *       topic: { type: 'string', required: true, description: 'What the brief is about' },
+ *       words: { type: 'integer', default: 300, description: 'Target length' },
+ *     },                                            Same schema as built-in commands (lib/flags.js)
+ *     help: 'Longer text shown by `api-hub.js brief --help`',
+ *     async run(flags, client, api) { ... },
+ *   }
+ *
+ * run() gets the parsed flags, the shared SkillBossClient and the api-hub.js
+ * exports (chat, image, run, ...). A string it returns is printed as is,
+ * any other value as JSON.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+const { validateSchema } = require('./flags')
+
+const USER_PLUGIN_DIR = path.join(os.homedir(), '.config', 'skillboss', 'plugins')
+const PROJECT_PLUGIN_DIR = path.join('.skillboss', 'commands')
+const CACHE_PATH = path.join(os.homedir(), '.config', 'skillboss', 'plugins.json')
+
+// Schema fields kept in the cache for --help and completion
+const DESCRIBED_FIELDS = ['description', 'category', 'flags', 'positionals', 'requireOne', 'exclusive', 'help']
+
+// Plugins loaded in this process, by source path
+const loaded = new Map()
+
+/**
+ * The nearest .skillboss/commands directory at or above cwd
+ * @param {string} [cwd]
+ * @returns {string|null}
+ */
+function findProjectPluginDir(cwd = process.cwd()) {
+  for (let dir = path.resolve(cwd); ; dir = path.dirname(dir)) {
+    const candidate = path.join(dir, PROJECT_PLUGIN_DIR)
+    if (fs.existsSync(candidate)) return candidate
+    if (path.dirname(dir) === dir) return null
+  }
+}
+
+/**
+ * Whether the project owning a .skillboss/commands directory may run its commands
+ * @param {string} dir - The project's .skillboss/commands
+ * @param {object} [config] - Parsed config.json
+ * @param {object} [env] - Environment (defaults to process.env)
+ * @returns {boolean}
+ */
+function isTrustedProject(dir, config = {}, env = process.env) {
+  if (env.SKILLBOSS_PLUGINS === 'project') return true
+  const root = path.dirname(path.dirname(dir))
+  return (config.plugins?.trustedDirs || []).some(entry => {
+    const trusted = path.resolve(entry === '~' || entry.startsWith('~/') ? path.join(os.homedir(), entry.slice(1)) : entry)
+    return trusted === root || trusted === dir
+  })
+}
+
+/**
+ * The command a plugin file defines: its name without .js, or the directory name
+ * @param {string} file
+ * @returns {string}
+ */
+function commandName(file) {
+  return path.basename(file).replace(/\.c?js$/, '')
+}
+
+/**
+ * Check a plugin's exports
+ * @param {object} plugin
+ * @param {string} name - Command name from the file name
+ * @throws {Error} Describing the first problem found
+ */
+function validatePlugin(plugin, name) {
+  if (!plugin || typeof plugin !== 'object') throw new Error('does not export an object')
+  if (plugin.name !== undefined && plugin.name !== name) {
+    throw new Error(`exports name "${plugin.name}", but the file makes it the "${name}" command`)
+  }
+  if (typeof plugin.run !== 'function') throw new Error('needs a "run" function')
+  validateSchema(plugin)
+}
+
+function pluginFiles(dir) {
+  let entries
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true })
+  } catch {
+    return []
+  }
+  return entries
+    .filter(entry => !entry.name.startsWith('.'))
+    .map(entry => {
+      const file = path.join(dir, entry.name)
+      if (entry.isDirectory()) return fs.existsSync(path.join(file, 'index.js')) ? file : null
+      return /\.c?js$/.test(entry.name) ? file : null
+    })
+    .filter(Boolean)
+    .sort()
+}
+
+/**
+ * Find plugin commands in the user and project directories without loading them
+ * @param {object} [options]
+ * @param {string[]} [options.builtins] - Built-in command names, which plugins can't take over
+ * @param {string[]} [options.dirs] - Directories to search, lowest precedence first
+ *   (default: ~/.config/skillboss/plugins, then the project's .skillboss/commands if trusted)
+ * @param {object} [options.config] - Parsed config.json, for "plugins": { "trustedDirs" }
+ * @param {object} [options.logger] - { warn } for skipped plugins and untrusted projects
+ * @param {string} [options.command] - Command about to run. An untrusted project is only
+ *   mentioned when it defines this command, or when no command is given (--help)
+ * @param {object} [options.env] - Environment (defaults to process.env)
+ * @param {string} [options.cachePath] - Saved descriptions (default: ~/.config/skillboss/plugins.json)
+ * @returns {Map<string, object>} { name, source } by command name, with the cached description
+ *   and flags saved the last time the plugin loaded
+ */
+function findPlugins(options = {}) {
+  const { builtins = [], config = {}, logger = console, env = process.env, cachePath = CACHE_PATH } = options
+  const plugins = new Map()
+  if (env.SKILLBOSS_PLUGINS === '0') return plugins
+
+  let dirs = options.dirs
+  if (!dirs) {
+    dirs = [USER_PLUGIN_DIR]
+    const projectDir = findProjectPluginDir()
+    if (projectDir && isTrustedProject(projectDir, config, env)) {
+      dirs.push(projectDir)
+    } else if (projectDir && pluginFiles(projectDir).some(file => !options.command || commandName(file) === options.command)) {
+      logger.warn(
+        `[skillboss] Ignoring the project commands in ${projectDir}. To use them, add ` +
+        `"${path.dirname(path.dirname(projectDir))}" to "plugins": { "trustedDirs": [...] } in config.json, or set SKILLBOSS_PLUGINS=project.`,
+      )
+    }
+  }
+
+  const cache = readCache(cachePath)
+  for (const dir of dirs) {
+    for (const file of pluginFiles(dir)) {
+      const name = commandName(file)
+      if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+        logger.warn(`[skillboss] Skipping plugin ${file}: the file name must be a lowercase command name (letters, digits and dashes)`)
+        continue
+      }
+      if (builtins.includes(name)) {
+        logger.warn(`[skillboss] Skipping plugin ${file}: "${name}" is a built-in command`)
+        continue
+      }
+      plugins.set(name, { ...describePlugin(file, cache), name, source: file, cachePath })
+    }
+  }
+  return plugins
+}
+
+/**
+ * Load (require) one plugin found by findPlugins(), and save its description and
+ * flags for --help and completion
+ * @param {object} found - Entry from findPlugins()
+ * @returns {object} The plugin's exports, with `name` and `source` added
+ * @throws {Error} If it fails to load or its exports are invalid
+ */
+function loadPlugin(found) {
+  if (loaded.has(found.source)) return loaded.get(found.source)
+  let plugin
+  try {
+    plugin = require(found.source)
+    validatePlugin(plugin, found.name)
+  } catch (err) {
+    throw new Error(`Plugin ${found.source} failed to load: ${err.message}`)
+  }
+  plugin = { ...plugin, name: found.name, source: found.source }
+  loaded.set(found.source, plugin)
+  saveDescription(plugin, found.cachePath || CACHE_PATH)
+  return plugin
+}
+
+function readCache(cachePath = CACHE_PATH) {
+  try {
+    return JSON.parse(fs.readFileSync(cachePath, 'utf8'))
+  } catch {
+    return {}
+  }
+}
+
+function modifiedAt(file) {
+  try {
+    const stat = fs.statSync(fs.statSync(file).isDirectory() ? path.join(file, 'index.js') : file)
+    return stat.mtimeMs
+  } catch {
+    return null
+  }
+}
+
+/**
+ * The description and flags saved when a plugin last loaded, if the file hasn't changed since
+ * @param {string} file
+ * @param {object} cache - Contents of the cache file
+ * @returns {object} Cached schema fields, or {} if there are none
+ */
+function describePlugin(file, cache) {
+  const entry = cache[file]
+  if (!entry || entry.mtimeMs !== modifiedAt(file)) return {}
+  const { mtimeMs, ...fields } = entry
+  return fields
+}
+
+// Never throws: the cache only feeds --help and completion
+function saveDescription(plugin, cachePath) {
+  try {
+    const cache = readCache(cachePath)
+    const entry = { mtimeMs: modifiedAt(plugin.source) }
+    for (const field of DESCRIBED_FIELDS) entry[field] = plugin[field]
+    cache[plugin.source] = JSON.parse(JSON.stringify(entry))
+    for (const file of Object.keys(cache)) {
+      if (!fs.existsSync(file)) delete cache[file]
+    }
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true })
+    fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2) + '\n')
+  } catch {
+    // --help and completion just show less
+  }
+}
+
+/**
+ * The flag schema of a plugin command (see lib/flags.js). A plugin that declares
+ * no flags gets whatever flags it is given.
+ * @param {object} plugin
+ * @returns {object}
+ */
+function pluginSchema(plugin) {
+  return {
+    description: plugin.description || 'Custom command',
+    category: plugin.category,
+    flags: plugin.flags || {},
+    positionals: plugin.positionals,
+    requireOne: plugin.requireOne,
+    exclusive: plugin.exclusive,
+    strict: Boolean(plugin.flags),
+    help: [plugin.help, `Defined in ${plugin.source}`].filter(Boolean),
+  }
+}
+
+module.exports = {
+  USER_PLUGIN_DIR,
+  PROJECT_PLUGIN_DIR,
+  CACHE_PATH,
+  findProjectPluginDir,
+  isTrustedProject,
+  findPlugins,
+  loadPlugin,
+  pluginSchema,
+}
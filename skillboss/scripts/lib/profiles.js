@@ -0,0 +1,219 @@
+/**
+ * Named credential profiles stored in ~/.config/skillboss/credentials.json
+ *
+ *   {
+ *     "api_key": "sk-...",              Default credentials (no profile selected)
+ *     "type": "permanent",
+ *     "current_profile": "team",        Set by `skillboss auth profiles use`
+ *     "profiles": {
+ *       "team":    { "api_key": "sk-..." },
+ *       "staging": { "api_key": "sk-...", "base_url": "https://...", "build_api_url": "https://..." }
+ *     }
+ *   }
+ *
+ * The active profile is --profile <name>, else SKILLBOSS_PROFILE, else
+ * current_profile. A profile's fields override config.json; fields it
+ * leaves out fall back to the default credentials and config.json, except
+ * the key of a profile that sets its own hosts (see resolveApiKey()).
+ * applyProfile() is the one place keys are resolved, so api-hub.js,
+ * serve-build.js, product-manager.js and stripe-connect.js agree on which
+ * key a profile uses.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+
+const CREDENTIALS_PATH = path.join(os.homedir(), '.config', 'skillboss', 'credentials.json')
+const DEFAULT_PROFILE = 'default'
+
+// credentials.json field -> config.json field
+const PROFILE_FIELDS = {
+  api_key: 'apiKey',
+  base_url: 'baseUrl',
+  build_api_url: 'buildApiUrl',
+  stripe_connect_url: 'stripeConnectUrl',
+}
+
+// Profile fields that send requests somewhere other than config.json says
+const HOST_FIELDS = ['base_url', 'build_api_url', 'stripe_connect_url']
+
+/**
+ * Check if a key is a placeholder (not yet configured)
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isPlaceholderKey(key) {
+  if (!key || key === 'YOUR_API_KEY_HERE') return true
+  // Detect placeholder strings like "sk-xxx...xxx (Please guide users...)"
+  if (/\s/.test(key) || key.includes('...')) return true
+  return false
+}
+
+/**
+ * Read credentials.json
+ * @returns {object|null} Parsed credentials, or null if missing or unreadable
+ */
+function loadCredentials() {
+  try {
+    return JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Write credentials.json (owner-only permissions)
+ * @param {object} creds
+ */
+function saveCredentials(creds) {
+  fs.mkdirSync(path.dirname(CREDENTIALS_PATH), { recursive: true })
+  fs.writeFileSync(CREDENTIALS_PATH, JSON.stringify(creds, null, 2) + '\n')
+  try { fs.chmodSync(CREDENTIALS_PATH, 0o600) } catch {}
+}
+
+/**
+ * Find --profile <name> or --profile=<name> in an argument list
+ * @param {string[]} argv
+ * @returns {string|undefined}
+ */
+function profileFromArgs(argv = []) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--profile' && argv[i + 1] && !argv[i + 1].startsWith('-')) return argv[i + 1]
+    if (argv[i].startsWith('--profile=')) return argv[i].slice('--profile='.length)
+  }
+  return undefined
+}
+
+/**
+ * Remove --profile <name> / --profile=<name> from an argument list
+ * @param {string[]} argv
+ * @returns {string[]}
+ */
+function stripProfileArgs(argv = []) {
+  const rest = []
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--profile' && argv[i + 1] && !argv[i + 1].startsWith('-')) {
+      i++
+    } else if (!argv[i].startsWith('--profile=')) {
+      rest.push(argv[i])
+    }
+  }
+  return rest
+}
+
+/**
+ * Name of the active profile, or null for the default credentials
+ * @param {object} [options]
+ * @param {string} [options.profile] - Explicit profile name (e.g. from --profile)
+ * @param {object} [options.env] - Environment (defaults to process.env)
+ * @param {object|null} [options.creds] - Parsed credentials.json (read if omitted)
+ * @returns {string|null}
+ */
+function activeProfileName(options = {}) {
+  const env = options.env || process.env
+  const creds = options.creds !== undefined ? options.creds : loadCredentials()
+  const name = options.profile || env.SKILLBOSS_PROFILE || creds?.current_profile
+  return name && name !== DEFAULT_PROFILE ? name : null
+}
+
+/**
+ * Resolve the active profile
+ * @param {object} [options] - See activeProfileName()
+ * @returns {{ name: string|null, profile: object }} Profile fields ({} for the default credentials)
+ * @throws {Error} If the selected profile does not exist
+ */
+function resolveProfile(options = {}) {
+  const creds = options.creds !== undefined ? options.creds : loadCredentials()
+  const name = activeProfileName({ ...options, creds })
+  if (!name) return { name: null, profile: {} }
+
+  const profile = creds?.profiles?.[name]
+  if (!profile) {
+    const known = Object.keys(creds?.profiles || {})
+    throw new Error(
+      `Unknown SkillBoss profile "${name}". ` +
+        (known.length ? `Available: ${known.join(', ')}` : 'Add one with: skillboss auth profiles add <name> --key <API_KEY>'),
+    )
+  }
+  return { name, profile }
+}
+
+/**
+ * Overlay the active profile on a config.json object
+ * @param {object} config - Parsed config.json
+ * @param {object} [options] - See activeProfileName()
+ * @returns {object} Config with apiKey/baseUrl/buildApiUrl/stripeConnectUrl from the profile,
+ *   plus `profile` set to the profile name (null for the default credentials)
+ */
+function applyProfile(config, options = {}) {
+  const creds = options.creds !== undefined ? options.creds : loadCredentials()
+  const { name, profile } = resolveProfile({ ...options, creds })
+  const result = { ...config, profile: name }
+  for (const [field, configField] of Object.entries(PROFILE_FIELDS)) {
+    if (profile[field]) result[configField] = profile[field]
+  }
+  result.apiKey = resolveApiKey({ ...config, profile: name }, creds)
+  return result
+}
+
+/**
+ * Check if a profile points at hosts of its own (base_url, build_api_url, stripe_connect_url)
+ * @param {object} [profile] - Profile fields from credentials.json
+ * @returns {boolean}
+ */
+function hasOwnHosts(profile) {
+  return HOST_FIELDS.some(field => profile?.[field])
+}
+
+/**
+ * Resolve the API key: the active profile's, then the default credentials',
+ * then config.json's (placeholders are skipped). A profile with hosts of its
+ * own gets only its own key, so the default key is never sent to its hosts.
+ * @param {object} config - Parsed config.json, with `profile` set to the active profile name
+ * @param {object|null} [creds] - Parsed credentials.json (read if omitted)
+ * @returns {string|undefined} undefined when no usable key applies
+ */
+function resolveApiKey(config, creds = loadCredentials()) {
+  const profile = config.profile ? creds?.profiles?.[config.profile] : undefined
+  if (profile?.api_key && !isPlaceholderKey(profile.api_key)) return profile.api_key
+  if (hasOwnHosts(profile)) return undefined
+  if (creds?.api_key && !isPlaceholderKey(creds.api_key)) return creds.api_key
+  return config.apiKey
+}
+
+/**
+ * Save an API key to the given profile, or to the default credentials,
+ * keeping every other profile intact
+ * @param {string|null} name - Profile name (null for the default credentials)
+ * @param {string} apiKey
+ * @param {string} [type] - "trial" or "permanent"
+ */
+function saveProfileKey(name, apiKey, type) {
+  const creds = loadCredentials() || {}
+  const entry = { api_key: apiKey, type, updated_at: new Date().toISOString() }
+  if (name) {
+    creds.profiles = creds.profiles || {}
+    creds.profiles[name] = { ...creds.profiles[name], ...entry }
+  } else {
+    Object.assign(creds, entry)
+  }
+  saveCredentials(creds)
+}
+
+module.exports = {
+  CREDENTIALS_PATH,
+  DEFAULT_PROFILE,
+  PROFILE_FIELDS,
+  isPlaceholderKey,
+  hasOwnHosts,
+  loadCredentials,
+  saveCredentials,
+  profileFromArgs,
+  stripProfileArgs,
+  activeProfileName,
+  resolveProfile,
+  applyProfile,
+  resolveApiKey,
+  saveProfileKey,
+}
@@ -0,0 +1,302 @@
+/**
+ * Process-wide request scheduler: per vendor/model concurrency limits and
+ * token buckets that learn from rate-limit headers
+ *
+ * config.json:
+ *   "concurrency": {
+ *     "default": 4,                        Concurrent calls per model
+ *     "openai": 8,                         Shared by every openai/* model
+ *     "replicate/black-forest-labs/flux-schnell": 2
+ *   }
+ *
+ * SKILLBOSS_CONCURRENCY overrides "default". The most specific entry wins:
+ * the full model ID, then its vendor, then "default". Calls over the limit
+ * wait in a FIFO queue.
+ *
+ * Each model also gets a token bucket, sized from the rate-limit headers API
+ * Hub returns (x-ratelimit-*-requests, ratelimit-*, anthropic-ratelimit-requests-*).
+ * A 429 pauses the model until its Retry-After, so queued calls wait instead
+ * of all hitting the limit and backing off blindly.
+ */
+
+const { parseRetryAfter } = require('./errors')
+const { sleep } = require('./fetch-retry')
+
+const DEFAULT_CONCURRENCY = 4
+// Pause after a 429 without Retry-After
+const DEFAULT_PAUSE = 1000
+
+// [limit, remaining, reset] header names, most common first
+const RATE_LIMIT_HEADERS = [
+  ['x-ratelimit-limit-requests', 'x-ratelimit-remaining-requests', 'x-ratelimit-reset-requests'],
+  [
+    'anthropic-ratelimit-requests-limit',
+    'anthropic-ratelimit-requests-remaining',
+    'anthropic-ratelimit-requests-reset',
+  ],
+  ['ratelimit-limit', 'ratelimit-remaining', 'ratelimit-reset'],
+  ['x-ratelimit-limit', 'x-ratelimit-remaining', 'x-ratelimit-reset'],
+]
+
+/**
+ * Parse a rate-limit reset value into ms from now: seconds ("30"), an epoch
+ * timestamp in seconds, a Go-style duration ("1m30s", "250ms") or a date
+ * @param {string|null} value
+ * @param {number} [now]
+ * @returns {number|undefined}
+ */
+function parseReset(value, now = Date.now()) {
+  if (!value) return undefined
+  const text = value.trim()
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const n = Number(text)
+    // Large values are epoch seconds rather than a delay
+    return n > 1e9 ? Math.max(0, n * 1000 - now) : n * 1000
+  }
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 }
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)]
+  if (parts.length && parts.map(p => p[0]).join('') === text) {
+    return parts.reduce((ms, [, amount, unit]) => ms + Number(amount) * units[unit], 0)
+  }
+  const date = Date.parse(text)
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now)
+}
+
+/**
+ * Read concurrency limits from config.json "concurrency" and SKILLBOSS_CONCURRENCY
+ * @param {object} [config] - Parsed config.json
+ * @param {object} [env] - Environment (defaults to process.env)
+ * @returns {object} { default, [vendor or model ID]: limit }
+ */
+function concurrencyFromConfig(config = {}, env = process.env) {
+  const limits = { default: DEFAULT_CONCURRENCY }
+  for (const [key, value] of Object.entries(config.concurrency || {})) {
+    if (Number.isInteger(value) && value > 0) limits[key] = value
+  }
+  const envLimit = parseInt(env.SKILLBOSS_CONCURRENCY, 10)
+  if (envLimit > 0) limits.default = envLimit
+  return limits
+}
+
+/**
+ * Create a scheduler
+ * @param {object} [limits] - From concurrencyFromConfig() (default: 4 per model)
+ * @param {object} [options]
+ * @param {function(): number} [options.now] - Clock in ms (default: Date.now)
+ * @param {function(number, AbortSignal=): Promise<void>} [options.sleep] - Waits out a rate limit
+ * @returns {object} Scheduler API
+ */
+function createScheduler(limits = {}, options = {}) {
+  const { now: clock = Date.now, sleep: wait = sleep } = options
+  let currentLimits = { default: DEFAULT_CONCURRENCY, ...limits }
+  const pools = new Map()
+  const buckets = new Map()
+
+  // The pool a model's calls share: its own entry, its vendor's, or a per-model default
+  function poolFor(model) {
+    const vendor = model.split('/')[0]
+    const key = model in currentLimits ? model : vendor in currentLimits ? vendor : `default:${model}`
+    if (!pools.has(key)) pools.set(key, { key, active: 0, waiters: [] })
+    const pool = pools.get(key)
+    pool.limit = currentLimits[key] ?? currentLimits.default
+    return pool
+  }
+
+  function bucketFor(model) {
+    if (!buckets.has(model)) {
+      buckets.set(model, {
+        capacity: Infinity,
+        tokens: Infinity,
+        ratePerMs: 0,
+        updatedAt: clock(),
+        pausedUntil: 0,
+        // Calls sent but not yet answered: the server has counted them, the headers we hold don't
+        pending: 0,
+      })
+    }
+    return buckets.get(model)
+  }
+
+  function refill(bucket, now) {
+    if (bucket.capacity !== Infinity && bucket.ratePerMs > 0) {
+      bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.ratePerMs)
+    }
+    bucket.updatedAt = now
+  }
+
+  // Ms until the bucket allows another call (0 = now)
+  function waitTime(bucket, now) {
+    if (bucket.pausedUntil > now) return bucket.pausedUntil - now
+    refill(bucket, now)
+    if (bucket.tokens >= 1) return 0
+    if (bucket.ratePerMs > 0) return Math.ceil((1 - bucket.tokens) / bucket.ratePerMs)
+    // Out of tokens with no known refill rate: wait a moment, then try one call
+    bucket.tokens = 1
+    bucket.pausedUntil = now + DEFAULT_PAUSE
+    return DEFAULT_PAUSE
+  }
+
+  function takeSlot(pool, signal) {
+    if (pool.active < pool.limit) {
+      pool.active++
+      return Promise.resolve()
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, signal }
+      const onAbort = () => {
+        pool.waiters.splice(pool.waiters.indexOf(waiter), 1)
+        reject(signal.reason)
+      }
+      waiter.cleanup = () => signal?.removeEventListener('abort', onAbort)
+      if (signal?.aborted) return reject(signal.reason)
+      signal?.addEventListener('abort', onAbort, { once: true })
+      pool.waiters.push(waiter)
+    })
+  }
+
+  function releaseSlot(pool) {
+    const next = pool.waiters.shift()
+    if (next) {
+      // Hand the slot straight to the next caller
+      next.cleanup()
+      next.resolve()
+    } else {
+      pool.active--
+    }
+  }
+
+  /**
+   * Wait for a concurrency slot for a model. The slot is held across retries
+   * until the response body has been read.
+   * @param {string} model - Model ID ("vendor/model")
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the wait
+   * @param {function(string): void} [options.onWait] - Told why the call is waiting
+   * @returns {Promise<function(): void>} Call to release the slot (idempotent)
+   */
+  async function acquire(model, { signal, onWait } = {}) {
+    const pool = poolFor(model)
+    if (pool.active >= pool.limit) onWait?.(`Queued ${model} (${pool.active}/${pool.limit} running)`)
+    await takeSlot(pool, signal)
+
+    let released = false
+    return () => {
+      if (released) return
+      released = true
+      releaseSlot(pool)
+    }
+  }
+
+  /**
+   * Wait for a rate-limit token for a model. Called before every attempt,
+   * so retries after a 429 wait too.
+   * @param {string} model - Model ID
+   * @param {object} [options] - { signal, onWait } as for acquire()
+   * @returns {Promise<function(Response=): void>} Call with the response (or with
+   *   nothing if the request failed) so the bucket learns from its headers
+   */
+  async function throttle(model, { signal, onWait } = {}) {
+    const bucket = bucketFor(model)
+    for (let delay = waitTime(bucket, clock()); delay > 0; delay = waitTime(bucket, clock())) {
+      onWait?.(`Rate limit for ${model}: waiting ${delay / 1000}s`)
+      await wait(delay, signal)
+    }
+    bucket.tokens -= 1
+    bucket.pending++
+
+    let reported = false
+    return response => {
+      if (reported) return
+      reported = true
+      bucket.pending--
+      if (response) observe(bucket, response)
+    }
+  }
+
+  // Learn from a response's rate-limit headers
+  function observe(bucket, response) {
+    const now = clock()
+    const headers = response.headers
+    refill(bucket, now)
+
+    for (const [limitName, remainingName, resetName] of RATE_LIMIT_HEADERS) {
+      const limit = Number(headers.get(limitName))
+      const remaining = Number(headers.get(remainingName))
+      if (!headers.has(remainingName) || !Number.isFinite(remaining)) continue
+      const resetMs = parseReset(headers.get(resetName), now)
+      if (Number.isFinite(limit) && limit > 0) bucket.capacity = limit
+      // Responses arrive out of order, so an older, higher count must not win;
+      // tokens only grow again by refilling
+      bucket.tokens = Math.min(bucket.tokens, remaining - bucket.pending)
+      // Spent tokens come back by the reset time
+      if (resetMs > 0 && bucket.capacity !== Infinity && bucket.capacity > remaining) {
+        bucket.ratePerMs = (bucket.capacity - remaining) / resetMs
+      }
+      if (remaining < 1 && resetMs !== undefined) bucket.pausedUntil = Math.max(bucket.pausedUntil, now + resetMs)
+      break
+    }
+
+    if (response.status === 429) {
+      const retryAfter = parseRetryAfter(headers.get('retry-after'))
+      // Without a refill rate, one call may try again once the pause is over
+      bucket.tokens = Math.min(bucket.tokens, bucket.ratePerMs > 0 ? 0 : 1)
+      const pause = retryAfter !== undefined ? retryAfter * 1000 : DEFAULT_PAUSE
+      bucket.pausedUntil = Math.max(bucket.pausedUntil, now + pause)
+    }
+  }
+
+  /**
+   * Replace the concurrency limits (applies to calls not yet queued)
+   * @param {object} next - From concurrencyFromConfig()
+   */
+  function setLimits(next) {
+    currentLimits = { default: DEFAULT_CONCURRENCY, ...next }
+  }
+
+  /**
+   * Current queue and bucket state, for diagnostics
+   * @returns {{ pools: object[], buckets: object[] }}
+   */
+  function stats() {
+    return {
+      pools: [...pools.values()].map(pool => ({
+        key: pool.key,
+        active: pool.active,
+        limit: pool.limit,
+        queued: pool.waiters.length,
+      })),
+      buckets: [...buckets.entries()].map(([model, b]) => ({
+        model,
+        capacity: b.capacity,
+        tokens: b.tokens,
+        pausedUntil: b.pausedUntil > clock() ? new Date(b.pausedUntil).toISOString() : null,
+      })),
+    }
+  }
+
+  return {
+    acquire,
+    throttle,
+    setLimits,
+    stats,
+  }
+}
+
+let shared = null
+
+/**
+ * The scheduler shared by every SkillBossClient in this process
+ * @returns {object}
+ */
+function sharedScheduler() {
+  shared = shared || createScheduler()
+  return shared
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  parseReset,
+  concurrencyFromConfig,
+  createScheduler,
+  sharedScheduler,
+}
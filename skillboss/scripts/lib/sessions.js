@@ -0,0 +1,209 @@
+/**
+ * Named chat sessions
+ *
+ * `chat --session NAME` keeps a conversation across invocations in
+ * ~/.config/skillboss/sessions/NAME.json (override the directory with
+ * config.json "sessions.dir" or SKILLBOSS_SESSIONS_DIR):
+ *
+ *   { "name", "model", "system", "created", "updated", "messages": [{ role, content, tool_calls? }] }
+ *
+ * Assistant replies are stored whole, tool calls included, so the next turn
+ * can send the tool results back.
+ *
+ * When a session grows past "sessions.maxMessages" (default 100), the oldest
+ * turns are dropped. The system prompt is stored apart and always kept.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+
+const DEFAULT_SESSIONS_DIR = path.join(os.homedir(), '.config', 'skillboss', 'sessions')
+const DEFAULT_MAX_MESSAGES = 100
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/
+
+/**
+ * Check a session name, which is also its file name
+ * @param {string} name
+ * @throws {Error} If the name could escape the sessions directory or isn't portable
+ */
+function validateSessionName(name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid session name "${name}": use letters, digits, ".", "_" and "-" (up to 100 characters)`)
+  }
+}
+
+/**
+ * Drop the oldest messages so at most `max` remain. The kept history starts
+ * at a user message, so a reply is never left without its question; when the
+ * last `max` messages hold none (a long tool loop), it starts at the user
+ * message before them and keeps more than `max`.
+ * @param {object[]} messages
+ * @param {number} max - 0 keeps everything
+ * @returns {object[]}
+ */
+function trimMessages(messages, max) {
+  if (!max || messages.length <= max) return messages
+  let start = messages.length - max
+  let user = start
+  while (user < messages.length && messages[user].role !== 'user') user++
+  if (user === messages.length) {
+    // Emptying the conversation would lose the question the tool loop is answering
+    user = start
+    while (user > 0 && messages[user].role !== 'user') user--
+  }
+  return messages.slice(user)
+}
+
+/**
+ * Create a session store bound to a directory
+ * @param {object} [options]
+ * @param {string} [options.dir] - Sessions directory (default: ~/.config/skillboss/sessions)
+ * @param {number} [options.maxMessages] - Messages kept per session (default: 100; 0 = no limit)
+ * @returns {object} Session store API
+ */
+function createSessionStore(options = {}) {
+  const dir = options.dir
+    ? (options.dir.startsWith('~') ? path.join(os.homedir(), options.dir.slice(1)) : options.dir)
+    : DEFAULT_SESSIONS_DIR
+  const maxMessages = options.maxMessages ?? DEFAULT_MAX_MESSAGES
+
+  const fileFor = name => {
+    validateSessionName(name)
+    return path.join(dir, `${name}.json`)
+  }
+
+  /**
+   * Read a session
+   * @param {string} name
+   * @returns {object|null} The session, or null if there is none by that name
+   * @throws {Error} If the name is invalid or the file is not a session
+   */
+  function load(name) {
+    let text
+    try {
+      text = fs.readFileSync(fileFor(name), 'utf8')
+    } catch (err) {
+      if (err.code === 'ENOENT') return null
+      throw err
+    }
+    let session
+    try {
+      session = JSON.parse(text)
+    } catch (err) {
+      throw new Error(`Session "${name}" is corrupt (${fileFor(name)}): ${err.message}`)
+    }
+    if (!Array.isArray(session.messages)) throw new Error(`Session "${name}" has no messages array (${fileFor(name)})`)
+    return { ...session, name }
+  }
+
+  /**
+   * Write a session, trimmed to maxMessages
+   * @param {object} session - { name, model, system, messages }
+   * @returns {object} The session as saved, with `created`, `updated` and `trimmed` (messages dropped)
+   */
+  function save(session) {
+    const file = fileFor(session.name)
+    const messages = trimMessages(session.messages, maxMessages)
+    const now = new Date().toISOString()
+    const saved = {
+      name: session.name,
+      model: session.model,
+      system: session.system,
+      created: session.created || now,
+      updated: now,
+      messages,
+    }
+    fs.mkdirSync(dir, { recursive: true })
+    // Write then rename, so a crash never leaves half a session behind
+    const tmp = `${file}.${process.pid}.tmp`
+    fs.writeFileSync(tmp, JSON.stringify(saved, null, 2) + '\n', { mode: 0o600 })
+    fs.renameSync(tmp, file)
+    return { ...saved, trimmed: session.messages.length - messages.length }
+  }
+
+  /**
+   * Every session, most recently used first
+   * @returns {object[]} { name, model, messages (count), created, updated }
+   */
+  function list() {
+    let files
+    try {
+      files = fs.readdirSync(dir).filter(file => file.endsWith('.json'))
+    } catch (err) {
+      if (err.code === 'ENOENT') return []
+      throw err
+    }
+    const sessions = []
+    for (const file of files) {
+      try {
+        const session = load(file.slice(0, -'.json'.length))
+        sessions.push({
+          name: session.name,
+          model: session.model,
+          messages: session.messages.length,
+          created: session.created,
+          updated: session.updated,
+        })
+      } catch {
+        // Not a session (or an invalid name); `sessions show` reports why
+      }
+    }
+    return sessions.sort((a, b) => String(b.updated).localeCompare(String(a.updated)))
+  }
+
+  /**
+   * Copy a session under a new name, e.g. to try another direction
+   * @param {string} from
+   * @param {string} to
+   * @returns {object} The new session
+   * @throws {Error} If `from` does not exist or `to` already does
+   */
+  function fork(from, to) {
+    const source = load(from)
+    if (!source) throw new Error(`No session named "${from}"`)
+    if (load(to)) throw new Error(`Session "${to}" already exists`)
+    return save({ ...source, name: to, created: undefined })
+  }
+
+  /**
+   * Delete a session
+   * @param {string} name
+   * @returns {boolean} Whether there was one to delete
+   */
+  function remove(name) {
+    try {
+      fs.unlinkSync(fileFor(name))
+      return true
+    } catch (err) {
+      if (err.code === 'ENOENT') return false
+      throw err
+    }
+  }
+
+  return { dir, maxMessages, path: fileFor, load, save, list, fork, remove }
+}
+
+/**
+ * Build the session store from config.json "sessions" and SKILLBOSS_SESSIONS_DIR
+ * @param {object} [config] - Parsed config.json
+ * @param {object} [env] - Environment (defaults to process.env)
+ * @returns {object}
+ */
+function sessionsFromConfig(config = {}, env = process.env) {
+  const sessionsConfig = config.sessions || {}
+  return createSessionStore({
+    dir: env.SKILLBOSS_SESSIONS_DIR || sessionsConfig.dir,
+    maxMessages: sessionsConfig.maxMessages,
+  })
+}
+
+module.exports = {
+  DEFAULT_SESSIONS_DIR,
+  DEFAULT_MAX_MESSAGES,
+  validateSessionName,
+  trimMessages,
+  createSessionStore,
+  sessionsFromConfig,
+}
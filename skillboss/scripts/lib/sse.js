@@ -0,0 +1,63 @@
+/**
+ * Server-sent events parser (https://html.spec.whatwg.org/multipage/server-sent-events.html)
+ *
+ * Handles multi-line data, named events, id/retry fields, comments used as
+ * keepalives, and CRLF / CR / LF line endings split across network chunks.
+ */
+
+/**
+ * Parse an event stream into events
+ * @param {ReadableStream<Uint8Array>|AsyncIterable<Uint8Array>} body - Response body
+ * @param {object} [state] - Carries { lastEventId, retry } across reconnections;
+ *   updated as id: and retry: fields arrive
+ * @yields {{ event: string, data: string, id: string|undefined }} Dispatched events
+ *   (event defaults to "message"). An event cut off by the end of the stream, or one whose
+ *   data is empty, is dropped.
+ */
+async function* parseEventStream(body, state = {}) {
+  // TextDecoder drops a leading BOM, as the spec requires
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let eventType = ''
+  let dataLines = null
+
+  // Returns the event a blank line dispatches, if any
+  function processLine(line) {
+    if (line === '') {
+      const data = dataLines && dataLines.join('\n')
+      // A bare "data:" carries nothing a consumer could parse
+      const event = data ? { event: eventType || 'message', data, id: state.lastEventId } : null
+      eventType = ''
+      dataLines = null
+      return event
+    }
+    if (line.startsWith(':')) return null // Comment, typically a keepalive
+
+    const colon = line.indexOf(':')
+    const field = colon === -1 ? line : line.slice(0, colon)
+    let value = colon === -1 ? '' : line.slice(colon + 1)
+    if (value.startsWith(' ')) value = value.slice(1)
+
+    if (field === 'event') eventType = value
+    else if (field === 'data') (dataLines = dataLines || []).push(value)
+    else if (field === 'id' && !value.includes('\0')) state.lastEventId = value
+    else if (field === 'retry' && /^\d+$/.test(value)) state.retry = Number(value)
+    // Other fields are ignored
+    return null
+  }
+
+  for await (const chunk of body) {
+    let text = buffer + decoder.decode(chunk, { stream: true })
+    // A trailing \r may be the first half of a \r\n split across chunks
+    const held = text.endsWith('\r') ? '\r' : ''
+    if (held) text = text.slice(0, -1)
+    const lines = text.split(/\r\n|\r|\n/)
+    buffer = lines.pop() + held
+    for (const line of lines) {
+      const event = processLine(line)
+      if (event) yield event
+    }
+  }
+}
+
+module.exports = { parseEventStream }
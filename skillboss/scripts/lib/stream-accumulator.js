@@ -0,0 +1,209 @@
+/**
+ * Rebuild a complete response from streamed chunks
+ *
+ * Understands OpenAI-style chat.completion.chunk deltas (content, tool call
+ * argument fragments, finish_reason, a trailing usage chunk) and Anthropic-style
+ * message events (message_start, content_block_*, message_delta). The result
+ * has the same shape as the non-streaming response of that format, so callers
+ * can treat streamed and non-streamed calls alike.
+ */
+
+// Cost fields API Hub attaches to the final chunk (see lib/ledger.js)
+const COST_FIELDS = ['_cost_usd', 'cost_usd', '_cost', 'cost', '_credits']
+
+function parseToolInput(json) {
+  try {
+    return JSON.parse(json)
+  } catch {
+    // Cut off mid-stream; keep what arrived rather than losing it
+    return json
+  }
+}
+
+/**
+ * Create an accumulator
+ * @returns {{ push: function(object): string, result: function(): object, readonly text: string }}
+ *   push() takes each chunk and returns the text it adds, for display
+ */
+function createStreamAccumulator() {
+  let format = null
+  const meta = {}
+  let usage
+  const costs = {}
+
+  // OpenAI: one entry per choice index
+  const choices = []
+  // Anthropic: content blocks by index
+  const blocks = []
+  const partialJson = []
+  let message = {}
+
+  let text = ''
+
+  function mergeUsage(next) {
+    if (next && typeof next === 'object') usage = { ...usage, ...next }
+  }
+
+  function pushOpenAI(chunk) {
+    for (const field of ['id', 'model', 'created', 'system_fingerprint']) {
+      if (chunk[field] !== undefined) meta[field] = chunk[field]
+    }
+    let added = ''
+    for (const choiceDelta of chunk.choices || []) {
+      const index = choiceDelta.index ?? 0
+      choices[index] = choices[index] || { index, message: { role: 'assistant', content: '' }, finish_reason: null }
+      const choice = choices[index]
+      const delta = choiceDelta.delta || choiceDelta.message || {}
+      if (delta.role) choice.message.role = delta.role
+      if (typeof delta.content === 'string') {
+        choice.message.content += delta.content
+        if (index === 0) added += delta.content
+      }
+      if (typeof delta.reasoning_content === 'string') {
+        choice.message.reasoning_content = (choice.message.reasoning_content || '') + delta.reasoning_content
+      }
+      for (const callDelta of delta.tool_calls || []) {
+        const calls = (choice.message.tool_calls = choice.message.tool_calls || [])
+        const at = callDelta.index ?? calls.length
+        calls[at] = calls[at] || { id: undefined, type: 'function', function: { name: '', arguments: '' } }
+        const call = calls[at]
+        if (callDelta.id) call.id = callDelta.id
+        if (callDelta.type) call.type = callDelta.type
+        if (callDelta.function?.name) call.function.name += callDelta.function.name
+        if (callDelta.function?.arguments) call.function.arguments += callDelta.function.arguments
+      }
+      if (choiceDelta.finish_reason) choice.finish_reason = choiceDelta.finish_reason
+    }
+    return added
+  }
+
+  function pushAnthropic(chunk) {
+    switch (chunk.type) {
+      case 'message_start':
+        message = { ...chunk.message }
+        mergeUsage(chunk.message?.usage)
+        return ''
+      case 'content_block_start': {
+        const block = { ...chunk.content_block }
+        if (block.type === 'tool_use') partialJson[chunk.index] = ''
+        blocks[chunk.index] = block
+        return block.type === 'text' ? block.text || '' : ''
+      }
+      case 'content_block_delta': {
+        const block = (blocks[chunk.index] = blocks[chunk.index] || { type: 'text', text: '' })
+        const delta = chunk.delta || {}
+        if (delta.type === 'text_delta' || (delta.text !== undefined && !delta.type)) {
+          block.text = (block.text || '') + delta.text
+          return delta.text
+        }
+        if (delta.type === 'input_json_delta') {
+          partialJson[chunk.index] = (partialJson[chunk.index] || '') + delta.partial_json
+        }
+        if (delta.type === 'thinking_delta') block.thinking = (block.thinking || '') + delta.thinking
+        if (delta.type === 'signature_delta') block.signature = delta.signature
+        return ''
+      }
+      case 'message_delta':
+        Object.assign(message, chunk.delta)
+        mergeUsage(chunk.usage)
+        return ''
+      default:
+        // content_block_stop, message_stop, ping
+        return ''
+    }
+  }
+
+  /**
+   * Add one chunk
+   * @param {object} chunk - Parsed stream chunk
+   * @returns {string} Text the chunk adds to the reply
+   */
+  function push(chunk) {
+    if (!chunk || typeof chunk !== 'object') return ''
+    for (const field of COST_FIELDS) {
+      if (chunk[field] !== undefined) costs[field] = chunk[field]
+    }
+
+    let added = ''
+    if (Array.isArray(chunk.choices)) {
+      format = format || 'openai'
+      added = pushOpenAI(chunk)
+    } else if (typeof chunk.type === 'string' && /^(message|content_block)_|^ping$/.test(chunk.type)) {
+      format = format || 'anthropic'
+      added = pushAnthropic(chunk)
+    } else if (chunk.delta?.text || typeof chunk.content?.[0]?.text === 'string') {
+      // Bare text deltas without the Anthropic event envelope
+      format = format || 'anthropic'
+      const delta = { type: 'text_delta', text: chunk.delta?.text || chunk.content[0].text }
+      added = pushAnthropic({ type: 'content_block_delta', index: 0, delta })
+    }
+    // The trailing OpenAI chunk (choices: []) or a separate usage event; message_delta is handled above
+    if (chunk.type !== 'message_delta') mergeUsage(chunk.usage)
+
+    text += added
+    return added
+  }
+
+  /**
+   * The response as a non-streaming call would have returned it
+   * @returns {object} chat.completion-shaped for OpenAI-style streams, message-shaped for
+   *   Anthropic-style ones; includes usage and API Hub cost fields when reported
+   */
+  function result() {
+    let final
+    if (format === 'anthropic') {
+      final = {
+        ...message,
+        type: 'message',
+        role: message.role || 'assistant',
+        // Tool inputs arrive as JSON fragments; parse them once complete
+        content: blocks
+          .map((block, i) => (partialJson[i] ? { ...block, input: parseToolInput(partialJson[i]) } : block))
+          .filter(Boolean),
+        stop_reason: message.stop_reason ?? null,
+      }
+    } else {
+      final = {
+        ...meta,
+        object: 'chat.completion',
+        choices: choices.filter(Boolean).map(choice => {
+          const out = { ...choice, message: { ...choice.message } }
+          if (out.message.tool_calls) out.message.tool_calls = out.message.tool_calls.filter(Boolean)
+          // OpenAI reports null content for a reply that is only tool calls
+          if (out.message.content === '' && out.message.tool_calls) out.message.content = null
+          return out
+        }),
+      }
+    }
+    if (usage) final.usage = usage
+    return { ...final, ...costs }
+  }
+
+  return {
+    push,
+    result,
+    get text() {
+      return text
+    },
+  }
+}
+
+/**
+ * Drain a stream into its final response
+ * @param {AsyncIterable<object>} stream - e.g. from client.stream() or run({ stream: true })
+ * @param {function(string): void} [onText] - Called with each text delta as it arrives
+ * @returns {Promise<object>} See createStreamAccumulator().result()
+ */
+async function accumulateStream(stream, onText) {
+  const accumulator = createStreamAccumulator()
+  for await (const chunk of stream) {
+    const added = accumulator.push(chunk)
+    if (added && onText) onText(added)
+  }
+  return accumulator.result()
+}
+
+module.exports = {
+  createStreamAccumulator,
+  accumulateStream,
+}
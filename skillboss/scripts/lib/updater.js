@@ -0,0 +1,333 @@
+/**
+ * Self-update: release checks, verified installs, backups and rollback
+ *
+ * config.json "update":
+ *
+ *   { "mode": "notify" }         Print a notice when a newer release is out (default)
+ *   { "mode": "auto" }           Install newer releases after api-hub.js commands
+ *   { "mode": "off" }            Never check
+ *   { "channel": "beta" }        Release channel to follow (default: stable)
+ *   { "pin": "2026.03.22.1" }    Stay on this version; `skillboss update` installs it
+ *   { "publicKey": "key.pem" }   Also require a release signature from this key
+ *
+ * SKILLBOSS_UPDATE=<mode> and SKILLBOSS_UPDATE_CHANNEL override the config.
+ *
+ * A release is only installed when its archive matches the SHA-256 checksum
+ * in the release manifest (and its signature, when a public key is set).
+ * The checksum comes from the same manifest as the archive URL, so on its own
+ * it only catches a corrupted download; only a signature checked against
+ * update.publicKey shows the release is authentic.
+ * Files it replaces are first copied to ~/.config/skillboss/backups, and
+ * `skillboss update --rollback` puts them back.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+const crypto = require('crypto')
+const { execFileSync } = require('child_process')
+const { fetchWithRetry } = require('./fetch-retry')
+const { fetch: proxyAwareFetch } = require('./network')
+
+const RELEASE_URL = `${process.env.SKILLBOSS_WEB_BASE || 'https://www.skillboss.co'}/api/skills/version`
+const SKILL_DIR = path.join(__dirname, '..', '..')
+const BACKUP_DIR = path.join(os.homedir(), '.config', 'skillboss', 'backups')
+const KEEP_BACKUPS = 3
+
+// Update notices must work whatever directory they are read in
+const SKILLBOSS_CLI = `node ${shellQuote(path.join(SKILL_DIR, 'scripts', 'skillboss'))}`
+
+const MODES = ['notify', 'auto', 'off']
+const DEFAULT_CHANNEL = 'stable'
+
+// Background checks must not hold up or clutter the command that triggered them
+const CHECK_POLICY = { maxRetries: 1, logger: { warn() {} } }
+
+function shellQuote(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`
+}
+
+function parseVersion(version) {
+  const match = /^v?(\d+(?:\.\d+)*)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/.exec(String(version).trim())
+  if (!match) throw new Error(`Invalid version "${version}"`)
+  return { core: match[1].split('.').map(Number), pre: match[2] ? match[2].split('.') : [] }
+}
+
+/**
+ * Compare two versions by semver precedence. Any number of numeric parts is
+ * allowed ("1.2.3", "2026.03.22.1"); missing parts count as 0, and a
+ * prerelease ("1.2.0-beta.2") sorts before its release.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ * @throws {Error} If either is not a version
+ */
+function compareVersions(a, b) {
+  const left = parseVersion(a)
+  const right = parseVersion(b)
+  for (let i = 0; i < Math.max(left.core.length, right.core.length); i++) {
+    const diff = (left.core[i] || 0) - (right.core[i] || 0)
+    if (diff) return Math.sign(diff)
+  }
+  if (!left.pre.length || !right.pre.length) {
+    // A release sorts after its prereleases
+    return Math.sign(right.pre.length - left.pre.length)
+  }
+  for (let i = 0; i < Math.max(left.pre.length, right.pre.length); i++) {
+    const x = left.pre[i]
+    const y = right.pre[i]
+    if (x === undefined) return -1
+    if (y === undefined) return 1
+    if (x === y) continue
+    const xNum = /^\d+$/.test(x)
+    const yNum = /^\d+$/.test(y)
+    // Numeric identifiers sort before alphanumeric ones
+    if (xNum && yNum) return Math.sign(Number(x) - Number(y))
+    if (xNum !== yNum) return xNum ? -1 : 1
+    return x < y ? -1 : 1
+  }
+  return 0
+}
+
+/**
+ * Read update settings from config.json "update" and SKILLBOSS_UPDATE*
+ * @param {object} [config] - Parsed config.json
+ * @param {object} [env] - Environment (defaults to process.env)
+ * @returns {{ mode: string, channel: string, pin: string|null, publicKey: string|null }}
+ * @throws {Error} On an unknown mode or an invalid pin
+ */
+function updateSettings(config = {}, env = process.env) {
+  const updateConfig = config.update || {}
+  const mode = env.SKILLBOSS_UPDATE || updateConfig.mode || 'notify'
+  if (!MODES.includes(mode)) throw new Error(`Unknown update mode "${mode}" (use ${MODES.join(', ')})`)
+  const pin = updateConfig.pin ? String(updateConfig.pin) : null
+  if (pin) parseVersion(pin)
+  return {
+    mode,
+    channel: env.SKILLBOSS_UPDATE_CHANNEL || updateConfig.channel || DEFAULT_CHANNEL,
+    pin,
+    // Relative to the skill directory, where config.json lives
+    publicKey: updateConfig.publicKey ? path.resolve(SKILL_DIR, updateConfig.publicKey) : null,
+  }
+}
+
+/**
+ * Fetch a release manifest
+ * @param {object} [options]
+ * @param {string} [options.channel] - Release channel (default: stable)
+ * @param {string} [options.version] - A specific version instead of the channel's latest
+ * @param {function} [options.fetch] - fetch implementation
+ * @returns {Promise<{ version: string, changelog?: string, url?: string, sha256?: string, signature?: string }>}
+ * @throws {Error} If the server fails or does not offer the requested version
+ */
+async function fetchRelease({ channel = DEFAULT_CHANNEL, version, fetch = proxyAwareFetch } = {}) {
+  const query = new URLSearchParams({ channel })
+  if (version) query.set('version', version)
+  const res = await fetchWithRetry(`${RELEASE_URL}?${query}`, { timeout: 10000 }, CHECK_POLICY, fetch)
+  if (!res.ok) throw new Error(`Release check failed: ${res.status} ${res.statusText}`)
+  const release = await res.json()
+  if (!release || typeof release.version !== 'string') throw new Error('Release check returned no version')
+  if (version && compareVersions(release.version, version) !== 0) {
+    throw new Error(`Version ${version} is not available (the server offered ${release.version})`)
+  }
+  return release
+}
+
+/**
+ * The release to move to, if any: a newer one on the channel, or the pinned
+ * version when a different one is installed
+ * @param {string} localVersion - Installed version
+ * @param {object} settings - From updateSettings()
+ * @param {function} [fetch] - fetch implementation
+ * @returns {Promise<object|null>} Release manifest (see fetchRelease())
+ */
+async function availableUpdate(localVersion, settings, fetch) {
+  if (settings.mode === 'off' || !localVersion || localVersion === 'unknown') return null
+  if (settings.pin) {
+    if (compareVersions(settings.pin, localVersion) === 0) return null
+    return fetchRelease({ channel: settings.channel, version: settings.pin, fetch })
+  }
+  const release = await fetchRelease({ channel: settings.channel, fetch })
+  return compareVersions(release.version, localVersion) > 0 ? release : null
+}
+
+/**
+ * Check a downloaded archive against its release manifest
+ * @param {Buffer} archive
+ * @param {object} release - Manifest with sha256 (hex) and optional signature (base64)
+ * @param {string} [publicKeyPem] - When set, a valid signature is required
+ * @throws {Error} If the checksum or signature is missing or does not match
+ */
+function verifyRelease(archive, release, publicKeyPem) {
+  if (!release.sha256) throw new Error(`Release ${release.version} has no sha256 checksum; refusing to install it`)
+  const digest = crypto.createHash('sha256').update(archive).digest('hex')
+  if (digest !== release.sha256.toLowerCase()) {
+    throw new Error(`Checksum mismatch for ${release.version}: expected ${release.sha256}, got ${digest}`)
+  }
+  if (!publicKeyPem) return
+  if (!release.signature) throw new Error(`Release ${release.version} is not signed, but update.publicKey requires it`)
+  const key = crypto.createPublicKey(publicKeyPem)
+  // Ed25519/Ed448 sign the message itself; RSA and ECDSA keys sign its SHA-256
+  const algorithm = ['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256'
+  if (!crypto.verify(algorithm, archive, key, Buffer.from(release.signature, 'base64'))) {
+    throw new Error(`Signature check failed for ${release.version}`)
+  }
+}
+
+// Regular files under dir, as relative paths. Symlinks are skipped so an
+// archive can't point an install outside the skill directory.
+function listFiles(dir, prefix = '') {
+  const files = []
+  for (const entry of fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })) {
+    const relative = path.join(prefix, entry.name)
+    if (entry.isDirectory()) files.push(...listFiles(dir, relative))
+    else if (entry.isFile()) files.push(relative)
+  }
+  return files
+}
+
+// Archives may wrap the skill in a top-level directory ("skillboss/")
+function releaseRoot(staged) {
+  const entries = fs.readdirSync(staged, { withFileTypes: true })
+  const root = entries.length === 1 && entries[0].isDirectory() ? path.join(staged, entries[0].name) : staged
+  if (!fs.existsSync(path.join(root, 'SKILL.md')) || !fs.existsSync(path.join(root, 'scripts', 'api-hub.js'))) {
+    throw new Error('Release archive does not contain a SkillBoss skill')
+  }
+  return root
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+function copyFile(from, to) {
+  fs.mkdirSync(path.dirname(to), { recursive: true })
+  fs.copyFileSync(from, to)
+}
+
+/**
+ * Backups made by installUpdate(), newest first
+ * @param {string} [backupDir]
+ * @returns {Array<{ dir: string, ts: string, from: string, to: string, files: string[], added: string[] }>}
+ */
+function listBackups(backupDir = BACKUP_DIR) {
+  let names
+  try {
+    names = fs.readdirSync(backupDir)
+  } catch {
+    return []
+  }
+  return names
+    .map(name => {
+      const meta = readJson(path.join(backupDir, name, 'backup.json'))
+      return meta && { ...meta, dir: path.join(backupDir, name) }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.ts.localeCompare(a.ts))
+}
+
+/**
+ * Download, verify and install a release over the skill directory.
+ * config.json keeps its local settings (API key, profile, ...) and takes the
+ * release's version; files the release replaces are backed up first.
+ * @param {object} release - From fetchRelease()
+ * @param {object} [options]
+ * @param {string} [options.currentVersion] - Installed version, recorded in the backup
+ * @param {string} [options.publicKey] - PEM file whose signature the release must carry
+ * @param {function} [options.fetch] - fetch implementation
+ * @param {string} [options.skillDir] - Skill directory (default: the one this file is in)
+ * @param {string} [options.backupDir] - Default: ~/.config/skillboss/backups
+ * @returns {Promise<object>} The backup (see listBackups())
+ * @throws {Error} If the download or verification fails; nothing is changed then
+ */
+async function installUpdate(release, options = {}) {
+  const { currentVersion, publicKey, fetch = proxyAwareFetch, skillDir = SKILL_DIR, backupDir = BACKUP_DIR } = options
+  if (!release.url) throw new Error(`Release ${release.version} has no download URL`)
+
+  const res = await fetchWithRetry(release.url, { timeout: 120000 }, { maxRetries: 2, logger: options.logger }, fetch)
+  if (!res.ok) throw new Error(`Download of ${release.version} failed: ${res.status} ${res.statusText}`)
+  const archive = Buffer.from(await res.arrayBuffer())
+  verifyRelease(archive, release, publicKey && fs.readFileSync(publicKey, 'utf8'))
+
+  const work = fs.mkdtempSync(path.join(os.tmpdir(), 'skillboss-update-'))
+  try {
+    const archivePath = path.join(work, 'release.tar.gz')
+    const staged = path.join(work, 'release')
+    fs.writeFileSync(archivePath, archive)
+    fs.mkdirSync(staged)
+    execFileSync('tar', ['-xzf', archivePath, '-C', staged], { stdio: 'pipe' })
+    const root = releaseRoot(staged)
+    const files = listFiles(root)
+    if (!files.includes('config.json')) files.push('config.json')
+
+    // Back up everything the release overwrites, and remember what it adds
+    const ts = new Date().toISOString()
+    const backup = path.join(backupDir, `${currentVersion || 'unknown'}-${ts.replace(/[:.]/g, '-')}`)
+    const replaced = files.filter(file => fs.existsSync(path.join(skillDir, file)))
+    for (const file of replaced) copyFile(path.join(skillDir, file), path.join(backup, 'files', file))
+    const meta = {
+      ts,
+      from: currentVersion || 'unknown',
+      to: release.version,
+      files: replaced,
+      added: files.filter(file => !replaced.includes(file)),
+    }
+    fs.writeFileSync(path.join(backup, 'backup.json'), JSON.stringify(meta, null, 2) + '\n')
+
+    for (const file of files) {
+      if (file !== 'config.json') copyFile(path.join(root, file), path.join(skillDir, file))
+    }
+    const localConfig = readJson(path.join(skillDir, 'config.json')) || {}
+    const releaseConfig = readJson(path.join(root, 'config.json')) || {}
+    const config = { ...releaseConfig, ...localConfig, version: release.version }
+    fs.writeFileSync(path.join(skillDir, 'config.json'), JSON.stringify(config, null, 2) + '\n')
+
+    for (const old of listBackups(backupDir).slice(KEEP_BACKUPS)) {
+      fs.rmSync(old.dir, { recursive: true, force: true })
+    }
+    return { ...meta, dir: backup }
+  } finally {
+    fs.rmSync(work, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Undo the most recent installUpdate(): restore the files it replaced and
+ * remove the ones it added. config.json keeps its current settings and gets
+ * the old version back.
+ * @param {object} [options] - { skillDir, backupDir } as for installUpdate()
+ * @returns {object} The backup that was restored (see listBackups())
+ * @throws {Error} If there is no backup
+ */
+function rollback({ skillDir = SKILL_DIR, backupDir = BACKUP_DIR } = {}) {
+  const [latest] = listBackups(backupDir)
+  if (!latest) throw new Error(`No update backups in ${backupDir}`)
+  for (const file of latest.added) fs.rmSync(path.join(skillDir, file), { force: true })
+  for (const file of latest.files) {
+    if (file !== 'config.json') copyFile(path.join(latest.dir, 'files', file), path.join(skillDir, file))
+  }
+  const configPath = path.join(skillDir, 'config.json')
+  const config = readJson(configPath) || readJson(path.join(latest.dir, 'files', 'config.json')) || {}
+  if (latest.from !== 'unknown') config.version = latest.from
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2) + '\n')
+  fs.rmSync(latest.dir, { recursive: true, force: true })
+  return latest
+}
+
+module.exports = {
+  RELEASE_URL,
+  BACKUP_DIR,
+  SKILLBOSS_CLI,
+  compareVersions,
+  updateSettings,
+  fetchRelease,
+  availableUpdate,
+  verifyRelease,
+  installUpdate,
+  listBackups,
+  rollback,
+}
@@ -2,6 +2,8 @@
 
 const fs = require("fs");
 const path = require("path");
+const { applyProfile, profileFromArgs } = require("./lib/profiles");
+const { fetch: proxyAwareFetch } = require("./lib/network");
 
 /**
  * SkillBoss Product Manager
@@ -26,6 +28,7 @@ const path = require("path");
  *   --billing-type <type>    one_time or recurring (for create/update)
  *   --billing-period <p>     day/week/month/year for recurring (for create/update)
  *   --status <status>        active or inactive (for create/update)
+ *   --profile <name>         Credential profile (default: SKILLBOSS_PROFILE or the active profile)
  *   --help                   Show this help message
  */
 
@@ -34,13 +37,22 @@ const CONFIG_PATH = path.join(__dirname, "..", "config.json");
 const SKILLBOSS_FILE = ".skillboss";
 
 function loadConfig() {
+  let config;
   try {
     const configData = fs.readFileSync(CONFIG_PATH, "utf8");
-    return JSON.parse(configData);
+    config = JSON.parse(configData);
   } catch (err) {
     console.error("Error loading config.json:", err.message);
     process.exit(1);
   }
+
+  // Overlay the selected credential profile (apiKey, stripeConnectUrl)
+  try {
+    return applyProfile(config, { profile: profileFromArgs(process.argv.slice(2)) });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
 }
 
 /**
@@ -78,6 +90,7 @@ function parseArgs(args) {
     billingType: null,
     billingPeriod: null,
     status: null,
+    profile: null,
     help: false,
   };
 
@@ -107,6 +120,8 @@ function parseArgs(args) {
       parsed.billingPeriod = args[++i];
     } else if (arg === "--status" && args[i + 1]) {
       parsed.status = args[++i];
+    } else if (arg === "--profile" && args[i + 1]) {
+      parsed.profile = args[++i];
     } else if (!arg.startsWith("-")) {
       if (!parsed.command) {
         parsed.command = arg;
@@ -140,6 +155,7 @@ Commands:
 
 Options:
   --project-id <id>        Project ID (auto-detected from .skillboss if not provided)
+  --profile <name>         Credential profile from ~/.config/skillboss/credentials.json
 
 Product Fields (for create/update):
   --name <name>            Product name
@@ -202,7 +218,7 @@ async function apiRequest(method, endpoint, data = null, projectId) {
     options.body = JSON.stringify(data);
   }
 
-  const response = await fetch(url, options);
+  const response = await proxyAwareFetch(url, options);
   const responseData = await response.json();
 
   if (!response.ok) {
@@ -3,6 +3,7 @@
 const fs = require('fs')
 const path = require('path')
 const { fetchWithRetry } = require('./lib/fetch-retry')
+const { applyProfile, profileFromArgs } = require('./lib/profiles')
 
 /**
  * SkillBoss Build Service - Static and Worker publishing
@@ -18,6 +19,7 @@ const { fetchWithRetry } = require('./lib/fetch-retry')
  *   --project-id <id>   Project identifier (auto-generated on server if omitted)
  *   --version <n>       Version number (optional)
  *   --api-url <url>     Override build API URL (from config.json)
+ *   --profile <name>    Credential profile (default: SKILLBOSS_PROFILE or the active profile)
  *   --main <file>       Entry point for Worker (default: src/index.ts or index.ts)
  *   --name <name>       Worker name (default: derived from folder name)
  *   --help              Show this help message
@@ -27,11 +29,20 @@ const { fetchWithRetry } = require('./lib/fetch-retry')
 const CONFIG_PATH = path.join(__dirname, '..', 'config.json')
 
 function loadConfig() {
+  let config
   try {
     const configData = fs.readFileSync(CONFIG_PATH, 'utf8')
-    return JSON.parse(configData)
+    config = JSON.parse(configData)
   } catch (err) {
-    return {}
+    config = {}
+  }
+
+  // Overlay the selected credential profile (apiKey, buildApiUrl)
+  try {
+    return applyProfile(config, { profile: profileFromArgs(process.argv.slice(2)) })
+  } catch (err) {
+    console.error(`Error: ${err.message}`)
+    process.exit(1)
   }
 }
 
@@ -716,6 +727,7 @@ function parseArgs(args) {
     projectId: null,
     version: null,
     apiUrl: null,
+    profile: null,
     main: null,
     name: null,
     help: false,
@@ -732,6 +744,8 @@ function parseArgs(args) {
       parsed.version = args[++i]
     } else if (arg === '--api-url' && args[i + 1]) {
       parsed.apiUrl = args[++i]
+    } else if (arg === '--profile' && args[i + 1]) {
+      parsed.profile = args[++i]
     } else if (arg === '--main' && args[i + 1]) {
       parsed.main = args[++i]
     } else if (arg === '--name' && args[i + 1]) {
@@ -765,6 +779,7 @@ Common Options:
   --project-id <id>   Project identifier (auto-generated if omitted)
   --version <n>       Version number for versioned deployments
   --api-url <url>     Override build API URL (default: ${DEFAULT_BUILD_API_URL})
+  --profile <name>    Credential profile from ~/.config/skillboss/credentials.json
   --help, -h          Show this help message
 
 Worker Options (publish-worker only):
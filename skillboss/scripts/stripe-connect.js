@@ -4,6 +4,7 @@ const fs = require("fs");
 const path = require("path");
 const { execSync } = require("child_process");
 const { fetchWithRetry } = require("./lib/fetch-retry");
+const { applyProfile, profileFromArgs } = require("./lib/profiles");
 
 /**
  * SkillBoss Stripe Connect - Connect your Stripe account for payments
@@ -14,6 +15,7 @@ const { fetchWithRetry } = require("./lib/fetch-retry");
  * Options:
  *   --status          Check current Stripe account status
  *   --no-browser      Don't auto-open browser (just print URL)
+ *   --profile <name>  Credential profile (default: SKILLBOSS_PROFILE or the active profile)
  *   --help            Show this help message
  *
  * This script helps you connect a Stripe Express account for accepting payments.
@@ -24,11 +26,20 @@ const { fetchWithRetry } = require("./lib/fetch-retry");
 const CONFIG_PATH = path.join(__dirname, "..", "config.json");
 
 function loadConfig() {
+  let config;
   try {
     const configData = fs.readFileSync(CONFIG_PATH, "utf8");
-    return JSON.parse(configData);
+    config = JSON.parse(configData);
   } catch (err) {
-    return {};
+    config = {};
+  }
+
+  // Overlay the selected credential profile (apiKey, stripeConnectUrl)
+  try {
+    return applyProfile(config, { profile: profileFromArgs(process.argv.slice(2)) });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
   }
 }
 
@@ -189,16 +200,21 @@ function parseArgs(args) {
   const parsed = {
     status: false,
     noBrowser: false,
+    profile: null,
     help: false,
   };
 
-  for (const arg of args) {
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
     if (arg === "--help" || arg === "-h") {
       parsed.help = true;
     } else if (arg === "--status") {
       parsed.status = true;
     } else if (arg === "--no-browser") {
       parsed.noBrowser = true;
+    } else if (arg === "--profile" && args[i + 1]) {
+      parsed.profile = args[++i];
     }
   }
 
@@ -215,6 +231,7 @@ Usage:
 Options:
   --status          Check current Stripe account status only
   --no-browser      Don't auto-open browser (just print URL)
+  --profile <name>  Credential profile from ~/.config/skillboss/credentials.json
   --help, -h        Show this help message
 
 Description:
@@ -0,0 +1,95 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const http = require('http')
+const { execFile } = require('child_process')
+
+const CLI = path.join(__dirname, '..', 'api-hub.js')
+
+// A stand-in for API Hub: "ok/*" models answer with usage and cost, "broke/*" ones with 402
+function startHub(t) {
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      const { model } = JSON.parse(body || '{}')
+      res.setHeader('content-type', 'application/json')
+      if (model?.startsWith('broke/')) {
+        res.statusCode = 402
+        return res.end(JSON.stringify({ error: { message: 'Insufficient balance' } }))
+      }
+      res.end(JSON.stringify({
+        choices: [{ message: { role: 'assistant', content: 'Hello' } }],
+        usage: { prompt_tokens: 3, completion_tokens: 2 },
+        _cost_usd: 0.01,
+        _tip: 'Try --stream',
+      }))
+    })
+  })
+  t.after(() => server.close())
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}/v1`)))
+}
+
+// Run api-hub.js with a throwaway home whose "test" profile points at the stand-in hub
+async function runCli(t, args) {
+  const baseUrl = await startHub(t)
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'skillboss-cli-'))
+  t.after(() => fs.rmSync(home, { recursive: true, force: true }))
+  fs.mkdirSync(path.join(home, '.config', 'skillboss'), { recursive: true })
+  fs.writeFileSync(path.join(home, '.config', 'skillboss', 'credentials.json'), JSON.stringify({
+    profiles: { test: { api_key: 'sk-test-0123456789', base_url: baseUrl } },
+  }))
+  const env = Object.fromEntries(Object.entries(process.env).filter(([name]) => !name.startsWith('SKILLBOSS_')))
+  Object.assign(env, { HOME: home, SKILLBOSS_PROFILE: 'test', SKILLBOSS_UPDATE: 'off', SKILLBOSS_CACHE: '0' })
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { env, timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr, envelope: JSON.parse(stdout) })
+    })
+  })
+}
+
+test('--json success: data, model, cost totals and collected warnings', async t => {
+  const { code, envelope, stderr } = await runCli(t, ['chat', '--model', 'ok/model', '--prompt', 'hi', '--json'])
+  assert.equal(code, 0, stderr)
+  assert.deepEqual(Object.keys(envelope), ['ok', 'command', 'model', 'data', 'saved', 'cost', 'warnings', 'error'])
+  assert.equal(envelope.ok, true)
+  assert.equal(envelope.command, 'chat')
+  assert.equal(envelope.model, 'ok/model')
+  assert.equal(envelope.data.choices[0].message.content, 'Hello')
+  assert.deepEqual(envelope.saved, [])
+  assert.deepEqual(envelope.cost, { calls: 1, usd: 0.01, estimated_usd: 0, credits: 0, tokens_in: 3, tokens_out: 2 })
+  assert.ok(envelope.warnings.some(warning => warning.includes('Try --stream')), envelope.warnings.join('\n'))
+  assert.equal(envelope.error, null)
+})
+
+test('a flag value before the command that equals it is kept', async t => {
+  const { code, envelope, stderr } = await runCli(t, ['--prompt', 'chat', '--json', 'chat', '--model', 'ok/model'])
+  assert.equal(code, 0, stderr)
+  assert.equal(envelope.command, 'chat')
+  assert.equal(envelope.data.choices[0].message.content, 'Hello')
+})
+
+test('--json usage error: exit code 1 and every problem listed', async t => {
+  const { code, envelope } = await runCli(t, ['chat', '--temperature', 'warm', '--json'])
+  assert.equal(code, 1)
+  assert.equal(envelope.ok, false)
+  assert.equal(envelope.data, null)
+  assert.equal(envelope.error.code, 'usage')
+  assert.equal(envelope.error.exit_code, 1)
+  assert.ok(envelope.error.problems.length >= 2, envelope.error.problems.join('\n'))
+  assert.equal(envelope.cost.calls, 0)
+})
+
+test('--json API error: typed code, exit code and the failed call in the totals', async t => {
+  const { code, envelope } = await runCli(t, ['chat', '--model', 'broke/model', '--prompt', 'hi', '--json'])
+  assert.equal(code, 4)
+  assert.equal(envelope.ok, false)
+  assert.equal(envelope.model, 'broke/model')
+  assert.equal(envelope.error.exit_code, 4)
+  assert.match(envelope.error.message, /Insufficient balance/)
+  assert.equal(envelope.error.retryable, false)
+  assert.equal(envelope.cost.calls, 1)
+  assert.equal(envelope.cost.usd, 0)
+})
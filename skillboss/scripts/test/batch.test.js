@@ -0,0 +1,104 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { readJobs, readResults, batch, defaultResultsPath } = require('../commands/batch')
+const { UsageError } = require('../lib/flags')
+
+const schemas = {
+  tts: { flags: { text: { required: true }, output: { required: true }, speed: { type: 'number' } } },
+}
+const schemaFor = name => schemas[name] || null
+const quiet = { log() {}, info() {}, warn() {}, error() {}, debug() {} }
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skillboss-batch-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+function writeLines(file, lines) {
+  fs.writeFileSync(file, lines.map(line => (typeof line === 'string' ? line : JSON.stringify(line))).join('\n') + '\n')
+  return file
+}
+
+test('readJobs parses and checks each job like a command line', t => {
+  const file = writeLines(path.join(tmpDir(t), 'jobs.jsonl'), [
+    { id: 'intro', command: 'tts', flags: { text: 'Hello', output: 'intro.mp3', speed: 1.2 } },
+    '// a comment',
+    '',
+    { command: 'tts', flags: { text: 'Bye', output: 'outro.mp3' } },
+  ])
+  const jobs = readJobs(file, schemaFor)
+  assert.deepEqual(jobs.map(job => [job.id.length, job.line, job.args.speed]), [[5, 1, 1.2], [12, 4, undefined]])
+  assert.equal(jobs[0].id, 'intro')
+  // Jobs without an id are known by what they do
+  assert.equal(readJobs(file, schemaFor)[1].id, jobs[1].id)
+})
+
+test('readJobs reports every invalid line at once', t => {
+  const file = writeLines(path.join(tmpDir(t), 'jobs.jsonl'), [
+    '{not json',
+    { command: 'nope' },
+    { flags: {} },
+    { id: 'a', command: 'tts', flags: { text: 'x' } },
+    { id: 'b', command: 'tts', flags: { text: 'x', output: 'x.mp3' } },
+    { id: 'b', command: 'tts', flags: { text: 'y', output: 'y.mp3' } },
+  ])
+  assert.throws(() => readJobs(file, schemaFor), err => {
+    assert.ok(err instanceof UsageError)
+    assert.equal(err.problems.length, 5)
+    assert.match(err.problems[0], /^line 1: invalid JSON/)
+    assert.match(err.problems[1], /^line 2: unknown or unsupported command "nope"/)
+    assert.match(err.problems[2], /^line 3: needs a "command"/)
+    assert.match(err.problems[3], /^line 4 \(tts\): Missing required option --output/)
+    assert.match(err.problems[4], /^line 6: duplicate job id "b"/)
+    return true
+  })
+  assert.throws(() => readJobs(path.join(os.tmpdir(), 'skillboss-no-such-jobs.jsonl'), schemaFor), /Cannot read jobs file/)
+})
+
+test('readResults keeps the latest record per job and skips a cut-off line', t => {
+  const dir = tmpDir(t)
+  assert.equal(readResults(path.join(dir, 'missing.jsonl')).size, 0)
+  const file = path.join(dir, 'jobs.results.jsonl')
+  fs.writeFileSync(file, [
+    JSON.stringify({ id: 'a', status: 'error' }),
+    JSON.stringify({ id: 1, status: 'ok' }),
+    JSON.stringify({ id: 'a', status: 'ok' }),
+    '{"id":"b","sta',
+  ].join('\n'))
+  const latest = readResults(file)
+  assert.deepEqual([...latest.keys()], ['a', '1'])
+  assert.equal(latest.get('a').status, 'ok')
+})
+
+test('batch resumes: finished jobs are skipped, failed ones only with retryFailed', async t => {
+  const dir = tmpDir(t)
+  const file = writeLines(path.join(dir, 'jobs.jsonl'), [
+    { id: 'one', command: 'tts', flags: { text: 'ok', output: path.join(dir, 'one.mp3') } },
+    { id: 'two', command: 'tts', flags: { text: 'fail', output: path.join(dir, 'two.mp3') } },
+  ])
+  const client = { logger: quiet, history: [], child: () => ({ history: [] }) }
+  let fail = true
+  const ran = []
+  const execute = async (command, args) => {
+    ran.push(args.text)
+    if (args.text === 'fail' && fail) throw new Error('vendor down')
+    return { saved: args.output }
+  }
+
+  const first = await batch({ file, schemaFor, execute }, client)
+  assert.deepEqual([first.ok, first.failed, first.skipped], [1, 1, 0])
+  assert.equal(first.results, defaultResultsPath(file))
+
+  const second = await batch({ file, schemaFor, execute }, client)
+  assert.deepEqual([second.ok, second.failed, second.skipped], [0, 0, 2])
+
+  fail = false
+  const third = await batch({ file, schemaFor, execute, retryFailed: true }, client)
+  assert.deepEqual([third.ok, third.failed, third.skipped], [1, 0, 1])
+  assert.deepEqual(ran, ['ok', 'fail', 'fail'])
+  assert.equal(readResults(first.results).get('two').status, 'ok')
+})
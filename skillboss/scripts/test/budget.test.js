@@ -0,0 +1,115 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { budgetFromConfig, estimateFromCatalog, createBudget } = require('../lib/budget')
+const { createLedger } = require('../lib/ledger')
+
+const models = [
+  { id: 'img', pricing: { per_image: 0.4 } },
+  { id: 'vid', pricing: { per_second: 0.1 } },
+]
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skillboss-budget-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+// A budget with a fixed catalog and, optionally, a ledger in a temp dir
+function makeBudget(t, limits, { ledger = true, logger } = {}) {
+  const dir = tmpDir(t)
+  const catalogPath = path.join(dir, 'models.json')
+  fs.writeFileSync(catalogPath, JSON.stringify({ fetchedAt: Date.now(), models }))
+  const usage = ledger ? createLedger({ path: path.join(dir, 'usage.jsonl') }) : null
+  return { budget: createBudget(limits, { ledger: usage, catalogPath, logger }), ledger: usage }
+}
+
+test('budgetFromConfig reads config.json and env overrides', () => {
+  assert.equal(budgetFromConfig({}, {}), null)
+  const limits = budgetFromConfig(
+    { budget: { perCall: 1, daily: '20', categories: { video: { daily: 10, bogus: 1 }, empty: {} } } },
+    { SKILLBOSS_BUDGET_PER_CALL: '0.5' },
+  )
+  assert.deepEqual(limits, { perCall: 0.5, daily: 20, categories: { video: { daily: 10 } } })
+})
+
+test('estimateFromCatalog understands flat, per-second and token prices', () => {
+  assert.equal(estimateFromCatalog(models[0], { num_images: 3 }), 0.4 * 3)
+  assert.equal(estimateFromCatalog(models[1], { duration: 10 }), 1)
+  assert.equal(estimateFromCatalog({ pricing: { per_1k_characters: 2 } }, { text: 'x'.repeat(500) }), 1)
+  assert.ok(estimateFromCatalog({ pricing: { input_per_1m_tokens: 1, output_per_1m_tokens: 2 } }, { max_tokens: 1000 }) > 0)
+  assert.equal(estimateFromCatalog({ pricing: {} }, {}), undefined)
+  assert.equal(estimateFromCatalog(undefined), undefined)
+})
+
+test('spend recorded in the ledger counts, including lines appended later', async t => {
+  const { budget, ledger } = makeBudget(t, { daily: 1, categories: {} })
+  ledger.append({ model: 'img', category: 'image', cost_usd: 0.5 })
+  const first = await budget.check({ model: 'img', category: 'image' })
+  assert.equal(first.exceeded, null)
+  budget.settle(first.reservation)
+
+  ledger.append({ model: 'img', category: 'image', cost_usd: 0.3 })
+  const second = await budget.check({ model: 'img', category: 'image' })
+  assert.equal(second.exceeded.limit, 'daily')
+  assert.equal(Math.round(second.exceeded.spentUsd * 100), 80)
+})
+
+test('concurrent checks reserve their estimates', async t => {
+  const { budget } = makeBudget(t, { daily: 1, categories: {} })
+  const checks = await Promise.all([1, 2, 3].map(() => budget.check({ model: 'img', category: 'image' })))
+  assert.deepEqual(checks.map(c => c.exceeded === null), [true, true, false])
+
+  // Settling releases the reservation, so the next call fits again
+  budget.settle(checks[0].reservation)
+  assert.equal((await budget.check({ model: 'img', category: 'image' })).exceeded, null)
+})
+
+test('with the ledger off, spend of this process counts and a warning says so', async t => {
+  const warnings = []
+  const { budget } = makeBudget(t, { hourly: 1, categories: {} }, { ledger: false, logger: { warn: m => warnings.push(m) } })
+  const first = await budget.check({ model: 'img', category: 'image' })
+  budget.settle(first.reservation, { model: 'img', category: 'image', cost_usd: 0.9 })
+  const second = await budget.check({ model: 'img', category: 'image' })
+  assert.equal(second.exceeded.limit, 'hourly')
+  assert.equal(warnings.length, 1)
+  assert.match(warnings[0], /ledger is off/)
+})
+
+test('a per-call limit refuses a call with no estimate', async t => {
+  const { budget } = makeBudget(t, { perCall: 1, categories: {} })
+  const { exceeded, reservation } = await budget.check({ model: 'unknown-model', category: 'chat' })
+  assert.equal(exceeded.unestimated, true)
+  assert.equal(reservation, null)
+  assert.match(exceeded.message, /can't be checked: no price is known for unknown-model/)
+
+  assert.equal((await budget.check({ model: 'img', category: 'image' })).exceeded, null)
+})
+
+test('category limits apply only to their category', async t => {
+  const { budget, ledger } = makeBudget(t, { categories: { video: { daily: 1 } } })
+  ledger.append({ model: 'vid', category: 'video', cost_usd: 0.8 })
+  assert.equal((await budget.check({ model: 'img', category: 'image' })).exceeded, null)
+  const { exceeded } = await budget.check({ model: 'vid', category: 'video', inputs: { duration: 5 } })
+  assert.equal(exceeded.category, 'video')
+})
+
+test('failed calls count only what API Hub reported, not their estimate', async t => {
+  const { budget, ledger } = makeBudget(t, { hourly: 1, categories: {} })
+  for (let i = 0; i < 3; i++) {
+    const { exceeded, reservation } = await budget.check({ model: 'img', category: 'image' })
+    assert.equal(exceeded, null)
+    const record = { ts: new Date().toISOString(), model: 'img', category: 'image', status: 402, error_code: 'payment_required', ok: false, estimated_cost_usd: 0.4 }
+    ledger.append(record)
+    budget.settle(reservation, record)
+  }
+  const next = await budget.check({ model: 'img', category: 'image' })
+  assert.equal(next.exceeded, null)
+  budget.settle(next.reservation)
+
+  ledger.append({ model: 'img', category: 'image', ok: false, cost_usd: 0.7, estimated_cost_usd: 0.4 })
+  const { exceeded } = await budget.check({ model: 'img', category: 'image' })
+  assert.equal(Math.round(exceeded.spentUsd * 100), 70)
+})
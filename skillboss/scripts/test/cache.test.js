@@ -0,0 +1,67 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { cacheKey, cacheable, createCache, inferCategory, stableStringify } = require('../lib/cache')
+
+const request = { model: 'openai/gpt-4o', inputs: { messages: [{ role: 'user', content: 'Hi' }] }, auto_fallback: true }
+const scope = { baseUrl: 'https://api.example.com/v1', apiKey: 'sk-one', profile: null }
+
+test('stableStringify ignores key order and undefined values', () => {
+  assert.equal(stableStringify({ b: 1, a: { d: 2, c: undefined } }), stableStringify({ a: { d: 2 }, b: 1 }))
+})
+
+test('cacheKey is stable for the same request and scope', () => {
+  assert.equal(cacheKey('/run', request, 'json', scope), cacheKey('/run', { ...request }, 'json', { ...scope }))
+})
+
+test('cacheKey separates accounts, profiles, base URLs, fallback and result kinds', () => {
+  const base = cacheKey('/run', request, 'json', scope)
+  assert.notEqual(cacheKey('/run', request, 'json', { ...scope, apiKey: 'sk-two' }), base)
+  assert.notEqual(cacheKey('/run', request, 'json', { ...scope, profile: 'work' }), base)
+  assert.notEqual(cacheKey('/run', request, 'json', { ...scope, baseUrl: 'http://localhost:8080/v1' }), base)
+  assert.notEqual(cacheKey('/run', { ...request, auto_fallback: false }, 'json', scope), base)
+  assert.notEqual(cacheKey('/run', request, 'stream', scope), base)
+})
+
+test('cacheKey never contains the API key itself', () => {
+  assert.doesNotMatch(cacheKey('/run', request, 'json', { apiKey: 'sk-secret' }), /sk-secret/)
+})
+
+test('chat is only cacheable at temperature 0', () => {
+  assert.equal(cacheable(request, 'chat'), false)
+  assert.equal(cacheable({ ...request, inputs: { ...request.inputs, temperature: 0.7 } }, 'chat'), false)
+  assert.equal(cacheable({ ...request, inputs: { ...request.inputs, temperature: 0 } }, 'chat'), true)
+  assert.equal(cacheable({ model: 'flux/schnell', inputs: {} }, 'image'), true)
+})
+
+test('inferCategory only treats "ses" as a vendor or path segment', () => {
+  assert.equal(inferCategory('aws/ses-send'), 'email')
+  assert.equal(inferCategory('ses/send'), 'email')
+  assert.equal(inferCategory('prelude/verify'), 'sms')
+  assert.equal(inferCategory('acme/sessions-chat'), 'chat')
+  assert.equal(inferCategory('openai/processes-v1'), 'chat')
+  assert.equal(inferCategory('black-forest-labs/flux-schnell'), 'image')
+  assert.equal(inferCategory('elevenlabs/eleven_multilingual_v2'), 'tts')
+})
+
+test('createCache stores, expires and clears entries', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skillboss-cache-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const cache = createCache({ dir, ttl: { image: 60, sms: 0 } })
+
+  assert.equal(cache.put('a', { result: 1 }, 'image'), true)
+  assert.equal(cache.get('a').result, 1)
+  assert.equal(cache.put('b', { result: 2 }, 'sms'), false)
+  assert.equal(cache.get('b'), null)
+
+  const entry = path.join(dir, 'entries', 'a.json')
+  const stored = JSON.parse(fs.readFileSync(entry, 'utf8'))
+  fs.writeFileSync(entry, JSON.stringify({ ...stored, expires_at: new Date(Date.now() - 1000).toISOString() }))
+  assert.equal(cache.get('a'), null)
+
+  cache.put('c', { result: 3 }, 'image')
+  assert.deepEqual(cache.clear(), { entries: 1, blobs: 0 })
+  assert.equal(cache.stats().entries, 0)
+})
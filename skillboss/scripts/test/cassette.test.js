@@ -0,0 +1,75 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const http = require('http')
+const { createCassette, MAX_RECORDED_BYTES } = require('../lib/cassette')
+
+// Local fixture: /sse sends one event, then waits for /release before the second
+function startServer(t) {
+  let release
+  const released = new Promise(resolve => { release = resolve })
+  const server = http.createServer(async (req, res) => {
+    if (req.url === '/sse') {
+      res.writeHead(200, { 'content-type': 'text/event-stream' })
+      res.write('data: one\n\n')
+      await released
+      res.end('data: two\n\n')
+    } else if (req.url === '/big') {
+      res.writeHead(200, { 'content-type': 'application/octet-stream' })
+      res.end(Buffer.alloc(MAX_RECORDED_BYTES + 1, 1))
+    } else {
+      res.writeHead(200, { 'content-type': 'application/json' })
+      res.end('{"ok":true}')
+    }
+  })
+  t.after(() => server.close())
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ base: `http://127.0.0.1:${server.address().port}`, release })))
+}
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skillboss-cassette-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+test('recording passes a stream through live and saves it once read', async t => {
+  const { base, release } = await startServer(t)
+  const dir = tmpDir(t)
+  const recordFetch = createCassette({ mode: 'record', dir }).wrap(fetch)
+
+  const res = await recordFetch(`${base}/sse`, { headers: { Authorization: 'Bearer sk-secret' } })
+  const reader = res.body.getReader()
+  const first = await reader.read()
+  // The first event arrives while the server is still holding the stream open
+  assert.equal(Buffer.from(first.value).toString(), 'data: one\n\n')
+  release()
+  while (!(await reader.read()).done);
+
+  const [file] = fs.readdirSync(dir)
+  const entry = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))
+  assert.equal(entry.response.body, 'data: one\n\ndata: two\n\n')
+  assert.equal(entry.request.headers.Authorization, '[REDACTED]')
+
+  const replayed = await createCassette({ mode: 'replay', dir }).wrap(fetch)(`${base}/sse`, {})
+  assert.equal(await replayed.text(), 'data: one\n\ndata: two\n\n')
+})
+
+test('binary bodies over the cap are passed through but not recorded', async t => {
+  const { base } = await startServer(t)
+  const dir = tmpDir(t)
+  const res = await createCassette({ mode: 'record', dir }).wrap(fetch)(`${base}/big`, {})
+  assert.equal((await res.arrayBuffer()).byteLength, MAX_RECORDED_BYTES + 1)
+
+  const [file] = fs.readdirSync(dir)
+  const entry = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))
+  assert.equal(entry.response.body, null)
+  assert.match(entry.response.omitted, /larger than/)
+  await assert.rejects(createCassette({ mode: 'replay', dir }).wrap(fetch)(`${base}/big`, {}), /was not recorded/)
+})
+
+test('replay fails clearly when nothing was recorded', async t => {
+  const dir = tmpDir(t)
+  await assert.rejects(createCassette({ mode: 'replay', dir }).wrap(fetch)('http://127.0.0.1:1/x', {}), /no recorded response/)
+})
@@ -0,0 +1,86 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { PassThrough } = require('stream')
+const { SkillBossClient } = require('../lib/client')
+const { chatRepl } = require('../commands/chat-repl')
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skillboss-repl-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+// Streams "echo: <question>" back, or fails when the question is "fail"
+function fakeHub() {
+  const requests = []
+  const fetch = async (url, init) => {
+    const body = JSON.parse(init.body)
+    requests.push(body)
+    const question = body.inputs.messages.at(-1).content
+    if (question === 'fail') {
+      return new Response(JSON.stringify({ error: { message: 'Upstream exploded' } }), { status: 500, headers: { 'content-type': 'application/json' } })
+    }
+    const chunk = { choices: [{ delta: { content: `echo: ${question}` } }] }
+    return new Response(`data: ${JSON.stringify(chunk)}\n\ndata: [DONE]\n\n`, { status: 200, headers: { 'content-type': 'text/event-stream' } })
+  }
+  return { requests, fetch }
+}
+
+// Type `lines` into the REPL and collect what it prints
+async function drive(params, client, lines) {
+  const input = new PassThrough()
+  const output = new PassThrough()
+  let printed = ''
+  output.on('data', chunk => { printed += chunk })
+  input.end(lines.map(line => `${line}\n`).join(''))
+  const session = await chatRepl(params, client, { input, output, historyPath: null })
+  return { session, printed }
+}
+
+test('slash commands, a failed reply and /exit', async t => {
+  const file = path.join(tmpDir(t), 'chat.json')
+  const { requests, fetch } = fakeHub()
+  const errors = []
+  const logger = { log() {}, info() {}, warn() {}, debug() {}, error: message => errors.push(message) }
+  const client = new SkillBossClient({ apiKey: 'sk-test', baseUrl: 'http://127.0.0.1:1/v1', logger, fetch, cache: false })
+  const changes = []
+  const params = { model: 'a/one', system: 'Be brief', onChange: session => changes.push(session.messages.length) }
+
+  const { session, printed } = await drive(params, client, [
+    'hello',
+    '/model b/two',
+    'fail',
+    '/system off',
+    'again',
+    `/save ${file}`,
+    '/clear',
+    `/load ${file}`,
+    '/exit',
+    'never sent',
+  ])
+
+  assert.equal(requests.length, 3)
+  assert.equal(requests[0].model, 'a/one')
+  assert.equal(requests[0].inputs.system, 'Be brief')
+  assert.equal(requests[1].model, 'b/two')
+  assert.match(errors[0], /Upstream exploded/)
+  // The failed question was dropped, so it is not sent again with the next one
+  assert.deepEqual(requests[2].inputs.messages.map(m => m.content), ['hello', 'echo: hello', 'again'])
+  assert.equal(requests[2].inputs.system, undefined)
+
+  assert.match(printed, /echo: hello\n/)
+  assert.match(printed, /Model: b\/two\n/)
+  assert.match(printed, /No system prompt\n/)
+  assert.match(printed, /Saved 4 messages to /)
+  assert.match(printed, /Conversation cleared\n/)
+  assert.match(printed, /Loaded 4 messages from .* \(model: b\/two\)\n/)
+
+  assert.equal(session.model, 'b/two')
+  assert.equal(session.system, undefined)
+  assert.deepEqual(session.messages.map(m => m.content), ['hello', 'echo: hello', 'again', 'echo: again'])
+  // After each reply, /clear and /load; not after the failed one
+  assert.deepEqual(changes, [2, 4, 0, 4])
+})
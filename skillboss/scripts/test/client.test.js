@@ -0,0 +1,143 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { SkillBossClient, saveBinaryResponse, cancelOnSignals } = require('../lib/client')
+const { CancelledError, exitCodeFor } = require('../lib/errors')
+
+const quiet = { log() {}, info() {}, warn() {}, error() {}, debug() {} }
+
+// A fetch that never answers, only rejects when its signal is aborted
+function hangingFetch(url, init) {
+  return new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(init.signal.reason), { once: true })
+  })
+}
+
+function makeClient() {
+  return new SkillBossClient({ apiKey: 'sk-test', baseUrl: 'http://127.0.0.1:1/v1', logger: quiet, fetch: hangingFetch, cache: false })
+}
+
+test('aborting the parent cancels a child call, also after an earlier abort', async () => {
+  const client = makeClient()
+  const child = client.child({ command: 'tts' })
+
+  for (let round = 0; round < 2; round++) {
+    const call = child.get('/v1/models')
+    await new Promise(resolve => setImmediate(resolve))
+    client.abort(new CancelledError(`round ${round}`))
+    await assert.rejects(call, err => err instanceof CancelledError && err.message === `round ${round}`)
+  }
+})
+
+test('aborting a child cancels the parent\'s calls and keeps them in step', async () => {
+  const client = makeClient()
+  const child = client.child()
+
+  child.abort()
+  const call = client.get('/v1/models')
+  await new Promise(resolve => setImmediate(resolve))
+  child.abort(new CancelledError('from child'))
+  await assert.rejects(call, /from child/)
+})
+
+test('a child keeps its own history and command', () => {
+  const client = makeClient()
+  client.command = 'batch'
+  const child = client.child({ command: 'image' })
+  assert.equal(child.command, 'image')
+  assert.notEqual(child.history, client.history)
+  assert.equal(client.command, 'batch')
+})
+
+test('a resumed stream records each attempt in the ledger', async () => {
+  const encoder = new TextEncoder()
+  const requests = []
+  // The first response sends one event with an ID, then the connection drops
+  const fetch = async (url, init) => {
+    requests.push(new Headers(init.headers).get('last-event-id'))
+    const body = requests.length === 1
+      ? new ReadableStream({
+          pull(controller) {
+            if (controller.sent) return controller.error(new Error('socket hang up'))
+            controller.sent = true
+            controller.enqueue(encoder.encode('id: 1\ndata: {"text":"a"}\n\n'))
+          },
+        })
+      : new ReadableStream({
+          start(controller) {
+            controller.enqueue(encoder.encode('data: {"text":"b","usage":{"prompt_tokens":3,"completion_tokens":2}}\n\ndata: [DONE]\n\n'))
+            controller.close()
+          },
+        })
+    return new Response(body, { status: 200, headers: { 'content-type': 'text/event-stream' } })
+  }
+  const entries = []
+  const client = new SkillBossClient({
+    apiKey: 'sk-test',
+    baseUrl: 'http://127.0.0.1:1/v1',
+    logger: quiet,
+    fetch,
+    cache: false,
+    retry: { baseDelay: 1 },
+    ledger: { append: entry => entries.push(entry) },
+  })
+
+  const chunks = []
+  for await (const chunk of client.stream('/run', { model: 'openai/gpt-4o', inputs: {} })) chunks.push(chunk.text)
+  assert.deepEqual(chunks, ['a', 'b'])
+  assert.deepEqual(requests, [null, '1'])
+  assert.equal(entries.length, 2)
+  assert.equal(entries[0].ok, false)
+  assert.equal(entries[1].ok, true)
+  assert.equal(entries[1].tokens_out, 2)
+})
+
+test('abort() cancels in-flight calls and reports what they were', async () => {
+  const client = makeClient()
+  const call = client.post('/run', { model: 'openai/gpt-4o', inputs: {} })
+  await new Promise(resolve => setImmediate(resolve))
+  const cancelled = client.abort()
+  assert.deepEqual(cancelled.map(req => [req.method, req.endpoint, req.model]), [['POST', '/run', 'openai/gpt-4o']])
+  assert.ok(cancelled[0].id)
+  await assert.rejects(call, err => err instanceof CancelledError && exitCodeFor(err) === 130)
+  assert.deepEqual(client.abort(), [])
+})
+
+test('a signal cancels in-flight calls and exits with 128 + the signal number', async t => {
+  const client = makeClient()
+  const warnings = []
+  client.logger = { ...quiet, warn: message => warnings.push(message) }
+  const remove = cancelOnSignals(client, ['SIGTERM'])
+  t.after(remove)
+
+  const call = client.post('/run', { model: 'openai/gpt-4o', inputs: {} })
+  await new Promise(resolve => setImmediate(resolve))
+  process.emit('SIGTERM', 'SIGTERM')
+  await assert.rejects(call, err => err instanceof CancelledError && err.signal === 'SIGTERM' && exitCodeFor(err) === 143)
+  assert.match(warnings.join('\n'), /SIGTERM received, cancelling/)
+  assert.match(warnings.join('\n'), /Cancelled POST \/run \(openai\/gpt-4o\)/)
+  assert.match(warnings.join('\n'), /may still complete \(and bill\)/)
+})
+
+test('an interrupted download leaves neither the file nor a partial one behind', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skillboss-client-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  // Sends the first chunk, then stalls until the request is aborted
+  const stalledBody = (url, init) => new Response(new ReadableStream({
+    start(controller) {
+      controller.enqueue(new TextEncoder().encode('partial audio'))
+      init.signal.addEventListener('abort', () => controller.error(init.signal.reason), { once: true })
+    },
+  }))
+  const client = new SkillBossClient({ apiKey: 'sk-test', baseUrl: 'http://127.0.0.1:1/v1', logger: quiet, fetch: stalledBody, cache: false })
+  const output = path.join(dir, 'out.mp3')
+
+  const response = await client.fetchMedia('https://media.example/out.mp3')
+  const saving = saveBinaryResponse(response, output)
+  await new Promise(resolve => setTimeout(resolve, 20))
+  assert.deepEqual(client.abort().map(req => req.url), ['https://media.example/out.mp3'])
+  await assert.rejects(saving, CancelledError)
+  assert.deepEqual(fs.readdirSync(dir), [])
+})
@@ -0,0 +1,46 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+const { completeWords, completionScript } = require('../lib/completion')
+
+const commands = {
+  chat: { category: 'chat', flags: { model: { type: 'string' }, stream: { type: 'boolean' } } },
+  image: { category: 'image', flags: { model: { type: 'string' }, size: { type: 'string', choices: ['512', '1024'] } } },
+}
+const globalFlags = { json: { type: 'boolean' } }
+const catalog = [{ id: 'gpt-x', category: 'chat' }, { id: 'img-x', category: 'image' }]
+
+test('completeWords suggests commands, flags and values', () => {
+  const complete = words => completeWords(words, { commands, globalFlags, catalog })
+  assert.deepEqual(complete(['']), ['chat', 'image'])
+  assert.deepEqual(complete(['chat', '--s']), ['--stream'])
+  assert.deepEqual(complete(['chat', '--model', '']), ['gpt-x'])
+  assert.deepEqual(complete(['image', '--size=1']), ['--size=1024'])
+})
+
+const bash = spawnSync('bash', ['--version']).status === 0
+
+// Source the bash script with `previous` as node's completion, then press Tab at the end of `line`
+function bashTab(t, line) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'skillboss-completion-'))
+  t.after(() => fs.rmSync(home, { recursive: true, force: true }))
+  const script = [
+    '_previous() { COMPREPLY=(from-previous); }',
+    'complete -F _previous node',
+    completionScript('bash', path.join(__dirname, '..', 'api-hub.js')),
+    `COMP_LINE=${JSON.stringify(line)}; COMP_POINT=\${#COMP_LINE}`,
+    '_skillboss_api_hub node',
+    'printf "%s\\n" "${COMPREPLY[@]}"',
+  ].join('\n')
+  const result = spawnSync('bash', ['-c', script], { encoding: 'utf8', timeout: 20000, env: { ...process.env, HOME: home } })
+  return result.stdout.split('\n').filter(Boolean)
+}
+
+test('bash: node keeps its own completion for other scripts', { skip: !bash }, t => {
+  assert.deepEqual(bashTab(t, 'node other.js --'), ['from-previous'])
+  assert.deepEqual(bashTab(t, 'node api-h'), ['from-previous'])
+  assert.ok(bashTab(t, 'node ./scripts/api-hub.js ch').includes('chat'))
+})
@@ -0,0 +1,63 @@
+const { test, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+// credentials.json is found through the home directory, so point it somewhere disposable before loading doctor
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'skillboss-doctor-'))
+after(() => fs.rmSync(home, { recursive: true, force: true }))
+process.env.HOME = home
+for (const name of Object.keys(process.env)) if (name.startsWith('SKILLBOSS_')) delete process.env[name]
+
+const { runChecks, formatReport } = require('../lib/doctor')
+
+const credentials = path.join(home, '.config', 'skillboss', 'credentials.json')
+fs.mkdirSync(path.dirname(credentials), { recursive: true })
+
+function writeCredentials(content, mode) {
+  fs.writeFileSync(credentials, content)
+  fs.chmodSync(credentials, mode)
+}
+
+const byName = checks => Object.fromEntries(checks.map(check => [check.name, check]))
+
+test('--offline skips the network checks without calling fetch', async () => {
+  writeCredentials(JSON.stringify({ api_key: 'sk-doctor-0123456789' }), 0o600)
+  const calls = []
+  const checks = byName(await runChecks({ offline: true, env: {}, fetch: async url => calls.push(url) }))
+  assert.deepEqual(calls, [])
+  for (const name of ['API Hub', 'Build API', 'Version']) {
+    assert.equal(checks[name].status, 'skip')
+    assert.equal(checks[name].detail, 'skipped (--offline)')
+  }
+  assert.equal(checks['credentials.json'].status, 'pass')
+  assert.equal(checks['API key'].status, 'pass')
+  assert.match(checks['API key'].detail, /^sk-doctor-\.\.\.6789 from credentials\.json$/)
+})
+
+test('credentials.json readable by others is a warning with a chmod fix', { skip: process.platform === 'win32' }, async () => {
+  writeCredentials(JSON.stringify({ api_key: 'sk-doctor-0123456789' }), 0o644)
+  const check = byName(await runChecks({ offline: true, env: {} }))['credentials.json']
+  assert.equal(check.status, 'warn')
+  assert.equal(check.detail, 'readable by other users (mode 644)')
+  assert.equal(check.fix, `chmod 600 ${credentials}`)
+})
+
+test('credentials.json that is not JSON fails', async () => {
+  writeCredentials('{ "api_key": ', 0o600)
+  const checks = await runChecks({ offline: true, env: {} })
+  const check = byName(checks)['credentials.json']
+  assert.equal(check.status, 'fail')
+  assert.match(check.detail, /is not valid JSON/)
+  assert.match(formatReport(checks), /\[fail\]\s+credentials\.json/)
+  assert.match(formatReport(checks), /1 failed/)
+})
+
+test('a profile with its own hosts and no key is not reported as using the default key', async () => {
+  writeCredentials(JSON.stringify({ api_key: 'sk-doctor-0123456789', profiles: { staging: { base_url: 'https://staging.example.com/v1' } } }), 0o600)
+  const check = byName(await runChecks({ profile: 'staging', offline: true, env: {} }))['API key']
+  assert.equal(check.status, 'warn')
+  assert.match(check.detail, /profile "staging" has its own hosts but no key/)
+  assert.match(check.fix, /auth profiles add staging --key <KEY>$/)
+})
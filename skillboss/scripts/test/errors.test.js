@@ -0,0 +1,78 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const {
+  createApiHubError,
+  exitCodeFor,
+  parseRetryAfter,
+  ApiHubError,
+  AuthError,
+  InsufficientBalanceError,
+  RateLimitError,
+  ValidationError,
+  VendorError,
+  CancelledError,
+} = require('../lib/errors')
+
+test('createApiHubError classifies by HTTP status', () => {
+  assert.ok(createApiHubError({ status: 401, body: '{"error":"nope"}' }) instanceof AuthError)
+  assert.ok(createApiHubError({ status: 403, body: 'forbidden' }) instanceof AuthError)
+  assert.ok(createApiHubError({ status: 402, body: 'pay up' }) instanceof InsufficientBalanceError)
+  assert.ok(createApiHubError({ status: 429, body: 'slow down' }) instanceof RateLimitError)
+  assert.ok(createApiHubError({ status: 422, body: 'bad input' }) instanceof ValidationError)
+  assert.ok(createApiHubError({ status: 500, body: 'boom' }) instanceof VendorError)
+})
+
+test('a status wins over a message that mentions balance or authorization', () => {
+  const validation = createApiHubError({ status: 400, body: { error: { message: 'balance must be a positive number' } } })
+  assert.ok(validation instanceof ValidationError)
+  assert.equal(exitCodeFor(validation), exitCodeFor(new ValidationError('x')))
+
+  const vendor = createApiHubError({ status: 500, body: { error: { message: 'Upstream said: unauthorized' } } })
+  assert.ok(vendor instanceof VendorError)
+  assert.ok(!(vendor instanceof AuthError))
+
+  const credits = createApiHubError({ status: 503, body: 'vendor out of credits' })
+  assert.ok(credits instanceof VendorError)
+  assert.equal(credits.retryable, true)
+})
+
+test('message hints classify errors without a status (stream error events)', () => {
+  assert.ok(createApiHubError({ body: { error: { code: 'invalid_token', message: 'Token expired' } } }) instanceof AuthError)
+  assert.ok(createApiHubError({ body: { error: 'Insufficient balance' } }) instanceof InsufficientBalanceError)
+  assert.ok(createApiHubError({ body: { error: { code: 'rate_limit', message: 'Too many' } } }) instanceof RateLimitError)
+  const other = createApiHubError({ body: { error: 'Something else' } })
+  assert.equal(other.constructor, ApiHubError)
+})
+
+test('createApiHubError reads message, code, request ID and vendor', () => {
+  const err = createApiHubError({
+    status: 400,
+    body: JSON.stringify({ error: { message: 'prompt is required', code: 'missing_field' }, vendor: 'openai' }),
+    headers: new Headers({ 'x-request-id': 'req_123' }),
+  })
+  assert.equal(err.message, 'API Hub request failed: 400 prompt is required')
+  assert.equal(err.code, 'missing_field')
+  assert.equal(err.requestId, 'req_123')
+  assert.equal(err.vendor, 'openai')
+  assert.equal(err.status, 400)
+})
+
+test('rate-limit errors carry Retry-After and 5xx retryability', () => {
+  const limited = createApiHubError({ status: 429, body: '', headers: { 'retry-after': '7' } })
+  assert.equal(limited.retryAfter, 7)
+  assert.equal(createApiHubError({ status: 500, body: '' }).retryable, false)
+  assert.equal(createApiHubError({ status: 502, body: '' }).retryable, true)
+  assert.equal(createApiHubError({ status: 500, body: { retryable: true } }).retryable, true)
+})
+
+test('parseRetryAfter accepts seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('3'), 3)
+  assert.equal(parseRetryAfter(undefined), undefined)
+  assert.equal(parseRetryAfter('soon'), undefined)
+  assert.ok(parseRetryAfter(new Date(Date.now() + 5000).toUTCString()) <= 5)
+})
+
+test('exitCodeFor maps cancellations to 128 + signal', () => {
+  assert.equal(exitCodeFor(new CancelledError('x')), 130)
+  assert.equal(exitCodeFor(new Error('plain')), 1)
+})
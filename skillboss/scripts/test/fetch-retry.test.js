@@ -0,0 +1,146 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { fetchWithRetry, isIdempotent, retrySettingsFromConfig } = require('../lib/fetch-retry')
+
+// A fake fetch that answers with `responses` in turn (a function is called, an Error is thrown)
+function fakeFetch(responses) {
+  const calls = []
+  const impl = async (url, init) => {
+    calls.push(init)
+    const next = responses[Math.min(calls.length, responses.length) - 1]
+    if (next instanceof Error) throw next
+    return typeof next === 'function' ? next(init) : next
+  }
+  return { impl, calls }
+}
+
+function policy(extra = {}) {
+  const warnings = []
+  return { warnings, settings: { baseDelay: 10, maxDelay: 40, logger: { warn: m => warnings.push(m) }, ...extra } }
+}
+
+const status = (code, headers = {}) => new Response(code === 204 ? null : 'body', { status: code, headers })
+
+// Never answers until the request is aborted
+const stalled = init => new Promise((resolve, reject) => {
+  init.signal.addEventListener('abort', () => reject(init.signal.reason), { once: true })
+})
+
+test('network errors back off exponentially with equal jitter, up to maxDelay', async t => {
+  const { impl, calls } = fakeFetch([new TypeError('fetch failed'), new TypeError('fetch failed'), new TypeError('fetch failed'), new TypeError('fetch failed'), status(200)])
+  const { warnings, settings } = policy({ maxRetries: 4 })
+  t.mock.method(Math, 'random', () => 1)
+  const res = await fetchWithRetry('https://x.test', {}, settings, impl)
+  assert.equal(res.status, 200)
+  assert.equal(calls.length, 5)
+  // 10, 20, 40, then capped at 40; Math.random() = 1 gives the full delay
+  assert.deepEqual(warnings.map(w => w.match(/in ([\d.]+)s/)[1]), ['0.01', '0.02', '0.04', '0.04'])
+
+  t.mock.method(Math, 'random', () => 0)
+  const again = policy({ maxRetries: 1 })
+  await fetchWithRetry('https://x.test', {}, again.settings, fakeFetch([new TypeError('fetch failed'), status(200)]).impl)
+  // Math.random() = 0 gives half of it
+  assert.match(again.warnings[0], /Retry 1\/1 in 0.005s/)
+})
+
+test('gives up after maxRetries retries and throws the last error', async () => {
+  const { impl, calls } = fakeFetch([new TypeError('fetch failed')])
+  await assert.rejects(fetchWithRetry('https://x.test', {}, policy({ maxRetries: 2 }).settings, impl), /fetch failed/)
+  assert.equal(calls.length, 3)
+})
+
+test('a number is the total number of attempts, as before', async t => {
+  t.mock.method(Math, 'random', () => 0)
+  t.mock.method(console, 'warn', () => {})
+  const { impl, calls } = fakeFetch([new TypeError('fetch failed')])
+  await assert.rejects(fetchWithRetry('https://x.test', {}, 2, impl), /fetch failed/)
+  assert.equal(calls.length, 2)
+})
+
+test('429 waits for Retry-After in seconds or as an HTTP date', async () => {
+  const inSeconds = policy()
+  const { impl } = fakeFetch([status(429, { 'Retry-After': '0' }), status(200)])
+  assert.equal((await fetchWithRetry('https://x.test', { method: 'POST' }, inSeconds.settings, impl)).status, 200)
+  assert.match(inSeconds.warnings[0], /Rate limited. Waiting 0s before retry 1\/3/)
+
+  const asDate = policy()
+  const date = new Date(Date.now() + 1000).toUTCString()
+  const dated = fakeFetch([status(429, { 'Retry-After': date }), status(200)])
+  assert.equal((await fetchWithRetry('https://x.test', {}, asDate.settings, dated.impl)).status, 200)
+  assert.match(asDate.warnings[0], /Waiting [12]s/)
+})
+
+test('a Retry-After longer than maxRetryAfter is returned instead of slept through', async () => {
+  const { impl, calls } = fakeFetch([status(429, { 'Retry-After': '600' }), status(200)])
+  const res = await fetchWithRetry('https://x.test', {}, policy({ maxRetryAfter: 120000 }).settings, impl)
+  assert.equal(res.status, 429)
+  assert.equal(calls.length, 1)
+})
+
+test('gateway errors are retried only for idempotent requests', async () => {
+  const post = fakeFetch([status(503), status(200)])
+  assert.equal((await fetchWithRetry('https://x.test', { method: 'POST' }, policy().settings, post.impl)).status, 503)
+  assert.equal(post.calls.length, 1)
+
+  const get = fakeFetch([status(502), status(504), status(200)])
+  assert.equal((await fetchWithRetry('https://x.test', {}, policy().settings, get.impl)).status, 200)
+  assert.equal(get.calls.length, 3)
+
+  const keyed = fakeFetch([status(503), status(200)])
+  const options = { method: 'POST', headers: { 'Idempotency-Key': 'k1' } }
+  assert.equal((await fetchWithRetry('https://x.test', options, policy().settings, keyed.impl)).status, 200)
+  assert.equal(isIdempotent(options), true)
+  assert.equal(isIdempotent({ method: 'POST', headers: new Headers() }), false)
+
+  // Other errors are left to the caller
+  const other = fakeFetch([status(500), status(200)])
+  assert.equal((await fetchWithRetry('https://x.test', {}, policy().settings, other.impl)).status, 500)
+})
+
+test('a timeout is retried for GET but not for POST', async () => {
+  const post = fakeFetch([stalled])
+  await assert.rejects(fetchWithRetry('https://x.test', { method: 'POST', timeout: 20 }, policy().settings, post.impl), err => {
+    assert.equal(err.name, 'TimeoutError')
+    assert.match(err.message, /timed out after 0.02s/)
+    return true
+  })
+  assert.equal(post.calls.length, 1)
+
+  const get = fakeFetch([stalled, status(200)])
+  assert.equal((await fetchWithRetry('https://x.test', { timeout: 20 }, policy().settings, get.impl)).status, 200)
+  assert.equal(get.calls.length, 2)
+})
+
+test('the timeout covers only the headers: a slow body is not cut off', async () => {
+  const slowBody = init => new Response(new ReadableStream({
+    start(controller) {
+      init.signal.addEventListener('abort', () => controller.error(init.signal.reason), { once: true })
+      setTimeout(() => {
+        controller.enqueue(new TextEncoder().encode('late'))
+        controller.close()
+      }, 60)
+    },
+  }))
+  const res = await fetchWithRetry('https://x.test', { timeout: 20 }, policy().settings, fakeFetch([slowBody]).impl)
+  assert.equal(await res.text(), 'late')
+})
+
+test('the caller\'s signal cancels a backoff wait without retrying', async () => {
+  const controller = new AbortController()
+  const { impl, calls } = fakeFetch([new TypeError('fetch failed')])
+  const pending = fetchWithRetry('https://x.test', { signal: controller.signal }, policy({ baseDelay: 5000, maxDelay: 5000 }).settings, impl)
+  setTimeout(() => controller.abort(new Error('cancelled')), 10)
+  await assert.rejects(pending, /cancelled/)
+  assert.equal(calls.length, 1)
+})
+
+test('retrySettingsFromConfig converts seconds and applies env overrides', () => {
+  const { retry, timeouts } = retrySettingsFromConfig(
+    { retry: { maxRetries: 5, baseDelay: 2, maxRetryAfter: 60 }, timeouts: { video: 3600 } },
+    { SKILLBOSS_RETRY_MAX_DELAY: '10' },
+  )
+  assert.deepEqual(retry, { maxRetries: 5, baseDelay: 2000, maxDelay: 10000, maxRetryAfter: 60000 })
+  assert.equal(timeouts.video, 3600)
+  assert.equal(retrySettingsFromConfig({}, { SKILLBOSS_MAX_RETRIES: '0' }).retry.maxRetries, 0)
+  assert.equal(retrySettingsFromConfig({}, { SKILLBOSS_TIMEOUT: '0' }).timeouts.chat, 0)
+})
@@ -0,0 +1,109 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { parseFlags, UsageError } = require('../lib/flags')
+
+const schema = {
+  flags: {
+    text: { required: true, fromFile: true },
+    voice: { choices: ['alloy', 'echo'] },
+    speed: { type: 'number', min: 0 },
+    loud: { type: 'boolean' },
+    tag: { repeatable: true },
+  },
+}
+
+function problems(argv, s = schema, options) {
+  try {
+    parseFlags(argv, s, options)
+  } catch (err) {
+    assert.ok(err instanceof UsageError)
+    return err.problems
+  }
+  return []
+}
+
+test('values are typed, defaults and repeatable flags applied', () => {
+  const { flags } = parseFlags(['--text', 'hi', '--speed=1.5', '--loud', '--tag', 'a', '--tag', 'b'], schema)
+  assert.deepEqual(flags, { text: 'hi', speed: 1.5, loud: true, tag: ['a', 'b'] })
+  assert.equal(parseFlags(['--text', 'hi', '--no-loud'], schema).flags.loud, false)
+})
+
+test('every problem is reported at once', () => {
+  assert.deepEqual(problems(['--voice', 'nope', '--bogus']), [
+    '--voice must be one of: alloy, echo',
+    'Unknown option --bogus',
+    'Missing required option --text',
+  ])
+})
+
+test('a flag that was given but failed is not also reported as missing', () => {
+  const missingFile = path.join(os.tmpdir(), 'skillboss-flags-does-not-exist.txt')
+  const reported = problems(['--text', `@${missingFile}`])
+  assert.equal(reported.length, 1)
+  assert.doesNotMatch(reported[0], /Missing required/)
+
+  assert.deepEqual(problems(['--text']), ['--text needs a value'])
+  assert.deepEqual(problems(['--text', 'x', '--text', 'y']), ['--text was given more than once'])
+})
+
+test('fromFile flags read @path and - (stdin)', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skillboss-flags-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const file = path.join(dir, 'script.txt')
+  fs.writeFileSync(file, 'from a file')
+
+  const parsed = parseFlags(['--text', `@${file}`], schema)
+  assert.equal(parsed.flags.text, 'from a file')
+  assert.equal(parsed.sources.length, 1)
+  assert.equal(parseFlags(['--text', '-'], schema, { stdin: () => Buffer.from('piped\n') }).flags.text, 'piped')
+  assert.equal(parseFlags(['--text', '@@literal'], schema).flags.text, '@literal')
+})
+
+test('partial parsing reports where each positional was found', () => {
+  const { positionals, indexes } = parseFlags(['--tag', 'chat', '--loud', 'chat', '--', 'x'], schema, { partial: true })
+  assert.deepEqual(positionals, ['chat', 'x'])
+  assert.deepEqual(indexes, [3, 5])
+})
+
+test('requireOne and exclusive groups', () => {
+  const grouped = { flags: { a: {}, b: {} }, requireOne: [['a', 'b']], exclusive: [['a', 'b']] }
+  assert.deepEqual(problems([], grouped), ['One of --a, --b is required'])
+  assert.deepEqual(problems(['--a', '1', '--b', '2'], grouped), ["--a and --b can't be used together"])
+})
+
+test('--prompt, --text and --inputs take @file, - (stdin) and @@ for a literal @', t => {
+  const { COMMANDS } = require('../commands/flags')
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skillboss-flags-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const inputs = path.join(dir, 'inputs.json')
+  fs.writeFileSync(inputs, '{"prompt":"a cat"}\n')
+  const stdin = () => Buffer.from('Read me aloud\r\n\r\n')
+
+  assert.deepEqual(parseFlags(['--model', 'm', '--inputs', `@${inputs}`], COMMANDS.run).flags.inputs, { prompt: 'a cat' })
+  assert.equal(parseFlags(['--model', 'm', '--output', 'a.mp3', '--text', '-'], COMMANDS.tts, { stdin }).flags.text, 'Read me aloud')
+  assert.equal(parseFlags(['--model', 'm', '--prompt', '@@channel hello'], COMMANDS.chat).flags.prompt, '@channel hello')
+  // Only a leading "@" refers to a file
+  assert.equal(parseFlags(['--model', 'm', '--prompt', 'mail me@example.com'], COMMANDS.chat).flags.prompt, 'mail me@example.com')
+
+  const missing = path.join(dir, 'missing.txt')
+  assert.deepEqual(problems(['--model', 'm', '--prompt', `@${missing}`], COMMANDS.chat), [
+    `--prompt @${missing}: no such file (start the value with @@ for a literal @)`,
+  ])
+  const empty = path.join(dir, 'empty.txt')
+  fs.writeFileSync(empty, '')
+  assert.deepEqual(problems(['--model', 'm', '--output', 'a.mp3', '--text', `@${empty}`], COMMANDS.tts), [`--text @${empty}: file is empty`])
+
+  // stdin is read once: a second "-" is a problem, not an empty value
+  let reads = 0
+  const once = () => {
+    reads++
+    return Buffer.from('piped')
+  }
+  assert.deepEqual(problems(['--model', 'm', '--prompt', '-', '--system', '-'], COMMANDS.chat, { stdin: once }), [
+    '--system -: stdin can only be read once',
+  ])
+  assert.equal(reads, 1)
+})
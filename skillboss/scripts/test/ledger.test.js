@@ -0,0 +1,147 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {
+  createLedger,
+  ledgerFromConfig,
+  usageFromResponse,
+  parseDateFilter,
+  totals,
+  summarize,
+  toCsv,
+  toTable,
+} = require('../lib/ledger')
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skillboss-ledger-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+test('usageFromResponse reads OpenAI, Anthropic and API Hub usage fields', () => {
+  assert.deepEqual(usageFromResponse({}, { usage: { prompt_tokens: 10, completion_tokens: 4 }, _cost_usd: 0.002 }), {
+    tokens_in: 10,
+    tokens_out: 4,
+    cost_usd: 0.002,
+  })
+  assert.deepEqual(usageFromResponse({}, { result: { usage: { input_tokens: 7, output_tokens: 2 } }, cost: '0.5' }), {
+    tokens_in: 7,
+    tokens_out: 2,
+    cost_usd: 0.5,
+  })
+  assert.deepEqual(usageFromResponse({ inputs: { text: 'hello', duration: 8 } }, { usage: { credits: 3 } }), {
+    characters: 5,
+    seconds: 8,
+    credits: 3,
+  })
+  assert.deepEqual(usageFromResponse(undefined, 'not json'), {})
+})
+
+test('parseDateFilter understands dates, timestamps and relative times', t => {
+  assert.equal(parseDateFilter('2026-03-04').getTime(), new Date(2026, 2, 4).getTime())
+  assert.equal(parseDateFilter('2026-03-04', true).getTime(), new Date(2026, 2, 4, 23, 59, 59, 999).getTime())
+  assert.equal(parseDateFilter('2026-03-04T05:06:07Z').toISOString(), '2026-03-04T05:06:07.000Z')
+
+  t.mock.method(Date, 'now', () => Date.parse('2026-03-10T00:00:00Z'))
+  assert.equal(parseDateFilter('7d').toISOString(), '2026-03-03T00:00:00.000Z')
+  assert.equal(parseDateFilter('12h').toISOString(), '2026-03-09T12:00:00.000Z')
+  assert.throws(() => parseDateFilter('last week'), /Invalid date "last week"/)
+})
+
+test('append and read, filtered by time, skipping malformed lines', t => {
+  const file = path.join(tmpDir(t), 'nested', 'usage.jsonl')
+  const ledger = createLedger({ path: file })
+  assert.deepEqual(ledger.read(), [])
+  fs.mkdirSync(path.dirname(file))
+  fs.writeFileSync(file, [
+    JSON.stringify({ ts: '2026-03-01T10:00:00Z', model: 'a' }),
+    'not json',
+    JSON.stringify({ ts: '2026-03-02T10:00:00Z', model: 'b' }),
+    '',
+  ].join('\n'))
+  ledger.append({ model: 'c' })
+
+  assert.deepEqual(ledger.read().map(e => e.model), ['a', 'b', 'c'])
+  const since = new Date('2026-03-02T00:00:00Z')
+  const until = new Date('2026-03-02T23:00:00Z')
+  assert.deepEqual(ledger.read({ since, until }).map(e => e.model), ['b'])
+  assert.ok(!Number.isNaN(Date.parse(ledger.read()[2].ts)))
+})
+
+test('readFrom returns only new complete lines and starts over when the file shrinks', t => {
+  const file = path.join(tmpDir(t), 'usage.jsonl')
+  const ledger = createLedger({ path: file })
+  assert.deepEqual(ledger.readFrom(0), { entries: [], offset: 0, reset: false })
+
+  ledger.append({ model: 'a' })
+  const first = ledger.readFrom(0)
+  assert.deepEqual(first.entries.map(e => e.model), ['a'])
+  assert.equal(first.offset, fs.statSync(file).size)
+  assert.deepEqual(ledger.readFrom(first.offset), { entries: [], offset: first.offset, reset: false })
+
+  // A line still being written is left for the next read
+  fs.appendFileSync(file, '{"model":"b"}\n{"model":')
+  const second = ledger.readFrom(first.offset)
+  assert.deepEqual(second.entries.map(e => e.model), ['b'])
+  fs.appendFileSync(file, '"c"}\n')
+  assert.deepEqual(ledger.readFrom(second.offset).entries.map(e => e.model), ['c'])
+
+  fs.writeFileSync(file, '{"model":"d"}\n')
+  const reset = ledger.readFrom(second.offset + 100)
+  assert.equal(reset.reset, true)
+  assert.deepEqual(reset.entries.map(e => e.model), ['d'])
+
+  // A deleted ledger is a reset too, unless nothing had been read yet
+  fs.rmSync(file)
+  assert.deepEqual(ledger.readFrom(reset.offset), { entries: [], offset: 0, reset: true })
+  assert.equal(ledger.readFrom(0).reset, false)
+})
+
+const entries = [
+  { ts: '2026-03-01T10:00:00', command: 'chat', model: 'gpt', ok: true, tokens_in: 10, tokens_out: 5, cost_usd: 0.1, latency_ms: 100 },
+  { ts: '2026-03-01T11:00:00', command: 'chat', model: 'gpt', ok: false, latency_ms: 300 },
+  { ts: '2026-03-02T09:00:00', command: 'tts', model: 'voice', ok: true, characters: 40, cost_usd: 0.2, credits: 2, latency_ms: 200 },
+  { ts: '2026-03-02T09:30:00', ok: true, latency_ms: 0 },
+]
+
+test('totals adds up usage and rounds cost to the micro-dollar', () => {
+  assert.deepEqual(totals(entries), {
+    calls: 4,
+    errors: 1,
+    tokens_in: 10,
+    tokens_out: 5,
+    characters: 40,
+    seconds: 0,
+    cost_usd: 0.3,
+    credits: 2,
+    avg_latency_ms: 150,
+  })
+  assert.equal(totals([]).avg_latency_ms, 0)
+})
+
+test('summarize groups by local day, model or command', () => {
+  assert.deepEqual(summarize(entries, 'day').map(row => [row.day, row.calls]), [['2026-03-01', 2], ['2026-03-02', 2]])
+  assert.deepEqual(summarize(entries, 'model').map(row => [row.model, row.calls]), [['(none)', 1], ['gpt', 2], ['voice', 1]])
+  assert.deepEqual(summarize(entries, 'command').map(row => row.command), ['(none)', 'chat', 'tts'])
+  assert.throws(() => summarize(entries, 'vendor'), /Cannot group usage by "vendor"/)
+})
+
+test('toCsv quotes cells that need it; toTable aligns columns', () => {
+  const rows = [{ model: 'a,b', calls: 2 }, { model: 'say "hi"', calls: null }, { model: 'line\nbreak' }]
+  assert.equal(toCsv(rows, ['model', 'calls']), 'model,calls\n"a,b",2\n"say ""hi""",\n"line\nbreak",\n')
+  assert.equal(toTable([{ model: 'long-model', calls: 2 }, { model: 'x', calls: 10 }], ['model', 'calls']), [
+    'model       calls',
+    'long-model  2',
+    'x           10',
+    '',
+  ].join('\n'))
+})
+
+test('ledgerFromConfig honors the env switch and path', () => {
+  assert.equal(ledgerFromConfig({}, { SKILLBOSS_LEDGER: '0' }), null)
+  assert.equal(ledgerFromConfig({ ledger: { enabled: false } }, {}), null)
+  assert.equal(ledgerFromConfig({ ledger: { path: '/tmp/a.jsonl' } }, { SKILLBOSS_LEDGER_PATH: '/tmp/b.jsonl' }).path, '/tmp/b.jsonl')
+  assert.equal(ledgerFromConfig({ ledger: { path: '~/usage.jsonl' } }, {}).path, path.join(os.homedir(), 'usage.jsonl'))
+})
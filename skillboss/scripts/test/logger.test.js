@@ -0,0 +1,88 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { createLogger, logSettings, redact } = require('../lib/logger')
+
+function capture(options = {}) {
+  const lines = []
+  const logger = createLogger({ ...options, stream: { write: line => lines.push(line) } })
+  return { logger, lines }
+}
+
+const secret = 'sk-live-0123456789abcdef'
+
+test('each level writes itself and everything more severe', () => {
+  const write = logger => ['error', 'warn', 'info', 'log', 'debug'].forEach(name => logger[name](name))
+  const expected = {
+    silent: [],
+    error: ['error'],
+    warn: ['error', 'warn'],
+    info: ['error', 'warn', 'info', 'log'],
+    debug: ['error', 'warn', 'info', 'log', 'debug'],
+  }
+  for (const [level, names] of Object.entries(expected)) {
+    const { logger, lines } = capture({ level })
+    write(logger)
+    assert.deepEqual(lines, names.map(name => `${name}\n`), level)
+    assert.equal(logger.enabled('debug'), level === 'debug')
+  }
+})
+
+test('logSettings: --verbose beats --quiet beats the environment', () => {
+  assert.deepEqual(logSettings({}, {}), { level: 'info', format: 'text' })
+  assert.equal(logSettings({}, { DEBUG: '1' }).level, 'debug')
+  assert.equal(logSettings({}, { DEBUG: '0' }).level, 'info')
+  assert.equal(logSettings({ quiet: true }, { SKILLBOSS_LOG_LEVEL: 'debug' }).level, 'error')
+  assert.equal(logSettings({ quiet: true, verbose: true }, {}).level, 'debug')
+  assert.equal(logSettings({ 'log-format': 'json' }, { SKILLBOSS_LOG_FORMAT: 'text' }).format, 'json')
+  assert.throws(() => logSettings({}, { SKILLBOSS_LOG_LEVEL: 'loud' }), /Unknown log level "loud"/)
+  assert.throws(() => logSettings({ 'log-format': 'xml' }, {}), /Unknown log format "xml"/)
+})
+
+test('API keys, bearer tokens and cookies are masked wherever they appear in fields', () => {
+  const headers = new Headers({ Authorization: `Bearer ${secret}`, 'X-API-Key': secret, 'Content-Type': 'application/json' })
+  const redacted = redact({
+    headers,
+    request: { apiKey: secret, api_key: secret, nested: [{ cookie: 'session=abc' }] },
+    'Proxy-Authorization': 'Basic short',
+  })
+  assert.deepEqual(redacted, {
+    headers: { authorization: 'Bearer ***cdef', 'x-api-key': '***cdef', 'content-type': 'application/json' },
+    request: { apiKey: '***cdef', api_key: '***cdef', nested: [{ cookie: '***' }] },
+    'Proxy-Authorization': 'Basic ***',
+  })
+  assert.doesNotMatch(JSON.stringify(redacted), new RegExp(secret))
+})
+
+test('long base64 payloads are truncated; prose and short strings are kept', () => {
+  const payload = 'QUJD'.repeat(100)
+  assert.equal(redact(payload), `${payload.slice(0, 32)}...[400 chars]`)
+  assert.equal(redact(`data:image/png;base64,${payload}`), `data:image/png;base64,${payload.slice(0, 32)}...[400 chars]`)
+  const prose = 'word '.repeat(100)
+  assert.equal(redact(prose), prose)
+  assert.equal(redact('QUJD'), 'QUJD')
+  assert.deepEqual(redact({ inputs: { image: payload, n: 1 } }), { inputs: { image: `${payload.slice(0, 32)}...[400 chars]`, n: 1 } })
+})
+
+test('text and json lines carry redacted fields', () => {
+  const text = capture({ level: 'debug' })
+  text.logger.debug('[skillboss] POST /run', { status: 200, headers: { authorization: `Bearer ${secret}` }, note: 'two words' })
+  assert.equal(text.lines[0], '[skillboss] POST /run status=200 headers={"authorization":"Bearer ***cdef"} note="two words"\n')
+
+  const json = capture({ format: 'json' })
+  json.logger.warn('\n[skillboss] Slow down', { 'x-api-key': secret })
+  const line = JSON.parse(json.lines[0])
+  assert.equal(line.level, 'warn')
+  assert.equal(line.msg, 'Slow down')
+  assert.equal(line['x-api-key'], '***cdef')
+  assert.ok(!Number.isNaN(Date.parse(line.ts)))
+})
+
+test('collect gathers messages instead of writing them, except debug', () => {
+  const collect = []
+  const { logger, lines } = capture({ level: 'debug', collect })
+  logger.warn('[skillboss] Low balance')
+  logger.info('   ')
+  logger.debug('details')
+  assert.deepEqual(collect, ['Low balance'])
+  assert.deepEqual(lines, ['details\n'])
+})
@@ -0,0 +1,79 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { createMemoryHints, memoryHintPolicy, undoMemoryHints } = require('../lib/memory-hints')
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skillboss-hints-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+function collector() {
+  const lines = []
+  return { lines, warn: line => lines.push(line) }
+}
+
+test('the default policy prints the suggestion and writes nothing', t => {
+  const dir = tmpDir(t)
+  const file = path.join(dir, 'AGENTS.md')
+  const logger = collector()
+  const hints = createMemoryHints({ auditPath: path.join(dir, 'audit.jsonl'), logger })
+  assert.equal(hints.policy, 'print')
+  assert.equal(memoryHintPolicy({}, {}).policy, 'print')
+
+  hints.apply({ action: 'append_if_missing', files: [file], section: '## SkillBoss', content: '## SkillBoss\nUse it.' })
+  assert.equal(fs.existsSync(file), false)
+  assert.match(logger.lines[0], /not written/)
+})
+
+test('every write is announced with the file and the undo command', t => {
+  const dir = tmpDir(t)
+  const file = path.join(dir, 'AGENTS.md')
+  const auditPath = path.join(dir, 'audit.jsonl')
+  const logger = collector()
+  const hints = createMemoryHints({ policy: 'allowlist', allowlist: [file], auditPath, logger })
+  const hint = { action: 'append_if_missing', files: [file], section: '## SkillBoss', content: '## SkillBoss\nUse it.' }
+
+  hints.apply(hint)
+  assert.match(logger.lines[0], new RegExp(`Created ${file} with a SkillBoss section.*hints undo --file ${file}`))
+  fs.writeFileSync(file, '# Notes\n')
+  hints.apply(hint)
+  assert.match(logger.lines[1], new RegExp(`Added to ${file}`))
+
+  assert.deepEqual(undoMemoryHints({ auditPath }).map(r => r.status), ['removed', 'missing'])
+  assert.equal(fs.readFileSync(file, 'utf8'), '# Notes\n')
+})
+
+test('print mode prints once, and not for files that already have the section', t => {
+  const dir = tmpDir(t)
+  const file = path.join(dir, 'AGENTS.md')
+  const logger = collector()
+  const hints = createMemoryHints({ auditPath: path.join(dir, 'audit.jsonl'), logger })
+
+  fs.writeFileSync(file, '## SkillBoss printed\n')
+  hints.apply({ action: 'append_if_missing', files: [file], section: '## SkillBoss printed', content: '## SkillBoss printed\nUse it.' })
+  assert.equal(logger.lines.length, 0)
+
+  fs.rmSync(file)
+  const hint = { action: 'append_if_missing', files: [file], section: '## SkillBoss printed', content: '## SkillBoss printed\nUse it.' }
+  for (let i = 0; i < 5; i++) hints.apply(hint)
+  createMemoryHints({ auditPath: path.join(dir, 'audit.jsonl'), logger }).apply(hint)
+  assert.equal(logger.lines.length, 2)
+})
+
+test('a refused write is logged once per file and section', t => {
+  const dir = tmpDir(t)
+  const auditPath = path.join(dir, 'audit.jsonl')
+  const file = path.join(dir, 'notes.md')
+  const hint = { action: 'append_if_missing', files: [file], section: '## SkillBoss refused', content: '## SkillBoss refused\nUse it.' }
+  const logger = collector()
+  const hints = createMemoryHints({ policy: 'allow', auditPath, logger })
+  for (let i = 0; i < 5; i++) hints.apply(hint)
+  assert.equal(logger.lines.length, 1)
+  assert.match(logger.lines[0], /Refused memory hint write/)
+  assert.equal(fs.existsSync(file), false)
+  assert.equal(fs.readFileSync(auditPath, 'utf8').trim().split('\n').length, 1)
+})
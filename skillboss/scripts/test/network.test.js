@@ -0,0 +1,94 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const http = require('http')
+const tls = require('tls')
+const { createFetch, proxyForUrl } = require('../lib/network')
+
+const credentials = {
+  Authorization: 'Bearer sk-secret',
+  'X-API-Key': 'sk-secret',
+  Cookie: 'session=secret',
+  'Proxy-Authorization': 'Basic secret',
+}
+
+// /echo answers with the method, body and headers it received; /to?url=... redirects there
+function startServer(t) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://fixture')
+    if (url.pathname === '/to') {
+      req.resume()
+      res.writeHead(Number(url.searchParams.get('status') || 302), { location: url.searchParams.get('url') })
+      return res.end()
+    }
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      res.writeHead(200, { 'content-type': 'application/json' })
+      res.end(JSON.stringify({ method: req.method, body, headers: req.headers }))
+    })
+  })
+  t.after(() => server.close())
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)))
+}
+
+// An extra CA file sends every request through the http/https transport instead of the built-in fetch
+function transportSettings(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skillboss-network-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const caFile = path.join(dir, 'ca.pem')
+  fs.writeFileSync(caFile, tls.rootCertificates[0])
+  return { noProxy: [], caFile }
+}
+
+const paths = [
+  ['built-in fetch', () => ({ noProxy: [] })],
+  ['proxy/CA transport', transportSettings],
+]
+
+for (const [name, settings] of paths) {
+  test(`${name}: credentials are dropped on a cross-origin redirect`, async t => {
+    const [a, b] = await Promise.all([startServer(t), startServer(t)])
+    const fetch = createFetch(settings(t))
+    const res = await fetch(`${a}/to?status=307&url=${encodeURIComponent(`${b}/echo`)}`, {
+      method: 'POST',
+      headers: { ...credentials, 'Content-Type': 'application/json', 'X-Other': 'kept' },
+      body: '{"a":1}',
+    })
+    const echoed = await res.json()
+    assert.equal(echoed.method, 'POST')
+    assert.equal(echoed.body, '{"a":1}')
+    assert.equal(echoed.headers['x-other'], 'kept')
+    for (const header of Object.keys(credentials)) assert.equal(echoed.headers[header.toLowerCase()], undefined, header)
+  })
+
+  test(`${name}: credentials are kept on a same-origin redirect, and 303 turns into GET`, async t => {
+    const a = await startServer(t)
+    const fetch = createFetch(settings(t))
+    const res = await fetch(`${a}/to?status=303&url=${encodeURIComponent(`${a}/echo`)}`, {
+      method: 'POST',
+      headers: { 'X-API-Key': 'sk-secret', 'Content-Type': 'application/json' },
+      body: '{"a":1}',
+    })
+    const echoed = await res.json()
+    assert.equal(echoed.method, 'GET')
+    assert.equal(echoed.body, '')
+    assert.equal(echoed.headers['x-api-key'], 'sk-secret')
+    assert.equal(echoed.headers['content-type'], undefined)
+  })
+}
+
+test('redirect: "manual" returns the redirect itself', async t => {
+  const a = await startServer(t)
+  const res = await createFetch({ noProxy: [] })(`${a}/to?url=/echo`, { headers: { 'X-API-Key': 'k' }, redirect: 'manual' })
+  assert.equal(res.status, 302)
+  assert.equal(res.headers.get('location'), '/echo')
+})
+
+test('proxyForUrl honors NO_PROXY', () => {
+  const settings = { httpsProxy: 'http://proxy:3128', noProxy: ['example.com'] }
+  assert.equal(proxyForUrl('https://api.example.com/x', settings), null)
+  assert.equal(proxyForUrl('https://skillboss.co/x', settings).host, 'proxy:3128')
+})
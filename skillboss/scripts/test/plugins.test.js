@@ -0,0 +1,96 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { findPlugins, loadPlugin, pluginSchema, isTrustedProject } = require('../lib/plugins')
+
+function tmpDir(t) {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'skillboss-plugins-')))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+// A plugin that leaves a marker file when its code runs
+function writePlugin(dir, file, exportsSource) {
+  fs.mkdirSync(dir, { recursive: true })
+  const marker = path.join(dir, `${file}.loaded`)
+  fs.writeFileSync(path.join(dir, file), `require('fs').writeFileSync(${JSON.stringify(marker)}, '')\nmodule.exports = ${exportsSource}\n`)
+  return marker
+}
+
+const quiet = { warn() {} }
+
+test('plugins are found by file name without running them', t => {
+  const dir = tmpDir(t)
+  const marker = writePlugin(path.join(dir, 'plugins'), 'brief.js', `{ description: 'Write a brief', flags: { topic: { required: true } }, run() { return 'ok' } }`)
+  writePlugin(path.join(dir, 'plugins'), 'chat.js', '{ run() {} }')
+  const warnings = []
+  const options = { dirs: [path.join(dir, 'plugins')], builtins: ['chat'], cachePath: path.join(dir, 'plugins.json'), logger: { warn: m => warnings.push(m) } }
+
+  const found = findPlugins(options)
+  assert.deepEqual([...found.keys()], ['brief'])
+  assert.equal(fs.existsSync(marker), false)
+  assert.match(warnings[0], /"chat" is a built-in command/)
+  assert.equal(found.get('brief').description, undefined)
+
+  const plugin = loadPlugin(found.get('brief'))
+  assert.equal(fs.existsSync(marker), true)
+  assert.equal(plugin.run(), 'ok')
+
+  // Once it has run, its description and flags are known without loading it
+  const described = findPlugins({ ...options, logger: quiet }).get('brief')
+  assert.equal(described.description, 'Write a brief')
+  assert.deepEqual(pluginSchema(described).flags, { topic: { required: true } })
+})
+
+test('a cached description is dropped when the plugin changes', t => {
+  const dir = tmpDir(t)
+  const plugins = path.join(dir, 'plugins')
+  writePlugin(plugins, 'brief.js', `{ description: 'Old', run() {} }`)
+  const options = { dirs: [plugins], cachePath: path.join(dir, 'plugins.json'), logger: quiet }
+  loadPlugin(findPlugins(options).get('brief'))
+
+  const later = new Date(Date.now() + 5000)
+  fs.utimesSync(path.join(plugins, 'brief.js'), later, later)
+  assert.equal(findPlugins(options).get('brief').description, undefined)
+})
+
+test('a plugin whose exported name differs from its file name fails to load', t => {
+  const dir = tmpDir(t)
+  writePlugin(dir, 'brief.js', `{ name: 'other', run() {} }`)
+  const found = findPlugins({ dirs: [dir], cachePath: path.join(dir, 'plugins.json'), logger: quiet })
+  assert.throws(() => loadPlugin(found.get('brief')), /exports name "other", but the file makes it the "brief" command/)
+})
+
+test('SKILLBOSS_PLUGINS=0 finds nothing', t => {
+  const dir = tmpDir(t)
+  writePlugin(dir, 'brief.js', '{ run() {} }')
+  assert.equal(findPlugins({ dirs: [dir], env: { SKILLBOSS_PLUGINS: '0' }, logger: quiet }).size, 0)
+})
+
+test('project commands need a trusted project', t => {
+  const root = tmpDir(t)
+  const commands = path.join(root, '.skillboss', 'commands')
+  assert.equal(isTrustedProject(commands, {}, {}), false)
+  assert.equal(isTrustedProject(commands, { plugins: { trustedDirs: [root] } }, {}), true)
+  assert.equal(isTrustedProject(commands, { plugins: { trustedDirs: [commands] } }, {}), true)
+  assert.equal(isTrustedProject(commands, {}, { SKILLBOSS_PLUGINS: 'project' }), true)
+})
+
+test('an untrusted project\'s commands are ignored with a warning', t => {
+  const root = tmpDir(t)
+  const marker = writePlugin(path.join(root, '.skillboss', 'commands'), 'deploy.js', '{ run() {} }')
+  const cwd = process.cwd()
+  process.chdir(root)
+  t.after(() => process.chdir(cwd))
+  const warnings = []
+  const options = { cachePath: path.join(root, 'plugins.json'), env: {}, logger: { warn: m => warnings.push(m) } }
+
+  assert.equal(findPlugins({ ...options, command: 'brief' }).has('deploy'), false)
+  assert.equal(warnings.length, 0)
+  assert.equal(findPlugins({ ...options, command: 'deploy' }).has('deploy'), false)
+  assert.match(warnings[0], /Ignoring the project commands in .*trustedDirs/)
+  assert.equal(findPlugins({ ...options, config: { plugins: { trustedDirs: [root] } } }).has('deploy'), true)
+  assert.equal(fs.existsSync(marker), false)
+})
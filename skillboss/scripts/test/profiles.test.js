@@ -0,0 +1,75 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { applyProfile, resolveApiKey, hasOwnHosts, isPlaceholderKey, profileFromArgs, stripProfileArgs } = require('../lib/profiles')
+
+const config = { apiKey: 'sk-config', baseUrl: 'https://api.example.com/v1', buildApiUrl: 'https://build.example.com' }
+const env = {}
+
+test('a profile without its own key uses the default credentials, then config.json', () => {
+  const creds = { api_key: 'sk-default', profiles: { team: { type: 'permanent' } } }
+  const result = applyProfile(config, { profile: 'team', creds, env })
+  assert.equal(result.profile, 'team')
+  assert.equal(result.apiKey, 'sk-default')
+  assert.equal(result.baseUrl, 'https://api.example.com/v1')
+
+  assert.equal(applyProfile(config, { profile: 'team', creds: { profiles: creds.profiles }, env }).apiKey, 'sk-config')
+})
+
+test('a profile with its own hosts never borrows the default key', () => {
+  const creds = {
+    api_key: 'sk-default',
+    profiles: {
+      staging: { base_url: 'https://staging.example.com/v1' },
+      build: { build_api_url: 'https://build.staging.example.com', api_key: 'YOUR_API_KEY_HERE' },
+      keyed: { base_url: 'https://staging.example.com/v1', api_key: 'sk-staging' },
+    },
+  }
+  const result = applyProfile(config, { profile: 'staging', creds, env })
+  assert.equal(result.baseUrl, 'https://staging.example.com/v1')
+  assert.equal(result.buildApiUrl, 'https://build.example.com')
+  assert.equal(result.apiKey, undefined)
+  assert.equal(applyProfile(config, { profile: 'build', creds, env }).apiKey, undefined)
+  assert.equal(resolveApiKey({ ...config, profile: 'staging' }, creds), undefined)
+  assert.equal(applyProfile(config, { profile: 'keyed', creds, env }).apiKey, 'sk-staging')
+
+  assert.equal(hasOwnHosts(creds.profiles.staging), true)
+  assert.equal(hasOwnHosts({ api_key: 'sk-team' }), false)
+  assert.equal(hasOwnHosts(undefined), false)
+})
+
+test('a profile key wins, and placeholders are skipped', () => {
+  const creds = { api_key: 'sk-default', profiles: { team: { api_key: 'sk-team' }, empty: { api_key: 'YOUR_API_KEY_HERE' } } }
+  assert.equal(applyProfile(config, { profile: 'team', creds, env }).apiKey, 'sk-team')
+  assert.equal(applyProfile(config, { profile: 'empty', creds, env }).apiKey, 'sk-default')
+  assert.equal(applyProfile(config, { creds: { api_key: 'sk-xxx...xxx (placeholder)' }, env }).apiKey, 'sk-config')
+})
+
+test('applyProfile and resolveApiKey agree', () => {
+  const creds = { api_key: 'sk-default', profiles: { team: {} } }
+  const applied = applyProfile(config, { profile: 'team', creds, env })
+  assert.equal(resolveApiKey({ ...config, profile: 'team' }, creds), applied.apiKey)
+})
+
+test('the profile comes from --profile, then SKILLBOSS_PROFILE, then current_profile', () => {
+  const creds = { current_profile: 'b', profiles: { a: { api_key: 'sk-a' }, b: { api_key: 'sk-b' }, c: { api_key: 'sk-c' } } }
+  assert.equal(applyProfile(config, { profile: 'a', creds, env: { SKILLBOSS_PROFILE: 'c' } }).apiKey, 'sk-a')
+  assert.equal(applyProfile(config, { creds, env: { SKILLBOSS_PROFILE: 'c' } }).apiKey, 'sk-c')
+  assert.equal(applyProfile(config, { creds, env }).apiKey, 'sk-b')
+  assert.equal(applyProfile(config, { profile: 'default', creds, env }).profile, null)
+})
+
+test('an unknown profile is an error naming the known ones', () => {
+  assert.throws(() => applyProfile(config, { profile: 'nope', creds: { profiles: { a: {} } }, env }), /Unknown SkillBoss profile "nope"\. Available: a/)
+})
+
+test('isPlaceholderKey', () => {
+  assert.equal(isPlaceholderKey(undefined), true)
+  assert.equal(isPlaceholderKey('YOUR_API_KEY_HERE'), true)
+  assert.equal(isPlaceholderKey('sk-abc'), false)
+})
+
+test('--profile arguments are found and stripped', () => {
+  assert.equal(profileFromArgs(['chat', '--profile', 'work', '--prompt', 'hi']), 'work')
+  assert.equal(profileFromArgs(['--profile=work']), 'work')
+  assert.deepEqual(stripProfileArgs(['chat', '--profile', 'work', '--prompt', 'hi']), ['chat', '--prompt', 'hi'])
+})
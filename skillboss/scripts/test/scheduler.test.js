@@ -0,0 +1,146 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { parseReset, concurrencyFromConfig, createScheduler } = require('../lib/scheduler')
+
+// A clock that only moves when the scheduler sleeps (or the test says so)
+function fakeClock() {
+  let time = Date.parse('2026-01-01T00:00:00Z')
+  const slept = []
+  return {
+    slept,
+    now: () => time,
+    sleep: async ms => {
+      slept.push(ms)
+      time += ms
+    },
+    advance: ms => {
+      time += ms
+    },
+  }
+}
+
+const response = (headers, status = 200) => ({ status, headers: new Headers(headers) })
+
+// Let queued promise callbacks run
+const tick = () => new Promise(resolve => setImmediate(resolve))
+
+test('parseReset understands seconds, epoch seconds, durations and dates', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z')
+  assert.equal(parseReset('30', now), 30000)
+  assert.equal(parseReset('0.5', now), 500)
+  assert.equal(parseReset(String(now / 1000 + 20), now), 20000)
+  assert.equal(parseReset('1m30s', now), 90000)
+  assert.equal(parseReset('250ms', now), 250)
+  assert.equal(parseReset('2026-01-01T00:00:05Z', now), 5000)
+  assert.equal(parseReset('soon', now), undefined)
+  assert.equal(parseReset(null, now), undefined)
+})
+
+test('concurrencyFromConfig keeps valid limits; SKILLBOSS_CONCURRENCY overrides the default', () => {
+  assert.deepEqual(concurrencyFromConfig({ concurrency: { openai: 8, bad: -1, half: 1.5 } }, { SKILLBOSS_CONCURRENCY: '2' }), { default: 2, openai: 8 })
+  assert.deepEqual(concurrencyFromConfig({}, {}), { default: 4 })
+})
+
+test('acquire queues calls over the limit and hands slots over in order', async () => {
+  const scheduler = createScheduler({ default: 2 })
+  const waits = []
+  const first = await scheduler.acquire('a/model')
+  await scheduler.acquire('a/model')
+  const order = []
+  const third = scheduler.acquire('a/model', { onWait: m => waits.push(m) }).then(release => order.push('third') && release)
+  const fourth = scheduler.acquire('a/model').then(release => order.push('fourth') && release)
+  // Another model has its own pool
+  await scheduler.acquire('b/model')
+  await tick()
+  assert.deepEqual(order, [])
+  assert.deepEqual(waits, ['Queued a/model (2/2 running)'])
+
+  first()
+  first()
+  await tick()
+  assert.deepEqual(order, ['third'])
+  ;(await third)()
+  await fourth
+  assert.deepEqual(order, ['third', 'fourth'])
+  assert.deepEqual(scheduler.stats().pools.find(p => p.key === 'default:a/model'), { key: 'default:a/model', active: 2, limit: 2, queued: 0 })
+})
+
+test('a vendor limit is shared by its models, and a model entry beats it', async () => {
+  const scheduler = createScheduler({ openai: 1, 'openai/big': 3 })
+  await scheduler.acquire('openai/a')
+  let second = false
+  scheduler.acquire('openai/b').then(() => { second = true })
+  await scheduler.acquire('openai/big')
+  await scheduler.acquire('openai/big')
+  await tick()
+  assert.equal(second, false)
+})
+
+test('aborting a queued acquire removes it from the queue', async () => {
+  const scheduler = createScheduler({ default: 1 })
+  const release = await scheduler.acquire('m')
+  const controller = new AbortController()
+  const queued = scheduler.acquire('m', { signal: controller.signal })
+  controller.abort(new Error('cancelled'))
+  await assert.rejects(queued, /cancelled/)
+  release()
+  // The slot went back to the pool rather than to the aborted waiter
+  await scheduler.acquire('m')
+})
+
+test('the token bucket learns from rate-limit headers and refills over time', async () => {
+  const clock = fakeClock()
+  const scheduler = createScheduler({}, clock)
+  const report = await scheduler.throttle('m')
+  // 5 of 10 left; the 5 spent come back over 10 s, one every 2 s
+  report(response({ 'x-ratelimit-limit-requests': '10', 'x-ratelimit-remaining-requests': '5', 'x-ratelimit-reset-requests': '10s' }))
+
+  for (let i = 0; i < 5; i++) (await scheduler.throttle('m'))()
+  assert.deepEqual(clock.slept, [])
+  const waits = []
+  await scheduler.throttle('m', { onWait: m => waits.push(m) })
+  assert.deepEqual(clock.slept, [2000])
+  assert.deepEqual(waits, ['Rate limit for m: waiting 2s'])
+
+  // Time passing refills the bucket without waiting
+  clock.advance(4000)
+  await scheduler.throttle('m')
+  assert.deepEqual(clock.slept, [2000])
+})
+
+test('calls still in flight count against the remaining requests', async () => {
+  const clock = fakeClock()
+  const scheduler = createScheduler({}, clock)
+  const first = await scheduler.throttle('m')
+  await scheduler.throttle('m')
+  // The server saw both calls when it said 1 was left; the one still pending uses it up.
+  // The 2 spent come back over 30 s, so the next one is 15 s away
+  first(response({ 'ratelimit-limit': '3', 'ratelimit-remaining': '1', 'ratelimit-reset': '30' }))
+  await scheduler.throttle('m')
+  assert.deepEqual(clock.slept, [15000])
+})
+
+test('none remaining pauses until the reset', async () => {
+  const clock = fakeClock()
+  const scheduler = createScheduler({}, clock)
+  ;(await scheduler.throttle('m'))(response({ 'anthropic-ratelimit-requests-limit': '50', 'anthropic-ratelimit-requests-remaining': '0', 'anthropic-ratelimit-requests-reset': '2026-01-01T00:01:00Z' }))
+  await scheduler.throttle('m')
+  assert.equal(clock.slept[0], 60000)
+})
+
+test('a 429 pauses the model for its Retry-After, or a moment without one', async () => {
+  const clock = fakeClock()
+  const scheduler = createScheduler({}, clock)
+  ;(await scheduler.throttle('m'))(response({ 'retry-after': '3' }, 429))
+  await scheduler.throttle('m')
+  assert.deepEqual(clock.slept, [3000])
+  assert.equal(scheduler.stats().buckets[0].pausedUntil, null)
+
+  ;(await scheduler.throttle('other'))(response({}, 429))
+  await scheduler.throttle('other')
+  assert.deepEqual(clock.slept, [3000, 1000])
+
+  // Other models are not paused
+  await scheduler.throttle('third')
+  assert.deepEqual(clock.slept, [3000, 1000])
+})
@@ -0,0 +1,74 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { trimMessages, createSessionStore, validateSessionName } = require('../lib/sessions')
+const { replyMessage } = require('../commands/chat')
+
+const turn = n => [{ role: 'user', content: `q${n}` }, { role: 'assistant', content: `a${n}` }]
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skillboss-sessions-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+test('trimMessages keeps at most max messages, starting at a user message', () => {
+  const messages = [...turn(1), ...turn(2), ...turn(3)]
+  assert.deepEqual(trimMessages(messages, 4), messages.slice(2))
+  // Cutting at a reply would orphan it, so one more message goes
+  assert.deepEqual(trimMessages(messages, 3), messages.slice(4))
+  assert.equal(trimMessages(messages, 0), messages)
+  assert.equal(trimMessages(messages, 10), messages)
+})
+
+test('trimMessages never starts at a tool result', () => {
+  const messages = [
+    { role: 'user', content: 'weather?' },
+    { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'weather', arguments: '{}' } }] },
+    { role: 'tool', tool_call_id: 'c1', content: 'sunny' },
+    { role: 'assistant', content: 'Sunny.' },
+    ...turn(2),
+  ]
+  assert.deepEqual(trimMessages(messages, 4), messages.slice(4))
+})
+
+test('trimMessages keeps a long tool loop from its question rather than emptying it', () => {
+  const step = n => [
+    { role: 'assistant', content: null, tool_calls: [{ id: `c${n}`, type: 'function', function: { name: 'search', arguments: '{}' } }] },
+    { role: 'tool', tool_call_id: `c${n}`, content: `result ${n}` },
+  ]
+  const messages = [...turn(1), { role: 'user', content: 'research this' }, ...step(1), ...step(2), ...step(3), ...step(4)]
+  assert.deepEqual(trimMessages(messages, 4), messages.slice(2))
+  // Without any user message there is nothing to start at, so nothing is dropped
+  assert.deepEqual(trimMessages(messages.slice(3), 4), messages.slice(3))
+})
+
+test('a saved session loads back, trimmed, with tool calls intact', t => {
+  const store = createSessionStore({ dir: tmpDir(t), maxMessages: 2 })
+  const call = { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'weather', arguments: '{}' } }] }
+  const saved = store.save({ name: 'work', model: 'm', system: 'be brief', messages: [...turn(1), { role: 'user', content: 'weather?' }, call] })
+  assert.equal(saved.trimmed, 2)
+
+  const loaded = store.load('work')
+  assert.equal(loaded.system, 'be brief')
+  assert.deepEqual(loaded.messages, [{ role: 'user', content: 'weather?' }, call])
+  assert.equal(loaded.created, saved.created)
+  assert.equal(store.load('missing'), null)
+  assert.throws(() => validateSessionName('../escape'), /Invalid session name/)
+})
+
+test('replyMessage keeps tool calls and content blocks', () => {
+  const toolCalls = [{ id: 'c1', type: 'function', function: { name: 'weather', arguments: '{"city":"Oslo"}' } }]
+  assert.deepEqual(
+    replyMessage({ choices: [{ message: { role: 'assistant', content: null, reasoning_content: 'hmm', tool_calls: toolCalls } }] }),
+    { role: 'assistant', content: null, tool_calls: toolCalls },
+  )
+
+  const blocks = [{ type: 'text', text: 'Checking.' }, { type: 'tool_use', id: 't1', name: 'weather', input: { city: 'Oslo' } }]
+  assert.deepEqual(replyMessage({ role: 'assistant', content: blocks }), { role: 'assistant', content: blocks })
+
+  assert.deepEqual(replyMessage({ message: { content: 'Hi' } }), { role: 'assistant', content: 'Hi' })
+  assert.deepEqual(replyMessage({}), { role: 'assistant', content: '' })
+})
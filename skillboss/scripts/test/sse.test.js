@@ -0,0 +1,43 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { parseEventStream } = require('../lib/sse')
+
+async function collect(chunks, state = {}) {
+  const body = (async function* () {
+    for (const chunk of chunks) yield new TextEncoder().encode(chunk)
+  })()
+  const events = []
+  for await (const event of parseEventStream(body, state)) events.push(event)
+  return events
+}
+
+test('multi-line data, named events and ids', async () => {
+  const state = {}
+  const events = await collect(['event: progress\nid: 7\ndata: a\ndata: b\n\n', 'data: {"x":1}\n\n'], state)
+  assert.deepEqual(events, [
+    { event: 'progress', data: 'a\nb', id: '7' },
+    { event: 'message', data: '{"x":1}', id: '7' },
+  ])
+  assert.equal(state.lastEventId, '7')
+})
+
+test('line endings split across chunks', async () => {
+  const events = await collect(['data: one\r', '\n\r\ndata: two\r', '\rdata: three\n', '\n'])
+  assert.deepEqual(events.map(e => e.data), ['one', 'two', 'three'])
+})
+
+test('comments, retry and events without data are not dispatched', async () => {
+  const state = {}
+  const events = await collect([': keepalive\n\nretry: 2500\n\nevent: ping\n\n'], state)
+  assert.deepEqual(events, [])
+  assert.equal(state.retry, 2500)
+})
+
+test('a bare "data:" line does not dispatch an empty event', async () => {
+  const events = await collect(['data:\n\ndata: \n\nid: 3\ndata:\n\ndata: real\n\n'])
+  assert.deepEqual(events, [{ event: 'message', data: 'real', id: '3' }])
+})
+
+test('an event cut off by the end of the stream is dropped', async () => {
+  assert.deepEqual(await collect(['data: whole\n\ndata: partial']), [{ event: 'message', data: 'whole', id: undefined }])
+})
@@ -0,0 +1,105 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { createStreamAccumulator, accumulateStream } = require('../lib/stream-accumulator')
+
+function accumulate(chunks) {
+  const accumulator = createStreamAccumulator()
+  const added = chunks.map(chunk => accumulator.push(chunk))
+  return { added, text: accumulator.text, result: accumulator.result() }
+}
+
+// An OpenAI-style stream: text, then two tool calls whose names and arguments arrive in pieces
+const openAIChunks = [
+  { id: 'c1', model: 'gpt-x', created: 1, choices: [{ index: 0, delta: { role: 'assistant', content: 'Let me ' } }] },
+  { id: 'c1', choices: [{ index: 0, delta: { content: 'check.', reasoning_content: 'needs ' } }] },
+  { id: 'c1', choices: [{ index: 0, delta: { reasoning_content: 'weather' } }] },
+  { id: 'c1', choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_a', type: 'function', function: { name: 'wea', arguments: '' } }] } }] },
+  { id: 'c1', choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { name: 'ther', arguments: '{"city":' } }] } }] },
+  { id: 'c1', choices: [{ index: 0, delta: { tool_calls: [{ index: 1, id: 'call_b', type: 'function', function: { name: 'time', arguments: '{}' } }] } }] },
+  { id: 'c1', choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '"Oslo"}' } }] } }] },
+  { id: 'c1', choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] },
+  { id: 'c1', choices: [], usage: { prompt_tokens: 10, completion_tokens: 5 }, _cost_usd: 0.002 },
+]
+
+test('OpenAI: text, reasoning, several tool calls, finish reason, usage and cost', () => {
+  const { added, text, result } = accumulate(openAIChunks)
+  assert.deepEqual(added.slice(0, 2), ['Let me ', 'check.'])
+  assert.equal(text, 'Let me check.')
+  assert.equal(result.object, 'chat.completion')
+  assert.equal(result.id, 'c1')
+  assert.equal(result.model, 'gpt-x')
+  const [choice] = result.choices
+  assert.equal(choice.finish_reason, 'tool_calls')
+  assert.equal(choice.message.content, 'Let me check.')
+  assert.equal(choice.message.reasoning_content, 'needs weather')
+  assert.deepEqual(choice.message.tool_calls, [
+    { id: 'call_a', type: 'function', function: { name: 'weather', arguments: '{"city":"Oslo"}' } },
+    { id: 'call_b', type: 'function', function: { name: 'time', arguments: '{}' } },
+  ])
+  assert.deepEqual(result.usage, { prompt_tokens: 10, completion_tokens: 5 })
+  assert.equal(result._cost_usd, 0.002)
+})
+
+test('OpenAI: a reply that is only tool calls has null content, like a non-streamed one', () => {
+  const { result } = accumulate([
+    { choices: [{ index: 0, delta: { role: 'assistant', tool_calls: [{ index: 0, id: 'x', function: { name: 'f', arguments: '{}' } }] } }] },
+    { choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] },
+  ])
+  assert.equal(result.choices[0].message.content, null)
+})
+
+// An Anthropic-style stream: thinking, text and two tool_use blocks, the last cut off mid-JSON
+const anthropicChunks = [
+  { type: 'message_start', message: { id: 'msg_1', role: 'assistant', model: 'claude-x', content: [], usage: { input_tokens: 12, output_tokens: 1 } } },
+  { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+  { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'The user ' } },
+  { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'wants weather.' } },
+  { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'sig' } },
+  { type: 'content_block_stop', index: 0 },
+  { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } },
+  { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Checking ' } },
+  { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'now.' } },
+  { type: 'ping' },
+  { type: 'content_block_start', index: 2, content_block: { type: 'tool_use', id: 'tu_1', name: 'weather', input: {} } },
+  { type: 'content_block_delta', index: 2, delta: { type: 'input_json_delta', partial_json: '{"city": "Os' } },
+  { type: 'content_block_delta', index: 2, delta: { type: 'input_json_delta', partial_json: 'lo"}' } },
+  { type: 'content_block_stop', index: 2 },
+  { type: 'content_block_start', index: 3, content_block: { type: 'tool_use', id: 'tu_2', name: 'time', input: {} } },
+  { type: 'content_block_delta', index: 3, delta: { type: 'input_json_delta', partial_json: '{"zone": "Eu' } },
+  { type: 'message_delta', delta: { stop_reason: 'max_tokens' }, usage: { output_tokens: 40 } },
+  { type: 'message_stop', cost_usd: 0.01 },
+]
+
+test('Anthropic: thinking, text and tool inputs rebuilt from their deltas', () => {
+  const { text, result } = accumulate(anthropicChunks)
+  assert.equal(text, 'Checking now.')
+  assert.equal(result.type, 'message')
+  assert.equal(result.id, 'msg_1')
+  assert.equal(result.role, 'assistant')
+  assert.equal(result.stop_reason, 'max_tokens')
+  assert.deepEqual(result.content.slice(0, 3), [
+    { type: 'thinking', thinking: 'The user wants weather.', signature: 'sig' },
+    { type: 'text', text: 'Checking now.' },
+    { type: 'tool_use', id: 'tu_1', name: 'weather', input: { city: 'Oslo' } },
+  ])
+  // A fragment cut off by the end of the stream is kept as the raw text
+  assert.equal(result.content[3].input, '{"zone": "Eu')
+  assert.deepEqual(result.usage, { input_tokens: 12, output_tokens: 40 })
+  assert.equal(result.cost_usd, 0.01)
+})
+
+test('bare text deltas and unknown chunks', () => {
+  const { text, result } = accumulate([{ delta: { text: 'Hi' } }, { content: [{ text: ' there' }] }, null, 'x', { other: true }])
+  assert.equal(text, 'Hi there')
+  assert.deepEqual(result.content, [{ type: 'text', text: 'Hi there' }])
+})
+
+test('accumulateStream reports each text delta as it arrives', async () => {
+  const stream = (async function* () {
+    yield* openAIChunks
+  })()
+  const seen = []
+  const result = await accumulateStream(stream, added => seen.push(added))
+  assert.deepEqual(seen, ['Let me ', 'check.'])
+  assert.equal(result.choices[0].message.tool_calls.length, 2)
+})
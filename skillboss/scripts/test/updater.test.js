@@ -0,0 +1,46 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('crypto')
+const path = require('path')
+const { verifyRelease, compareVersions, SKILLBOSS_CLI } = require('../lib/updater')
+
+const archive = Buffer.from('release archive')
+const sha256 = crypto.createHash('sha256').update(archive).digest('hex')
+
+test('verifyRelease checks the SHA-256 checksum', () => {
+  assert.doesNotThrow(() => verifyRelease(archive, { version: '2.0.0', sha256: sha256.toUpperCase() }))
+  assert.throws(() => verifyRelease(archive, { version: '2.0.0', sha256: '0'.repeat(64) }), /Checksum mismatch for 2\.0\.0/)
+  assert.throws(() => verifyRelease(archive, { version: '2.0.0' }), /no sha256 checksum/)
+})
+
+test('verifyRelease requires a valid signature when a public key is set', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519')
+  const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' })
+  const signature = crypto.sign(null, archive, privateKey).toString('base64')
+
+  assert.doesNotThrow(() => verifyRelease(archive, { version: '2.0.0', sha256, signature }, publicKeyPem))
+  assert.throws(() => verifyRelease(archive, { version: '2.0.0', sha256 }, publicKeyPem), /is not signed/)
+
+  const other = crypto.generateKeyPairSync('ed25519').privateKey
+  const forged = crypto.sign(null, archive, other).toString('base64')
+  assert.throws(() => verifyRelease(archive, { version: '2.0.0', sha256, signature: forged }, publicKeyPem), /Signature check failed/)
+})
+
+test('verifyRelease accepts RSA signatures over the SHA-256 digest', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  const signature = crypto.sign('sha256', archive, privateKey).toString('base64')
+  const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' })
+  assert.doesNotThrow(() => verifyRelease(archive, { version: '2.0.0', sha256, signature }, publicKeyPem))
+})
+
+test('compareVersions orders releases, date versions and prereleases', () => {
+  assert.ok(compareVersions('1.10.0', '1.9.9') > 0)
+  assert.ok(compareVersions('2026.03.22.1', '2026.03.22') > 0)
+  assert.ok(compareVersions('1.2.0-beta.2', '1.2.0') < 0)
+  assert.ok(compareVersions('1.2.0-beta.2', '1.2.0-beta.10') < 0)
+  assert.equal(compareVersions('v1.2', '1.2.0'), 0)
+})
+
+test('update notices name the CLI by its absolute path', () => {
+  assert.equal(SKILLBOSS_CLI, `node ${path.join(__dirname, '..', 'skillboss')}`)
+})